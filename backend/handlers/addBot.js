@@ -1,11 +1,12 @@
 /**
  * AddBot Lambda Handler
  * 
- * Allows the host to add an AI bot player to the game.
+ * Allows the host to add an AI bot player to the game, at an easy, normal, hard or expert difficulty
+ * and with a weight profile (shared/botProfiles.js).
  * 
  * HTTP API: POST /addBot
- * Request body: { "gameId": "ABCDEF" }
- * Response: { "success": true, "bot": { seat, name, isBot: true }, "players": [...] }
+ * Request body: { "gameId": "ABCDEF", "playerName": "Host", "token": "host's seat token", "difficulty": "hard", "profile": "aggressive" }
+ * Response: { "success": true, "bot": { seat, name, isBot: true, difficulty, profile }, "players": [...] }
  */
 
 const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
@@ -17,6 +18,9 @@ const {
   buildResponse 
 } = require('../shared/gameUtils');
 const { getNextBotNumber, generateBotConnectionId } = require('../shared/botUtils');
+const { authorizePlayer } = require('../shared/seatTokens');
+const { BotDifficulty, DEFAULT_BOT_DIFFICULTY, isValidDifficulty } = require('../shared/botStrategies');
+const { DEFAULT_BOT_PROFILE, isValidProfile, getProfileNames } = require('../shared/botProfiles');
 
 // Use local WebSocket in development, AWS API Gateway in production
 const wsModule = process.env.DYNAMODB_ENDPOINT
@@ -41,9 +45,11 @@ async function getGame(gameId) {
 /**
  * Add a bot player to the game
  * @param {object} game - Current game state
+ * @param {string} difficulty - Bot difficulty (see BotDifficulty)
+ * @param {string} profile - Bot weight profile (see botProfiles.js)
  * @returns {Promise<object>} Updated game state with bot added
  */
-async function addBotToGame(game) {
+async function addBotToGame(game, difficulty, profile) {
   const nextSeat = getNextAvailableSeat(game.players);
   
   if (nextSeat === null) {
@@ -71,7 +77,7 @@ async function addBotToGame(game) {
       '#status': 'status',
     },
     ExpressionAttributeValues: {
-      ':newPlayer': [{ seat: nextSeat, name: botName, isBot: true }],
+      ':newPlayer': [{ seat: nextSeat, name: botName, isBot: true, difficulty, profile }],
       ':newStatus': newStatus,
       ':newVersion': game.version + 1,
       ':currentVersion': game.version,
@@ -122,8 +128,6 @@ async function addBotToGame(game) {
  * @returns {Promise<object>} HTTP response
  */
 async function handler(event) {
-  console.log('AddBot event:', JSON.stringify(event));
-
   try {
     // Parse request body
     let body;
@@ -137,7 +141,8 @@ async function handler(event) {
     }
 
     // Validate required fields
-    const { gameId } = body || {};
+    const { gameId, difficulty = DEFAULT_BOT_DIFFICULTY, profile = DEFAULT_BOT_PROFILE } = body || {};
+    console.log('AddBot request:', JSON.stringify({ gameId, playerName: body?.playerName, difficulty, profile }));
 
     if (!gameId || typeof gameId !== 'string') {
       return buildResponse(400, {
@@ -146,6 +151,20 @@ async function handler(event) {
       });
     }
 
+    if (!isValidDifficulty(difficulty)) {
+      return buildResponse(400, {
+        error: 'Invalid difficulty',
+        message: `difficulty must be one of: ${Object.values(BotDifficulty).join(', ')}`,
+      });
+    }
+
+    if (!isValidProfile(profile)) {
+      return buildResponse(400, {
+        error: 'Invalid profile',
+        message: `profile must be one of: ${getProfileNames().join(', ')}`,
+      });
+    }
+
     // Normalize game ID
     const normalizedGameId = gameId.trim().toUpperCase();
 
@@ -159,6 +178,18 @@ async function handler(event) {
       });
     }
 
+    // Only the host may add bots
+    const auth = await authorizePlayer(event, game, body);
+    if (auth.error) {
+      return buildResponse(403, auth.error);
+    }
+    if (!auth.internal && auth.player.name !== game.hostName) {
+      return buildResponse(403, {
+        error: 'Not host',
+        message: 'Only the host can add bots',
+      });
+    }
+
     // Check if game is in a joinable state
     if (game.status !== GameStatus.LOBBY && game.status !== GameStatus.FULL) {
       return buildResponse(400, {
@@ -176,9 +207,9 @@ async function handler(event) {
     }
 
     // Attempt to add the bot
-    const updatedGame = await addBotToGame(game);
+    const updatedGame = await addBotToGame(game, difficulty, profile);
 
-    console.log(`[ADD_BOT] Bot ${updatedGame.botName} added to game ${normalizedGameId} at seat ${updatedGame.botSeat}`);
+    console.log(`[ADD_BOT] Bot ${updatedGame.botName} (${difficulty}, ${profile}) added to game ${normalizedGameId} at seat ${updatedGame.botSeat}`);
     console.log(`[ADD_BOT] Current players:`, JSON.stringify(updatedGame.players));
 
     // Broadcast playerJoined to all connected players
@@ -192,6 +223,8 @@ async function handler(event) {
           seat: updatedGame.botSeat,
           name: updatedGame.botName,
           isBot: true,
+          difficulty,
+          profile,
         },
         players: updatedGame.players,
         status: updatedGame.status,
@@ -214,6 +247,8 @@ async function handler(event) {
         seat: updatedGame.botSeat,
         name: updatedGame.botName,
         isBot: true,
+        difficulty,
+        profile,
       },
       players: updatedGame.players,
       status: updatedGame.status,
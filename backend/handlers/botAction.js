@@ -2,18 +2,36 @@
  * BotAction Lambda Handler
  * 
  * Handles bot player actions (bidding, playing cards, trump selection, discarding, starting next hand).
- * Called automatically when it's a bot's turn.
+ * Called automatically when it's a bot's turn, including the turns of a player marked away.
+ * Each bot plays the strategy for its `difficulty` (shared/botStrategies.js), tuned by
+ * its weight `profile` (shared/botProfiles.js).
+ * 
+ * Also takes the default action when a human's turn timer runs out: pass when bidding,
+ * the bot's discard and trump, or the bot's card. Those calls carry the turn's deadline
+ * and do nothing if the game has moved on to another turn since. With the botChat rule
+ * on, a check partway through the same turn ("longThink") has an opponent bot tell the
+ * player to hurry up (shared/botChat.js), again only while that turn is pending.
  * 
  * Invoked via: { "gameId": "ABCDEF", "botSeat": 1, "delayMs": 1000 }
+ *          or: { "gameId": "ABCDEF", "botSeat": 2, "delayMs": 30000, "deadline": 1718000000000 }
+ *          or: { "gameId": "ABCDEF", "botSeat": 2, "delayMs": 45000, "deadline": 1718000000000, "longThink": true }
  * 
  * Works in both local development (direct call) and production (Lambda async invocation).
  */
 
 const { GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, GAMES_TABLE, HANDS_TABLE } = require('../shared/dynamodb');
-const { GameStatus } = require('../shared/gameUtils');
-const { isBot } = require('../shared/botUtils');
-const { decideBid, chooseTrump, chooseDiscard, chooseCardToPlay } = require('../shared/botAI');
+const { GameStatus, KITTY_SIZE, resolveRules, getVariantSettings } = require('../shared/gameUtils');
+const { isBotControlled } = require('../shared/botUtils');
+const { getBotStrategy, decideBotAction } = require('../shared/botStrategies');
+const { getProfileWeights } = require('../shared/botProfiles');
+const { loadGameState, saveGameState } = require('../shared/gameStore');
+const { buildLongThinkChat } = require('../shared/botChat');
+
+// Use local WebSocket in development, AWS API Gateway in production
+const wsModule = process.env.DYNAMODB_ENDPOINT
+  ? require('../shared/websocketLocal')
+  : require('../shared/websocket');
 
 // Import game action handlers to reuse their logic
 const gameActionModule = require('./gameAction');
@@ -54,6 +72,38 @@ async function getBotHand(gameId, seat) {
   return result.Item?.cards || [];
 }
 
+/**
+ * Have an opponent bot hurry a human who is still on the clock
+ * @param {string} gameId - Game code
+ * @param {number} seat - Seat whose timed turn was checked
+ * @param {number} deadline - Deadline of that turn
+ * @returns {Promise<object>} Response
+ */
+async function handleLongThink(gameId, seat, deadline) {
+  const state = await loadGameState(gameId);
+  const chat = state ? buildLongThinkChat(state, seat, deadline) : null;
+  if (!chat) {
+    return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Nothing to say' }) };
+  }
+
+  try {
+    await saveGameState(state, chat.state);
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    // The game changed under us, most likely the player moving; the chat is no longer wanted
+    console.log(`[BOT_ACTION] Long think check for seat ${seat} lost a race with the game - not chatting`);
+    return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Turn already taken' }) };
+  }
+
+  const apiGatewayClient = wsModule.createApiGatewayClient({});
+  for (const event of chat.events) {
+    await wsModule.broadcastToGame(apiGatewayClient, gameId, event.message);
+  }
+  return { statusCode: 200, body: JSON.stringify({ success: true }) };
+}
+
 /**
  * Lambda handler for bot actions
  * @param {object} event - Event with gameId and botSeat
@@ -72,7 +122,8 @@ async function handler(event) {
       return { statusCode: 400, body: JSON.stringify({ error: 'Invalid request body' }) };
     }
 
-    const { gameId, botSeat, delayMs } = body || {};
+    const { gameId, botSeat, delayMs, deadline, longThink } = body || {};
+    const isTurnTimeout = deadline !== undefined && !longThink;
 
     if (!gameId || typeof botSeat !== 'number') {
       console.error('[BOT_ACTION] Missing gameId or botSeat');
@@ -87,6 +138,10 @@ async function handler(event) {
 
     const normalizedGameId = gameId.trim().toUpperCase();
 
+    if (longThink) {
+      return await handleLongThink(normalizedGameId, botSeat, deadline);
+    }
+
     // Fetch game state
     const game = await getGame(normalizedGameId);
     if (!game) {
@@ -94,14 +149,24 @@ async function handler(event) {
       return { statusCode: 404, body: JSON.stringify({ error: 'Game not found' }) };
     }
 
-    // Verify this is actually a bot
-    if (!isBot(game.players, botSeat)) {
+    // A turn timeout acts for the seat's own player, as long as it is still the same turn;
+    // anything else must be a bot (or a human seat the bot is covering while they're away)
+    if (isTurnTimeout) {
+      if (game.turnDeadline !== deadline) {
+        console.log(`[BOT_ACTION] Turn timeout for seat ${botSeat} is stale`);
+        return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Turn already taken' }) };
+      }
+      console.log(`[BOT_ACTION] Seat ${botSeat} ran out of time - taking the default action`);
+    } else if (!isBotControlled(game.players, botSeat)) {
       console.error(`[BOT_ACTION] Seat ${botSeat} is not a bot`);
       return { statusCode: 400, body: JSON.stringify({ error: 'Not a bot seat' }) };
     }
 
-    // Get bot's hand
+    // Get bot's hand, and the strategy for its difficulty and profile (seats covered for humans play normal)
     const hand = await getBotHand(normalizedGameId, botSeat);
+    const rules = resolveRules(game.rules);
+    const botPlayer = game.players.find(p => p.seat === botSeat);
+    const strategy = getBotStrategy(botPlayer?.difficulty, getProfileWeights(botPlayer?.profile));
 
     // Determine action based on game status
     let actionResult;
@@ -113,15 +178,8 @@ async function handler(event) {
         return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Not bot turn' }) };
       }
 
-      // Pass additional context for smarter bidding decisions
-      const bidDecision = decideBid(
-        hand, 
-        game.highBid || 0, 
-        game.passed || [],
-        botSeat,           // Bot's seat for partner awareness
-        game.highBidder,   // Current high bidder seat
-        game.teams         // Teams configuration
-      );
+      // A timed-out player passes
+      const bidDecision = isTurnTimeout ? { action: 'pass' } : decideBotAction(game, hand, botSeat, strategy);
       console.log(`[BOT_ACTION] Bot ${botSeat} bidding decision:`, bidDecision);
 
       // Create a mock event for gameAction handler
@@ -154,14 +212,13 @@ async function handler(event) {
         return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Not bid winner' }) };
       }
 
-      // Bot should have 18 cards (13 + 5 kitty)
-      if (hand.length !== 18) {
+      // Bot should have its dealt hand plus the kitty (13 + 5 in Kentucky rules)
+      if (hand.length !== getVariantSettings(rules).handSize + KITTY_SIZE) {
         console.log(`[BOT_ACTION] Bot ${botSeat} doesn't have kitty yet (hand size: ${hand.length})`);
         return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Waiting for kitty' }) };
       }
 
-      const trump = chooseTrump(hand);
-      const discard = chooseDiscard(hand, trump);
+      const { trump, discard } = decideBotAction(game, hand, botSeat, strategy);
       const botPlayerName = game.players.find(p => p.seat === botSeat)?.name || `Bot ${botSeat}`;
       console.log(`[BOT_ACTION] Bot ${botSeat} (${botPlayerName}) choosing trump: ${trump}, discarding:`, discard);
 
@@ -170,7 +227,7 @@ async function handler(event) {
           gameId: normalizedGameId,
           playerName: botPlayerName,
           action: 'discardAndTrump',
-          discard,
+          discard,                             // Own discard (bid winner only)
           trump,
         }),
         // Don't include connectionId - let gameAction use playerName lookup
@@ -202,28 +259,8 @@ async function handler(event) {
         return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Not bot turn' }) };
         
       } else {
-        // Normal card play
-        // Build game context for smarter play decisions
-        const gameContext = {
-          bidWinner: game.bidWinner,           // Who won the bid (for offensive/defensive play)
-          bidAmount: game.highBid,             // The winning bid amount
-          myTeamBid: game.teams && game.bidWinner !== undefined 
-            ? (game.teams.team0?.includes(game.bidWinner) ? 'team0' : 'team1')
-            : null,
-          tricksPlayed: game.tricksPlayed || 0,
-          pointsCaptured: game.pointsCaptured, // { team0: X, team1: Y }
-          cardsPlayed: game.cardsPlayed || [], // All cards played in the current hand
-        };
-
-        const card = chooseCardToPlay(
-          hand,
-          game.trump,
-          game.currentTrick || [],
-          game.ledSuit || null,
-          game.teams,
-          botSeat,
-          gameContext
-        );
+        // Normal card play (decideBotAction builds the context for smarter play decisions)
+        const { card } = decideBotAction(game, hand, botSeat, strategy);
         const botPlayerName = game.players.find(p => p.seat === botSeat)?.name || `Bot ${botSeat}`;
         console.log(`[BOT_ACTION] Bot ${botSeat} (${botPlayerName}) playing card: ${card}`);
 
@@ -5,7 +5,7 @@
  * Sets teams and transitions game to PARTNER_SELECTION or BIDDING status.
  * 
  * HTTP API: POST /choosePartner
- * Request body: { "gameId": "ABCDEF", "partnerSeat": 2 }
+ * Request body: { "gameId": "ABCDEF", "partnerSeat": 2, "playerName": "Host", "token": "host's seat token" }
  * Response: { "success": true, "teams": {...}, "status": "BIDDING" }
  */
 
@@ -14,9 +14,15 @@ const { docClient, GAMES_TABLE, CONNECTIONS_TABLE } = require('../shared/dynamod
 const { 
   GameStatus,
   MAX_PLAYERS,
+  resolveRules,
   buildResponse 
 } = require('../shared/gameUtils');
 const { dealGame } = require('../shared/dealUtils');
+const { buildHandEvaluation } = require('../shared/biddingAssistant');
+const { getBoardSeed } = require('../shared/tournamentUtils');
+const { isBotControlled, scheduleTurnTimeout } = require('../shared/botUtils');
+const { getLongThinkTime } = require('../shared/botChat');
+const { authorizePlayer } = require('../shared/seatTokens');
 // Use local WebSocket in development, AWS API Gateway in production
 const wsModule = process.env.DYNAMODB_ENDPOINT 
   ? require('../shared/websocketLocal')
@@ -101,8 +107,6 @@ function determineTeams(hostSeat, partnerSeat) {
  * @returns {Promise<object>} HTTP response
  */
 async function handler(event) {
-  console.log('ChoosePartner event:', JSON.stringify(event));
-
   try {
     // Parse request body
     let body;
@@ -117,6 +121,7 @@ async function handler(event) {
 
     // Validate required fields
     const { gameId, partnerSeat } = body || {};
+    console.log('ChoosePartner request:', JSON.stringify({ gameId, partnerSeat, playerName: body?.playerName }));
 
     if (!gameId || typeof gameId !== 'string') {
       return buildResponse(400, {
@@ -145,6 +150,18 @@ async function handler(event) {
       });
     }
 
+    // Only the host chooses their partner
+    const auth = await authorizePlayer(event, game, body);
+    if (auth.error) {
+      return buildResponse(403, auth.error);
+    }
+    if (!auth.internal && auth.player.name !== game.hostName) {
+      return buildResponse(403, {
+        error: 'Not host',
+        message: 'Only the host can choose a partner',
+      });
+    }
+
     // Verify game is in correct state
     if (game.status !== GameStatus.FULL && game.status !== GameStatus.PARTNER_SELECTION) {
       return buildResponse(400, {
@@ -338,8 +355,9 @@ async function handler(event) {
       }));
     }
 
-    // Now deal the cards (first hand, dealer is 0)
-    const { hands, kitty } = await dealGame(normalizedGameId, updatedGame.version, firstDealer);
+    // Now deal the cards (first hand, dealer is 0); tournament tables deal their first board
+    const rules = resolveRules(updatedGame.rules);
+    const { hands, kitty, turnDeadline } = await dealGame(normalizedGameId, updatedGame.version, firstDealer, rules, getBoardSeed(updatedGame));
 
     // Send WebSocket messages to players
     try {
@@ -359,6 +377,12 @@ async function handler(event) {
         });
         dealResults.push({ seat, success: result?.success, error: result?.error });
         console.log(`[CHOOSE_PARTNER] Deal to seat ${seat}: ${result?.success ? '✓' : '✗'} ${result?.error || ''}`);
+
+        // Games with the bidding assistant on also get each human an evaluation of their hand
+        const evaluation = buildHandEvaluation(rearrangedPlayers, seat, playerCards, rules);
+        if (evaluation) {
+          await sendToPlayer(apiGatewayClient, normalizedGameId, seat, evaluation);
+        }
       }
       
       console.log(`[CHOOSE_PARTNER] Deal results summary:`, JSON.stringify(dealResults));
@@ -379,7 +403,9 @@ async function handler(event) {
       const biddingResult = await broadcastToGame(apiGatewayClient, normalizedGameId, {
         action: 'biddingStart',
         startingPlayer: firstHandStartingPlayer,
-        minBid: 50,
+        minBid: rules.minBid,
+        bidIncrement: rules.bidIncrement,
+        ...(turnDeadline ? { deadline: turnDeadline } : {}),
       });
       console.log(`[CHOOSE_PARTNER] biddingStart: ${biddingResult.success}/${biddingResult.total} succeeded`);
 
@@ -395,6 +421,12 @@ async function handler(event) {
     // Fetch updated game state after dealing
     const finalGame = await getGame(normalizedGameId);
 
+    // Start the opening bidder's turn timer
+    if (turnDeadline && !isBotControlled(finalGame.players, firstDealer)) {
+      await scheduleTurnTimeout(normalizedGameId, firstDealer, turnDeadline,
+        getLongThinkTime(finalGame, firstDealer, turnDeadline));
+    }
+
     // Return success response
     return buildResponse(200, {
       success: true,
@@ -5,14 +5,21 @@
  * Stores connection info in the Connections table for message broadcasting.
  * 
  * WebSocket API: $connect route
- * Query params: gameId, playerName, seat
+ * Query params: gameId, playerName, token, spectate
  * 
  * Example connection URL:
- * wss://API_URL/prod?gameId=ABC123&playerName=Alice&seat=0
+ * wss://API_URL/prod?gameId=ABC123&playerName=Alice&token=...
+ *
+ * Players must present the seat token they got from createGame/joinGame; the
+ * connection is refused otherwise. The seat is taken from the game, not the URL.
+ *
+ * Spectators connect with spectate=true (and no token or seat). They receive every
+ * broadcast but never a seat's private messages (deal, kitty).
  */
 
-const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient, CONNECTIONS_TABLE } = require('../shared/dynamodb');
+const { PutCommand, QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, CONNECTIONS_TABLE, GAMES_TABLE } = require('../shared/dynamodb');
+const { isValidSeatToken } = require('../shared/seatTokens');
 
 // Debug logging helper
 function debugLog(category, message, data = null) {
@@ -34,7 +41,7 @@ function debugLog(category, message, data = null) {
 async function handler(event) {
   debugLog('CONNECT', 'New connection attempt', {
     connectionId: event.requestContext?.connectionId?.slice(-8),
-    queryParams: event.queryStringParameters,
+    queryParams: { ...event.queryStringParameters, ...(event.queryStringParameters?.token ? { token: '[redacted]' } : {}) },
     sourceIp: event.requestContext?.identity?.sourceIp,
     userAgent: event.requestContext?.identity?.userAgent?.slice(0, 50),
   });
@@ -53,7 +60,7 @@ async function handler(event) {
 
     // Parse query parameters
     const queryParams = event.queryStringParameters || {};
-    const { gameId, playerName, seat } = queryParams;
+    const { gameId, playerName, token, spectate } = queryParams;
 
     // Validate required parameters
     if (!gameId) {
@@ -72,11 +79,33 @@ async function handler(event) {
       };
     }
 
-    // Seat is optional at connect time but useful if provided
-    const seatNumber = seat !== undefined ? parseInt(seat, 10) : null;
+    const isSpectator = spectate === 'true';
     const normalizedGameId = gameId.toUpperCase();
     const decodedPlayerName = decodeURIComponent(playerName);
 
+    // Players must hold the seat token; spectators never hold a seat
+    let seatNumber = null;
+    if (!isSpectator) {
+      const gameResult = await docClient.send(new GetCommand({
+        TableName: GAMES_TABLE,
+        Key: { gameId: normalizedGameId },
+      }));
+      const game = gameResult.Item;
+      const player = game?.players?.find(p => p.name === decodedPlayerName);
+
+      if (!player || !isValidSeatToken(game, decodedPlayerName, token)) {
+        debugLog('ERROR', 'Rejected connection without a valid seat token', {
+          gameId: normalizedGameId,
+          playerName: decodedPlayerName,
+        });
+        return {
+          statusCode: 403,
+          body: 'Invalid seat token',
+        };
+      }
+      seatNumber = player.seat;
+    }
+
     // Check existing connections for this game
     const existingConnections = await docClient.send(new QueryCommand({
       TableName: CONNECTIONS_TABLE,
@@ -102,6 +131,7 @@ async function handler(event) {
       connectionId,
       playerName: decodedPlayerName,
       seat: seatNumber,
+      ...(isSpectator ? { spectator: true } : {}),
       connectedAt: new Date().toISOString(),
     };
 
@@ -114,6 +144,7 @@ async function handler(event) {
       gameId: normalizedGameId,
       playerName: decodedPlayerName,
       seat: seatNumber,
+      spectator: isSpectator,
       connectionId: connectionId.slice(-8),
     });
 
@@ -4,8 +4,11 @@
  * Creates a new game lobby and returns the game code to the host.
  * 
  * HTTP API: POST /createGame
- * Request body: { "hostName": "PlayerName" }
- * Response: { "gameId": "ABCDEF", "seat": 0, "game": {...} }
+ * Request body: { "hostName": "PlayerName", "rules": { ...optional house rules } }
+ * Response: { "gameId": "ABCDEF", "seat": 0, "token": "...", "game": {...} }
+ *
+ * `token` is the host's seat token: the client keeps it and sends it when connecting
+ * and with any HTTP call that acts for the host.
  */
 
 const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
@@ -13,8 +16,11 @@ const { docClient, GAMES_TABLE } = require('../shared/dynamodb');
 const { 
   generateGameCode, 
   createInitialGameState, 
+  resolveRules,
+  validateRules,
   buildResponse 
 } = require('../shared/gameUtils');
+const { generateSeatToken, hashSeatToken } = require('../shared/seatTokens');
 
 /**
  * Maximum attempts to generate a unique game code
@@ -43,7 +49,7 @@ async function handler(event) {
     }
 
     // Validate required fields
-    const { hostName } = body || {};
+    const { hostName, rules } = body || {};
     
     if (!hostName || typeof hostName !== 'string') {
       return buildResponse(400, {
@@ -61,13 +67,26 @@ async function handler(event) {
       });
     }
 
+    // Validate optional house rules; anything not supplied uses the defaults
+    if (rules !== undefined) {
+      const rulesError = validateRules(rules);
+      if (rulesError) {
+        return buildResponse(400, {
+          error: 'Invalid rules',
+          message: rulesError,
+        });
+      }
+    }
+    const gameRules = resolveRules(rules);
+
     // Generate unique game code and create game in one operation
     let gameId;
     let gameState;
+    const token = generateSeatToken();
 
     for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
       gameId = generateGameCode();
-      gameState = createInitialGameState(gameId, trimmedHostName);
+      gameState = createInitialGameState(gameId, trimmedHostName, gameRules, hashSeatToken(token));
 
       try {
         // Try to create the game directly
@@ -99,11 +118,13 @@ async function handler(event) {
       success: true,
       gameId: gameState.gameId,
       seat: 0, // Host is always seat 0
+      token,
       game: {
         gameId: gameState.gameId,
         hostName: gameState.hostName,
         players: gameState.players,
         status: gameState.status,
+        rules: gameState.rules,
         createdAt: gameState.createdAt,
       },
     });
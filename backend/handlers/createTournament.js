@@ -0,0 +1,157 @@
+/**
+ * CreateTournament Lambda Handler
+ *
+ * Creates a duplicate tournament and its first table, with the host seated
+ * at seat 0 of that table. The boards every table will play are dealt from
+ * seeds generated here, once.
+ *
+ * HTTP API: POST /createTournament
+ * Request body: {
+ *   "hostName": "PlayerName",
+ *   "tableCount": 2,
+ *   "boardCount": 8,
+ *   "scoring": "matchpoints" | "imps",
+ *   "rules": { ...optional house rules }
+ * }
+ * Response: { "tournamentId": "ABCDEF", "gameId": "GHJKLM", "seat": 0, "tableNumber": 1, "game": {...} }
+ */
+
+const { PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, GAMES_TABLE, TOURNAMENTS_TABLE } = require('../shared/dynamodb');
+const {
+  generateGameCode,
+  resolveRules,
+  validateRules,
+  buildResponse,
+} = require('../shared/gameUtils');
+const {
+  TournamentScoring,
+  MAX_CODE_ATTEMPTS,
+  generateBoardSeeds,
+  validateTournamentSettings,
+  createTableGame,
+} = require('../shared/tournamentUtils');
+const { generateSeatToken, hashSeatToken } = require('../shared/seatTokens');
+
+/**
+ * Lambda handler for creating a duplicate tournament
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object>} HTTP response
+ */
+async function handler(event) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (parseError) {
+      return buildResponse(400, {
+        error: 'Invalid request body',
+        message: 'Request body must be valid JSON',
+      });
+    }
+
+    const { hostName, tableCount, boardCount, scoring, rules } = body || {};
+
+    if (!hostName || typeof hostName !== 'string') {
+      return buildResponse(400, {
+        error: 'Missing required field',
+        message: 'hostName is required and must be a string',
+      });
+    }
+
+    const trimmedHostName = hostName.trim();
+    if (trimmedHostName.length < 1 || trimmedHostName.length > 20) {
+      return buildResponse(400, {
+        error: 'Invalid hostName',
+        message: 'hostName must be between 1 and 20 characters',
+      });
+    }
+
+    const settingsError = validateTournamentSettings({ tableCount, boardCount, scoring });
+    if (settingsError) {
+      return buildResponse(400, {
+        error: 'Invalid tournament settings',
+        message: settingsError,
+      });
+    }
+
+    if (rules !== undefined) {
+      const rulesError = validateRules(rules);
+      if (rulesError) {
+        return buildResponse(400, {
+          error: 'Invalid rules',
+          message: rulesError,
+        });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const tournamentBase = {
+      hostName: trimmedHostName,
+      rules: resolveRules(rules),
+      scoring: scoring || TournamentScoring.MATCHPOINTS,
+      tableCount,
+      boardCount,
+      boardSeeds: generateBoardSeeds(boardCount),
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    // Table 1 is created first so the tournament never lists a missing game
+    const token = generateSeatToken();
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const tournament = { tournamentId: generateGameCode(), ...tournamentBase };
+      const game = await createTableGame(tournament, 1, trimmedHostName, hashSeatToken(token));
+
+      try {
+        await docClient.send(new PutCommand({
+          TableName: TOURNAMENTS_TABLE,
+          Item: { ...tournament, tables: [game.gameId] },
+          ConditionExpression: 'attribute_not_exists(tournamentId)',
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          // Tournament code already exists; discard the table and try again
+          await docClient.send(new DeleteCommand({
+            TableName: GAMES_TABLE,
+            Key: { gameId: game.gameId },
+          }));
+          continue;
+        }
+        throw error;
+      }
+
+      console.log(`[CREATE_TOURNAMENT] Created tournament ${tournament.tournamentId} (${tableCount} tables, ${boardCount} boards, ${tournament.scoring}) by ${trimmedHostName}`);
+
+      return buildResponse(201, {
+        success: true,
+        tournamentId: tournament.tournamentId,
+        gameId: game.gameId,
+        seat: 0, // Host is always seat 0
+        token,
+        tableNumber: 1,
+        game: {
+          gameId: game.gameId,
+          hostName: game.hostName,
+          players: game.players,
+          status: game.status,
+          rules: game.rules,
+          createdAt: game.createdAt,
+        },
+      });
+    }
+
+    throw new Error('Failed to generate unique tournament code after multiple attempts');
+
+  } catch (error) {
+    console.error('Error creating tournament:', error);
+    return buildResponse(500, {
+      error: 'Internal server error',
+      message: 'Failed to create tournament',
+    });
+  }
+}
+
+module.exports = { handler };
@@ -8,10 +8,14 @@
  * 
  * Note: $disconnect event only provides connectionId, not the original query params.
  * We use a GSI (ConnectionIdIndex) to look up the connection item by connectionId.
+ *
+ * A seated player's disconnect also schedules an away check: if they haven't
+ * reconnected by the end of the grace period, the bot takes over their seat.
  */
 
 const { QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, CONNECTIONS_TABLE, CONNECTION_ID_INDEX } = require('../shared/dynamodb');
+const { schedulePlayerAwayCheck } = require('../shared/botUtils');
 
 /**
  * Find a connection by connectionId using the GSI
@@ -117,6 +121,10 @@ async function handler(event) {
       seat: connection.seat,
     });
 
+    if (typeof connection.seat === 'number' && !connection.spectator && !connection.isBot) {
+      await schedulePlayerAwayCheck(connection.gameId, connection.seat);
+    }
+
     return {
       statusCode: 200,
       body: 'Disconnected',
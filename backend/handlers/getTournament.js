@@ -0,0 +1,99 @@
+/**
+ * GetTournament Lambda Handler
+ *
+ * Returns a duplicate tournament's tables, standings and per-board
+ * comparison. Only completed boards are reported; board seeds, hands and
+ * kitties are never returned since they would reveal boards still to be
+ * played at other tables.
+ *
+ * HTTP API: POST /getTournament
+ * Request body: { "tournamentId": "ABCDEF" }
+ * Response: { "tournament": {...}, "tables": [...], "boards": [...], "standings": [...] }
+ */
+
+const { GameStatus, buildResponse } = require('../shared/gameUtils');
+const {
+  TournamentStatus,
+  getTournament,
+  getTournamentTables,
+  scoreTournament,
+} = require('../shared/tournamentUtils');
+
+/**
+ * Lambda handler for fetching tournament results
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object>} HTTP response
+ */
+async function handler(event) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (parseError) {
+      return buildResponse(400, {
+        error: 'Invalid request body',
+        message: 'Request body must be valid JSON',
+      });
+    }
+
+    const { tournamentId } = body || {};
+
+    if (!tournamentId || typeof tournamentId !== 'string') {
+      return buildResponse(400, {
+        error: 'Missing required field',
+        message: 'tournamentId is required and must be a string',
+      });
+    }
+
+    const normalizedTournamentId = tournamentId.trim().toUpperCase();
+
+    const tournament = await getTournament(normalizedTournamentId);
+    if (!tournament) {
+      return buildResponse(404, {
+        error: 'Tournament not found',
+        message: `No tournament found with code: ${normalizedTournamentId}`,
+      });
+    }
+
+    const tables = await getTournamentTables(tournament);
+    const { scoring, boards, standings } = scoreTournament(tournament, tables);
+
+    const finished = tables.length === tournament.tableCount &&
+      tables.every(game => game.status === GameStatus.FINISHED);
+
+    return buildResponse(200, {
+      success: true,
+      tournament: {
+        tournamentId: tournament.tournamentId,
+        hostName: tournament.hostName,
+        rules: tournament.rules,
+        scoring,
+        tableCount: tournament.tableCount,
+        boardCount: tournament.boardCount,
+        status: finished ? TournamentStatus.FINISHED : TournamentStatus.OPEN,
+        createdAt: tournament.createdAt,
+      },
+      tables: tables.map(game => ({
+        gameId: game.gameId,
+        tableNumber: game.tableNumber,
+        status: game.status,
+        players: game.players,
+        teams: game.teams,
+        boardsPlayed: (game.handHistory || []).length,
+        teamScores: game.teamScores || { team0: 0, team1: 0 },
+      })),
+      boards,
+      standings,
+    });
+
+  } catch (error) {
+    console.error('Error fetching tournament:', error);
+    return buildResponse(500, {
+      error: 'Internal server error',
+      message: 'Failed to fetch tournament',
+    });
+  }
+}
+
+module.exports = { handler };
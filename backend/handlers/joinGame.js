@@ -7,7 +7,9 @@
  * 
  * HTTP API: POST /joinGame
  * Request body: { "gameId": "ABCDEF", "playerName": "PlayerName" }
- * Response: { "seat": 1, "players": [...], "status": "LOBBY" }
+ * Response: { "seat": 1, "token": "...", "players": [...], "status": "LOBBY" }
+ *
+ * `token` is the player's seat token (see shared/seatTokens.js).
  */
 
 const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
@@ -19,6 +21,7 @@ const {
   isNameTaken,
   buildResponse 
 } = require('../shared/gameUtils');
+const { generateSeatToken, hashSeatToken } = require('../shared/seatTokens');
 
 // Use local WebSocket in development, AWS API Gateway in production
 const wsModule = process.env.DYNAMODB_ENDPOINT
@@ -49,10 +52,11 @@ async function getGame(gameId) {
  * Attempt to add a player to a game with optimistic locking
  * @param {object} game - Current game state
  * @param {string} playerName - Name of player to add
+ * @param {string} tokenHash - Hash of the player's seat token
  * @returns {Promise<object>} Updated game state
  * @throws {Error} If update fails
  */
-async function addPlayerToGame(game, playerName) {
+async function addPlayerToGame(game, playerName, tokenHash) {
   const nextSeat = getNextAvailableSeat(game.players);
   
   if (nextSeat === null) {
@@ -69,6 +73,7 @@ async function addPlayerToGame(game, playerName) {
     Key: { gameId: game.gameId },
     UpdateExpression: `
       SET players = list_append(players, :newPlayer),
+          seatTokens = :seatTokens,
           #status = :newStatus,
           version = :newVersion,
           updatedAt = :updatedAt
@@ -78,6 +83,7 @@ async function addPlayerToGame(game, playerName) {
     },
     ExpressionAttributeValues: {
       ':newPlayer': [{ seat: nextSeat, name: playerName }],
+      ':seatTokens': { ...(game.seatTokens || {}), [playerName]: tokenHash },
       ':newStatus': newStatus,
       ':newVersion': game.version + 1,
       ':currentVersion': game.version,
@@ -184,7 +190,8 @@ async function handler(event) {
         }
 
         // Attempt to add the player
-        const updatedGame = await addPlayerToGame(game, trimmedPlayerName);
+        const token = generateSeatToken();
+        const updatedGame = await addPlayerToGame(game, trimmedPlayerName, hashSeatToken(token));
 
         console.log(`[JOIN_GAME] Player ${trimmedPlayerName} joined game ${normalizedGameId} at seat ${updatedGame.assignedSeat}`);
         console.log(`[JOIN_GAME] Current players:`, JSON.stringify(updatedGame.players));
@@ -220,6 +227,7 @@ async function handler(event) {
           success: true,
           gameId: updatedGame.gameId,
           seat: updatedGame.assignedSeat,
+          token,
           players: updatedGame.players,
           status: updatedGame.status,
           hostName: updatedGame.hostName,
@@ -0,0 +1,196 @@
+/**
+ * JoinTournament Lambda Handler
+ *
+ * Seats a player at a duplicate tournament table. Players fill the existing
+ * table lobbies in order; when every open table is full a new table is
+ * created with the player as its host, until the tournament has all its
+ * tables.
+ *
+ * HTTP API: POST /joinTournament
+ * Request body: { "tournamentId": "ABCDEF", "playerName": "PlayerName" }
+ * Response: { "tournamentId": "ABCDEF", "gameId": "GHJKLM", "seat": 1, "tableNumber": 1, "players": [...], "status": "LOBBY" }
+ */
+
+const { UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, GAMES_TABLE, TOURNAMENTS_TABLE } = require('../shared/dynamodb');
+const {
+  GameStatus,
+  MAX_PLAYERS,
+  isNameTaken,
+  buildResponse,
+} = require('../shared/gameUtils');
+const {
+  getTournament,
+  getTournamentTables,
+  createTableGame,
+} = require('../shared/tournamentUtils');
+const { generateSeatToken, hashSeatToken } = require('../shared/seatTokens');
+const joinGameModule = require('./joinGame');
+
+/**
+ * Maximum retry attempts for concurrent joins
+ */
+const MAX_RETRY_ATTEMPTS = 3;
+
+/**
+ * Lambda handler for joining a duplicate tournament
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object>} HTTP response
+ */
+async function handler(event) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (parseError) {
+      return buildResponse(400, {
+        error: 'Invalid request body',
+        message: 'Request body must be valid JSON',
+      });
+    }
+
+    const { tournamentId, playerName } = body || {};
+
+    if (!tournamentId || typeof tournamentId !== 'string') {
+      return buildResponse(400, {
+        error: 'Missing required field',
+        message: 'tournamentId is required and must be a string',
+      });
+    }
+
+    if (!playerName || typeof playerName !== 'string') {
+      return buildResponse(400, {
+        error: 'Missing required field',
+        message: 'playerName is required and must be a string',
+      });
+    }
+
+    const normalizedTournamentId = tournamentId.trim().toUpperCase();
+    const trimmedPlayerName = playerName.trim();
+
+    if (trimmedPlayerName.length < 1 || trimmedPlayerName.length > 20) {
+      return buildResponse(400, {
+        error: 'Invalid playerName',
+        message: 'playerName must be between 1 and 20 characters',
+      });
+    }
+
+    for (let attempt = 0; attempt < MAX_RETRY_ATTEMPTS; attempt++) {
+      const tournament = await getTournament(normalizedTournamentId);
+      if (!tournament) {
+        return buildResponse(404, {
+          error: 'Tournament not found',
+          message: `No tournament found with code: ${normalizedTournamentId}`,
+        });
+      }
+
+      const tables = await getTournamentTables(tournament);
+
+      // Names identify partnerships in the standings, so they must be unique across tables
+      if (tables.some(game => isNameTaken(game.players, trimmedPlayerName))) {
+        return buildResponse(400, {
+          error: 'Name taken',
+          message: 'A player with that name is already in the tournament',
+        });
+      }
+
+      // Fill the first table lobby with an open seat
+      const openTable = tables.find(game =>
+        game.status === GameStatus.LOBBY && game.players.length < MAX_PLAYERS
+      );
+
+      if (openTable) {
+        const joinResult = await joinGameModule.handler({
+          body: JSON.stringify({ gameId: openTable.gameId, playerName: trimmedPlayerName }),
+        });
+
+        if (joinResult.statusCode !== 200) {
+          // The table filled or started in the meantime; look again
+          console.log(`[JOIN_TOURNAMENT] Could not join table ${openTable.tableNumber} (${joinResult.statusCode}), retrying`);
+          continue;
+        }
+
+        const joined = JSON.parse(joinResult.body);
+        console.log(`[JOIN_TOURNAMENT] ${trimmedPlayerName} joined tournament ${normalizedTournamentId} at table ${openTable.tableNumber}`);
+
+        return buildResponse(200, {
+          ...joined,
+          tournamentId: normalizedTournamentId,
+          tableNumber: openTable.tableNumber,
+        });
+      }
+
+      if ((tournament.tables || []).length >= tournament.tableCount) {
+        return buildResponse(400, {
+          error: 'Tournament full',
+          message: 'Every table in this tournament is full',
+        });
+      }
+
+      // Open the next table with this player as its host
+      const tableNumber = tournament.tables.length + 1;
+      const token = generateSeatToken();
+      const game = await createTableGame(tournament, tableNumber, trimmedPlayerName, hashSeatToken(token));
+
+      try {
+        await docClient.send(new UpdateCommand({
+          TableName: TOURNAMENTS_TABLE,
+          Key: { tournamentId: normalizedTournamentId },
+          UpdateExpression: `
+            SET tables = list_append(tables, :table),
+                version = version + :one,
+                updatedAt = :updatedAt
+          `,
+          ExpressionAttributeValues: {
+            ':table': [game.gameId],
+            ':one': 1,
+            ':tableCount': tournament.tables.length,
+            ':updatedAt': new Date().toISOString(),
+          },
+          // Another player may have opened this table number first
+          ConditionExpression: 'size(tables) = :tableCount',
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          console.log(`[JOIN_TOURNAMENT] Table ${tableNumber} was opened concurrently, retrying (attempt ${attempt + 1})`);
+          await docClient.send(new DeleteCommand({
+            TableName: GAMES_TABLE,
+            Key: { gameId: game.gameId },
+          }));
+          await new Promise(resolve => setTimeout(resolve, 50 * (attempt + 1)));
+          continue;
+        }
+        throw error;
+      }
+
+      console.log(`[JOIN_TOURNAMENT] ${trimmedPlayerName} opened table ${tableNumber} (${game.gameId}) in tournament ${normalizedTournamentId}`);
+
+      return buildResponse(201, {
+        success: true,
+        tournamentId: normalizedTournamentId,
+        gameId: game.gameId,
+        seat: 0, // Table host is always seat 0
+        token,
+        tableNumber,
+        players: game.players,
+        status: game.status,
+        hostName: game.hostName,
+      });
+    }
+
+    return buildResponse(409, {
+      error: 'Join conflict',
+      message: 'Too many concurrent join attempts, please try again',
+    });
+
+  } catch (error) {
+    console.error('Error joining tournament:', error);
+    return buildResponse(500, {
+      error: 'Internal server error',
+      message: 'Failed to join tournament',
+    });
+  }
+}
+
+module.exports = { handler };
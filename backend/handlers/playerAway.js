@@ -0,0 +1,151 @@
+/**
+ * PlayerAway Lambda Handler
+ *
+ * Runs once a seat's disconnect grace period is over. If the player still has no
+ * connection, the seat is marked away: the bot plays it (via botAction) and every
+ * player gets a `playerAway` message. The player's next resync hands the seat back.
+ *
+ * Invoked via: { "gameId": "ABCDEF", "seat": 2, "delayMs": 60000 }
+ * (scheduled by the $disconnect handler / local server through botUtils.schedulePlayerAwayCheck)
+ */
+
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, CONNECTIONS_TABLE } = require('../shared/dynamodb');
+const { EventType, markPlayerAway } = require('../shared/gameEngine');
+const { loadGameState, saveGameState } = require('../shared/gameStore');
+const { scheduleBotAction } = require('../shared/botUtils');
+
+// Use local WebSocket in development, AWS API Gateway in production
+const wsModule = process.env.DYNAMODB_ENDPOINT
+  ? require('../shared/websocketLocal')
+  : require('../shared/websocket');
+
+const { createApiGatewayClient, broadcastToGame } = wsModule;
+
+// Attempts at saving before giving up on a concurrent update conflict
+const MAX_RETRIES = 3;
+
+/**
+ * Sleep for a given number of milliseconds
+ * Used in production to wait out the grace period
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a seat has a live player connection again
+ * @param {string} gameId - Game ID
+ * @param {object} player - Player in the seat
+ * @returns {Promise<boolean>} True if the player has reconnected
+ */
+async function hasReconnected(gameId, player) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: CONNECTIONS_TABLE,
+    KeyConditionExpression: 'gameId = :gameId',
+    ExpressionAttributeValues: {
+      ':gameId': gameId,
+    },
+  }));
+
+  return (result.Items || []).some(conn =>
+    !conn.spectator && (conn.seat === player.seat || conn.playerName === player.name)
+  );
+}
+
+/**
+ * Lambda handler for the away check
+ * @param {object} event - Event with gameId and seat
+ * @returns {Promise<object>} Response
+ */
+async function handler(event) {
+  console.log('[PLAYER_AWAY] Event:', JSON.stringify(event));
+
+  try {
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (parseError) {
+      console.error('[PLAYER_AWAY] Invalid body:', parseError);
+      return { statusCode: 400, body: JSON.stringify({ error: 'Invalid request body' }) };
+    }
+
+    const { gameId, seat, delayMs } = body || {};
+
+    if (!gameId || typeof seat !== 'number') {
+      console.error('[PLAYER_AWAY] Missing gameId or seat');
+      return { statusCode: 400, body: JSON.stringify({ error: 'Missing gameId or seat' }) };
+    }
+
+    // In production, wait out the grace period here (Lambda async doesn't support delays)
+    if (delayMs && delayMs > 0 && !process.env.DYNAMODB_ENDPOINT) {
+      console.log(`[PLAYER_AWAY] Sleeping for ${delayMs}ms before checking seat ${seat}`);
+      await sleep(delayMs);
+    }
+
+    const normalizedGameId = gameId.trim().toUpperCase();
+
+    let retryCount = 0;
+    let result;
+    while (true) {
+      const state = await loadGameState(normalizedGameId);
+      if (!state) {
+        console.error(`[PLAYER_AWAY] Game ${normalizedGameId} not found`);
+        return { statusCode: 404, body: JSON.stringify({ error: 'Game not found' }) };
+      }
+
+      const player = (state.players || []).find(p => p.seat === seat);
+      if (player && await hasReconnected(normalizedGameId, player)) {
+        console.log(`[PLAYER_AWAY] Seat ${seat} (${player.name}) reconnected within the grace period`);
+        return { statusCode: 200, body: JSON.stringify({ success: true, message: 'Player reconnected' }) };
+      }
+
+      result = markPlayerAway(state, seat);
+      if (result.error) {
+        console.log(`[PLAYER_AWAY] Seat ${seat} not taken over: ${result.error.message}`);
+        return { statusCode: 200, body: JSON.stringify({ success: true, message: result.error.message }) };
+      }
+
+      try {
+        await saveGameState(state, result.state);
+        break;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+
+        retryCount++;
+        if (retryCount >= MAX_RETRIES) {
+          console.error(`[PLAYER_AWAY] Max retries reached for game ${normalizedGameId}, seat ${seat}`);
+          return { statusCode: 409, body: JSON.stringify({ error: 'Concurrent update conflict' }) };
+        }
+        await sleep(50 * retryCount);
+      }
+    }
+
+    console.log(`[PLAYER_AWAY] Seat ${seat} in game ${normalizedGameId} is now bot-controlled`);
+
+    const apiGatewayClient = createApiGatewayClient({});
+    for (const engineEvent of result.events) {
+      if (engineEvent.type === EventType.BROADCAST) {
+        await broadcastToGame(apiGatewayClient, normalizedGameId, engineEvent.message);
+      } else if (engineEvent.type === EventType.TURN) {
+        await scheduleBotAction(normalizedGameId, engineEvent.seat, engineEvent.delayMs);
+      }
+    }
+
+    return { statusCode: 200, body: JSON.stringify({ success: true }) };
+
+  } catch (error) {
+    console.error('[PLAYER_AWAY] Error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message,
+      }),
+    };
+  }
+}
+
+module.exports = { handler };
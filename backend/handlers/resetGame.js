@@ -5,13 +5,15 @@
  * without leaving the room.
  *
  * HTTP API: POST /resetGame
- * Request body: { "gameId": "ABCDEF" }
+ * Request body: { "gameId": "ABCDEF", "playerName": "Host", "token": "host's seat token" }
+ * (over the WebSocket the connection identifies the host instead)
  * Response: { "success": true }
  */
 
 const { GetCommand, UpdateCommand, BatchWriteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, GAMES_TABLE, HANDS_TABLE } = require('../shared/dynamodb');
 const { GameStatus, buildResponse } = require('../shared/gameUtils');
+const { authorizePlayer } = require('../shared/seatTokens');
 
 // Use local WebSocket in development, AWS API Gateway in production
 const wsModule = process.env.DYNAMODB_ENDPOINT
@@ -63,6 +65,18 @@ async function handler(event) {
       });
     }
 
+    // Only the host can take the table back to the lobby
+    const auth = await authorizePlayer(event, game, body);
+    if (auth.error) {
+      return buildResponse(403, auth.error);
+    }
+    if (!auth.internal && auth.player.name !== game.hostName) {
+      return buildResponse(403, {
+        error: 'Not host',
+        message: 'Only the host can reset the game',
+      });
+    }
+
     // Verify game is finished
     if (game.status !== GameStatus.FINISHED) {
       return buildResponse(400, {
@@ -71,6 +85,14 @@ async function handler(event) {
       });
     }
 
+    // A tournament table's hand history is its board results
+    if (game.tournamentId) {
+      return buildResponse(400, {
+        error: 'Tournament table',
+        message: 'Tournament tables cannot be reset',
+      });
+    }
+
     // Clear all hands from HANDS_TABLE for this game
     try {
       const handsResult = await docClient.send(new QueryCommand({
@@ -103,12 +125,14 @@ async function handler(event) {
     }
 
     // Reset game state to LOBBY (or FULL since we have 4 players)
-    // Keep players array but reset everything else
+    // Keep players array (minus any away flags) but reset everything else
+    const players = (game.players || []).map(({ away, ...player }) => player);
     await docClient.send(new UpdateCommand({
       TableName: GAMES_TABLE,
       Key: { gameId: normalizedGameId },
       UpdateExpression: `
         SET #status = :status,
+            players = :players,
             teams = :teams,
             teamScores = :teamScores,
             dealer = :dealer,
@@ -125,6 +149,9 @@ async function handler(event) {
             currentTrick = :currentTrick,
             currentPlayer = :currentPlayer,
             ledSuit = :ledSuit,
+            claim = :claim,
+            concession = :concession,
+            undoRequest = :undoRequest,
             pointsCaptured = :pointsCaptured,
             handHistory = :handHistory,
             version = version + :one,
@@ -135,6 +162,7 @@ async function handler(event) {
       },
       ExpressionAttributeValues: {
         ':status': GameStatus.FULL, // All 4 players are still connected
+        ':players': players,
         ':teams': null,
         ':teamScores': { team0: 0, team1: 0 },
         ':dealer': null,
@@ -151,6 +179,9 @@ async function handler(event) {
         ':currentTrick': [],
         ':currentPlayer': null,
         ':ledSuit': null,
+        ':claim': null,
+        ':concession': null,
+        ':undoRequest': null,
         ':pointsCaptured': { team0: 0, team1: 0 },
         ':handHistory': [],
         ':one': 1,
@@ -166,7 +197,7 @@ async function handler(event) {
       await broadcastToGame(apiGatewayClient, normalizedGameId, {
         action: 'gameReset',
         status: GameStatus.FULL,
-        players: game.players,
+        players,
       });
     } catch (wsError) {
       console.error('Error broadcasting game reset:', wsError);
@@ -3,13 +3,22 @@
  *
  * Allows the current dealer to explicitly start the next hand.
  * Deals a new round of cards and transitions the game back into BIDDING.
+ *
+ * Request body: { "gameId": "ABCDEF", "dealerSeat": 1, "seed": "practice-1", "playerName": "Dealer", "token": "dealer's seat token" }
+ * seed is optional; the same seed always deals the same hand.
+ * The caller must hold the dealer's seat (botAction calls in directly for a bot dealer).
+ * Duplicate tournament tables always deal the next board and reject a seed.
  */
 
 const { GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, GAMES_TABLE, HANDS_TABLE } = require('../shared/dynamodb');
-const { GameStatus, BID_MIN, buildResponse } = require('../shared/gameUtils');
+const { GameStatus, resolveRules, buildResponse } = require('../shared/gameUtils');
 const { dealGame } = require('../shared/dealUtils');
-const { isBot, scheduleBotAction } = require('../shared/botUtils');
+const { buildHandEvaluation } = require('../shared/biddingAssistant');
+const { getBoardSeed } = require('../shared/tournamentUtils');
+const { isBotControlled, scheduleBotAction, scheduleTurnTimeout } = require('../shared/botUtils');
+const { getLongThinkTime } = require('../shared/botChat');
+const { authorizePlayer } = require('../shared/seatTokens');
 
 // Use local WebSocket in development, AWS API Gateway in production
 const wsModule = process.env.DYNAMODB_ENDPOINT
@@ -23,6 +32,9 @@ const {
   getGameConnections,
 } = wsModule;
 
+// Longest deal seed a host may supply
+const MAX_SEED_LENGTH = 64;
+
 async function handler(event) {
   try {
     let body;
@@ -35,7 +47,7 @@ async function handler(event) {
       });
     }
 
-    const { gameId, dealerSeat } = body || {};
+    const { gameId, dealerSeat, seed } = body || {};
 
     if (!gameId || typeof gameId !== 'string') {
       return buildResponse(400, {
@@ -51,6 +63,13 @@ async function handler(event) {
       });
     }
 
+    if (seed !== undefined && (typeof seed !== 'string' || seed.length === 0 || seed.length > MAX_SEED_LENGTH)) {
+      return buildResponse(400, {
+        error: 'Invalid seed',
+        message: `seed must be a non-empty string of at most ${MAX_SEED_LENGTH} characters`,
+      });
+    }
+
     const normalizedGameId = gameId.trim().toUpperCase();
 
     // Fetch current game state
@@ -67,9 +86,14 @@ async function handler(event) {
       });
     }
 
+    const auth = await authorizePlayer(event, game, body);
+    if (auth.error) {
+      return buildResponse(403, auth.error);
+    }
+
     // Verify this player is the current dealer
     const currentDealer = typeof game.dealer === 'number' ? game.dealer : 0;
-    if (dealerSeat !== currentDealer) {
+    if (dealerSeat !== currentDealer || (!auth.internal && auth.player.seat !== currentDealer)) {
       return buildResponse(403, {
         error: 'Not dealer',
         message: `Only the dealer (seat ${currentDealer}) can start the next hand`,
@@ -77,8 +101,12 @@ async function handler(event) {
     }
 
     // Ensure game is not already finished
+    const rules = resolveRules(game.rules);
     const teamScores = game.teamScores || { team0: 0, team1: 0 };
-    const gameOver = teamScores.team0 >= 500 || teamScores.team1 >= 500;
+    const isTournamentTable = typeof game.boardCount === 'number';
+    const gameOver = isTournamentTable
+      ? (game.currentRound || 0) >= game.boardCount
+      : teamScores.team0 >= rules.targetScore || teamScores.team1 >= rules.targetScore;
     if (gameOver || game.status === GameStatus.FINISHED) {
       return buildResponse(400, {
         error: 'Game over',
@@ -86,11 +114,19 @@ async function handler(event) {
       });
     }
 
+    // Every tournament table must play the same boards
+    if (isTournamentTable && seed !== undefined) {
+      return buildResponse(400, {
+        error: 'Invalid seed',
+        message: 'Tournament tables deal the tournament boards; a seed cannot be supplied',
+      });
+    }
+
     // Deal a new hand – this will:
     // - store new hands in HANDS_TABLE
     // - update game to BIDDING status
-    // - set highBid/currentBid/currentBidder/passed/kitty/trumpColor
-    const { hands, kitty } = await dealGame(normalizedGameId, game.version, currentDealer);
+    // - set highBid/highBidder/currentBid/currentBidder/passed/kitty/trumpColor/dealSeed/turnDeadline
+    const { hands, kitty, turnDeadline } = await dealGame(normalizedGameId, game.version, currentDealer, rules, isTournamentTable ? getBoardSeed(game) : seed);
 
     // Send WebSocket messages to players (similar to choosePartner)
     try {
@@ -105,6 +141,11 @@ async function handler(event) {
           action: 'deal',
           cards: playerCards,
         });
+
+        const evaluation = buildHandEvaluation(game.players, seat, playerCards, rules);
+        if (evaluation) {
+          await sendToPlayer(apiGatewayClient, normalizedGameId, seat, evaluation);
+        }
       }
 
       // Broadcast bidding start message to all players.
@@ -113,14 +154,17 @@ async function handler(event) {
       await broadcastToGame(apiGatewayClient, normalizedGameId, {
         action: 'biddingStart',
         startingPlayer,
-        minBid: BID_MIN,
+        minBid: rules.minBid,
+        bidIncrement: rules.bidIncrement,
+        ...(turnDeadline ? { deadline: turnDeadline } : {}),
       });
     } catch (wsError) {
       console.error('Error sending WebSocket messages for next hand:', wsError);
       // Don't fail the HTTP request if WebSocket messaging fails
     }
 
-    // Check if the starting bidder (dealer) is a bot and schedule bot action
+    // Check if the starting bidder (dealer) is a bot and schedule bot action,
+    // or start the turn timer of a human starting bidder
     try {
       const updatedGameResult = await docClient.send(new GetCommand({
         TableName: GAMES_TABLE,
@@ -131,9 +175,12 @@ async function handler(event) {
         const updatedGame = updatedGameResult.Item;
         const startingBidder = updatedGame.currentBidder;
         
-        if (typeof startingBidder === 'number' && isBot(updatedGame.players, startingBidder)) {
-          console.log(`[START_NEXT_HAND] Starting bidder (seat ${startingBidder}) is a bot - scheduling bot action`);
+        if (typeof startingBidder === 'number' && isBotControlled(updatedGame.players, startingBidder)) {
+          console.log(`[START_NEXT_HAND] Starting bidder (seat ${startingBidder}) is bot-controlled - scheduling bot action`);
           await scheduleBotAction(normalizedGameId, startingBidder, 1500);
+        } else if (typeof startingBidder === 'number' && turnDeadline) {
+          await scheduleTurnTimeout(normalizedGameId, startingBidder, turnDeadline,
+            getLongThinkTime(updatedGame, startingBidder, turnDeadline));
         }
       }
     } catch (botSchedulingError) {
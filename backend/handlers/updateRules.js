@@ -0,0 +1,167 @@
+/**
+ * UpdateRules Lambda Handler
+ *
+ * Lets the host change a game's lobby options before the game starts. Only the
+ * rules in LOBBY_RULES can change here; the rest are fixed when the game is created.
+ * Everyone in the game is sent the new rules (rulesUpdated).
+ *
+ * HTTP API: POST /updateRules
+ * Request body: { "gameId": "ABCDEF", "playerName": "Host", "token": "host's seat token", "rules": { "biddingAssistant": true } }
+ * Response: { "success": true, "rules": { ...complete rules } }
+ */
+
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, GAMES_TABLE } = require('../shared/dynamodb');
+const { GameStatus, resolveRules, validateRules, buildResponse } = require('../shared/gameUtils');
+const { authorizePlayer } = require('../shared/seatTokens');
+
+// Use local WebSocket in development, AWS API Gateway in production
+const wsModule = process.env.DYNAMODB_ENDPOINT
+  ? require('../shared/websocketLocal')
+  : require('../shared/websocket');
+
+const { createApiGatewayClient, broadcastToGame } = wsModule;
+
+// Rules the host may change from the lobby
+const LOBBY_RULES = ['biddingAssistant', 'botChat', 'undoAutoApprove'];
+
+/**
+ * Lambda handler for updating a game's rules
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object>} HTTP response
+ */
+async function handler(event) {
+  try {
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (parseError) {
+      return buildResponse(400, {
+        error: 'Invalid request body',
+        message: 'Request body must be valid JSON',
+      });
+    }
+
+    const { gameId, rules } = body || {};
+
+    if (!gameId || typeof gameId !== 'string') {
+      return buildResponse(400, {
+        error: 'Missing required field',
+        message: 'gameId is required and must be a string',
+      });
+    }
+
+    if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+      return buildResponse(400, {
+        error: 'Invalid rules',
+        message: 'rules must be an object',
+      });
+    }
+
+    const fixedRule = Object.keys(rules).find(rule => !LOBBY_RULES.includes(rule));
+    if (fixedRule) {
+      return buildResponse(400, {
+        error: 'Invalid rules',
+        message: `${fixedRule} cannot be changed after the game is created`,
+      });
+    }
+
+    const rulesError = validateRules(rules);
+    if (rulesError) {
+      return buildResponse(400, {
+        error: 'Invalid rules',
+        message: rulesError,
+      });
+    }
+
+    const normalizedGameId = gameId.trim().toUpperCase();
+    const result = await docClient.send(new GetCommand({
+      TableName: GAMES_TABLE,
+      Key: { gameId: normalizedGameId },
+    }));
+    const game = result.Item;
+
+    if (!game) {
+      return buildResponse(404, {
+        error: 'Game not found',
+        message: `No game found with code: ${normalizedGameId}`,
+      });
+    }
+
+    // Only the host may change the rules
+    const auth = await authorizePlayer(event, game, body);
+    if (auth.error) {
+      return buildResponse(403, auth.error);
+    }
+    if (!auth.internal && auth.player.name !== game.hostName) {
+      return buildResponse(403, {
+        error: 'Not host',
+        message: 'Only the host can change the rules',
+      });
+    }
+
+    if (game.status !== GameStatus.LOBBY && game.status !== GameStatus.FULL) {
+      return buildResponse(400, {
+        error: 'Cannot change rules',
+        message: 'Rules can only be changed before the game starts',
+      });
+    }
+
+    // Every table of a tournament plays the same rules
+    if (game.tournamentId) {
+      return buildResponse(400, {
+        error: 'Cannot change rules',
+        message: 'Tournament tables play the tournament\'s rules',
+      });
+    }
+
+    const updatedRules = resolveRules({ ...game.rules, ...rules });
+    await docClient.send(new UpdateCommand({
+      TableName: GAMES_TABLE,
+      Key: { gameId: normalizedGameId },
+      UpdateExpression: 'SET rules = :rules, version = version + :one, updatedAt = :updatedAt',
+      ExpressionAttributeValues: {
+        ':rules': updatedRules,
+        ':one': 1,
+        ':currentVersion': game.version,
+        ':updatedAt': new Date().toISOString(),
+      },
+      ConditionExpression: 'version = :currentVersion',
+    }));
+
+    console.log(`[UPDATE_RULES] Game ${normalizedGameId}: ${JSON.stringify(rules)}`);
+
+    try {
+      const apiGatewayClient = createApiGatewayClient(event);
+      await broadcastToGame(apiGatewayClient, normalizedGameId, {
+        action: 'rulesUpdated',
+        rules: updatedRules,
+      });
+    } catch (broadcastError) {
+      // Don't fail the update if the broadcast fails; players pick the rules up on refresh
+      console.error(`[UPDATE_RULES] Failed to broadcast rulesUpdated:`, broadcastError.message);
+    }
+
+    return buildResponse(200, {
+      success: true,
+      rules: updatedRules,
+    });
+
+  } catch (error) {
+    console.error('Error updating rules:', error);
+
+    if (error.name === 'ConditionalCheckFailedException') {
+      return buildResponse(409, {
+        error: 'Concurrent update conflict',
+        message: 'Game state changed, please try again',
+      });
+    }
+
+    return buildResponse(500, {
+      error: 'Internal server error',
+      message: 'Failed to update rules',
+    });
+  }
+}
+
+module.exports = { handler };
@@ -3,6 +3,7 @@
  * 
  * Routes WebSocket messages to the appropriate handler based on action type.
  * Handles: playCard, resetGame, startNextHand, and other game actions.
+ * Messages always act for the connection's own game and player.
  * 
  * WebSocket API: $default route
  */
@@ -116,13 +117,14 @@ async function handler(event) {
     const { action } = messageBody;
     const connectionId = event.requestContext?.connectionId;
     
-    // If gameId is not in message, look it up from the connection
-    if (!messageBody.gameId && connectionId) {
+    // The connection (token-checked at $connect) decides the game and player, whatever the message claims
+    if (connectionId) {
       const connectionInfo = await getConnectionInfo(connectionId);
       if (connectionInfo) {
         messageBody.gameId = connectionInfo.gameId;
         messageBody.playerName = connectionInfo.playerName;
-        console.log(`Added gameId=${connectionInfo.gameId}, playerName=${connectionInfo.playerName} from connection`);
+        delete messageBody.token;
+        console.log(`Set gameId=${connectionInfo.gameId}, playerName=${connectionInfo.playerName} from connection`);
       } else {
         console.error('Connection not found:', connectionId);
         return {
@@ -146,9 +148,18 @@ async function handler(event) {
       case 'bid':
       case 'pass':
       case 'discardAndTrump':
+      case 'claim':
+      case 'respondClaim':
+      case 'concedeHand':
+      case 'concedeGame':
+      case 'requestUndo':
+      case 'respondUndo':
       case 'choosePartner':
       case 'resync':
       case 'quickChat':
+      case 'hint':
+      case 'analyzeHand':
+      case 'reviewHand':
         // These are handled by gameAction
         result = await gameAction(httpEvent);
         break;
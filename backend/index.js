@@ -7,6 +7,9 @@
  * REST API Handlers:
  * - createGame: POST /createGame - Create a new game lobby
  * - joinGame: POST /joinGame - Join an existing game
+ * - createTournament: POST /createTournament - Create a duplicate tournament
+ * - joinTournament: POST /joinTournament - Take a seat at a tournament table
+ * - getTournament: POST /getTournament - Tournament standings and board results
  * 
  * WebSocket API Handlers:
  * - connect: $connect route - Player connects to WebSocket
@@ -16,6 +19,9 @@
 const { handler: createGame } = require('./handlers/createGame');
 const { handler: joinGame } = require('./handlers/joinGame');
 const { handler: choosePartner } = require('./handlers/choosePartner');
+const { handler: createTournament } = require('./handlers/createTournament');
+const { handler: joinTournament } = require('./handlers/joinTournament');
+const { handler: getTournament } = require('./handlers/getTournament');
 const { handler: connect } = require('./handlers/connect');
 const { handler: disconnect } = require('./handlers/disconnect');
 
@@ -24,6 +30,9 @@ module.exports = {
   createGame,
   joinGame,
   choosePartner,
+  createTournament,
+  joinTournament,
+  getTournament,
   // WebSocket API handlers
   connect,
   disconnect,
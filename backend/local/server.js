@@ -16,13 +16,18 @@ const { URL } = require('url');
 const { handler: createGame } = require('../handlers/createGame');
 const { handler: joinGame } = require('../handlers/joinGame');
 const { handler: addBot } = require('../handlers/addBot');
+const { handler: updateRules } = require('../handlers/updateRules');
 const { handler: choosePartner } = require('../handlers/choosePartner');
 const { handler: gameAction } = require('../handlers/gameAction');
 const { handler: startNextHand } = require('../handlers/startNextHand');
-const { PutCommand, DeleteCommand, QueryCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { handler: createTournament } = require('../handlers/createTournament');
+const { handler: joinTournament } = require('../handlers/joinTournament');
+const { handler: getTournament } = require('../handlers/getTournament');
+const { PutCommand, DeleteCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, CONNECTIONS_TABLE, GAMES_TABLE, HANDS_TABLE } = require('../shared/dynamodb');
-const { GameStatus, BID_MIN } = require('../shared/gameUtils');
-const { isBot, scheduleBotAction } = require('../shared/botUtils');
+const { GameStatus, KITTY_SIZE, resolveRules, getVariantSettings } = require('../shared/gameUtils');
+const { schedulePlayerAwayCheck } = require('../shared/botUtils');
+const { isValidSeatToken } = require('../shared/seatTokens');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,725 +35,44 @@ const PORT = process.env.PORT || 3001;
 const WS_PORT = process.env.WS_PORT || 3002;
 
 // In-memory store for WebSocket connections (for local dev)
-// Maps connectionId -> { ws, gameId, playerName, seat }
+// Maps connectionId -> { ws, gameId, playerName, seat, spectator }
 const wsConnections = new Map();
 
-/**
- * Calculate points from an array of cards
- * Used for calculating kitty points
- */
-function calculateCardPoints(cards) {
-  let points = 0;
-  for (const card of cards) {
-    if (card === 'Rook') {
-      points += 20;
-    } else {
-      const rankMatch = card.match(/(\d+)$/);
-      if (rankMatch) {
-        const rank = parseInt(rankMatch[1], 10);
-        if (rank === 1) points += 15;
-        else if (rank === 5) points += 5;
-        else if (rank === 10) points += 10;
-        else if (rank === 14) points += 10;
-      }
-    }
-  }
-  return points;
-}
+// WebSocket actions routed to the gameAction handler
+const GAME_ACTIONS = new Set([
+  'bid', 'pass', 'discardAndTrump', 'playCard', 'claim', 'respondClaim', 'concedeHand', 'concedeGame',
+  'requestUndo', 'respondUndo', 'quickChat', 'resync', 'hint', 'analyzeHand', 'reviewHand',
+]);
 
 /**
- * Handle trump selection and discard action
+ * Handle an in-game action (bid, pass, discardAndTrump, playCard, claim, respondClaim,
+ * concedeHand, concedeGame, requestUndo, respondUndo, quickChat, resync, hint, analyzeHand,
+ * reviewHand)
+ *
+ * Delegates to the gameAction handler so local play runs the same rules engine
+ * as production. The handler sends any error back to the player itself.
  */
-async function handleDiscardAndTrump(connectionInfo, message) {
-  const { gameId, connectionId } = connectionInfo;
-  
-  // Get the current connection info from the map to ensure we have the latest seat
-  const currentConnection = wsConnections.get(connectionId);
-  if (!currentConnection) {
-    console.error(`Connection ${connectionId} not found in connections map`);
-    return;
-  }
-  
-  const playerSeat = currentConnection.seat;
+async function handleGameAction(connectionInfo, message) {
+  const { gameId, connectionId, playerName } = connectionInfo;
 
-  if (playerSeat === null || playerSeat === undefined) {
-    console.error('Cannot handle discard and trump: player seat not set');
-    return;
-  }
-
-  try {
-    // Get current game state
-    const gameResult = await docClient.send(new GetCommand({
-      TableName: GAMES_TABLE,
-      Key: { gameId },
-    }));
-
-    const game = gameResult.Item;
-    if (!game) {
-      console.error(`Game ${gameId} not found`);
-      return;
-    }
-
-    if (game.status !== GameStatus.TRUMP_SELECTION) {
-      console.error(`Game ${gameId} is not in TRUMP_SELECTION status`);
-      return;
-    }
-
-    // Verify this is the bid winner
-    if (game.bidWinner !== playerSeat) {
-      console.warn(`Player ${playerSeat} is not the bid winner (${game.bidWinner})`);
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'discardError',
-          message: 'You are not the bid winner',
-        }));
-      }
-      return;
-    }
-
-    const { discard, trump } = message;
-
-    // Validate discard array
-    if (!Array.isArray(discard) || discard.length !== 5) {
-      console.warn('Invalid discard array');
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'discardError',
-          message: 'Must discard exactly 5 cards',
-        }));
-      }
-      return;
-    }
-
-    // Get player's current hand
-    const handResult = await docClient.send(new GetCommand({
-      TableName: HANDS_TABLE,
-      Key: {
-        gameId,
-        seat: playerSeat,
-      },
-    }));
-
-    const hand = handResult.Item;
-    if (!hand || !hand.cards) {
-      console.error(`Hand not found for player ${playerSeat}`);
-      return;
-    }
-
-    // The player should have 18 cards (original 13 + 5 kitty) to be able to discard
-    if (hand.cards.length !== 18) {
-      console.warn(`Player ${playerSeat} has ${hand.cards.length} cards, expected 18`);
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'discardError',
-          message: 'Invalid hand size. Please wait for kitty cards.',
-        }));
-      }
-      return;
-    }
-
-    // Validate that all discard cards are in the player's hand
-    const handSet = new Set(hand.cards);
-    const validDiscard = discard.every(card => handSet.has(card));
-
-    if (!validDiscard) {
-      console.warn('Discard contains cards not in player hand');
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'discardError',
-          message: 'Invalid cards selected for discard',
-        }));
-      }
-      return;
-    }
-
-    // Validate trump suit
-    const validSuits = ['Red', 'Green', 'Yellow', 'Black'];
-    if (!validSuits.includes(trump)) {
-      console.warn(`Invalid trump suit: ${trump}`);
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'discardError',
-          message: 'Invalid trump suit',
-        }));
-      }
-      return;
-    }
-
-    // Remove discarded cards from hand (new hand should be 13 cards)
-    const newHandCards = hand.cards.filter(card => !discard.includes(card));
-
-    if (newHandCards.length !== 13) {
-      console.error(`After discard, player should have 13 cards, but has ${newHandCards.length}`);
-      return;
-    }
-
-    // Update player's hand in DynamoDB
-    await docClient.send(new UpdateCommand({
-      TableName: HANDS_TABLE,
-      Key: {
-        gameId,
-        seat: playerSeat,
-      },
-      UpdateExpression: 'SET cards = :cards, updatedAt = :updatedAt',
-      ExpressionAttributeValues: {
-        ':cards': newHandCards,
-        ':updatedAt': new Date().toISOString(),
-      },
-    }));
-
-    // Calculate kitty points from discarded cards
-    // The discarded cards form the final kitty, and their points belong to the bid team
-    const kittyPointsCaptured = calculateCardPoints(discard);
-
-    // Calculate first trick leader: player to the left of dealer
-    const dealer = typeof game.dealer === 'number' ? game.dealer : 0;
-    const firstTrickLeader = (dealer + 1) % 4;
-
-    // Update game state: set trump, status to PLAYING, currentPlayer to first trick leader, and store kitty points
-    await docClient.send(new UpdateCommand({
-      TableName: GAMES_TABLE,
-      Key: { gameId },
-      UpdateExpression: `
-        SET trump = :trump,
-            #status = :status,
-            currentPlayer = :currentPlayer,
-            kittyPointsCaptured = :kittyPointsCaptured,
-            version = version + :one,
-            updatedAt = :updatedAt
-      `,
-      ExpressionAttributeNames: {
-        '#status': 'status',
-      },
-      ExpressionAttributeValues: {
-        ':trump': trump,
-        ':status': GameStatus.PLAYING,
-        ':currentPlayer': firstTrickLeader, // Player to the left of dealer leads first trick
-        ':kittyPointsCaptured': kittyPointsCaptured,
-        ':one': 1,
-        ':updatedAt': new Date().toISOString(),
-        ':currentVersion': game.version,
-      },
-      ConditionExpression: 'version = :currentVersion',
-    }));
-
-    console.log(`Player ${playerSeat} discarded 5 cards and chose ${trump} as trump. Dealer: ${dealer}, First trick leader: ${firstTrickLeader}`);
-
-    // Broadcast trump chosen and play start to all players
-    const localClient = global.localWebSocketClient;
-    if (localClient) {
-      await localClient.broadcastToGame(gameId, {
-        action: 'trumpChosen',
-        suit: trump,
-      });
-
-      await localClient.broadcastToGame(gameId, {
-        action: 'playStart',
-        leader: firstTrickLeader,
-      });
-    }
-
-  } catch (error) {
-    console.error('Error handling discard and trump:', error);
-    if (error.name === 'ConditionalCheckFailedException') {
-      console.log('Concurrent update conflict, ignoring');
-    } else {
-      // Send error message back to player
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'discardError',
-          message: 'An error occurred processing your selection',
-        }));
-      }
-    }
-  }
-}
-
-/**
- * Handle playCard action
- */
-async function handlePlayCard(connectionInfo, message) {
-  const { gameId, connectionId } = connectionInfo;
-  
-  // Get the current connection info from the map to ensure we have the latest seat
-  const currentConnection = wsConnections.get(connectionId);
-  if (!currentConnection) {
-    console.error(`Connection ${connectionId} not found in connections map`);
-    return;
-  }
-  
-  const playerSeat = currentConnection.seat;
-  
-  if (playerSeat === null || playerSeat === undefined) {
-    console.error('Cannot handle playCard: player seat not set');
-    return;
-  }
-
-  // Handle playing a card - delegate to gameAction handler
-  console.log(`🎴 Processing playCard: player=${currentConnection.playerName} (seat ${playerSeat}), card=${message.card}, game=${gameId}`);
-
-  const { handler: gameAction } = require('../handlers/gameAction');
+  console.log(`🎴 Processing ${message.action}: player=${playerName}, game=${gameId}`);
 
   try {
     const event = {
+      requestContext: { connectionId },
       body: JSON.stringify({
+        ...message,
         gameId: gameId.toUpperCase(),
-        playerName: connectionInfo.playerName,
-        action: 'playCard',
-        card: message.card,
+        playerName,
       }),
     };
 
     const result = await gameAction(event);
-    console.log(`✅ playCard result status: ${result?.statusCode}, body:`, result?.body);
-
-    // Check if there was an error in the result
-    if (result && result.statusCode && result.statusCode !== 200) {
-      console.error(`❌ playCard failed with status ${result.statusCode}:`, result.body);
-      // Send error message back to player
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        try {
-          const errorBody = JSON.parse(result.body || '{}');
-          conn.ws.send(JSON.stringify({
-            action: 'cardError',
-            message: errorBody.message || 'Failed to play card',
-          }));
-        } catch (parseError) {
-          console.error('Failed to parse error response:', parseError);
-        }
-      }
-    } else if (result && result.statusCode === 200) {
-      console.log(`✅ playCard succeeded - WebSocket broadcasts should have been sent`);
-    } else {
-      console.warn(`⚠️  Unexpected result format:`, result);
-    }
-  } catch (error) {
-    console.error('❌ Exception handling playCard:', error);
-    // Send error message back to player
-    const conn = wsConnections.get(connectionInfo.connectionId);
-    if (conn && conn.ws.readyState === 1) {
-      conn.ws.send(JSON.stringify({
-        action: 'cardError',
-        message: error.message || 'An error occurred playing your card',
-      }));
-    }
-  }
-}
-
-/**
- * Handle bidding actions (bid/pass)
- */
-async function handleBiddingAction(connectionInfo, message) {
-  const { gameId, connectionId } = connectionInfo;
-  
-  // Get the current connection info from the map to ensure we have the latest seat
-  const currentConnection = wsConnections.get(connectionId);
-  if (!currentConnection) {
-    console.error(`Connection ${connectionId} not found in connections map`);
-    return;
-  }
-  
-  const playerSeat = currentConnection.seat;
-  
-  if (playerSeat === null || playerSeat === undefined) {
-    console.error('Cannot handle bidding action: player seat not set');
-    return;
-  }
-
-  try {
-    // Get current game state
-    const gameResult = await docClient.send(new GetCommand({
-      TableName: GAMES_TABLE,
-      Key: { gameId },
-    }));
-
-    const game = gameResult.Item;
-    if (!game) {
-      console.error(`Game ${gameId} not found`);
-      return;
-    }
-
-    if (game.status !== GameStatus.BIDDING) {
-      console.error(`Game ${gameId} is not in BIDDING status`);
-      return;
-    }
-
-    // Initialize passed array if it doesn't exist
-    const passed = game.passed || [];
-    
-    // Check if player has already passed
-    if (passed.includes(playerSeat)) {
-      console.warn(`Player ${playerSeat} already passed, ignoring action`);
-      return;
-    }
-
-    // Verify it's this player's turn
-    if (game.currentBidder !== playerSeat) {
-      console.warn(`Not player ${playerSeat}'s turn (current bidder: ${game.currentBidder})`);
-      return;
-    }
-
-    if (message.action === 'bid') {
-      const amount = message.amount;
-      const highBid = game.highBid || 0;
-      
-      // Validate bid amount
-      let isValid = false;
-      if (highBid === 0) {
-        // First bid must be at least BID_MIN
-        isValid = amount >= BID_MIN && amount % 5 === 0;
-      } else {
-        // Subsequent bids must be at least highBid + 5
-        isValid = amount >= highBid + 5 && amount % 5 === 0;
-      }
-
-      if (!isValid) {
-        console.warn(`Invalid bid amount: ${amount} (highBid: ${highBid})`);
-        // Send error message back to player
-        const conn = wsConnections.get(connectionInfo.connectionId);
-        if (conn && conn.ws.readyState === 1) {
-          conn.ws.send(JSON.stringify({
-            action: 'bidError',
-            message: `Invalid bid. Must be at least ${highBid === 0 ? BID_MIN : highBid + 5} and a multiple of 5.`,
-          }));
-        }
-        return;
-      }
-
-      // Update game state
-      const passedSet = new Set(passed);
-      // Find next bidder (skip passed players)
-      let nextBidder = (playerSeat + 1) % 4;
-      while (passedSet.has(nextBidder) && nextBidder !== playerSeat) {
-        nextBidder = (nextBidder + 1) % 4;
-      }
-
-      // Check if bidding should end (all others passed)
-      if (nextBidder === playerSeat) {
-        // Bidding ends - this player wins
-        await docClient.send(new UpdateCommand({
-          TableName: GAMES_TABLE,
-          Key: { gameId },
-          UpdateExpression: `
-            SET highBid = :highBid,
-                highBidder = :highBidder,
-                bidWinner = :bidWinner,
-                winningBid = :winningBid,
-                #status = :status,
-                version = version + :one,
-                updatedAt = :updatedAt
-          `,
-          ExpressionAttributeNames: {
-            '#status': 'status',
-          },
-          ExpressionAttributeValues: {
-            ':highBid': amount,
-            ':highBidder': playerSeat,
-            ':bidWinner': playerSeat,
-            ':winningBid': amount,
-            ':status': GameStatus.TRUMP_SELECTION,
-            ':one': 1,
-            ':updatedAt': new Date().toISOString(),
-            ':currentVersion': game.version,
-          },
-          ConditionExpression: 'version = :currentVersion',
-        }));
-
-        // Send kitty cards to the winner and update their hand in database
-        if (game.kitty && Array.isArray(game.kitty) && game.kitty.length === 5) {
-          // First, get the winner's current hand
-          const handResult = await docClient.send(new GetCommand({
-            TableName: HANDS_TABLE,
-            Key: {
-              gameId,
-              seat: playerSeat,
-            },
-          }));
-
-          const currentHand = handResult.Item;
-          if (currentHand && currentHand.cards) {
-            // Add kitty cards to the winner's hand
-            const updatedHand = [...currentHand.cards, ...game.kitty];
-
-            // Update the winner's hand in database
-            await docClient.send(new UpdateCommand({
-              TableName: HANDS_TABLE,
-              Key: {
-                gameId,
-                seat: playerSeat,
-              },
-              UpdateExpression: 'SET cards = :cards, updatedAt = :updatedAt',
-              ExpressionAttributeValues: {
-                ':cards': updatedHand,
-                ':updatedAt': new Date().toISOString(),
-              },
-            }));
-
-            console.log(`Added ${game.kitty.length} kitty cards to winner seat ${playerSeat}'s hand (${updatedHand.length} total)`);
-          }
-
-          // Send kitty cards to the winner via WebSocket
-          const localClient = global.localWebSocketClient;
-          if (localClient) {
-            await localClient.sendToPlayer(gameId, playerSeat, {
-              action: 'kitty',
-              cards: game.kitty,
-            });
-            console.log(`Sent kitty cards to winner seat ${playerSeat}`);
-          }
-        }
-
-        // Broadcast bidding won
-        const localClient = global.localWebSocketClient;
-        if (localClient) {
-          await localClient.broadcastToGame(gameId, {
-            action: 'biddingWon',
-            winner: playerSeat,
-            amount: amount,
-          });
-        }
-
-        // Check if bid winner is a bot - they need to select trump after receiving kitty
-        const updatedGameForBot = await docClient.send(new GetCommand({
-          TableName: GAMES_TABLE,
-          Key: { gameId },
-        }));
-        if (updatedGameForBot.Item && isBot(updatedGameForBot.Item.players, playerSeat)) {
-          console.log(`[LOCAL_SERVER] Bot ${playerSeat} won bid, scheduling trump selection`);
-          scheduleBotAction(gameId, playerSeat, 1500);
-        }
-      } else {
-        // Continue bidding
-        await docClient.send(new UpdateCommand({
-          TableName: GAMES_TABLE,
-          Key: { gameId },
-          UpdateExpression: `
-            SET highBid = :highBid,
-                highBidder = :highBidder,
-                currentBidder = :currentBidder,
-                version = version + :one,
-                updatedAt = :updatedAt
-          `,
-          ExpressionAttributeValues: {
-            ':highBid': amount,
-            ':highBidder': playerSeat,
-            ':currentBidder': nextBidder,
-            ':one': 1,
-            ':updatedAt': new Date().toISOString(),
-            ':currentVersion': game.version,
-          },
-          ConditionExpression: 'version = :currentVersion',
-        }));
-
-        // Broadcast bid placed and next bidder
-        const localClient = global.localWebSocketClient;
-        if (localClient) {
-          await localClient.broadcastToGame(gameId, {
-            action: 'bidPlaced',
-            seat: playerSeat,
-            amount: amount,
-          });
-          await localClient.broadcastToGame(gameId, {
-            action: 'nextBidder',
-            seat: nextBidder,
-          });
-
-          // Check if next bidder is a bot and schedule bot action
-          const updatedGameForBot = await docClient.send(new GetCommand({
-            TableName: GAMES_TABLE,
-            Key: { gameId },
-          }));
-          if (updatedGameForBot.Item) {
-            const isNextBidderBot = isBot(updatedGameForBot.Item.players, nextBidder);
-            console.log(`[LOCAL_SERVER] After bid: nextBidder=${nextBidder}, isBot=${isNextBidderBot}`);
-            if (isNextBidderBot) {
-              console.log(`[LOCAL_SERVER] Scheduling bot action for seat ${nextBidder}`);
-              scheduleBotAction(gameId, nextBidder, 1000);
-            }
-          }
-        }
-      }
-    } else if (message.action === 'pass') {
-      // Add player to passed list
-      const newPassed = [...passed, playerSeat];
-      
-      // Find next bidder (skip passed players)
-      const passedSet = new Set(newPassed);
-      let nextBidder = (playerSeat + 1) % 4;
-      while (passedSet.has(nextBidder) && nextBidder !== playerSeat) {
-        nextBidder = (nextBidder + 1) % 4;
-      }
-
-      // Check if only one player remains (bidding ends)
-      if (newPassed.length === 3 || nextBidder === playerSeat) {
-        // Find the one player who hasn't passed
-        const remainingPlayer = [0, 1, 2, 3].find(seat => !passedSet.has(seat));
-        const highBid = game.highBid || 0;
-        const winningBid = highBid > 0 ? highBid : BID_MIN; // If no one bid, minimum goes to last player
-        
-        await docClient.send(new UpdateCommand({
-          TableName: GAMES_TABLE,
-          Key: { gameId },
-          UpdateExpression: `
-            SET passed = :passed,
-                bidWinner = :bidWinner,
-                winningBid = :winningBid,
-                highBid = :highBid,
-                highBidder = :highBidder,
-                #status = :status,
-                version = version + :one,
-                updatedAt = :updatedAt
-          `,
-          ExpressionAttributeNames: {
-            '#status': 'status',
-          },
-          ExpressionAttributeValues: {
-            ':passed': newPassed,
-            ':bidWinner': remainingPlayer,
-            ':winningBid': winningBid,
-            ':highBid': winningBid,
-            ':highBidder': remainingPlayer,
-            ':status': GameStatus.TRUMP_SELECTION,
-            ':one': 1,
-            ':updatedAt': new Date().toISOString(),
-            ':currentVersion': game.version,
-          },
-          ConditionExpression: 'version = :currentVersion',
-        }));
-
-        // Send kitty cards to the winner and update their hand in database
-        if (game.kitty && Array.isArray(game.kitty) && game.kitty.length === 5) {
-          // First, get the winner's current hand
-          const handResult = await docClient.send(new GetCommand({
-            TableName: HANDS_TABLE,
-            Key: {
-              gameId,
-              seat: remainingPlayer,
-            },
-          }));
-
-          const currentHand = handResult.Item;
-          if (currentHand && currentHand.cards) {
-            // Add kitty cards to the winner's hand
-            const updatedHand = [...currentHand.cards, ...game.kitty];
-
-            // Update the winner's hand in database
-            await docClient.send(new UpdateCommand({
-              TableName: HANDS_TABLE,
-              Key: {
-                gameId,
-                seat: remainingPlayer,
-              },
-              UpdateExpression: 'SET cards = :cards, updatedAt = :updatedAt',
-              ExpressionAttributeValues: {
-                ':cards': updatedHand,
-                ':updatedAt': new Date().toISOString(),
-              },
-            }));
-
-            console.log(`Added ${game.kitty.length} kitty cards to winner seat ${remainingPlayer}'s hand (${updatedHand.length} total)`);
-          }
-
-          // Send kitty cards to the winner via WebSocket
-          const localClient = global.localWebSocketClient;
-          if (localClient) {
-            await localClient.sendToPlayer(gameId, remainingPlayer, {
-              action: 'kitty',
-              cards: game.kitty,
-            });
-            console.log(`Sent kitty cards to winner seat ${remainingPlayer}`);
-          }
-        }
-
-        // Broadcast bidding won
-        const localClient = global.localWebSocketClient;
-        if (localClient) {
-          await localClient.broadcastToGame(gameId, {
-            action: 'biddingWon',
-            winner: remainingPlayer,
-            amount: winningBid,
-          });
-        }
-
-        // Check if bid winner is a bot - they need to select trump after receiving kitty
-        const updatedGameForBot = await docClient.send(new GetCommand({
-          TableName: GAMES_TABLE,
-          Key: { gameId },
-        }));
-        if (updatedGameForBot.Item && isBot(updatedGameForBot.Item.players, remainingPlayer)) {
-          console.log(`[LOCAL_SERVER] Bot ${remainingPlayer} won bid, scheduling trump selection`);
-          scheduleBotAction(gameId, remainingPlayer, 1500);
-        }
-      } else {
-        // Continue bidding
-        await docClient.send(new UpdateCommand({
-          TableName: GAMES_TABLE,
-          Key: { gameId },
-          UpdateExpression: `
-            SET passed = :passed,
-                currentBidder = :currentBidder,
-                version = version + :one,
-                updatedAt = :updatedAt
-          `,
-          ExpressionAttributeValues: {
-            ':passed': newPassed,
-            ':currentBidder': nextBidder,
-            ':one': 1,
-            ':updatedAt': new Date().toISOString(),
-            ':currentVersion': game.version,
-          },
-          ConditionExpression: 'version = :currentVersion',
-        }));
-
-        // Broadcast player passed and next bidder
-        const localClient = global.localWebSocketClient;
-        if (localClient) {
-          await localClient.broadcastToGame(gameId, {
-            action: 'playerPassed',
-            seat: playerSeat,
-          });
-          await localClient.broadcastToGame(gameId, {
-            action: 'nextBidder',
-            seat: nextBidder,
-          });
-
-          // Check if next bidder is a bot and schedule bot action
-          const updatedGameForBot = await docClient.send(new GetCommand({
-            TableName: GAMES_TABLE,
-            Key: { gameId },
-          }));
-          if (updatedGameForBot.Item) {
-            const isNextBidderBot = isBot(updatedGameForBot.Item.players, nextBidder);
-            console.log(`[LOCAL_SERVER] After pass: nextBidder=${nextBidder}, isBot=${isNextBidderBot}`);
-            if (isNextBidderBot) {
-              console.log(`[LOCAL_SERVER] Scheduling bot action for seat ${nextBidder}`);
-              scheduleBotAction(gameId, nextBidder, 1000);
-            }
-          }
-        }
-      }
+    if (result && result.statusCode !== 200) {
+      console.warn(`⚠️  ${message.action} rejected with status ${result.statusCode}:`, result.body);
     }
   } catch (error) {
-    console.error('Error handling bidding action:', error);
-    if (error.name === 'ConditionalCheckFailedException') {
-      console.log('Concurrent update conflict, ignoring');
-    } else {
-      // Send error message back to player
-      const conn = wsConnections.get(connectionInfo.connectionId);
-      if (conn && conn.ws.readyState === 1) {
-        conn.ws.send(JSON.stringify({
-          action: 'bidError',
-          message: 'An error occurred processing your bid/pass',
-        }));
-      }
-    }
+    console.error(`❌ Exception handling ${message.action}:`, error);
   }
 }
 
@@ -804,10 +128,14 @@ const resetGame = require('../handlers/resetGame').handler;
 app.post('/createGame', wrapLambdaHandler(createGame));
 app.post('/joinGame', wrapLambdaHandler(joinGame));
 app.post('/addBot', wrapLambdaHandler(addBot));
+app.post('/updateRules', wrapLambdaHandler(updateRules));
 app.post('/choosePartner', wrapLambdaHandler(choosePartner));
 app.post('/gameAction', wrapLambdaHandler(gameAction));
 app.post('/startNextHand', wrapLambdaHandler(startNextHand));
 app.post('/resetGame', wrapLambdaHandler(resetGame));
+app.post('/createTournament', wrapLambdaHandler(createTournament));
+app.post('/joinTournament', wrapLambdaHandler(joinTournament));
+app.post('/getTournament', wrapLambdaHandler(getTournament));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -830,6 +158,22 @@ app.get('/games', async (req, res) => {
   }
 });
 
+// Event log and replayed state for a game (debug endpoint)
+// Optional ?seq=N rebuilds the game as it was after event N
+app.get('/games/:gameId/events', async (req, res) => {
+  try {
+    const { getGameEvents, replayGameEvents } = require('../shared/gameEvents');
+
+    const gameId = req.params.gameId.toUpperCase();
+    const seq = req.query.seq !== undefined ? parseInt(req.query.seq, 10) : undefined;
+    const events = await getGameEvents(gameId, seq);
+
+    res.json({ events, ...replayGameEvents(gameId, events) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // WebSocket Server
 const wss = new WebSocketServer({ 
   server,
@@ -840,7 +184,9 @@ wss.on('connection', async (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const gameId = url.searchParams.get('gameId');
   const playerName = url.searchParams.get('playerName');
-  const seat = url.searchParams.get('seat');
+  const token = url.searchParams.get('token');
+  // Spectators watch the public table: no seat, no private messages
+  const isSpectator = url.searchParams.get('spectate') === 'true';
 
   if (!gameId || !playerName) {
     console.error('WebSocket connection missing required params');
@@ -848,17 +194,33 @@ wss.on('connection', async (ws, req) => {
     return;
   }
 
+  // Players must hold the seat token (as in the $connect handler); the seat comes from the game
+  let seatNumber = null;
+  if (!isSpectator) {
+    const gameResult = await docClient.send(new GetCommand({
+      TableName: GAMES_TABLE,
+      Key: { gameId: gameId.toUpperCase() },
+    }));
+    const player = gameResult.Item?.players?.find(p => p.name === decodeURIComponent(playerName));
+
+    if (!player || !isValidSeatToken(gameResult.Item, player.name, token)) {
+      console.error(`WebSocket connection for ${playerName} in ${gameId} refused: invalid seat token`);
+      ws.close(1008, 'Invalid seat token');
+      return;
+    }
+    seatNumber = player.seat;
+  }
+
   // Generate a connection ID
   const connectionId = `local-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   
-  const seatNumber = seat !== undefined && seat !== null ? parseInt(seat, 10) : null;
-  
   // Store connection info
   const connectionInfo = {
     ws,
     gameId: gameId.toUpperCase(),
     playerName: decodeURIComponent(playerName),
     seat: seatNumber,
+    spectator: isSpectator,
     connectionId,
   };
   
@@ -873,6 +235,7 @@ wss.on('connection', async (ws, req) => {
         connectionId,
         playerName: decodeURIComponent(playerName),
         seat: seatNumber,
+        ...(isSpectator ? { spectator: true } : {}),
         connectedAt: new Date().toISOString(),
       },
     }));
@@ -880,7 +243,7 @@ wss.on('connection', async (ws, req) => {
     console.error('Error storing connection in DynamoDB:', error);
   }
 
-  console.log(`WebSocket connected: ${playerName} to game ${gameId} (connectionId: ${connectionId})`);
+  console.log(`WebSocket connected: ${playerName} to game ${gameId}${isSpectator ? ' as spectator' : ''} (connectionId: ${connectionId})`);
 
   // If game is already in BIDDING or PLAYING, send the player's hand
   (async () => {
@@ -919,11 +282,14 @@ wss.on('connection', async (ws, req) => {
           
           // If in BIDDING status, also send bidding state
           if (game.status === GameStatus.BIDDING) {
+            const rules = resolveRules(game.rules);
             ws.send(JSON.stringify({
               action: 'biddingStart',
               startingPlayer: game.currentBidder !== undefined ? game.currentBidder : 0,
-              currentBid: game.currentBid || 50,
-              minBid: 50,
+              currentBid: game.currentBid || rules.minBid,
+              minBid: rules.minBid,
+              bidIncrement: rules.bidIncrement,
+              ...(game.turnDeadline ? { deadline: game.turnDeadline } : {}),
             }));
             console.log(`Sent bidding state to reconnecting player ${playerName}`);
           }
@@ -935,11 +301,13 @@ wss.on('connection', async (ws, req) => {
               action: 'biddingWon',
               winner: game.bidWinner,
               amount: game.winningBid,
+              ...(game.turnDeadline ? { deadline: game.turnDeadline } : {}),
             }));
 
-            // If this player is the winner AND they don't already have the kitty cards (check if hand has < 18 cards),
-            // send them the kitty cards
-            if (seatNumber === game.bidWinner && game.kitty && Array.isArray(game.kitty) && hand.cards.length < 18) {
+            // If this player is the winner AND they don't already have the kitty cards (hand is smaller than
+            // the dealt hand plus kitty), send them the kitty cards
+            const fullHandSize = getVariantSettings(resolveRules(game.rules)).handSize + KITTY_SIZE;
+            if (seatNumber === game.bidWinner && game.kitty && Array.isArray(game.kitty) && hand.cards.length < fullHandSize) {
               ws.send(JSON.stringify({
                 action: 'kitty',
                 cards: game.kitty,
@@ -960,126 +328,8 @@ wss.on('connection', async (ws, req) => {
       const data = JSON.parse(message.toString());
       console.log('WebSocket message received:', data);
       
-      // Handle bid/pass messages
-      if (data.action === 'bid' || data.action === 'pass') {
-        await handleBiddingAction(connectionInfo, data);
-      }
-
-      // Handle discard and trump selection
-      if (data.action === 'discardAndTrump') {
-        await handleDiscardAndTrump(connectionInfo, data);
-      }
-
-      // Handle playCard action
-      if (data.action === 'playCard') {
-        await handlePlayCard(connectionInfo, data);
-      }
-
-      // Handle quickChat action
-      if (data.action === 'quickChat') {
-        const { gameId, seat: playerSeat } = connectionInfo;
-        const { message } = data;
-        
-        if (!message) {
-          console.error('Quick chat message missing message text');
-          return;
-        }
-
-        console.log(`💬 Quick chat from player ${connectionInfo.playerName} (seat ${playerSeat}): ${message}`);
-
-        // Broadcast to all players in the game
-        const localClient = global.localWebSocketClient;
-        if (localClient) {
-          await localClient.broadcastToGame(gameId, {
-            action: 'quickChat',
-            seat: playerSeat,
-            message: message,
-          });
-          console.log(`✅ Broadcasted quick chat message`);
-        } else {
-          console.warn(`⚠️  localWebSocketClient not available for broadcasting quick chat`);
-        }
-      }
-
-      // Handle resync action - sends full game state to reconnecting player
-      if (data.action === 'resync') {
-        const { gameId, seat: playerSeat, playerName } = connectionInfo;
-        console.log(`[RESYNC] Player ${playerName} (seat ${playerSeat}) requesting resync for game ${gameId}`);
-
-        try {
-          const normalizedGameId = gameId.toUpperCase();
-
-          // Get game state
-          const gameResult = await docClient.send(new GetCommand({
-            TableName: GAMES_TABLE,
-            Key: { gameId: normalizedGameId },
-          }));
-
-          const game = gameResult.Item;
-          if (!game) {
-            console.error(`[RESYNC] Game ${normalizedGameId} not found`);
-            return;
-          }
-
-          // Get player's hand
-          const handResult = await docClient.send(new GetCommand({
-            TableName: HANDS_TABLE,
-            Key: { gameId: normalizedGameId, seat: playerSeat },
-          }));
-
-          const hand = handResult.Item;
-          const cards = hand?.cards || [];
-
-          // Build resync data
-          const resyncData = {
-            action: 'resync',
-            gameId: game.gameId,
-            status: game.status,
-            players: game.players || [],
-            teams: game.teams || null,
-            dealer: game.dealer,
-            
-            // Player's hand
-            cards: cards,
-            
-            // Bidding state
-            currentBidder: game.currentBidder,
-            highBid: game.highBid || 0,
-            passed: game.passed || [],
-            bidWinner: game.bidWinner,
-            winningBid: game.winningBid,
-            
-            // Trump and play state
-            trump: game.trump,
-            currentPlayer: game.currentPlayer,
-            currentTrick: game.currentTrick || [],
-            ledSuit: game.ledSuit,
-            
-            // Scores
-            teamScores: game.teamScores || { team0: 0, team1: 0 },
-            pointsCaptured: game.pointsCaptured || { team0: 0, team1: 0 },
-            handHistory: game.handHistory || [],
-            
-            // Kitty (only for bid winner in TRUMP_SELECTION who hasn't received it yet)
-            kitty: (game.status === 'TRUMP_SELECTION' && playerSeat === game.bidWinner && cards.length < 18)
-              ? game.kitty
-              : null,
-          };
-
-          // Send resync data to this player
-          ws.send(JSON.stringify(resyncData));
-
-          console.log(`[RESYNC] Sent resync to ${playerName}:`, {
-            status: resyncData.status,
-            cardCount: cards.length,
-            hasTeams: !!resyncData.teams,
-            currentPlayer: resyncData.currentPlayer,
-            trickSize: resyncData.currentTrick.length,
-          });
-
-        } catch (error) {
-          console.error('[RESYNC] Error handling resync:', error);
-        }
+      if (GAME_ACTIONS.has(data.action)) {
+        await handleGameAction(connectionInfo, data);
       }
     } catch (error) {
       console.error('Error parsing WebSocket message:', error);
@@ -1105,6 +355,11 @@ wss.on('connection', async (ws, req) => {
     } catch (error) {
       console.error('Error removing connection from DynamoDB:', error);
     }
+
+    // Hand the seat to the bot if the player doesn't come back within the grace period
+    if (connectionInfo.seat !== null && !isSpectator) {
+      schedulePlayerAwayCheck(gameId.toUpperCase(), connectionInfo.seat);
+    }
   });
 
   ws.on('error', (error) => {
@@ -1157,6 +412,7 @@ class LocalWebSocketClient {
             gameId: conn.gameId,
             playerName: conn.playerName,
             seat: conn.seat,
+            spectator: conn.spectator,
           });
         } else {
           // Mark stale connections for cleanup
@@ -1176,8 +432,8 @@ class LocalWebSocketClient {
 
   async sendToPlayer(gameId, seat, message) {
     const connections = await this.getGameConnections(gameId);
-    // Find the active connection for this seat
-    const playerConnection = connections.find(conn => conn.seat === seat);
+    // Find the active connection for this seat (spectators never receive private messages)
+    const playerConnection = connections.find(conn => conn.seat === seat && !conn.spectator);
     
     if (playerConnection) {
       const result = await this.sendToConnection(playerConnection.connectionId, message);
@@ -1239,11 +495,16 @@ Endpoints:
   POST /joinGame       - Join an existing game
   POST /choosePartner  - Host selects partner (when game is full)
   POST /gameAction     - Handle game actions (play cards, etc.)
+  POST /createTournament - Create a duplicate tournament
+  POST /joinTournament - Take a seat at a tournament table
+  POST /getTournament  - Tournament standings and board results
   GET  /games          - List all games (debug)
+  GET  /games/:id/events - Event log and replayed state (debug, ?seq=N)
   GET  /health         - Health check
 
 WebSocket:
   Connect: ws://localhost:${PORT}/ws?gameId=ABC123&playerName=Alice&seat=0
+  Watch:   ws://localhost:${PORT}/ws?gameId=ABC123&playerName=Carol&spectate=true
 
 Environment:
   GAMES_TABLE: ${process.env.GAMES_TABLE || 'RookGames'}
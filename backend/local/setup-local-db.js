@@ -5,6 +5,8 @@
  * - RookGames: Main game state
  * - RookHands: Player hands/cards
  * - RookConnections: WebSocket connections with GSI
+ * - RookGameEvents: Append-only game action log
+ * - RookTournaments: Duplicate tournaments
  * 
  * Run this once after starting DynamoDB Local.
  * 
@@ -19,6 +21,8 @@ const DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT || 'http://localhost:800
 const GAMES_TABLE = process.env.GAMES_TABLE || 'RookGames';
 const HANDS_TABLE = process.env.HANDS_TABLE || 'RookHands';
 const CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE || 'RookConnections';
+const GAME_EVENTS_TABLE = process.env.GAME_EVENTS_TABLE || 'RookGameEvents';
+const TOURNAMENTS_TABLE = process.env.TOURNAMENTS_TABLE || 'RookTournaments';
 
 const client = new DynamoDBClient({
   region: 'local',
@@ -173,6 +177,85 @@ async function createConnectionsTable() {
   }
 }
 
+/**
+ * Create the GameEvents table
+ * PK: gameId (String)
+ * SK: seq (Number)
+ */
+async function createGameEventsTable() {
+  console.log(`Checking if table "${GAME_EVENTS_TABLE}" exists...`);
+  
+  const params = {
+    TableName: GAME_EVENTS_TABLE,
+    KeySchema: [
+      { AttributeName: 'gameId', KeyType: 'HASH' },
+      { AttributeName: 'seq', KeyType: 'RANGE' },
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'gameId', AttributeType: 'S' },
+      { AttributeName: 'seq', AttributeType: 'N' },
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+  };
+
+  try {
+    const exists = await tableExists(GAME_EVENTS_TABLE);
+    
+    if (exists) {
+      console.log(`✓ Table "${GAME_EVENTS_TABLE}" already exists`);
+      return;
+    }
+
+    console.log(`Creating table "${GAME_EVENTS_TABLE}"...`);
+    await client.send(new CreateTableCommand(params));
+    console.log(`✓ Created table "${GAME_EVENTS_TABLE}"`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`✓ Table "${GAME_EVENTS_TABLE}" already exists`);
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create the Tournaments table
+ * PK: tournamentId (String)
+ */
+async function createTournamentsTable() {
+  console.log(`Checking if table "${TOURNAMENTS_TABLE}" exists...`);
+  
+  const params = {
+    TableName: TOURNAMENTS_TABLE,
+    KeySchema: [
+      { AttributeName: 'tournamentId', KeyType: 'HASH' },
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'tournamentId', AttributeType: 'S' },
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+  };
+
+  try {
+    const exists = await tableExists(TOURNAMENTS_TABLE);
+    
+    if (exists) {
+      console.log(`✓ Table "${TOURNAMENTS_TABLE}" already exists`);
+      return;
+    }
+
+    console.log(`Creating table "${TOURNAMENTS_TABLE}"...`);
+    await client.send(new CreateTableCommand(params));
+    console.log(`✓ Created table "${TOURNAMENTS_TABLE}"`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`✓ Table "${TOURNAMENTS_TABLE}" already exists`);
+    } else {
+      throw error;
+    }
+  }
+}
+
 async function main() {
   console.log(`
 🗄️  Setting up Local DynamoDB Tables
@@ -191,6 +274,8 @@ Endpoint: ${DYNAMODB_ENDPOINT}
     await createGamesTable();
     await createHandsTable();
     await createConnectionsTable();
+    await createGameEventsTable();
+    await createTournamentsTable();
     
     clearTimeout(timeout);
     console.log(`
@@ -200,6 +285,8 @@ Tables created:
   - ${GAMES_TABLE} (PK: gameId)
   - ${HANDS_TABLE} (PK: gameId, SK: seat)
   - ${CONNECTIONS_TABLE} (PK: gameId, SK: connectionId, GSI: ConnectionIdIndex)
+  - ${GAME_EVENTS_TABLE} (PK: gameId, SK: seq)
+  - ${TOURNAMENTS_TABLE} (PK: tournamentId)
 `);
     process.exit(0);
   } catch (error) {
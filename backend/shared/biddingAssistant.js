@@ -0,0 +1,64 @@
+/**
+ * Bidding assistant
+ *
+ * Games with the biddingAssistant rule on send each human player, after the
+ * deal, the normal bot's evaluation of their hand (evaluateHandStrength): about
+ * how many points it should take, a bid range that follows from that, and the
+ * suit it would likely name trump. Bots get nothing; they evaluate for themselves.
+ *
+ * The evaluation only reads the hand, and only its holder sees it.
+ */
+
+const { evaluateHandStrength } = require('./botAI');
+const { STANDARD_BID_RANGE, getBidRange } = require('./botInference');
+
+// The suggested range runs from this many points under the estimate up to the estimate
+const BID_RANGE_SPREAD = 15;
+
+/**
+ * Round a bid down to the game's bid increment
+ */
+function roundToIncrement(amount, rules) {
+  return Math.floor(amount / rules.bidIncrement) * rules.bidIncrement;
+}
+
+/**
+ * Build the private handEvaluation message for a seat's new hand
+ * @param {Array<object>} players - The game's players
+ * @param {number} seat - Seat the hand was dealt to
+ * @param {Array<string>} cards - The seat's cards
+ * @param {object} rules - Resolved game rules
+ * @returns {object|null} { action: 'handEvaluation', estimatedPoints, handQuality, bestSuitLength,
+ *   likelyTrump, bidRange: { low, high } | null }, or null when the seat gets no evaluation
+ */
+function buildHandEvaluation(players, seat, cards, rules) {
+  const player = (players || []).find(p => p.seat === seat);
+  if (!rules.biddingAssistant || !player || player.isBot || cards.length === 0) {
+    return null;
+  }
+
+  const { estimatedPoints, handQuality, bestSuit, bestSuitLength } = evaluateHandStrength(cards);
+
+  // The evaluation counts points on the default deck; scale it to this game's counters
+  const { floor, ceiling } = getBidRange(rules);
+  const worth = Math.round(estimatedPoints * (ceiling / STANDARD_BID_RANGE.ceiling));
+
+  // A poor hand, or one worth less than the minimum bid, should fold
+  const high = Math.min(roundToIncrement(worth, rules), ceiling);
+  const bidRange = handQuality !== 'poor' && high >= floor
+    ? { low: Math.max(floor, roundToIncrement(worth - BID_RANGE_SPREAD, rules)), high }
+    : null;
+
+  return {
+    action: 'handEvaluation',
+    estimatedPoints: worth,
+    handQuality,
+    bestSuitLength,
+    likelyTrump: bestSuit,
+    bidRange,
+  };
+}
+
+module.exports = {
+  buildHandEvaluation,
+};
@@ -8,12 +8,29 @@
  * - 1s outrank 14s and have strong trick-taking power
  * - Point values: 5=5pts, 10=10pts, 14=10pts, 1=15pts, Rook=20pts
  * - Total points available: 180 (120 in cards + 20 Rook + 20 kitty bonus + 20 last trick bonus)
+ *
+ * The numbers behind bidding, trump choice and discards are named weights
+ * (botProfiles.js); each of those decisions takes the bot's profile weights.
  */
 
 const { getCardSuit, getCardRank, getCardPointValue, isPointCard, getCardPlayValue, 
         compareCards, getValidPlays, countCardsBySuit, sortCardsByValue, 
         calculateHandPoints } = require('./cardUtils');
-const { BID_MIN, BID_INCREMENT } = require('./gameUtils');
+const { BID_MIN, BID_INCREMENT, DEFAULT_RULES, getVariantSettings, getMinimumBid } = require('./gameUtils');
+const { BidSignal, STANDARD_BID_RANGE, STANDARD_TOP_OPENING, getBidRange, toGameBid, toStandardBid,
+        isKnownVoid, canRuff } = require('./botInference');
+const { DEFAULT_WEIGHTS } = require('./botProfiles');
+
+/**
+ * Get the seats on the other team
+ * @param {object|null} teams - Teams object { team0: [seats], team1: [seats] }
+ * @param {number|null} mySeat - Bot's seat
+ * @returns {Array<number>} Opponent seats (empty without seat info)
+ */
+function getOpponentSeats(teams, mySeat) {
+  if (!teams || mySeat === null || mySeat === undefined) return [];
+  return teams.team0.includes(mySeat) ? teams.team1 : teams.team0;
+}
 
 /**
  * Check if a specific card has been played
@@ -66,9 +83,10 @@ function analyzeSuit(hand, suit) {
 /**
  * Evaluate hand strength for bidding with detailed analysis
  * @param {Array<string>} hand - Player's hand (13 cards)
+ * @param {object} weights - Profile weights (defaults to DEFAULT_WEIGHTS)
  * @returns {object} Detailed hand evaluation
  */
-function evaluateHandStrength(hand) {
+function evaluateHandStrength(hand, weights = DEFAULT_WEIGHTS) {
   if (!hand || hand.length === 0) {
     return { 
       strength: 0, 
@@ -130,24 +148,24 @@ function evaluateHandStrength(hand) {
   let estimatedTrickPoints = 0;
   
   // 1s are very powerful - each can win a high-value trick
-  estimatedTrickPoints += numOnes * 14;
+  estimatedTrickPoints += numOnes * weights.onePoints;
   
   // 14s are strong but can be beaten by 1s
-  estimatedTrickPoints += numFourteens * 10;
+  estimatedTrickPoints += numFourteens * weights.fourteenPoints;
   
   // Long trump suit bonus (more tricks won)
   if (bestSuitLength >= 5) {
-    estimatedTrickPoints += (bestSuitLength - 4) * 8; // Each extra trump beyond 4 helps
+    estimatedTrickPoints += (bestSuitLength - 4) * weights.longTrumpPoints; // Each extra trump beyond 4 helps
   }
   
   // Rook bonus - it's the lowest trump but having it means extra control
   if (hasRook) {
-    estimatedTrickPoints += 15; // Rook helps secure points and provides flexibility
+    estimatedTrickPoints += weights.rookPoints; // Rook helps secure points and provides flexibility
   }
   
   // Having 1 in potential trump suit is huge
   if (bestSuitInfo && bestSuitInfo.has1) {
-    estimatedTrickPoints += 10; // Control of trump suit
+    estimatedTrickPoints += weights.trumpOnePoints; // Control of trump suit
   }
   
   // Short suits can be trumped - void or singleton in off-suits is valuable
@@ -159,41 +177,42 @@ function evaluateHandStrength(hand) {
       else if (suitAnalysis[suit].count === 1) singletonCount++;
     }
   }
-  estimatedTrickPoints += voidCount * 8; // Voids let us trump immediately
-  estimatedTrickPoints += singletonCount * 4; // Singletons too after one play
+  estimatedTrickPoints += voidCount * weights.voidPoints; // Voids let us trump immediately
+  estimatedTrickPoints += singletonCount * weights.singletonPoints; // Singletons too after one play
   
   // Total estimated points (conservative estimate - don't assume we get everything)
-  const estimatedPoints = Math.round(pointsInHand + (estimatedTrickPoints * 0.75));
+  const estimatedPoints = Math.round(pointsInHand + (estimatedTrickPoints * weights.trickPointsFactor));
   
   // Calculate overall strength score (0-100)
   let strength = 0;
   
   // Point cards (up to 35 points from the ~80 possible in hand)
-  strength += Math.min(35, pointsInHand * 0.45);
+  strength += Math.min(35, pointsInHand * weights.strengthPerPoint);
   
   // High cards are crucial for winning tricks (up to 25 points)
-  strength += Math.min(25, totalHighCards * 6);
+  strength += Math.min(25, totalHighCards * weights.strengthPerHighCard);
   
   // Trump suit quality (up to 20 points)
-  strength += Math.min(20, bestSuitLength * 3 + (bestSuitInfo?.highCards || 0) * 2);
+  strength += Math.min(20, bestSuitLength * weights.strengthPerTrumpCard +
+    (bestSuitInfo?.highCards || 0) * weights.strengthPerTrumpHighCard);
   
   // Rook is a significant advantage (up to 10 points)
-  if (hasRook) strength += 10;
+  if (hasRook) strength += weights.strengthRook;
   
   // Distribution (voids and singletons) helps (up to 10 points)
-  strength += Math.min(10, voidCount * 4 + singletonCount * 2);
+  strength += Math.min(10, voidCount * weights.strengthPerVoid + singletonCount * weights.strengthPerSingleton);
   
   // Determine hand quality category
   let handQuality;
-  if (strength >= 75) handQuality = 'excellent';
-  else if (strength >= 60) handQuality = 'strong';
-  else if (strength >= 45) handQuality = 'good';
-  else if (strength >= 30) handQuality = 'fair';
+  if (strength >= weights.excellentStrength) handQuality = 'excellent';
+  else if (strength >= weights.strongStrength) handQuality = 'strong';
+  else if (strength >= weights.goodStrength) handQuality = 'good';
+  else if (strength >= weights.fairStrength) handQuality = 'fair';
   else handQuality = 'poor';
 
   return {
     strength: Math.min(100, Math.round(strength)),
-    estimatedPoints: Math.min(180, Math.round(estimatedPoints)),
+    estimatedPoints: Math.min(STANDARD_BID_RANGE.ceiling, Math.round(estimatedPoints)),
     hasRook,
     numOnes,
     numFourteens,
@@ -223,6 +242,9 @@ function evaluateHandStrength(hand) {
  * 2. If your partner folds, you MUST bid at least 120
  * 3. Use BIG jumps to communicate hand strength, not just +5 increments
  * 4. Having the Rook means bid aggressively
+ *
+ * Every amount here, weights included, is on the standard 50-180 bid range;
+ * decideBid moves bids to and from the game's range.
  * 
  * @param {Array<string>} hand - Player's hand
  * @param {number} highBid - Current high bid (0 if no bid yet)
@@ -230,10 +252,12 @@ function evaluateHandStrength(hand) {
  * @param {number|null} mySeat - Bot's seat (optional, for partner awareness)
  * @param {number|null} highBidderSeat - Seat of current high bidder (optional)
  * @param {object|null} teams - Teams object (optional)
+ * @param {object} weights - Profile weights (defaults to DEFAULT_WEIGHTS)
  * @returns {object} { action: 'bid' | 'pass', amount: number | null }
  */
-function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = null, teams = null) {
-  const evaluation = evaluateHandStrength(hand);
+function decideStandardBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = null, teams = null,
+                           weights = DEFAULT_WEIGHTS) {
+  const evaluation = evaluateHandStrength(hand, weights);
   const { 
     strength, 
     estimatedPoints, 
@@ -250,8 +274,8 @@ function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = n
               `ones=${numOnes}, highCards=${totalHighCards}, pointsInHand=${pointsInHand}`);
 
   // CRITICAL: Minimum bid thresholds - NEVER let anyone take kitty cheap
-  const ABSOLUTE_MIN_BID = 125;  // Never let anyone win for less than this
-  const PARTNER_FOLDED_MIN = 120; // If partner folded, must bid at least this
+  const ABSOLUTE_MIN_BID = weights.absoluteMinBid;     // Never let anyone win for less than this
+  const PARTNER_FOLDED_MIN = weights.partnerFoldedMin; // If partner folded, must bid at least this
   
   // Determine if partner has passed (if we have seat info)
   let partnerPassed = false;
@@ -302,30 +326,30 @@ function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = n
   let maxComfortableBid;
   
   if (handQuality === 'excellent') {
-    maxComfortableBid = Math.min(150, Math.round(estimatedPoints * 0.95));
+    maxComfortableBid = Math.min(weights.excellentBidCap, Math.round(estimatedPoints * weights.excellentBidFactor));
   } else if (handQuality === 'strong') {
-    maxComfortableBid = Math.min(140, Math.round(estimatedPoints * 0.90));
+    maxComfortableBid = Math.min(weights.strongBidCap, Math.round(estimatedPoints * weights.strongBidFactor));
   } else if (handQuality === 'good') {
-    maxComfortableBid = Math.min(135, Math.round(estimatedPoints * 0.85));
+    maxComfortableBid = Math.min(weights.goodBidCap, Math.round(estimatedPoints * weights.goodBidFactor));
   } else if (handQuality === 'fair') {
-    maxComfortableBid = Math.min(130, Math.round(estimatedPoints * 0.80));
+    maxComfortableBid = Math.min(weights.fairBidCap, Math.round(estimatedPoints * weights.fairBidFactor));
   } else {
     maxComfortableBid = ABSOLUTE_MIN_BID; // Even weak hands push to minimum
   }
   
   // Rook bonus
   if (hasRook) {
-    maxComfortableBid = Math.max(maxComfortableBid, 135);
+    maxComfortableBid = Math.max(maxComfortableBid, weights.rookBidFloor);
   }
   
   // Multiple 1s bonus
   if (numOnes >= 2) {
-    maxComfortableBid = Math.min(155, maxComfortableBid + (numOnes - 1) * 10);
+    maxComfortableBid = Math.min(weights.maxBid, maxComfortableBid + (numOnes - 1) * weights.extraOneBid);
   }
   
   // Strong trump suit bonus
   if (bestSuitLength >= 6) {
-    maxComfortableBid = Math.min(155, maxComfortableBid + 5);
+    maxComfortableBid = Math.min(weights.maxBid, maxComfortableBid + weights.longTrumpBid);
   }
   
   // RULE: If partner folded, we MUST push to at least PARTNER_FOLDED_MIN
@@ -352,7 +376,7 @@ function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = n
       }
       // With Rook + good hand, can open even higher
       if (hasRook && numOnes >= 1) {
-        openingBid = Math.max(openingBid, 110);
+        openingBid = Math.max(openingBid, STANDARD_TOP_OPENING);
       }
     } else if (isSettingHand) {
       // Signal: "I can help you" - open at 80-90
@@ -485,6 +509,46 @@ function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = n
   return { action: 'pass', amount: null };
 }
 
+/**
+ * Decide whether to bid or pass under the game's house rules
+ *
+ * decideStandardBid's thresholds are tuned for the standard 50-180 bid range,
+ * so the current high bid is moved onto that range first (toStandardBid), and
+ * the chosen bid is moved back onto the game's (toGameBid) and snapped to a
+ * legal amount (minimum bid, bid increment, total points).
+ *
+ * @param {Array<string>} hand - Player's hand
+ * @param {number} highBid - Current high bid (0 if no bid yet)
+ * @param {Array<number>} passed - Array of seats that have passed
+ * @param {number|null} mySeat - Bot's seat (optional, for partner awareness)
+ * @param {number|null} highBidderSeat - Seat of current high bidder (optional)
+ * @param {object|null} teams - Teams object (optional)
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @param {object} weights - Profile weights (defaults to DEFAULT_WEIGHTS)
+ * @returns {object} { action: 'bid' | 'pass', amount: number | null }
+ */
+function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = null, teams = null, rules = DEFAULT_RULES,
+                   weights = DEFAULT_WEIGHTS) {
+  const maxBid = getBidRange(rules).ceiling;
+  const standardHighBid = highBid > 0 ? Math.round(toStandardBid(highBid, rules)) : 0;
+
+  const decision = decideStandardBid(hand, standardHighBid, passed, mySeat, highBidderSeat, teams, weights);
+  if (decision.action !== 'bid') {
+    return decision;
+  }
+
+  const minimumBid = getMinimumBid(highBid, rules);
+  const scaledBid = Math.ceil(toGameBid(decision.amount, rules) / rules.bidIncrement) * rules.bidIncrement;
+  const amount = Math.max(minimumBid, scaledBid);
+
+  if (amount > maxBid) {
+    console.log(`[BOT_AI] Bid ${amount} exceeds the ${maxBid} points available, passing`);
+    return { action: 'pass', amount: null };
+  }
+
+  return { action: 'bid', amount };
+}
+
 /**
  * Choose trump suit based on hand strength
  * 
@@ -495,9 +559,11 @@ function decideBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = n
  * 4. A longer suit can compensate for missing some top cards
  * 
  * @param {Array<string>} hand - Player's hand after receiving kitty (18 cards)
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @param {object} weights - Profile weights (defaults to DEFAULT_WEIGHTS)
  * @returns {string} Trump suit ('Red', 'Green', 'Yellow', or 'Black')
  */
-function chooseTrump(hand) {
+function chooseTrump(hand, rules = DEFAULT_RULES, weights = DEFAULT_WEIGHTS) {
   const suits = ['Red', 'Green', 'Yellow', 'Black'];
   
   // Detailed analysis for each suit
@@ -512,21 +578,21 @@ function chooseTrump(hand) {
     const has12 = suitCards.some(card => getCardRank(card) === 12);
     
     // Count point cards in this suit
-    const pointCards = suitCards.filter(isPointCard);
-    const points = pointCards.reduce((sum, card) => sum + getCardPointValue(card), 0);
+    const pointCards = suitCards.filter(card => isPointCard(card, rules));
+    const points = pointCards.reduce((sum, card) => sum + getCardPointValue(card, rules), 0);
     
     // Calculate trump strength score
-    // Suit length is most important (each card = 15 points)
+    // Suit length is most important (each card = 15 points by default)
     // Having the 1 is huge (25 points) - controls the suit
     // Having the 14 is valuable (15 points)
     // Having 13, 12 adds some value (5 points each)
     // Point cards add value too
-    let score = count * 15;
-    if (has1) score += 25;
-    if (has14) score += 15;
-    if (has13) score += 5;
-    if (has12) score += 5;
-    score += points * 0.5;
+    let score = count * weights.trumpLengthScore;
+    if (has1) score += weights.trumpOneScore;
+    if (has14) score += weights.trumpFourteenScore;
+    if (has13) score += weights.trumpHonorScore;
+    if (has12) score += weights.trumpHonorScore;
+    score += points * weights.trumpPointsFactor;
     
     return { suit, count, has1, has14, has13, has12, points, score };
   });
@@ -550,7 +616,7 @@ function chooseTrump(hand) {
  * Analyze hand for discard decisions
  * Groups cards by suit and identifies vulnerable/safe cards
  */
-function analyzeHandForDiscard(hand, trump) {
+function analyzeHandForDiscard(hand, trump, rules = DEFAULT_RULES) {
   const suits = ['Red', 'Green', 'Yellow', 'Black'];
   const analysis = {};
   
@@ -563,16 +629,16 @@ function analyzeHandForDiscard(hand, trump) {
     const has14 = suitCards.some(card => getCardRank(card) === 14);
     
     // Identify point cards in this suit
-    const pointCards = suitCards.filter(isPointCard);
-    const nonPointCards = suitCards.filter(card => !isPointCard(card));
+    const pointCards = suitCards.filter(card => isPointCard(card, rules));
+    const nonPointCards = suitCards.filter(card => !isPointCard(card, rules));
     
     // Sort cards by "keep priority" (higher = keep)
     // 1s are highest, then 14s, then other point cards, then by rank
     const sortedByPriority = [...suitCards].sort((a, b) => {
       const rankA = getCardRank(a);
       const rankB = getCardRank(b);
-      const pointsA = getCardPointValue(a);
-      const pointsB = getCardPointValue(b);
+      const pointsA = getCardPointValue(a, rules);
+      const pointsB = getCardPointValue(b, rules);
       
       // 1s are most valuable (trick winners)
       if (rankA === 1) return -1;
@@ -618,14 +684,27 @@ function analyzeHandForDiscard(hand, trump) {
  * 4. Keep off-suit 1s (they win tricks on their own)
  * 5. Minimize trump discards - only discard low trump if necessary
  * 6. Discard low-ranking off-suit cards
+ * 7. If an opponent bid high (supporting or taking), they hold the 1s and 14s that
+ *    catch unprotected counters - bury those counters from slightly longer suits too
  * 
  * @param {Array<string>} hand - Player's hand with kitty (18 cards)
  * @param {string} trump - Chosen trump suit
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @param {object} gameContext - Optional { mySeat, teams, inference, weights }
  * @returns {Array<string>} Array of 5 cards to discard
  */
-function chooseDiscard(hand, trump) {
+function chooseDiscard(hand, trump, rules = DEFAULT_RULES, gameContext = {}) {
   const DISCARD_COUNT = 5;
-  const { suits: suitAnalysis, hasRook } = analyzeHandForDiscard(hand, trump);
+  const { suits: suitAnalysis, hasRook } = analyzeHandForDiscard(hand, trump, rules);
+  const { inference = null, mySeat = null, teams = null, weights = DEFAULT_WEIGHTS } = gameContext;
+
+  // How short a suit must be for its unprotected counters to be buried first
+  const opponentsBidHigh = Boolean(inference) && getOpponentSeats(teams, mySeat).some(seat =>
+    [BidSignal.TAKING, BidSignal.SUPPORTING].includes(inference.bidSignals[seat]));
+  const isolatedSuitLength = opponentsBidHigh ? weights.isolatedSuitLengthVsHighBid : weights.isolatedSuitLength;
+  if (opponentsBidHigh) {
+    console.log('[BOT_AI] Opponents bid high - burying unprotected counters');
+  }
   
   console.log('[BOT_AI] Discard analysis:');
   for (const [suit, info] of Object.entries(suitAnalysis)) {
@@ -658,7 +737,7 @@ function chooseDiscard(hand, trump) {
   // Identify suits to void (non-trump suits where we don't have the 1)
   const suitsToVoid = [];
   for (const [suit, info] of Object.entries(suitAnalysis)) {
-    if (!info.isTrump && !info.has1 && info.count > 0 && info.count <= 4) {
+    if (!info.isTrump && !info.has1 && info.count > 0 && info.count <= weights.voidSuitMaxLength) {
       // Good candidate for voiding
       suitsToVoid.push({ suit, ...info });
     }
@@ -667,8 +746,8 @@ function chooseDiscard(hand, trump) {
   // Sort suits to void by: fewest cards first, then by least points
   suitsToVoid.sort((a, b) => {
     if (a.count !== b.count) return a.count - b.count;
-    const pointsA = a.pointCards.reduce((sum, c) => sum + getCardPointValue(c), 0);
-    const pointsB = b.pointCards.reduce((sum, c) => sum + getCardPointValue(c), 0);
+    const pointsA = a.pointCards.reduce((sum, c) => sum + getCardPointValue(c, rules), 0);
+    const pointsB = b.pointCards.reduce((sum, c) => sum + getCardPointValue(c, rules), 0);
     return pointsA - pointsB;
   });
   
@@ -705,8 +784,8 @@ function chooseDiscard(hand, trump) {
       const suitB = getCardSuit(b);
       const rankA = getCardRank(a);
       const rankB = getCardRank(b);
-      const pointsA = getCardPointValue(a);
-      const pointsB = getCardPointValue(b);
+      const pointsA = getCardPointValue(a, rules);
+      const pointsB = getCardPointValue(b, rules);
       
       // If one is a vulnerable point card (no 1 in suit), prefer discarding it
       const vulnA = !suitAnalysis[suitA]?.has1 && pointsA > 0;
@@ -714,8 +793,8 @@ function chooseDiscard(hand, trump) {
       
       // Vulnerable point cards should be discarded (they'll be lost to opponents anyway)
       // But only if they're isolated (few cards in suit)
-      if (vulnA && !vulnB && suitAnalysis[suitA]?.count <= 2) return -1;
-      if (vulnB && !vulnA && suitAnalysis[suitB]?.count <= 2) return 1;
+      if (vulnA && !vulnB && suitAnalysis[suitA]?.count <= isolatedSuitLength) return -1;
+      if (vulnB && !vulnA && suitAnalysis[suitB]?.count <= isolatedSuitLength) return 1;
       
       // Otherwise, prefer discarding low non-point cards
       if (pointsA === 0 && pointsB > 0) return -1;
@@ -829,11 +908,12 @@ function chooseDiscard(hand, trump) {
  * @param {string|null} ledSuit - Led suit (null if leading)
  * @param {object} teams - Teams object { team0: [seats], team1: [seats] }
  * @param {number} mySeat - Bot's seat
- * @param {object} gameContext - Additional context { bidWinner, myTeamBid, cardsPlayed, tricksRemaining }
+ * @param {object} gameContext - Additional context { bidWinner, myTeamBid, cardsPlayed, tricksRemaining, rules }
  * @returns {string} Card to play
  */
 function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext = {}) {
-  const validPlays = getValidPlays(hand, ledSuit, trump);
+  const { rules = DEFAULT_RULES } = gameContext;
+  const validPlays = getValidPlays(hand, ledSuit, trump, rules);
 
   if (validPlays.length === 0) {
     console.warn('[BOT_AI] No valid plays - fallback to first card');
@@ -854,21 +934,30 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   
   // Leading the trick
   if (currentTrick.length === 0) {
-    return chooseLeadCard(hand, trump, isOffensive, gameContext);
+    return chooseLeadCard(hand, trump, isOffensive, { ...gameContext, mySeat, teams });
   }
 
   // Following - analyze the current trick state
   const trickCards = currentTrick.map(t => t.card);
   const position = currentTrick.length; // 0=lead, 1=2nd, 2=3rd, 3=last
   const isLastToPlay = position === 3;
+
+  // Safe as if last: every opponent still to play has shown out of the led suit and
+  // can't trump (out of trump too, or no trump left unseen)
+  const { inference = null } = gameContext;
+  const laterOpponents = [1, 2, 3].slice(0, 3 - position)
+    .map(offset => (mySeat + offset) % 4)
+    .filter(seat => !teams[myTeam].includes(seat));
+  const isEffectivelyLast = isLastToPlay || (Boolean(inference) && laterOpponents.every(seat =>
+    isKnownVoid(inference, seat, ledSuit) && (isKnownVoid(inference, seat, trump) || inference.trumpsOut.length === 0)));
   
   // Determine current winner
   let currentWinner = currentTrick[0].seat;
   let winningCard = currentTrick[0].card;
-  let winningValue = getCardPlayValue(currentTrick[0].card, trump, ledSuit);
+  let winningValue = getCardPlayValue(currentTrick[0].card, trump, ledSuit, rules);
 
   for (let i = 1; i < currentTrick.length; i++) {
-    const value = getCardPlayValue(currentTrick[i].card, trump, ledSuit);
+    const value = getCardPlayValue(currentTrick[i].card, trump, ledSuit, rules);
     if (value > winningValue) {
       winningValue = value;
       currentWinner = currentTrick[i].seat;
@@ -881,7 +970,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   const isOpponentWinning = !isTeammateWinning;
 
   // Calculate point value of current trick
-  const trickPoints = trickCards.reduce((sum, card) => sum + getCardPointValue(card), 0);
+  const trickPoints = trickCards.reduce((sum, card) => sum + getCardPointValue(card, rules), 0);
   
   // Check if we're following suit or void
   const canFollowSuit = validPlays.some(card => getCardSuit(card) === ledSuit);
@@ -889,8 +978,8 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   
   // Categorize valid plays
   const trumpPlays = validPlays.filter(card => getCardSuit(card) === trump || card === 'Rook');
-  const pointPlays = validPlays.filter(isPointCard);
-  const nonPointPlays = validPlays.filter(card => !isPointCard(card));
+  const pointPlays = validPlays.filter(card => isPointCard(card, rules));
+  const nonPointPlays = validPlays.filter(card => !isPointCard(card, rules));
   
   console.log(`[BOT_AI] Trick analysis: position=${position}, partnerWinning=${isPartnerWinning}, ` +
               `trickPoints=${trickPoints}, isVoid=${isVoid}, offensive=${isOffensive}`);
@@ -915,7 +1004,11 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
     let partnerHasHighestTrump = false;
     if (isPartnerWinning && winningCard) {
       const partnerCardSuit = getCardSuit(winningCard);
-      if (partnerCardSuit === trump || winningCard === 'Rook') {
+      const { rookHigh } = getVariantSettings(rules);
+      if (winningCard === 'Rook' && rookHigh) {
+        // Tournament rules: the Rook is the highest trump, nothing can beat it
+        partnerHasHighestTrump = true;
+      } else if (partnerCardSuit === trump || winningCard === 'Rook') {
         // Partner is winning with trump - check if any higher trump has been played
         const partnerCardRank = winningCard === 'Rook' ? 0 : getCardRank(winningCard);
         // Check if any trump higher than partner's has been played
@@ -925,14 +1018,16 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
           const rank = getCardRank(card);
           return suit === trump && rank > partnerCardRank;
         });
-        partnerHasHighestTrump = higherTrumpsPlayed.length === 0;
+        // Tournament rules: an unseen Rook could still beat partner's trump
+        const rookAccountedFor = !rookHigh || hand.includes('Rook') || hasCardBeenPlayed('Rook', cardsPlayed);
+        partnerHasHighestTrump = higherTrumpsPlayed.length === 0 && rookAccountedFor;
       }
     }
     
     // Check if we can safely feed partner points
     // Feed when: partner is winning AND (we're last OR partner has highest card of that suit)
     const canFeedPartner = isPartnerWinning && (
-      isLastToPlay || 
+      isEffectivelyLast || 
       (partnerLed && partnerLedSuit && partnerLedSuit !== trump && 
        // Check if partner has the highest card of that suit (1 or highest remaining)
        (partnerLedRank === 1 || !hasCardBeenPlayed(`${partnerLedSuit}1`, cardsPlayed)))
@@ -945,14 +1040,14 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
         const rank = getCardRank(card);
         
         // Don't feed cards that would beat partner's winning card
-        const cardValue = getCardPlayValue(card, trump, ledSuit);
+        const cardValue = getCardPlayValue(card, trump, ledSuit, rules);
         if (cardValue > winningValue) {
           return false; // Would overtake partner
         }
         
         // Can feed Rook if partner has highest trump or we're last (check BEFORE off-suit check)
         if (card === 'Rook') {
-          return partnerHasHighestTrump || isLastToPlay;
+          return partnerHasHighestTrump || isEffectivelyLast;
         }
         
         // Don't feed 14s if partner has 1 (don't feed 14s to 1s)
@@ -974,7 +1069,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
       if (safePointsToFeed.length > 0) {
         // Feed the highest point card we can (maximize points for our team)
         const sorted = safePointsToFeed.sort((a, b) => 
-          getCardPointValue(b) - getCardPointValue(a)
+          getCardPointValue(b, rules) - getCardPointValue(a, rules)
         );
         console.log(`[BOT_AI] Feeding partner: ${sorted[0]}`);
         return sorted[0];
@@ -1007,7 +1102,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
             if (lowCards.length === 0) lowCards = ourCardsInSuit; // Fallback
           }
           
-          const sortedLow = sortCardsByValue(lowCards, trump, ledSuit, true); // Ascending
+          const sortedLow = sortCardsByValue(lowCards, trump, ledSuit, true, rules); // Ascending
           console.log(`[BOT_AI] Partner led high (${partnerLedRank}) - playing low: ${sortedLow[0]}`);
           return sortedLow[0];
         } else if (partnerLedRank <= 5 && partnerLedRank !== 1) {
@@ -1028,7 +1123,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
               if (safeHighCards.length === 0) safeHighCards = highCards; // Fallback
             }
             
-            const sortedHigh = sortCardsByValue(safeHighCards, trump, ledSuit, false); // Descending
+            const sortedHigh = sortCardsByValue(safeHighCards, trump, ledSuit, false, rules); // Descending
             console.log(`[BOT_AI] Partner led low (${partnerLedRank}) - playing high: ${sortedHigh[0]}`);
             return sortedHigh[0];
           }
@@ -1058,7 +1153,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
       }
     }
     
-    const sorted = sortCardsByValue(safePlays, trump, ledSuit, true); // Ascending
+    const sorted = sortCardsByValue(safePlays, trump, ledSuit, true, rules); // Ascending
     
     // Prefer non-trump low cards if void
     if (isVoid && nonPointPlays.length > 0) {
@@ -1089,7 +1184,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   
   // Calculate if we CAN win
   let winningPlays = validPlays.filter(card => {
-    const value = getCardPlayValue(card, trump, ledSuit);
+    const value = getCardPlayValue(card, trump, ledSuit, rules);
     return value > winningValue;
   });
   
@@ -1123,23 +1218,23 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   if (canWin && shouldTryToWin) {
     // Find the CHEAPEST winning card
     const sortedWinners = winningPlays.sort((a, b) => {
-      const valueA = getCardPlayValue(a, trump, ledSuit);
-      const valueB = getCardPlayValue(b, trump, ledSuit);
+      const valueA = getCardPlayValue(a, trump, ledSuit, rules);
+      const valueB = getCardPlayValue(b, trump, ledSuit, rules);
       return valueA - valueB; // Lowest winning card first
     });
     
     const cheapestWinner = sortedWinners[0];
-    const cheapestWinnerValue = getCardPlayValue(cheapestWinner, trump, ledSuit);
+    const cheapestWinnerValue = getCardPlayValue(cheapestWinner, trump, ledSuit, rules);
     
     // Check if the cost is worth it
     // Don't waste trump on low-value tricks unless necessary
     const isTrumpCard = getCardSuit(cheapestWinner) === trump || cheapestWinner === 'Rook';
     const is1Card = getCardRank(cheapestWinner) === 1;
     
-    if (isTrumpCard && trickPoints < 10 && !isLastToPlay) {
+    if (isTrumpCard && trickPoints < 10 && !isEffectivelyLast) {
       // Don't waste trump on low-value trick unless we're last
       console.log(`[BOT_AI] Not worth trumping for ${trickPoints} points`);
-    } else if (is1Card && trickPoints < 15 && !isLastToPlay) {
+    } else if (is1Card && trickPoints < 15 && !isEffectivelyLast) {
       // Don't waste a 1 (ace) on low-value trick
       console.log(`[BOT_AI] Saving ace for better opportunity`);
     } else {
@@ -1174,7 +1269,7 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   
   // Find safest card to slough (using safeSloughCandidates which excludes 14s if 1 hasn't been played)
   const sloughCandidates = safeSloughCandidates.filter(card => {
-    const points = getCardPointValue(card);
+    const points = getCardPointValue(card, rules);
     // Avoid sloughing Rook or big points to opponents
     if (card === 'Rook') return false;
     if (points >= 10) return false; // Don't give 10+ points to opponents
@@ -1206,8 +1301,8 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
   // Play lowest value card we have, but NEVER give away the Rook to opponents
   const allSorted = [...validPlays].sort((a, b) => {
     // Sort by: non-point first, then low rank
-    const pointsA = getCardPointValue(a);
-    const pointsB = getCardPointValue(b);
+    const pointsA = getCardPointValue(a, rules);
+    const pointsB = getCardPointValue(b, rules);
     if (pointsA !== pointsB) return pointsA - pointsB;
     return getCardRank(a) - getCardRank(b);
   });
@@ -1238,19 +1333,42 @@ function chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gam
  * - Lead suits where you have the 1 (guaranteed win)
  * - Force opponents to use their trump
  * 
+ * With an inference model (gameContext.inference):
+ * - Never lead a side suit an opponent has shown out of while they may still trump it
+ * - Stop pulling trump once the opponents can't have any
+ * 
  * @param {Array<string>} hand - Player's hand
  * @param {string} trump - Trump suit
  * @param {boolean} isOffensive - True if bot's team won the bid
- * @param {object} gameContext - Additional context
+ * @param {object} gameContext - Additional context (mySeat and teams let it use the inference)
  * @returns {string} Card to lead
  */
 function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
+  const { rules = DEFAULT_RULES, inference = null, mySeat = null, teams = null } = gameContext;
   const suits = ['Red', 'Green', 'Yellow', 'Black'];
+  const opponents = getOpponentSeats(teams, mySeat);
+
+  // Side suits an opponent would trump; lead them only when nothing else is left
+  const ruffedSuits = inference
+    ? suits.filter(suit => opponents.some(seat => canRuff(inference, seat, suit, trump)))
+    : [];
+  const hasSafeSideCard = hand.some(card => {
+    const suit = getCardSuit(card);
+    return suit !== trump && suit !== 'Rook' && !ruffedSuits.includes(suit);
+  });
+  const avoidedSuits = hasSafeSideCard ? ruffedSuits : [];
+  if (avoidedSuits.length > 0) {
+    console.log(`[BOT_AI] Opponents can trump ${avoidedSuits.join(', ')} - not leading it`);
+  }
+
+  // Opponents may still hold trump unless every unseen trump is accounted for
+  const opponentsMayHaveTrump = !inference || (inference.trumpsOut.length > 0 &&
+    (opponents.length === 0 || opponents.some(seat => !isKnownVoid(inference, seat, trump))));
   
   // Analyze hand by suit
   const suitInfo = {};
   for (const suit of suits) {
-    const cards = hand.filter(card => getCardSuit(card) === suit);
+    const cards = avoidedSuits.includes(suit) ? [] : hand.filter(card => getCardSuit(card) === suit);
     const has1 = cards.some(c => getCardRank(c) === 1);
     const has14 = cards.some(c => getCardRank(c) === 14);
     const highestRank = cards.length > 0 ? Math.max(...cards.map(getCardRank)) : 0;
@@ -1266,9 +1384,16 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
 
   // ==================== OFFENSIVE PLAY (Bidding Team) ====================
   if (isOffensive) {
+    // Priority 0 (tournament rules): the Rook is the top trump, so leading it
+    // pulls trump and banks its points without any risk of losing it
+    if (hasRook && getVariantSettings(rules).rookHigh && trumpCards.length >= 2) {
+      console.log('[BOT_AI] Pulling trump with the Rook (highest trump)');
+      return 'Rook';
+    }
+
     // Priority 1: Pull trump early (if we have good trump)
     // Lead trump to flush out opponents' trump
-    if (trumpCards.length >= 3 || (trumpCards.length >= 2 && trumpInfo?.has1)) {
+    if (opponentsMayHaveTrump && (trumpCards.length >= 3 || (trumpCards.length >= 2 && trumpInfo?.has1))) {
       // We have trump strength - lead trump to pull
       // Strategy: Lead 1 first when we have both 1 and 13 (in case partner has trump/points to throw)
       // Otherwise prefer non-point trump, then high point trump
@@ -1285,7 +1410,7 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
         console.log(`[BOT_AI] Pulling trump with 1 (have both 1 and 13/14): ${trumpToLead}`);
       } else {
         // Prefer non-point trump cards when possible
-        const nonPointTrump = trumpCards.filter(card => !isPointCard(card));
+        const nonPointTrump = trumpCards.filter(card => !isPointCard(card, rules));
         
         if (nonPointTrump.length > 0) {
           // Lead non-point trump (save point cards for later)
@@ -1332,7 +1457,7 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
     // Priority 3: Lead non-point cards from off-suits (avoid leading point cards)
     for (const suit of suits) {
       if (suit === trump) continue;
-      const nonPointCards = suitInfo[suit].cards.filter(card => !isPointCard(card));
+      const nonPointCards = suitInfo[suit].cards.filter(card => !isPointCard(card, rules));
       if (nonPointCards.length > 0) {
         // Lead highest non-point card
         const sorted = nonPointCards.sort((a, b) => getCardRank(b) - getCardRank(a));
@@ -1370,7 +1495,7 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
     // Priority 2.5: Lead low point cards (like 5s) to tempt opponents to waste trump
     for (const suit of suits) {
       if (suit === trump) continue;
-      const pointCards = suitInfo[suit].cards.filter(card => isPointCard(card));
+      const pointCards = suitInfo[suit].cards.filter(card => isPointCard(card, rules));
       // Look for low point cards (5s) that we can lead to fish out trump
       const lowPointCards = pointCards.filter(card => {
         const rank = getCardRank(card);
@@ -1392,7 +1517,7 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
     
     if (shortSuits.length > 0) {
       for (const suit of shortSuits) {
-        const nonPointCards = suitInfo[suit].cards.filter(card => !isPointCard(card));
+        const nonPointCards = suitInfo[suit].cards.filter(card => !isPointCard(card, rules));
         if (nonPointCards.length > 0) {
           // Lead low non-point card from short suit
           const lowCard = nonPointCards.sort((a, b) => getCardRank(a) - getCardRank(b))[0];
@@ -1412,7 +1537,7 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
     for (const suit of suits) {
       if (suit === trump) continue;
       if (suitInfo[suit].count >= 3) {
-        const nonPointCards = suitInfo[suit].cards.filter(card => !isPointCard(card));
+        const nonPointCards = suitInfo[suit].cards.filter(card => !isPointCard(card, rules));
         if (nonPointCards.length > 0) {
           // Lead low non-point card
           const sorted = nonPointCards.sort((a, b) => getCardRank(a) - getCardRank(b));
@@ -1449,7 +1574,7 @@ function chooseLeadCard(hand, trump, isOffensive = true, gameContext = {}) {
   
   if (longestSuit && maxLength > 0) {
     const cards = suitInfo[longestSuit].cards;
-    const nonPointCards = cards.filter(card => !isPointCard(card));
+    const nonPointCards = cards.filter(card => !isPointCard(card, rules));
     
     if (nonPointCards.length > 0) {
       // Lead mid-high non-point card
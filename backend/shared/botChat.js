@@ -0,0 +1,201 @@
+/**
+ * Bot quick chat
+ *
+ * Games with the botChat rule on let bots react to the table with the same quick
+ * chat phrases players pick from (QuickChatModal): "Oof" when their team is set,
+ * "Thanks partner!" when their partner takes a big trick, a groan when the other
+ * team sweeps, "Good game!" at the end, and "Hurry up!" when a human has a long
+ * think over a timed turn.
+ *
+ * Each reaction is the bot's own quickChat action, its broadcast added to the
+ * events of the action that caused it, so players see it exactly like a human's chat.
+ * A long think has no action to react to: when a human's timed turn starts, the
+ * turn timer path also schedules a check LONG_THINK_MS in (getLongThinkTime), and
+ * botAction has an opponent bot speak if that turn is still pending then
+ * (buildLongThinkChat). Bots covering for away players stay quiet. To keep bots
+ * from flooding the table,
+ * the game allows one bot message per BOT_CHAT_COOLDOWN_MS and BOT_CHAT_PER_HAND
+ * per hand, tracked on the game as botChatLog ({ lastAt, round, count }).
+ */
+
+const { EventType, applyAction } = require('./gameEngine');
+const { isBot, isBotControlled } = require('./botUtils');
+const { resolveRules } = require('./gameUtils');
+
+// Shortest gap between two bot messages in a game
+const BOT_CHAT_COOLDOWN_MS = 20000;
+
+// Most bot messages in one hand
+const BOT_CHAT_PER_HAND = 3;
+
+// A trick worth this much is a big one
+const BIG_TRICK_POINTS = 20;
+
+// A human still on the clock this long into a timed turn is having a long think
+const LONG_THINK_MS = 45000;
+
+const Phrase = {
+  SET: 'Oof',
+  SET_BIDDER: 'My bad...',
+  BIG_TRICK: 'Thanks partner!',
+  SWEPT: 'The Rook gods are displeased...',
+  SWEEP: 'Nice play!',
+  GAME_OVER: 'Good game!',
+  LONG_THINK: 'Hurry up!',
+};
+
+function getTeam(teams, seat) {
+  return teams.team0.includes(seat) ? 'team0' : 'team1';
+}
+
+/**
+ * Bot seats, in seat order, that pass the filter
+ */
+function findBots(state, filter) {
+  return [0, 1, 2, 3].filter(seat => isBot(state.players || [], seat) && filter(seat));
+}
+
+/**
+ * Pick what a bot says about an action, if anything
+ * @returns {object|null} { seat, message }
+ */
+function chooseReaction(before, events) {
+  const messages = events.filter(event => event.type === EventType.BROADCAST).map(event => event.message);
+  const teams = before.teams;
+
+  const handComplete = messages.find(message => message.action === 'handComplete');
+  if (handComplete) {
+    const { bidTeam, madeBid, shootTheMoon, gameOver } = handComplete;
+    if (gameOver) {
+      const [bot] = findBots(before, () => true);
+      return bot === undefined ? null : { seat: bot, message: Phrase.GAME_OVER };
+    }
+    if (shootTheMoon) {
+      const [swept] = findBots(before, s => getTeam(teams, s) !== bidTeam);
+      if (swept !== undefined) return { seat: swept, message: Phrase.SWEPT };
+      const [sweeper] = findBots(before, s => getTeam(teams, s) === bidTeam);
+      return sweeper === undefined ? null : { seat: sweeper, message: Phrase.SWEEP };
+    }
+    if (!madeBid) {
+      const [bot] = findBots(before, s => getTeam(teams, s) === bidTeam);
+      if (bot === undefined) return null;
+      return { seat: bot, message: bot === before.bidWinner ? Phrase.SET_BIDDER : Phrase.SET };
+    }
+    return null;
+  }
+
+  const trickWon = messages.find(message => message.action === 'trickWon');
+  if (trickWon && trickWon.points >= BIG_TRICK_POINTS) {
+    const partner = (trickWon.winner + 2) % 4;
+    if (isBot(before.players || [], partner)) {
+      return { seat: partner, message: Phrase.BIG_TRICK };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Have a bot say its reaction after a result, within the game's chat limits
+ * @param {object} state - State the limits are read from
+ * @param {object} result - { state, events } the chat is added to
+ * @param {function} pickReaction - Returns { seat, message } or null, called only within the limits
+ * @param {number} now - Current time in ms
+ * @returns {object|null} The result with a quickChat broadcast and the updated botChatLog, or null if no bot spoke
+ */
+function sayReaction(state, result, pickReaction, now) {
+  const log = state.botChatLog || {};
+  const round = state.currentRound || 0;
+  const countThisHand = log.round === round ? log.count : 0;
+  if (now - (log.lastAt || 0) < BOT_CHAT_COOLDOWN_MS || countThisHand >= BOT_CHAT_PER_HAND) {
+    return null;
+  }
+
+  const reaction = pickReaction();
+  if (!reaction) {
+    return null;
+  }
+
+  // The bot chats the way a player does
+  const chat = applyAction(result.state, reaction.seat, { action: 'quickChat', message: reaction.message }, now);
+  if (chat.error) {
+    return null;
+  }
+
+  console.log(`[BOT_CHAT] Seat ${reaction.seat} in ${state.gameId}: ${reaction.message}`);
+  return {
+    state: { ...chat.state, botChatLog: { lastAt: now, round, count: countThisHand + 1 } },
+    events: [...result.events, ...chat.events],
+  };
+}
+
+/**
+ * Add the bots' reaction to an action's result, within the game's chat limits
+ * @param {object} before - State the action was applied to
+ * @param {object} result - Engine result { state, events }
+ * @param {number} [now] - Current time in ms
+ * @returns {object} The result, with a quickChat broadcast and the updated botChatLog if a bot spoke
+ */
+function addBotChat(before, result, now = Date.now()) {
+  if (!resolveRules(before.rules).botChat || !before.teams) {
+    return result;
+  }
+
+  return sayReaction(before, result, () => chooseReaction(before, result.events), now) || result;
+}
+
+/**
+ * A bot on the other team from a human whose turn it is, to tell them to hurry
+ */
+function findLongThinkBot(state, seat) {
+  if (!resolveRules(state.rules).botChat || !state.teams || isBotControlled(state.players || [], seat)) {
+    return undefined;
+  }
+  const [bot] = findBots(state, s => getTeam(state.teams, s) !== getTeam(state.teams, seat));
+  return bot;
+}
+
+/**
+ * When to check a human's timed turn for a long think
+ * @param {object} state - Game state as the turn starts
+ * @param {number} seat - Seat whose turn it is
+ * @param {number|null} deadline - The turn's deadline in ms since epoch
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Time of the check in ms since epoch, or null when no bot would speak
+ *   (untimed turn, a turn shorter than a long think, botChat off or no opponent bot)
+ */
+function getLongThinkTime(state, seat, deadline, now = Date.now()) {
+  const at = now + LONG_THINK_MS;
+  if (!deadline || at >= deadline || findLongThinkBot(state, seat) === undefined) {
+    return null;
+  }
+  return at;
+}
+
+/**
+ * An opponent bot's "Hurry up!" to a human still thinking over a timed turn
+ * @param {object} state - Game state now
+ * @param {number} seat - Seat whose turn was checked
+ * @param {number} deadline - Deadline of the turn that was checked
+ * @param {number} [now] - Current time in ms
+ * @returns {object|null} { state, events } with the quickChat, or null when no bot speaks: the
+ *   player has moved (the turn's deadline is no longer pending), or the chat limits are reached
+ */
+function buildLongThinkChat(state, seat, deadline, now = Date.now()) {
+  if (!deadline || state.turnDeadline !== deadline || now >= deadline) {
+    return null;
+  }
+
+  const bot = findLongThinkBot(state, seat);
+  if (bot === undefined) {
+    return null;
+  }
+  return sayReaction(state, { state, events: [] }, () => ({ seat: bot, message: Phrase.LONG_THINK }), now);
+}
+
+module.exports = {
+  LONG_THINK_MS,
+  addBotChat,
+  getLongThinkTime,
+  buildLongThinkChat,
+};
@@ -0,0 +1,229 @@
+/**
+ * Move hints
+ *
+ * A player may ask, on their turn, what a normal bot would do with their cards.
+ * The suggestion is the normal bot's own decision (decideBotAction with the
+ * standard weights); the reason is worked out afterwards from the position, as a
+ * short sentence the player can act on ("Partner is winning, dump your Red 10 for points").
+ *
+ * Hints are read-only: nothing here changes the game, and only the asking seat
+ * sees the answer. Games with the hintsEnabled rule off refuse them.
+ */
+
+const { getCardSuit, getCardRank, getCardPlayValue, getCardPointValue, getValidPlays,
+        getTotalPoints, calculateHandPoints } = require('./cardUtils');
+const { DEFAULT_RULES, resolveRules, getMinimumBid } = require('./gameUtils');
+const { determineTrickWinner, getSeatToAct } = require('./gameEngine');
+const { constructDeck } = require('./dealUtils');
+const { TAKING_BID, effectiveSuit, toStandardBid } = require('./botInference');
+const { evaluateHandStrength } = require('./botAI');
+const { getBotStrategy, decideBotAction, DEFAULT_BOT_DIFFICULTY } = require('./botStrategies');
+
+function reject(error, message) {
+  return { error: { error, message } };
+}
+
+/**
+ * Card as a player would say it ("Red 10", "Rook")
+ */
+function cardName(card) {
+  return card === 'Rook' ? 'Rook' : `${getCardSuit(card)} ${getCardRank(card)}`;
+}
+
+function pointsText(points) {
+  return `${points} point${points === 1 ? '' : 's'}`;
+}
+
+function getPartnerSeat(seat) {
+  return (seat + 2) % 4;
+}
+
+// ---------------------------------------------------------------------------
+// Reasons
+// ---------------------------------------------------------------------------
+
+/**
+ * Explain a bid or a fold from the hand's evaluation
+ */
+function explainBid(state, seat, move, hand, rules) {
+  const evaluation = evaluateHandStrength(hand);
+  const scale = getTotalPoints(rules) / getTotalPoints(DEFAULT_RULES);
+  const worth = Math.round(evaluation.estimatedPoints * scale);
+
+  const { numOnes, hasRook, bestSuit, bestSuitLength, handQuality } = evaluation;
+  const features = [];
+  if (numOnes > 0) features.push(numOnes === 1 ? 'one 1' : `${numOnes} 1s`);
+  if (hasRook) features.push('the Rook');
+  if (bestSuit) features.push(`${bestSuitLength} ${bestSuit} cards`);
+  const summary = `${handQuality} hand (${features.join(', ')})`;
+
+  if (move.action === 'bid') {
+    // Bids below a taking bid are signals to the partner (see decideStandardBid)
+    if (toStandardBid(move.amount, rules) < TAKING_BID) {
+      return `Bid ${move.amount} to show your partner a ${summary}`;
+    }
+    return move.amount <= worth
+      ? `Bid ${move.amount}: your ${summary} should take about ${worth} points`
+      : `Bid ${move.amount} so the opponents can't take the kitty cheaply - your ${summary} is worth about ${worth} points`;
+  }
+  if (state.highBidder === getPartnerSeat(seat)) {
+    return 'Your partner has the bid - fold and let them keep it';
+  }
+  return `Fold: your ${summary} is worth about ${worth} points, not the ${getMinimumBid(state.highBid || 0, rules)} needed`;
+}
+
+/**
+ * Explain a trump choice and discard
+ */
+function explainDiscardAndTrump(move, hand, rules) {
+  const { trump, discard } = move;
+  const trumpCards = hand.filter(card => effectiveSuit(card, trump) === trump && !discard.includes(card));
+  const hasTrumpOne = trumpCards.includes(`${trump}1`);
+  const parts = [`Name ${trump} trump: ${trumpCards.length} cards${hasTrumpOne ? ' including the 1' : ''}`];
+
+  const kept = hand.filter(card => !discard.includes(card));
+  const voided = [...new Set(discard.map(getCardSuit))]
+    .filter(suit => suit !== trump && suit !== 'Rook' && !kept.some(card => getCardSuit(card) === suit));
+  if (voided.length > 0) {
+    parts.push(`the discard leaves you out of ${voided.join(' and ')} so you can trump it`);
+  }
+  const buried = calculateHandPoints(discard, rules);
+  if (buried > 0) {
+    parts.push(`it buries ${pointsText(buried)} where the opponents can't catch them`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Explain the lead of a trick
+ */
+function explainLead(state, seat, card, rules) {
+  const { trump } = state;
+  const hand = state.hands[seat];
+  const suit = effectiveSuit(card, trump);
+  const discard = state.bidWinner === seat ? state.discard : null;
+  const seen = new Set([...hand, ...(state.cardsPlayed || []), ...(discard || [])]);
+  const unseen = constructDeck(rules).filter(c => !seen.has(c));
+
+  if (suit === trump) {
+    const trumpsOut = unseen.filter(c => effectiveSuit(c, trump) === trump).length;
+    return trumpsOut > 0
+      ? `Lead trump with the ${cardName(card)} to draw out the ${trumpsOut} trump${trumpsOut === 1 ? '' : 's'} still out`
+      : `Nobody else has trump left - the ${cardName(card)} is safe to lead`;
+  }
+
+  const value = getCardPlayValue(card, trump, suit, rules);
+  const isBoss = unseen.every(c => effectiveSuit(c, trump) !== suit || getCardPlayValue(c, trump, suit, rules) < value);
+  if (isBoss) {
+    return `The ${cardName(card)} is the highest ${suit} left - cash it`;
+  }
+  if (getCardPointValue(card, rules) === 0) {
+    return `Lead the ${cardName(card)} - it gives away no points, and your high cards wait for later`;
+  }
+  return `Lead the ${cardName(card)}`;
+}
+
+/**
+ * Explain a card played to a trick already led
+ */
+function explainFollow(state, seat, card, rules) {
+  const { trump, ledSuit } = state;
+  const trick = state.currentTrick;
+  const hand = state.hands[seat];
+  const winner = determineTrickWinner(trick, trump, ledSuit, rules);
+  const winningCard = trick.find(play => play.seat === winner).card;
+  const winningValue = getCardPlayValue(winningCard, trump, ledSuit, rules);
+  const beats = getCardPlayValue(card, trump, ledSuit, rules) > winningValue;
+  const points = getCardPointValue(card, rules);
+  const trickPoints = calculateHandPoints([...trick.map(play => play.card), card], rules);
+
+  if (winner === getPartnerSeat(seat)) {
+    if (beats) {
+      return `Take over from your partner with the ${cardName(card)}`;
+    }
+    return points > 0
+      ? `Partner is winning, dump your ${cardName(card)} for points`
+      : `Partner is winning - play low with the ${cardName(card)}`;
+  }
+
+  if (beats) {
+    if (effectiveSuit(card, trump) === trump && ledSuit !== trump) {
+      return `You're out of ${ledSuit} - trump in with the ${cardName(card)} to take ${pointsText(trickPoints)}`;
+    }
+    if (trick.length === 3) {
+      return `You play last - the ${cardName(card)} takes the trick${trickPoints > 0 ? ` and ${pointsText(trickPoints)}` : ''}`;
+    }
+    return `The ${cardName(card)} beats the ${cardName(winningCard)} - take the lead`;
+  }
+
+  const validPlays = getValidPlays(hand, ledSuit, trump, rules);
+  if (points > 0 && validPlays.every(c => getCardPointValue(c, rules) > 0)) {
+    return `You can't beat the ${cardName(winningCard)} and every card you can play counts - give up the ${cardName(card)}`;
+  }
+  return `You can't beat the ${cardName(winningCard)} - throw the ${cardName(card)} and keep your good cards`;
+}
+
+/**
+ * Explain a card play, as a lead or a follow
+ * @param {object} state - Game at the moment of the play, with the seat's hand in hands
+ * @param {number} seat - Seat playing
+ * @param {string} card - Card played
+ * @returns {string} Reason for the play
+ */
+function explainCardPlay(state, seat, card) {
+  const rules = resolveRules(state.rules);
+  return (state.currentTrick || []).length === 0
+    ? explainLead(state, seat, card, rules)
+    : explainFollow(state, seat, card, rules);
+}
+
+// ---------------------------------------------------------------------------
+// Hint
+// ---------------------------------------------------------------------------
+
+/**
+ * Suggest a move for the seat whose turn it is
+ * @param {object} state - Game item plus hands ({ ...game, hands: { [seat]: cards } })
+ * @param {number} seat - Seat asking for the hint
+ * @returns {object} { message } with the private hint message
+ *   ({ action: 'hint', suggestion, reason }), or { error: { error, message } }
+ */
+function buildHint(state, seat) {
+  const rules = resolveRules(state.rules);
+  if (!rules.hintsEnabled) {
+    return reject('Hints disabled', 'Hints are turned off for this game');
+  }
+  if (getSeatToAct(state) !== seat) {
+    return reject('Not your turn', 'Hints are only available on your turn');
+  }
+
+  // Between hands the dealer is to act, with no cards to play until the next deal
+  const hand = state.hands?.[seat] || [];
+  const suggestion = hand.length > 0
+    ? decideBotAction(state, hand, seat, getBotStrategy(DEFAULT_BOT_DIFFICULTY))
+    : null;
+  if (!suggestion) {
+    return reject('No hint', 'No move to suggest right now');
+  }
+
+  let reason;
+  switch (suggestion.action) {
+    case 'bid':
+    case 'pass':
+      reason = explainBid(state, seat, suggestion, hand, rules);
+      break;
+    case 'discardAndTrump':
+      reason = explainDiscardAndTrump(suggestion, hand, rules);
+      break;
+    default:
+      reason = explainCardPlay(state, seat, suggestion.card);
+  }
+
+  console.log(`[HINT] Seat ${seat} in ${state.gameId}`);
+  return { message: { action: 'hint', suggestion, reason } };
+}
+
+module.exports = {
+  buildHint,
+  explainCardPlay,
+};
@@ -0,0 +1,238 @@
+/**
+ * Per-hand inference for bots
+ *
+ * Everything a seat can work out about the hidden hands from what it has seen
+ * this hand, rebuilt from the game state on every decision:
+ * - suits each seat has shown out of (didn't follow the led suit)
+ * - trumps and counters it hasn't seen yet
+ * - what each seat's bidding said about its hand (the signals decideBid uses:
+ *   80-90 supporting, 100+ taking)
+ *
+ * botAction builds it and hands it to the strategies as `gameContext.inference`.
+ */
+
+const { getCardSuit, isPointCard, getTotalPoints } = require('./cardUtils');
+const { DEFAULT_RULES, resolveRules, getVariantSettings } = require('./gameUtils');
+const { determineTrickWinner } = require('./gameEngine');
+const { constructDeck } = require('./dealUtils');
+
+const BidSignal = {
+  TAKING: 'taking',         // 100+: wants the kitty
+  SUPPORTING: 'supporting', // 80-90: high cards to help partner or set
+  WEAK: 'weak',             // below 80: about to fold
+  PASSED: 'passed',         // passed without bidding
+  NONE: 'none',             // hasn't bid yet
+};
+
+// The bid range decideStandardBid's thresholds are tuned for: the default
+// minimum bid up to every point in the default deck (50-180)
+const STANDARD_BID_RANGE = { floor: DEFAULT_RULES.minBid, ceiling: getTotalPoints(DEFAULT_RULES) };
+
+// decideStandardBid's strongest opening bid. Openings up to here signal hand type
+// relative to the minimum bid; bids above it are points the team expects to take
+const STANDARD_TOP_OPENING = 110;
+
+// Signal thresholds on the standard range (moved onto other rules' with toStandardBid)
+const TAKING_BID = 100;
+const SUPPORTING_BID = 80;
+
+/**
+ * Lowest and highest bid a game allows: its minimum bid and every point in its deck
+ * @param {object} rules - Game rules (partial rules are resolved first)
+ * @returns {object} { floor, ceiling }
+ */
+function getBidRange(rules = DEFAULT_RULES) {
+  const resolved = resolveRules(rules);
+  return { floor: resolved.minBid, ceiling: getTotalPoints(resolved) };
+}
+
+/**
+ * How the standard bid range maps onto a game's: bids above the top opening
+ * scale with the point total, and the opening bids below it are spread from
+ * the game's minimum bid up to the scaled top opening
+ */
+function getBidMapping(rules) {
+  const { floor, ceiling } = getBidRange(rules);
+  const scale = ceiling / STANDARD_BID_RANGE.ceiling;
+  return { floor, scale, topOpening: Math.max(floor, STANDARD_TOP_OPENING * scale) };
+}
+
+/**
+ * Move a bid from the standard 50-180 range onto a game's
+ * @param {number} amount - Bid on the standard range
+ * @param {object} rules - Game rules
+ * @returns {number} Unrounded bid on the game's range
+ */
+function toGameBid(amount, rules = DEFAULT_RULES) {
+  const { floor, scale, topOpening } = getBidMapping(rules);
+  if (amount >= STANDARD_TOP_OPENING) {
+    return amount * scale;
+  }
+  return floor + ((amount - STANDARD_BID_RANGE.floor) * (topOpening - floor)) /
+    (STANDARD_TOP_OPENING - STANDARD_BID_RANGE.floor);
+}
+
+/**
+ * Move a game's bid onto the standard 50-180 range (the inverse of toGameBid)
+ * @param {number} amount - Bid on the game's range
+ * @param {object} rules - Game rules
+ * @returns {number} Unrounded bid on the standard range
+ */
+function toStandardBid(amount, rules = DEFAULT_RULES) {
+  const { floor, scale, topOpening } = getBidMapping(rules);
+  if (amount >= topOpening) {
+    return amount / scale;
+  }
+  return STANDARD_BID_RANGE.floor + ((amount - floor) * (STANDARD_TOP_OPENING - STANDARD_BID_RANGE.floor)) /
+    (topOpening - floor);
+}
+
+/**
+ * Suit a card counts as (the Rook is trump)
+ */
+function effectiveSuit(card, trump) {
+  const suit = getCardSuit(card);
+  return suit === 'Rook' ? trump : suit;
+}
+
+/**
+ * Rebuild who played what from the hand's play order
+ *
+ * `cardsPlayed` is a flat list; the first trick is led by the player left of the
+ * dealer and every later one by the previous trick's winner.
+ * @param {Array<string>} cardsPlayed - Cards of completed tricks, in play order
+ * @param {number} firstLeader - Seat that led the first trick
+ * @param {string} trump - Trump suit
+ * @param {object} rules - Resolved game rules
+ * @returns {Array<object>} [{ plays: [{ seat, card }], ledSuit, winner }]
+ */
+function reconstructTricks(cardsPlayed, firstLeader, trump, rules) {
+  const tricks = [];
+  let leader = firstLeader;
+  for (let i = 0; i + 4 <= cardsPlayed.length; i += 4) {
+    const plays = cardsPlayed.slice(i, i + 4).map((card, offset) => ({ seat: (leader + offset) % 4, card }));
+    const ledSuit = effectiveSuit(plays[0].card, trump);
+    const winner = determineTrickWinner(plays, trump, ledSuit, rules);
+    tricks.push({ plays, ledSuit, winner });
+    leader = winner;
+  }
+  return tricks;
+}
+
+/**
+ * Find the suits each seat has shown out of
+ *
+ * A seat that didn't follow the led suit has none left. Being out of trump also
+ * means no Rook. Under rules that let the Rook be played at any time, playing it
+ * proves nothing.
+ * @param {Array<object>} tricks - [{ plays, ledSuit }], including the trick in progress
+ * @param {string} trump - Trump suit
+ * @param {object} rules - Resolved game rules
+ * @returns {object} { [seat]: [suits] }
+ */
+function findVoids(tricks, trump, rules) {
+  const { rookAnyTime } = getVariantSettings(rules);
+  const voids = { 0: [], 1: [], 2: [], 3: [] };
+  for (const { plays, ledSuit } of tricks) {
+    for (const { seat, card } of plays.slice(1)) {
+      if (card === 'Rook' && rookAnyTime) continue;
+      if (effectiveSuit(card, trump) !== ledSuit && !voids[seat].includes(ledSuit)) {
+        voids[seat].push(ledSuit);
+      }
+    }
+  }
+  return voids;
+}
+
+/**
+ * Read each seat's bidding this hand
+ * @param {Array<object>} bids - [{ seat, amount }] in bid order
+ * @param {Array<number>} passed - Seats that have passed
+ * @param {object} rules - Resolved game rules
+ * @returns {object} { [seat]: BidSignal }
+ */
+function readBidSignals(bids, passed, rules) {
+  const signals = {};
+  for (const seat of [0, 1, 2, 3]) {
+    const seatBids = bids.filter(bid => bid.seat === seat).map(bid => bid.amount);
+    if (seatBids.length === 0) {
+      signals[seat] = passed.includes(seat) ? BidSignal.PASSED : BidSignal.NONE;
+      continue;
+    }
+    const top = toStandardBid(Math.max(...seatBids), rules);
+    signals[seat] = top >= TAKING_BID ? BidSignal.TAKING
+      : top >= SUPPORTING_BID ? BidSignal.SUPPORTING
+        : BidSignal.WEAK;
+  }
+  return signals;
+}
+
+/**
+ * Build the inference for one seat
+ * @param {object} params
+ * @param {Array<string>} params.hand - The seat's hand
+ * @param {string|null} params.trump - Trump suit (null while bidding)
+ * @param {number} [params.dealer] - Dealer seat (the player to the left led the first trick)
+ * @param {Array<string>} [params.cardsPlayed] - Cards played this hand, including the current trick
+ * @param {Array<object>} [params.currentTrick] - Trick in progress [{ seat, card }]
+ * @param {string|null} [params.ledSuit] - Led suit of the trick in progress
+ * @param {Array<object>} [params.bids] - Bids this hand [{ seat, amount }]
+ * @param {Array<number>} [params.passed] - Seats that have passed
+ * @param {Array<string>|null} [params.discard] - The seat's own discard, if it took the kitty
+ * @param {object} [params.rules] - Resolved game rules
+ * @returns {object} { voids, trumpsOut, unplayedCounters, bidSignals }: voids by seat;
+ *   trumps and counters the seat hasn't seen (not played, not in its hand or discard)
+ */
+function buildInference({ hand, trump, dealer = 0, cardsPlayed = [], currentTrick = [], ledSuit = null,
+                          bids = [], passed = [], discard = null, rules = DEFAULT_RULES }) {
+  const completed = cardsPlayed.slice(0, cardsPlayed.length - currentTrick.length);
+  const tricks = trump ? reconstructTricks(completed, (dealer + 1) % 4, trump, rules) : [];
+  if (currentTrick.length > 0) {
+    tricks.push({ plays: currentTrick, ledSuit });
+  }
+
+  const seen = new Set([...hand, ...cardsPlayed, ...(discard || [])]);
+  const unseen = constructDeck(rules).filter(card => !seen.has(card));
+
+  return {
+    voids: trump ? findVoids(tricks, trump, rules) : { 0: [], 1: [], 2: [], 3: [] },
+    trumpsOut: trump ? unseen.filter(card => effectiveSuit(card, trump) === trump) : [],
+    unplayedCounters: unseen.filter(card => isPointCard(card, rules)),
+    bidSignals: readBidSignals(bids, passed, rules),
+  };
+}
+
+/**
+ * Check whether a seat has shown out of a suit
+ */
+function isKnownVoid(inference, seat, suit) {
+  return Boolean(inference?.voids?.[seat]?.includes(suit));
+}
+
+/**
+ * Check whether a seat could trump a lead of the given suit: it has shown out of
+ * the suit and may still hold trump
+ */
+function canRuff(inference, seat, suit, trump) {
+  return suit !== trump
+    && isKnownVoid(inference, seat, suit)
+    && !isKnownVoid(inference, seat, trump)
+    && inference.trumpsOut.length > 0;
+}
+
+module.exports = {
+  BidSignal,
+  STANDARD_BID_RANGE,
+  STANDARD_TOP_OPENING,
+  TAKING_BID,
+  getBidRange,
+  toGameBid,
+  toStandardBid,
+  effectiveSuit,
+  reconstructTricks,
+  findVoids,
+  readBidSignals,
+  buildInference,
+  isKnownVoid,
+  canRuff,
+};
@@ -0,0 +1,133 @@
+/**
+ * Evolutionary search over bot weights
+ *
+ * Starts from a profile's weights and keeps a small population of candidates.
+ * Each generation every candidate plays simulated games against a fixed baseline
+ * from both sides of the table (the same deals each way, fresh deals every
+ * generation) and is scored by how many more points per hand its team scored
+ * than the baseline's. The best quarter survive unchanged and mutated copies of
+ * them fill the rest. Mutations stay inside each weight's range (botProfiles.js).
+ */
+
+const { WEIGHTS, resolveWeights } = require('./botProfiles');
+const { getBotStrategy, DEFAULT_BOT_DIFFICULTY } = require('./botStrategies');
+const { createSeededRandom, runSimulation } = require('./botSimulation');
+
+// Chance each weight changes in a mutated copy
+const MUTATION_CHANCE = 0.1;
+
+// Standard deviation of a change, as a share of the weight's range
+const MUTATION_SCALE = 0.15;
+
+/**
+ * Draw from a standard normal distribution (Box-Muller)
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Copy a set of weights with some of them nudged
+ * @param {object} weights - Complete weights
+ * @param {function(): number} random - Random source
+ * @returns {object} Mutated copy (at least one weight changed)
+ */
+function mutateWeights(weights, random) {
+  const names = Object.keys(WEIGHTS);
+  const forced = names[Math.floor(random() * names.length)];
+  const mutated = { ...weights };
+
+  for (const name of names) {
+    if (name !== forced && random() >= MUTATION_CHANCE) continue;
+    const { min, max, step } = WEIGHTS[name];
+    const nudged = weights[name] + gaussian(random) * (max - min) * MUTATION_SCALE;
+    const snapped = Math.round(Math.min(max, Math.max(min, nudged)) / step) * step;
+    // Keep fractional steps free of floating-point noise (0.75000000001)
+    mutated[name] = Number(snapped.toFixed(2));
+  }
+  return mutated;
+}
+
+/**
+ * Score a set of weights against the baseline
+ * @param {object} weights - Candidate weights
+ * @param {object} options - { baselineWeights, difficulty, games, seed, rules, maxHands }
+ * @returns {number} Candidate's average hand-score margin over the baseline (points per hand)
+ */
+function evaluateWeights(weights, { baselineWeights, difficulty, games, seed, rules, maxHands }) {
+  const candidate = getBotStrategy(difficulty, weights);
+  const baseline = getBotStrategy(difficulty, baselineWeights);
+  let margin = 0;
+  let hands = 0;
+
+  // Same deals with the candidate on each team, so neither side gets the better cards
+  for (const [side, strategies] of [
+    ['team0', [candidate, baseline, candidate, baseline]],
+    ['team1', [baseline, candidate, baseline, candidate]],
+  ]) {
+    const stats = runSimulation({ strategies, games, rules, seed, maxHands });
+    const other = side === 'team0' ? 'team1' : 'team0';
+    margin += stats.score[side] - stats.score[other];
+    hands += stats.hands;
+  }
+  return hands > 0 ? margin / hands : 0;
+}
+
+/**
+ * Search for better weights
+ * @param {object} options
+ * @param {object} options.startWeights - Weights to start from (also the baseline unless given)
+ * @param {object} [options.baselineWeights] - Weights the candidates play against
+ * @param {string} [options.difficulty] - Difficulty every seat plays (card play is not tuned)
+ * @param {number} options.generations - Generations to run
+ * @param {number} options.population - Candidates per generation
+ * @param {number} options.games - Games per candidate per side of the table
+ * @param {string} [options.seed] - Seed for the deals and mutations (random if omitted)
+ * @param {object} [options.rules] - Game rules (partial)
+ * @param {number} [options.maxHands] - Hands after which an unfinished game is abandoned
+ * @param {function(number, Array<object>): void} [options.onGeneration] - Called with the
+ *   generation number and its candidates ({ weights, fitness }, best first)
+ * @returns {object} { weights, fitness } of the best candidate in the last generation
+ */
+function optimizeWeights({ startWeights, baselineWeights = startWeights, difficulty = DEFAULT_BOT_DIFFICULTY,
+                           generations, population, games, seed = null, rules = {}, maxHands, onGeneration }) {
+  const random = seed ? createSeededRandom(`${seed}:mutations`) : Math.random;
+  const survivors = Math.max(1, Math.floor(population / 4));
+  const start = resolveWeights(startWeights);
+
+  let candidates = [start];
+  while (candidates.length < population) {
+    candidates.push(mutateWeights(start, random));
+  }
+
+  let ranked = [];
+  for (let generation = 1; generation <= generations; generation++) {
+    // Unseeded runs still share one deal seed within a generation, so candidates face the same cards
+    const dealSeed = `${seed || Math.random().toString(36).slice(2)}:generation${generation}`;
+    ranked = candidates
+      .map(weights => ({
+        weights,
+        fitness: evaluateWeights(weights, { baselineWeights, difficulty, games, seed: dealSeed, rules, maxHands }),
+      }))
+      .sort((a, b) => b.fitness - a.fitness);
+
+    if (onGeneration) {
+      onGeneration(generation, ranked);
+    }
+
+    const parents = ranked.slice(0, survivors).map(candidate => candidate.weights);
+    candidates = [...parents];
+    while (candidates.length < population) {
+      candidates.push(mutateWeights(parents[Math.floor(random() * parents.length)], random));
+    }
+  }
+
+  return ranked[0];
+}
+
+module.exports = {
+  mutateWeights,
+  evaluateWeights,
+  optimizeWeights,
+};
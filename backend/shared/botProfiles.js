@@ -0,0 +1,164 @@
+/**
+ * Bot weight profiles
+ *
+ * The numbers behind the bots' bidding, trump choice and discard (botAI.js) are
+ * named weights, each with a default and a range the optimizer may search. A
+ * profile is a named set of overrides, read from botProfiles.json; the host picks
+ * one per bot when adding it, and it applies on top of the bot's difficulty.
+ *
+ * Card play and the opening-bid signals (50-70 weak, 80-90 supporting, 100+ taking)
+ * are not weighted: partners read those signals, so every profile must keep them.
+ *
+ * `simulate-bots.js --optimize` searches the ranges below and saves the best set
+ * found into botProfiles.json under a new name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE = path.join(__dirname, 'botProfiles.json');
+
+const DEFAULT_BOT_PROFILE = 'standard';
+
+/**
+ * Tunable weights: { value, min, max, step }
+ */
+const WEIGHTS = {
+  // Hand evaluation (evaluateHandStrength): trick points a feature is expected to win
+  onePoints: { value: 14, min: 0, max: 30, step: 1 },             // per 1
+  fourteenPoints: { value: 10, min: 0, max: 25, step: 1 },        // per 14
+  longTrumpPoints: { value: 8, min: 0, max: 20, step: 1 },        // per trump past the 4th
+  rookPoints: { value: 15, min: 0, max: 30, step: 1 },
+  trumpOnePoints: { value: 10, min: 0, max: 25, step: 1 },        // the 1 of the best suit
+  voidPoints: { value: 8, min: 0, max: 20, step: 1 },             // per off-suit void
+  singletonPoints: { value: 4, min: 0, max: 12, step: 1 },        // per off-suit singleton
+  trickPointsFactor: { value: 0.75, min: 0.3, max: 1.2, step: 0.05 }, // share of those expected to land
+
+  // Hand evaluation: strength score (0-100) and the quality bands it falls into
+  strengthPerPoint: { value: 0.45, min: 0.1, max: 1, step: 0.05 },
+  strengthPerHighCard: { value: 6, min: 0, max: 12, step: 1 },
+  strengthPerTrumpCard: { value: 3, min: 0, max: 6, step: 1 },
+  strengthPerTrumpHighCard: { value: 2, min: 0, max: 6, step: 1 },
+  strengthRook: { value: 10, min: 0, max: 20, step: 1 },
+  strengthPerVoid: { value: 4, min: 0, max: 10, step: 1 },
+  strengthPerSingleton: { value: 2, min: 0, max: 6, step: 1 },
+  excellentStrength: { value: 75, min: 60, max: 90, step: 1 },
+  strongStrength: { value: 60, min: 45, max: 75, step: 1 },
+  goodStrength: { value: 45, min: 30, max: 60, step: 1 },
+  fairStrength: { value: 30, min: 15, max: 45, step: 1 },
+
+  // Bidding (decideStandardBid, on the 180-point scale): how far each hand quality
+  // will go, as a share of its estimated points and a hard cap
+  excellentBidFactor: { value: 0.95, min: 0.7, max: 1.2, step: 0.05 },
+  excellentBidCap: { value: 150, min: 130, max: 170, step: 5 },
+  strongBidFactor: { value: 0.90, min: 0.7, max: 1.2, step: 0.05 },
+  strongBidCap: { value: 140, min: 120, max: 165, step: 5 },
+  goodBidFactor: { value: 0.85, min: 0.6, max: 1.1, step: 0.05 },
+  goodBidCap: { value: 135, min: 115, max: 160, step: 5 },
+  fairBidFactor: { value: 0.80, min: 0.5, max: 1.1, step: 0.05 },
+  fairBidCap: { value: 130, min: 105, max: 155, step: 5 },
+  rookBidFloor: { value: 135, min: 110, max: 160, step: 5 },      // holding the Rook
+  extraOneBid: { value: 10, min: 0, max: 20, step: 5 },           // per 1 past the first
+  longTrumpBid: { value: 5, min: 0, max: 15, step: 5 },           // six or more in the best suit
+  maxBid: { value: 155, min: 130, max: 180, step: 5 },            // ceiling for those bonuses
+  absoluteMinBid: { value: 125, min: 100, max: 140, step: 5 },    // never let opponents take the kitty for less
+  partnerFoldedMin: { value: 120, min: 95, max: 140, step: 5 },   // push at least this far alone
+
+  // Trump choice (chooseTrump): suit score
+  trumpLengthScore: { value: 15, min: 5, max: 30, step: 1 },      // per card
+  trumpOneScore: { value: 25, min: 0, max: 50, step: 1 },
+  trumpFourteenScore: { value: 15, min: 0, max: 30, step: 1 },
+  trumpHonorScore: { value: 5, min: 0, max: 15, step: 1 },        // each of the 13 and 12
+  trumpPointsFactor: { value: 0.5, min: 0, max: 1.5, step: 0.1 }, // per counter point
+
+  // Discard (chooseDiscard)
+  voidSuitMaxLength: { value: 4, min: 1, max: 6, step: 1 },       // longest off suit to void
+  isolatedSuitLength: { value: 2, min: 1, max: 4, step: 1 },      // bury its unprotected counters
+  isolatedSuitLengthVsHighBid: { value: 3, min: 1, max: 5, step: 1 }, // same, when an opponent bid high
+};
+
+const DEFAULT_WEIGHTS = Object.fromEntries(
+  Object.entries(WEIGHTS).map(([name, weight]) => [name, weight.value])
+);
+
+/**
+ * Merge a profile's overrides over the default weights
+ * @param {object} overrides - { [weight]: number }
+ * @returns {object} Complete weights
+ * @throws {Error} If an override names an unknown weight or is not a number
+ */
+function resolveWeights(overrides = {}) {
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!(name in WEIGHTS)) {
+      throw new Error(`Unknown bot weight '${name}'`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Bot weight '${name}' must be a number`);
+    }
+  }
+  return { ...DEFAULT_WEIGHTS, ...overrides };
+}
+
+/**
+ * Read the profiles from botProfiles.json
+ * @returns {object} { [name]: overrides }
+ */
+function readProfiles() {
+  return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+}
+
+// Resolved once per container; a bad file fails at startup rather than mid-game
+const profiles = Object.fromEntries(
+  Object.entries(readProfiles()).map(([name, overrides]) => [name, resolveWeights(overrides)])
+);
+
+/**
+ * Check whether a string names a profile
+ * @param {*} profile - Value to check
+ * @returns {boolean} True if botProfiles.json defines it
+ */
+function isValidProfile(profile) {
+  return typeof profile === 'string' && Object.prototype.hasOwnProperty.call(profiles, profile);
+}
+
+/**
+ * Get the names of every profile
+ * @returns {Array<string>} Profile names
+ */
+function getProfileNames() {
+  return Object.keys(profiles);
+}
+
+/**
+ * Get a profile's weights
+ * @param {string} [profile] - Profile name (unknown or missing means standard)
+ * @returns {object} Complete weights
+ */
+function getProfileWeights(profile) {
+  return profiles[profile] || DEFAULT_WEIGHTS;
+}
+
+/**
+ * Save a set of weights as a profile in botProfiles.json (only what differs from the defaults)
+ * @param {string} name - Profile name
+ * @param {object} weights - Complete weights
+ */
+function saveProfile(name, weights) {
+  const overrides = Object.fromEntries(
+    Object.entries(resolveWeights(weights)).filter(([weight, value]) => value !== DEFAULT_WEIGHTS[weight])
+  );
+  const saved = { ...readProfiles(), [name]: overrides };
+  fs.writeFileSync(PROFILES_FILE, `${JSON.stringify(saved, null, 2)}\n`);
+  profiles[name] = resolveWeights(overrides);
+}
+
+module.exports = {
+  WEIGHTS,
+  DEFAULT_WEIGHTS,
+  DEFAULT_BOT_PROFILE,
+  resolveWeights,
+  isValidProfile,
+  getProfileNames,
+  getProfileWeights,
+  saveProfile,
+};
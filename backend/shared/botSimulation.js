@@ -0,0 +1,274 @@
+/**
+ * Headless bot-vs-bot simulation
+ *
+ * Plays complete games in-process: hands dealt with dealHand, every move chosen by
+ * decideBotAction (the same decisions botAction makes) and applied by the rules
+ * engine. Nothing touches DynamoDB or WebSockets and there are no turn delays, so
+ * thousands of games run in minutes. simulate-bots.js is the command-line front end.
+ *
+ * Team 0 is seats 0 and 2, team 1 seats 1 and 3. A move the engine rejects is
+ * counted as illegal and replaced by a plain legal one (pass, the first five cards
+ * with Red trump, the first legal card) so the game can go on.
+ *
+ * With a seed, every deal comes from it and Math.random is replaced by a seeded
+ * generator for the run, so the same seed and strategies replay the same games.
+ * Two strategies compared with one seed play identical deals.
+ */
+
+const crypto = require('crypto');
+const { GameStatus, KITTY_SIZE, resolveRules, getDealtGameFields } = require('./gameUtils');
+const { getValidPlays } = require('./cardUtils');
+const { applyAction } = require('./gameEngine');
+const { dealHand, generateDealSeed } = require('./dealUtils');
+const { decideBotAction } = require('./botStrategies');
+
+const TEAMS = { team0: [0, 2], team1: [1, 3] };
+
+// A game still going after this many hands is abandoned (both teams can keep getting set)
+const DEFAULT_MAX_HANDS = 100;
+
+/**
+ * Create a seeded replacement for Math.random (mulberry32)
+ * @param {string} seed - Any string
+ * @returns {function(): number} Random float in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Empty statistics for a run
+ * @returns {object} Counters filled in by recordHand and simulateGame
+ */
+function createStats() {
+  return {
+    games: 0,
+    unfinished: 0,
+    hands: 0,
+    wins: { team0: 0, team1: 0 },
+    pointsCaptured: { team0: 0, team1: 0 },
+    score: { team0: 0, team1: 0 },   // Hand scores, after sets and sweep bonuses
+    sweeps: { team0: 0, team1: 0 },
+    bids: {},            // { [amount]: { team0: { hands, made }, team1: { hands, made } } }
+    illegalMoves: {},    // { [seat]: { [action]: count } }
+    elapsedMs: 0,
+  };
+}
+
+/**
+ * Start a simulated game: four bots, fixed teams, no hand dealt yet
+ * @param {object} rules - Game rules (resolved by the engine)
+ * @param {number} dealer - Seat of the first dealer
+ * @returns {object} Game state
+ */
+function createSimulatedGame(rules, dealer) {
+  return {
+    gameId: 'SIMULATION',
+    rules,
+    players: [0, 1, 2, 3].map(seat => ({ seat, name: `Bot ${seat}`, isBot: true })),
+    teams: TEAMS,
+    status: GameStatus.PLAYING,
+    teamScores: { team0: 0, team1: 0 },
+    handHistory: [],
+    currentRound: 0,
+    dealer,
+  };
+}
+
+/**
+ * Deal the next hand, the way startNextHand does for a stored game
+ * @param {object} state - Game state between hands
+ * @param {string} seed - Deal seed
+ * @returns {object} Game state in bidding
+ */
+function dealSimulatedHand(state, seed) {
+  const rules = resolveRules(state.rules);
+  const { hands, kitty } = dealHand(rules, seed);
+  return {
+    ...state,
+    ...getDealtGameFields(state.dealer, kitty, rules, seed),
+    currentTrick: [],
+    ledSuit: null,
+    pointsCaptured: { team0: 0, team1: 0 },
+    kittyPointsCaptured: 0,
+    hands: { 0: hands.hand0, 1: hands.hand1, 2: hands.hand2, 3: hands.hand3 },
+  };
+}
+
+/**
+ * Seat whose move the game is waiting on
+ */
+function getSeatToMove(state) {
+  switch (state.status) {
+    case GameStatus.BIDDING:
+      return state.currentBidder;
+    case GameStatus.TRUMP_SELECTION:
+      return state.bidWinner;
+    default:
+      return state.currentPlayer;
+  }
+}
+
+/**
+ * A legal move that needs no strategy, used in place of a rejected one
+ */
+function getFallbackAction(state, seat) {
+  const hand = state.hands[seat];
+  if (state.status === GameStatus.BIDDING) {
+    return { action: 'pass' };
+  }
+  if (state.status === GameStatus.TRUMP_SELECTION) {
+    return { action: 'discardAndTrump', discard: hand.slice(0, KITTY_SIZE), trump: 'Red' };
+  }
+  const ledSuit = (state.currentTrick || []).length > 0 ? state.ledSuit : null;
+  return { action: 'playCard', card: getValidPlays(hand, ledSuit, state.trump, resolveRules(state.rules))[0] };
+}
+
+/**
+ * Let the seat to move play its strategy's move
+ * @returns {object} Engine result { state, events }
+ */
+function playTurn(state, strategies, options, stats) {
+  const seat = getSeatToMove(state);
+  const move = decideBotAction(state, state.hands[seat], seat, strategies[seat], options);
+  const result = move ? applyAction(state, seat, move) : null;
+  if (result && !result.error) {
+    return result;
+  }
+
+  const action = move?.action || state.status;
+  stats.illegalMoves[seat] = stats.illegalMoves[seat] || {};
+  stats.illegalMoves[seat][action] = (stats.illegalMoves[seat][action] || 0) + 1;
+
+  const fallback = applyAction(state, seat, getFallbackAction(state, seat));
+  if (fallback.error) {
+    throw new Error(`Seat ${seat} has no legal move in ${state.status}: ${fallback.error.message}`);
+  }
+  return fallback;
+}
+
+/**
+ * Add a finished hand to the statistics
+ * @param {object} stats - Run statistics
+ * @param {object} summary - The handComplete message
+ * @param {number} kittyPoints - Counters the bid winner discarded (they count for the bidding team)
+ */
+function recordHand(stats, summary, kittyPoints) {
+  const { bid, bidTeam, madeBid, shootTheMoon } = summary;
+  stats.hands++;
+  stats.pointsCaptured.team0 += summary.team0Points + (bidTeam === 'team0' ? kittyPoints : 0);
+  stats.pointsCaptured.team1 += summary.team1Points + (bidTeam === 'team1' ? kittyPoints : 0);
+  stats.score.team0 += summary.team0HandScore;
+  stats.score.team1 += summary.team1HandScore;
+  if (shootTheMoon) {
+    stats.sweeps[bidTeam]++;
+  }
+
+  stats.bids[bid] = stats.bids[bid] || { team0: { hands: 0, made: 0 }, team1: { hands: 0, made: 0 } };
+  stats.bids[bid][bidTeam].hands++;
+  if (madeBid) {
+    stats.bids[bid][bidTeam].made++;
+  }
+}
+
+/**
+ * Play one complete game
+ * @param {Array<object>} strategies - Strategy for each seat (see getBotStrategy)
+ * @param {object} options
+ * @param {object} [options.rules] - Game rules (partial; defaults fill the rest)
+ * @param {string} [options.seed] - Seed for this game's deals (random deals if omitted)
+ * @param {number} [options.dealer] - Seat of the first dealer
+ * @param {number} [options.maxHands] - Hands after which an unfinished game is abandoned
+ * @param {number} [options.searchBudgetMs] - Search time per card for expert bots
+ * @param {object} stats - Run statistics to add to
+ * @returns {string|null} Winning team, or null if the game was abandoned
+ */
+function simulateGame(strategies, options, stats) {
+  const { rules = {}, seed = null, dealer = 0, maxHands = DEFAULT_MAX_HANDS, searchBudgetMs } = options;
+  let state = createSimulatedGame(rules, dealer);
+  let winner = null;
+
+  for (let hand = 0; hand < maxHands && state.status !== GameStatus.FINISHED; hand++) {
+    state = dealSimulatedHand(state, seed ? `${seed}:${hand}` : generateDealSeed());
+
+    let summary = null;
+    while (!summary) {
+      const kittyPoints = state.kittyPointsCaptured || 0;
+      const result = playTurn(state, strategies, { searchBudgetMs }, stats);
+      state = result.state;
+      summary = result.events.find(event => event.message?.action === 'handComplete')?.message || null;
+      if (summary) {
+        recordHand(stats, summary, kittyPoints);
+      }
+    }
+    winner = summary.winner;
+  }
+
+  stats.games++;
+  if (winner) {
+    stats.wins[winner]++;
+  } else {
+    stats.unfinished++;
+  }
+  return winner;
+}
+
+/**
+ * Play a batch of games
+ * @param {object} options
+ * @param {Array<object>} options.strategies - Strategy for each seat
+ * @param {number} options.games - Number of games
+ * @param {object} [options.rules] - Game rules (partial)
+ * @param {string} [options.seed] - Seed for the run (deals and bots' random choices)
+ * @param {number} [options.maxHands] - Hands after which an unfinished game is abandoned
+ * @param {number} [options.searchBudgetMs] - Search time per card for expert bots; seeded runs
+ *   default to no time limit (the iteration cap only) so they replay exactly
+ * @param {function(number, object): void} [options.onProgress] - Called after each game with the count and stats
+ * @returns {object} Statistics (see createStats)
+ */
+function runSimulation({ strategies, games, rules = {}, seed = null, maxHands = DEFAULT_MAX_HANDS,
+                         searchBudgetMs, onProgress }) {
+  const stats = createStats();
+  const start = Date.now();
+  const random = Math.random;
+  if (seed) {
+    Math.random = createSeededRandom(seed);
+  }
+  const budget = searchBudgetMs !== undefined ? searchBudgetMs : (seed ? Infinity : undefined);
+
+  try {
+    for (let game = 0; game < games; game++) {
+      simulateGame(strategies, {
+        rules,
+        seed: seed ? `${seed}:${game}` : null,
+        dealer: game % 4,   // Rotate the first dealer so no seat always bids first
+        maxHands,
+        searchBudgetMs: budget,
+      }, stats);
+      if (onProgress) {
+        onProgress(game + 1, stats);
+      }
+    }
+  } finally {
+    Math.random = random;
+  }
+
+  stats.elapsedMs = Date.now() - start;
+  return stats;
+}
+
+module.exports = {
+  TEAMS,
+  DEFAULT_MAX_HANDS,
+  createSeededRandom,
+  createStats,
+  simulateGame,
+  runSimulation,
+};
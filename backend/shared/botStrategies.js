@@ -0,0 +1,326 @@
+/**
+ * Bot difficulty levels
+ *
+ * Each difficulty is a strategy: the same four decisions botAction needs (bid, trump,
+ * discard, card to play), so handlers never branch on difficulty themselves.
+ *
+ * - easy: mostly random legal cards, bids the minimum when its hand holds enough counters
+ * - normal: the heuristics in botAI.js
+ * - hard: normal bidding and discarding, but searches its options when following a trick
+ * - expert: normal bidding and discarding, every card chosen by Monte Carlo search over
+ *   the hidden hands (monteCarloBot.js)
+ *
+ * A bot's weight profile (botProfiles.js) tunes the bidding, trump and discard of
+ * whichever difficulty it plays.
+ */
+
+const { getCardSuit, getCardPlayValue, getValidPlays, countCardsBySuit,
+        calculateHandPoints } = require('./cardUtils');
+const { GameStatus, DEFAULT_RULES, KITTY_SIZE, resolveRules, getMinimumBid } = require('./gameUtils');
+const { determineTrickWinner } = require('./gameEngine');
+const { constructDeck } = require('./dealUtils');
+const { playoutFollowCard, chooseMonteCarloCard } = require('./monteCarloBot');
+const { buildInference } = require('./botInference');
+const botAI = require('./botAI');
+
+const BotDifficulty = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  EXPERT: 'expert',
+};
+
+const DEFAULT_BOT_DIFFICULTY = BotDifficulty.NORMAL;
+
+// How often an easy bot plays the normal bot's card instead of a random legal one
+const EASY_HEURISTIC_CHANCE = 0.25;
+
+// Sampled layouts of the unseen cards per candidate card for a hard bot
+const HARD_SAMPLES = 60;
+
+/**
+ * Pick a random element
+ * @param {Array} items - Non-empty array
+ * @returns {*} One of the items
+ */
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Check whether a string names a difficulty
+ * @param {*} difficulty - Value to check
+ * @returns {boolean} True if it is one of BotDifficulty
+ */
+function isValidDifficulty(difficulty) {
+  return Object.values(BotDifficulty).includes(difficulty);
+}
+
+// ---------------------------------------------------------------------------
+// Easy
+// ---------------------------------------------------------------------------
+
+/**
+ * Easy bidding: bid the minimum while it stays under a cap set by the counters held
+ *
+ * Never outbids its own partner and never jumps.
+ */
+function decideEasyBid(hand, highBid, passed = [], mySeat = null, highBidderSeat = null, teams = null, rules = DEFAULT_RULES) {
+  if (teams && mySeat !== null && highBidderSeat !== null) {
+    const myTeam = teams.team0.includes(mySeat) ? 'team0' : 'team1';
+    if (teams[myTeam].includes(highBidderSeat)) {
+      return { action: 'pass', amount: null };
+    }
+  }
+
+  const minimumBid = getMinimumBid(highBid, rules);
+  const cap = rules.minBid + Math.floor(calculateHandPoints(hand, rules) / rules.bidIncrement) * rules.bidIncrement;
+
+  if (minimumBid > cap) {
+    return { action: 'pass', amount: null };
+  }
+  return { action: 'bid', amount: minimumBid };
+}
+
+/**
+ * Easy trump: the longest colored suit
+ */
+function chooseEasyTrump(hand) {
+  const counts = countCardsBySuit(hand);
+  return ['Red', 'Green', 'Yellow', 'Black'].reduce((best, suit) => (counts[suit] > counts[best] ? suit : best), 'Red');
+}
+
+/**
+ * Easy discard: random cards, keeping trump and the Rook when it can
+ */
+function chooseEasyDiscard(hand, trump) {
+  const spare = hand.filter(card => getCardSuit(card) !== trump && card !== 'Rook');
+  const pool = spare.length >= KITTY_SIZE ? [...spare] : [...hand];
+  const discard = [];
+  while (discard.length < KITTY_SIZE) {
+    const card = pickRandom(pool);
+    pool.splice(pool.indexOf(card), 1);
+    discard.push(card);
+  }
+  return discard;
+}
+
+/**
+ * Easy play: usually a random legal card
+ */
+function chooseEasyCard(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext = {}) {
+  if (Math.random() < EASY_HEURISTIC_CHANCE) {
+    return botAI.chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext);
+  }
+  const { rules = DEFAULT_RULES } = gameContext;
+  const validPlays = getValidPlays(hand, currentTrick.length > 0 ? ledSuit : null, trump, rules);
+  return validPlays.length > 0 ? pickRandom(validPlays) : hand[0];
+}
+
+// ---------------------------------------------------------------------------
+// Hard
+// ---------------------------------------------------------------------------
+
+/**
+ * Hard play: when following, try every legal card against sampled layouts of the
+ * unseen cards and keep the one with the best expected trick result
+ *
+ * Leads use the normal heuristics; a lone legal card is played straight away.
+ */
+function chooseHardCard(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext = {}) {
+  const { rules = DEFAULT_RULES, cardsPlayed = [] } = gameContext;
+  const validPlays = getValidPlays(hand, currentTrick.length > 0 ? ledSuit : null, trump, rules);
+  if (currentTrick.length === 0 || validPlays.length <= 1) {
+    return botAI.chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext);
+  }
+
+  const seen = new Set([...hand, ...cardsPlayed, ...currentTrick.map(play => play.card)]);
+  const unseen = constructDeck(rules).filter(card => !seen.has(card));
+  const laterSeats = [1, 2, 3].slice(0, 3 - currentTrick.length).map(offset => (mySeat + offset) % 4);
+  const myTeam = teams.team0.includes(mySeat) ? 'team0' : 'team1';
+
+  const scores = new Map(validPlays.map(card => [card, 0]));
+  for (let sample = 0; sample < HARD_SAMPLES; sample++) {
+    // Deal each later seat as many cards as we hold; the rest sit in the discard
+    const pool = [...unseen];
+    const hands = {};
+    for (const seat of laterSeats) {
+      hands[seat] = [];
+      for (let i = 0; i < hand.length && pool.length > 0; i++) {
+        hands[seat].push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+      }
+    }
+
+    for (const card of validPlays) {
+      const trick = [...currentTrick, { seat: mySeat, card }];
+      for (const seat of laterSeats) {
+        if (hands[seat].length === 0) continue;
+        trick.push({ seat, card: playoutFollowCard(hands[seat], trick, trump, ledSuit, teams, seat, rules) });
+      }
+      const winner = determineTrickWinner(trick, trump, ledSuit, rules);
+      const points = calculateHandPoints(trick.map(play => play.card), rules);
+      // Small cost for spending a high card, so equal outcomes keep the stronger card
+      const spent = getCardPlayValue(card, trump, ledSuit, rules) / 100;
+      scores.set(card, scores.get(card) + (teams[myTeam].includes(winner) ? points : -points) - spent);
+    }
+  }
+
+  const best = validPlays.reduce((a, b) => (scores.get(b) > scores.get(a) ? b : a));
+  console.log(`[BOT_AI] Hard bot searched ${validPlays.length} plays, choosing ${best} (avg ${(scores.get(best) / HARD_SAMPLES).toFixed(1)})`);
+  return best;
+}
+
+/**
+ * Expert play: Monte Carlo search, or the normal heuristics if the position can't be sampled
+ */
+function chooseExpertCard(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext = {}) {
+  return chooseMonteCarloCard(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext)
+    || botAI.chooseCardToPlay(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext);
+}
+
+// ---------------------------------------------------------------------------
+// Strategies
+// ---------------------------------------------------------------------------
+
+const strategies = {
+  [BotDifficulty.EASY]: {
+    decideBid: decideEasyBid,
+    chooseTrump: chooseEasyTrump,
+    chooseDiscard: chooseEasyDiscard,
+    chooseCardToPlay: chooseEasyCard,
+  },
+  [BotDifficulty.NORMAL]: {
+    decideBid: botAI.decideBid,
+    chooseTrump: botAI.chooseTrump,
+    chooseDiscard: botAI.chooseDiscard,
+    chooseCardToPlay: botAI.chooseCardToPlay,
+  },
+  [BotDifficulty.HARD]: {
+    decideBid: botAI.decideBid,
+    chooseTrump: botAI.chooseTrump,
+    chooseDiscard: botAI.chooseDiscard,
+    chooseCardToPlay: chooseHardCard,
+  },
+  [BotDifficulty.EXPERT]: {
+    decideBid: botAI.decideBid,
+    chooseTrump: botAI.chooseTrump,
+    chooseDiscard: botAI.chooseDiscard,
+    chooseCardToPlay: chooseExpertCard,
+  },
+};
+
+/**
+ * Get the decision functions for a difficulty
+ * @param {string} [difficulty] - Bot difficulty (unknown or missing means normal)
+ * @param {object} [weights] - Profile weights for bidding, trump and discard (see botProfiles.js)
+ * @returns {object} { decideBid, chooseTrump, chooseDiscard, chooseCardToPlay }
+ */
+function getBotStrategy(difficulty, weights) {
+  const strategy = strategies[difficulty] || strategies[DEFAULT_BOT_DIFFICULTY];
+  if (!weights) {
+    return strategy;
+  }
+  return {
+    ...strategy,
+    decideBid: (hand, highBid, passed, mySeat, highBidderSeat, teams, rules) =>
+      strategy.decideBid(hand, highBid, passed, mySeat, highBidderSeat, teams, rules, weights),
+    chooseTrump: (hand, rules) => strategy.chooseTrump(hand, rules, weights),
+    chooseDiscard: (hand, trump, rules, gameContext = {}) =>
+      strategy.chooseDiscard(hand, trump, rules, { ...gameContext, weights }),
+  };
+}
+
+/**
+ * Decide a bot's move from the game state
+ *
+ * Builds the context each decision gets (partner awareness, the cards played, the
+ * bot's own discard, the inference model), so botAction and the simulator
+ * (botSimulation.js) play exactly the same bots.
+ * @param {object} game - Game item, on the bot's turn
+ * @param {Array<string>} hand - Bot's hand
+ * @param {number} botSeat - Bot's seat
+ * @param {object} strategy - { decideBid, chooseTrump, chooseDiscard, chooseCardToPlay }
+ * @param {object} [options] - { searchBudgetMs } for the card-play context (expert search)
+ * @returns {object|null} The move as a client message ({ action: 'bid', amount }, { action: 'pass' },
+ *   { action: 'discardAndTrump', discard, trump } or { action: 'playCard', card }), or null if
+ *   the game is in no phase a bot acts in
+ */
+function decideBotAction(game, hand, botSeat, strategy, options = {}) {
+  const rules = resolveRules(game.rules);
+
+  if (game.status === GameStatus.BIDDING) {
+    // Seat, high bidder and teams let the bot tell its partner's bids from an opponent's
+    const bidDecision = strategy.decideBid(
+      hand,
+      game.highBid || 0,
+      game.passed || [],
+      botSeat,
+      game.highBidder,
+      game.teams,
+      rules
+    );
+    return bidDecision.action === 'bid'
+      ? { action: 'bid', amount: bidDecision.amount }
+      : { action: 'pass' };
+  }
+
+  if (game.status === GameStatus.TRUMP_SELECTION) {
+    const trump = strategy.chooseTrump(hand, rules);
+    const inference = buildInference({ hand, trump, bids: game.bids || [], passed: game.passed || [], rules });
+    const discard = strategy.chooseDiscard(hand, trump, rules, { mySeat: botSeat, teams: game.teams, inference });
+    return { action: 'discardAndTrump', discard, trump };
+  }
+
+  if (game.status === GameStatus.PLAYING) {
+    const dealer = typeof game.dealer === 'number' ? game.dealer : 0;
+    const discard = game.bidWinner === botSeat ? game.discard : null; // Only the bid winner saw it
+    const gameContext = {
+      bidWinner: game.bidWinner,           // Who won the bid (for offensive/defensive play)
+      bidAmount: game.highBid,             // The winning bid amount
+      myTeamBid: game.teams && game.bidWinner !== undefined
+        ? (game.teams.team0?.includes(game.bidWinner) ? 'team0' : 'team1')
+        : null,
+      tricksPlayed: game.tricksPlayed || 0,
+      pointsCaptured: game.pointsCaptured, // { team0: X, team1: Y }
+      cardsPlayed: game.cardsPlayed || [], // All cards played in the current hand
+      dealer,                              // Left of the dealer led the first trick
+      discard,                             // Own discard (bid winner only)
+      rules,                               // House rules (counter values)
+      ...(options.searchBudgetMs !== undefined ? { searchBudgetMs: options.searchBudgetMs } : {}),
+      // Voids shown, unseen trumps and counters, bidding signals
+      inference: buildInference({
+        hand,
+        trump: game.trump,
+        dealer,
+        cardsPlayed: game.cardsPlayed || [],
+        currentTrick: game.currentTrick || [],
+        ledSuit: game.ledSuit || null,
+        bids: game.bids || [],
+        passed: game.passed || [],
+        discard,
+        rules,
+      }),
+    };
+
+    const card = strategy.chooseCardToPlay(
+      hand,
+      game.trump,
+      game.currentTrick || [],
+      game.ledSuit || null,
+      game.teams,
+      botSeat,
+      gameContext
+    );
+    return { action: 'playCard', card };
+  }
+
+  return null;
+}
+
+module.exports = {
+  BotDifficulty,
+  DEFAULT_BOT_DIFFICULTY,
+  isValidDifficulty,
+  getBotStrategy,
+  decideBotAction,
+};
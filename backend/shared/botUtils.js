@@ -6,6 +6,9 @@
 
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
 
+// How long a seat may go without a connection before the bot takes it over
+const DISCONNECT_GRACE_MS = parseInt(process.env.DISCONNECT_GRACE_MS || '60000', 10);
+
 /**
  * Check if a player is a bot
  * @param {Array} players - Array of player objects
@@ -17,6 +20,17 @@ function isBot(players, seat) {
   return player ? (player.isBot === true) : false;
 }
 
+/**
+ * Check if the bot plays for a seat: a bot player, or a human marked away
+ * @param {Array} players - Array of player objects
+ * @param {number} seat - Seat number to check
+ * @returns {boolean} True if the bot should act for this seat
+ */
+function isBotControlled(players, seat) {
+  const player = players.find(p => p.seat === seat);
+  return player ? (player.isBot === true || player.away === true) : false;
+}
+
 /**
  * Get all bot players in a game
  * @param {Array} players - Array of player objects
@@ -90,10 +104,46 @@ async function scheduleBotAction(gameId, botSeat, delayMs = 1000) {
   }
 }
 
+/**
+ * Schedule the default action for a human player whose turn timer runs out
+ *
+ * Goes through the bot action handler with the turn's deadline: if the turn has
+ * moved on by then the deadline no longer matches and nothing happens.
+ * A bot action scheduled for the same seat (player went away) replaces it locally.
+ * With longThinkAt (botChat.getLongThinkTime) it also schedules the check for a
+ * long think partway through the turn, which is just as stale once the player moves.
+ *
+ * @param {string} gameId - Game ID
+ * @param {number} seat - Seat whose turn is timed
+ * @param {number} deadline - Turn deadline in ms since epoch
+ * @param {number|null} longThinkAt - Time of the long think check in ms since epoch (null for none)
+ * @returns {Promise<void>}
+ */
+async function scheduleTurnTimeout(gameId, seat, deadline, longThinkAt = null) {
+  const delayMs = Math.max(0, deadline - Date.now());
+
+  console.log(`[BOT_UTILS] Scheduling turn timeout for game ${gameId}, seat ${seat} in ${delayMs}ms`);
+
+  if (isLocalDevelopment()) {
+    scheduleLocalBotAction(gameId, seat, delayMs, `${gameId}:${seat}`, { deadline });
+  } else {
+    await scheduleProductionBotAction(gameId, seat, delayMs, { deadline });
+  }
+
+  if (longThinkAt) {
+    const longThinkDelayMs = Math.max(0, longThinkAt - Date.now());
+    if (isLocalDevelopment()) {
+      scheduleLocalBotAction(gameId, seat, longThinkDelayMs, `${gameId}:${seat}:longThink`, { deadline, longThink: true });
+    } else {
+      await scheduleProductionBotAction(gameId, seat, longThinkDelayMs, { deadline, longThink: true });
+    }
+  }
+}
+
 /**
  * Schedule bot action for local development using setTimeout
  */
-function scheduleLocalBotAction(gameId, botSeat, delayMs, actionKey) {
+function scheduleLocalBotAction(gameId, botSeat, delayMs, actionKey, extra = {}) {
   // Cancel any existing scheduled action for this game/seat
   if (scheduledActions.has(actionKey)) {
     const existingTimeout = scheduledActions.get(actionKey);
@@ -115,7 +165,7 @@ function scheduleLocalBotAction(gameId, botSeat, delayMs, actionKey) {
       
       const { handler } = require('../handlers/botAction');
       const result = await handler({
-        body: JSON.stringify({ gameId, botSeat }),
+        body: JSON.stringify({ gameId, botSeat, ...extra }),
       });
       console.log(`[BOT_UTILS] Bot action completed for seat ${botSeat}:`, result?.statusCode || 'unknown');
     } catch (error) {
@@ -134,7 +184,7 @@ function scheduleLocalBotAction(gameId, botSeat, delayMs, actionKey) {
  * Note: Lambda async invocation doesn't support delays, so we include the delay
  * in the payload and have the bot action handler sleep before executing.
  */
-async function scheduleProductionBotAction(gameId, botSeat, delayMs) {
+async function scheduleProductionBotAction(gameId, botSeat, delayMs, extra = {}) {
   const functionName = process.env.BOT_ACTION_FUNCTION_NAME;
   
   if (!functionName) {
@@ -150,6 +200,7 @@ async function scheduleProductionBotAction(gameId, botSeat, delayMs) {
         gameId, 
         botSeat,
         delayMs, // Include delay so handler can sleep
+        ...extra,
       }),
     };
     
@@ -167,10 +218,77 @@ async function scheduleProductionBotAction(gameId, botSeat, delayMs) {
   }
 }
 
+// Track scheduled away checks (for local development), so a quick reconnect and
+// disconnect doesn't stack several checks for one seat
+const scheduledAwayChecks = new Map(); // key: `${gameId}:${seat}`, value: timeout ID
+
+/**
+ * Schedule the away check for a disconnected seat after the grace period
+ *
+ * In local development: uses setTimeout
+ * In production Lambda: invokes the PlayerAway Lambda asynchronously, which sleeps for the delay
+ *
+ * @param {string} gameId - Game ID
+ * @param {number} seat - Seat that lost its connection
+ * @param {number} delayMs - Grace period in milliseconds
+ * @returns {Promise<void>}
+ */
+async function schedulePlayerAwayCheck(gameId, seat, delayMs = DISCONNECT_GRACE_MS) {
+  const checkKey = `${gameId}:${seat}`;
+
+  console.log(`[BOT_UTILS] Scheduling away check for game ${gameId}, seat ${seat} in ${delayMs}ms`);
+
+  if (isLocalDevelopment()) {
+    if (scheduledAwayChecks.has(checkKey)) {
+      clearTimeout(scheduledAwayChecks.get(checkKey));
+    }
+
+    const timeoutId = setTimeout(async () => {
+      scheduledAwayChecks.delete(checkKey);
+      try {
+        const { handler } = require('../handlers/playerAway');
+        const result = await handler({
+          body: JSON.stringify({ gameId, seat }),
+        });
+        console.log(`[BOT_UTILS] Away check completed for seat ${seat}:`, result?.statusCode || 'unknown');
+      } catch (error) {
+        console.error(`[BOT_UTILS] Error executing away check:`, error);
+      }
+    }, delayMs);
+
+    scheduledAwayChecks.set(checkKey, timeoutId);
+    return;
+  }
+
+  const functionName = process.env.PLAYER_AWAY_FUNCTION_NAME;
+  if (!functionName) {
+    console.error('[BOT_UTILS] PLAYER_AWAY_FUNCTION_NAME not set - cannot schedule away check in production');
+    return;
+  }
+
+  try {
+    const lambdaClient = new LambdaClient({});
+    await lambdaClient.send(new InvokeCommand({
+      FunctionName: functionName,
+      InvocationType: 'Event',
+      Payload: JSON.stringify({
+        body: JSON.stringify({ gameId, seat, delayMs }),
+      }),
+    }));
+    console.log(`[BOT_UTILS] Lambda async invocation sent for away check of seat ${seat} in game ${gameId}`);
+  } catch (error) {
+    console.error(`[BOT_UTILS] Failed to invoke Lambda for away check:`, error);
+  }
+}
+
 module.exports = {
+  DISCONNECT_GRACE_MS,
   isBot,
+  isBotControlled,
   getBotPlayers,
   getNextBotNumber,
   generateBotConnectionId,
   scheduleBotAction,
+  scheduleTurnTimeout,
+  schedulePlayerAwayCheck,
 };
@@ -2,6 +2,8 @@
  * Card utility functions for bot AI and game logic
  */
 
+const { DEFAULT_RULES, getVariantSettings } = require('./gameUtils');
+
 /**
  * Get the suit of a card string
  * @param {string} card - Card string (e.g., "Red5", "Rook")
@@ -27,25 +29,39 @@ function getCardRank(card) {
 /**
  * Get the point value of a card
  * @param {string} card - Card string
- * @returns {number} Point value (5, 10, 15, 20, or 0)
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @returns {number} Point value under the game's counter values
  */
-function getCardPointValue(card) {
-  if (card === 'Rook') return 20;
+function getCardPointValue(card, rules = DEFAULT_RULES) {
+  const { counterValues, onesWorth15 } = rules;
+  if (card === 'Rook') return counterValues.rook;
   const rank = getCardRank(card);
-  if (rank === 1) return 15;
-  if (rank === 5) return 5;
-  if (rank === 10) return 10;
-  if (rank === 14) return 10;
+  if (rank === 1) return onesWorth15 ? 15 : 0;
+  if (rank === 5) return counterValues.five;
+  if (rank === 10) return counterValues.ten;
+  if (rank === 14) return counterValues.fourteen;
   return 0;
 }
 
 /**
  * Check if a card is a point card
  * @param {string} card - Card string
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
  * @returns {boolean} True if card has point value
  */
-function isPointCard(card) {
-  return getCardPointValue(card) > 0;
+function isPointCard(card, rules = DEFAULT_RULES) {
+  return getCardPointValue(card, rules) > 0;
+}
+
+/**
+ * Get the total points available in a hand (every counter in the deck)
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @returns {number} Total points (180 under the default rules)
+ */
+function getTotalPoints(rules = DEFAULT_RULES) {
+  const { counterValues, onesWorth15 } = rules;
+  const perSuit = (onesWorth15 ? 15 : 0) + counterValues.five + counterValues.ten + counterValues.fourteen;
+  return perSuit * 4 + counterValues.rook;
 }
 
 /**
@@ -53,14 +69,15 @@ function isPointCard(card) {
  * @param {string} card - Card string
  * @param {string} trump - Trump suit
  * @param {string} ledSuit - Led suit (or null if leading)
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
  * @returns {number} Play value (higher = better)
  */
-function getCardPlayValue(card, trump, ledSuit) {
+function getCardPlayValue(card, trump, ledSuit, rules = DEFAULT_RULES) {
   if (card === 'Rook') {
-    // Rook is ALWAYS trump (lowest trump card)
-    // Returns 100 to indicate trump-level (beats any non-trump)
-    // but lower than any regular trump card (100 + rank where rank >= 1)
-    return 100;
+    // Rook is ALWAYS trump. In Kentucky rules it is the lowest trump:
+    // 100 beats any non-trump but loses to any regular trump (100 + rank).
+    // In tournament rules it is the highest trump, above the trump 1 (115).
+    return getVariantSettings(rules).rookHigh ? 116 : 100;
   }
 
   const suit = getCardSuit(card);
@@ -92,22 +109,47 @@ function getCardPlayValue(card, trump, ledSuit) {
  * @param {string} card2 - Second card
  * @param {string} trump - Trump suit
  * @param {string} ledSuit - Led suit
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
  * @returns {number} Positive if card1 wins, negative if card2 wins, 0 if equal
  */
-function compareCards(card1, card2, trump, ledSuit) {
-  const value1 = getCardPlayValue(card1, trump, ledSuit);
-  const value2 = getCardPlayValue(card2, trump, ledSuit);
+function compareCards(card1, card2, trump, ledSuit, rules = DEFAULT_RULES) {
+  const value1 = getCardPlayValue(card1, trump, ledSuit, rules);
+  const value2 = getCardPlayValue(card2, trump, ledSuit, rules);
   return value1 - value2;
 }
 
+/**
+ * Determine the winner of a trick
+ * @param {Array<object>} trick - Plays in order ({ seat, card })
+ * @param {string} trump - Trump suit
+ * @param {string} ledSuit - Led suit
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @returns {number} Seat that wins the trick
+ */
+function determineTrickWinner(trick, trump, ledSuit, rules = DEFAULT_RULES) {
+  let winningSeat = trick[0].seat;
+  let winningValue = getCardPlayValue(trick[0].card, trump, ledSuit, rules);
+
+  for (let i = 1; i < trick.length; i++) {
+    const value = getCardPlayValue(trick[i].card, trump, ledSuit, rules);
+    if (value > winningValue) {
+      winningSeat = trick[i].seat;
+      winningValue = value;
+    }
+  }
+
+  return winningSeat;
+}
+
 /**
  * Get valid cards to play based on suit-following rules
  * @param {Array<string>} hand - Player's hand
  * @param {string|null} ledSuit - Led suit (null if leading)
  * @param {string} trump - Trump suit
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
  * @returns {Array<string>} Valid cards to play
  */
-function getValidPlays(hand, ledSuit, trump) {
+function getValidPlays(hand, ledSuit, trump, rules = DEFAULT_RULES) {
   if (!ledSuit) {
     // Leading - can play any card
     return [...hand];
@@ -120,10 +162,11 @@ function getValidPlays(hand, ledSuit, trump) {
   });
 
   if (hasLedSuit) {
-    // Must follow suit
+    // Must follow suit (tournament rules let the Rook be played at any time)
+    const { rookAnyTime } = getVariantSettings(rules);
     return hand.filter(card => {
       const suit = getCardSuit(card);
-      return suit === ledSuit || (suit === 'Rook' && ledSuit === trump);
+      return suit === ledSuit || (suit === 'Rook' && (ledSuit === trump || rookAnyTime));
     });
   }
 
@@ -153,12 +196,13 @@ function countCardsBySuit(hand) {
  * @param {string} trump - Trump suit
  * @param {string|null} ledSuit - Led suit (optional)
  * @param {boolean} ascending - Sort ascending (low to high) or descending
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
  * @returns {Array<string>} Sorted cards
  */
-function sortCardsByValue(cards, trump, ledSuit = null, ascending = true) {
+function sortCardsByValue(cards, trump, ledSuit = null, ascending = true, rules = DEFAULT_RULES) {
   return [...cards].sort((a, b) => {
-    const valueA = getCardPlayValue(a, trump, ledSuit);
-    const valueB = getCardPlayValue(b, trump, ledSuit);
+    const valueA = getCardPlayValue(a, trump, ledSuit, rules);
+    const valueB = getCardPlayValue(b, trump, ledSuit, rules);
     return ascending ? valueA - valueB : valueB - valueA;
   });
 }
@@ -166,10 +210,11 @@ function sortCardsByValue(cards, trump, ledSuit = null, ascending = true) {
 /**
  * Calculate total points in a hand
  * @param {Array<string>} hand - Player's hand
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
  * @returns {number} Total point value
  */
-function calculateHandPoints(hand) {
-  return hand.reduce((sum, card) => sum + getCardPointValue(card), 0);
+function calculateHandPoints(hand, rules = DEFAULT_RULES) {
+  return hand.reduce((sum, card) => sum + getCardPointValue(card, rules), 0);
 }
 
 module.exports = {
@@ -177,8 +222,10 @@ module.exports = {
   getCardRank,
   getCardPointValue,
   isPointCard,
+  getTotalPoints,
   getCardPlayValue,
   compareCards,
+  determineTrickWinner,
   getValidPlays,
   countCardsBySuit,
   sortCardsByValue,
@@ -0,0 +1,122 @@
+/**
+ * Claim verification
+ *
+ * A player may claim the rest of the hand for their team instead of playing it
+ * out. The claim holds when the claiming team can take every remaining trick
+ * whatever the opponents do: the search lets the claimers pick among their
+ * valid plays (getValidPlays), tries every valid play for the opponents, and
+ * scores each trick with determineTrickWinner.
+ *
+ * The search stops after CLAIM_SEARCH_LIMIT positions, so a claim made early in
+ * a hand cannot stall the server; a claim it could not settle is left to the
+ * opponents. The limit counts positions rather than time so that replaying the
+ * game's event log reaches the same verdict.
+ */
+
+const { getCardSuit, getValidPlays, determineTrickWinner } = require('./cardUtils');
+
+/**
+ * Outcomes of a claim check
+ */
+const ClaimVerdict = {
+  VALID: 'valid',       // The claimers take every remaining trick
+  INVALID: 'invalid',   // The opponents can take a trick
+  UNKNOWN: 'unknown',   // The search ran out before settling it
+};
+
+// Most positions (trick starts and plays) the search visits before giving up
+const CLAIM_SEARCH_LIMIT = 200000;
+
+const OUT_OF_POSITIONS = new Error('Claim search ran out of positions');
+
+/**
+ * Key for the start of a trick: who leads and what everyone holds
+ */
+function positionKey(hands, leader) {
+  return `${leader}|${[0, 1, 2, 3].map(seat => [...hands[seat]].sort().join(',')).join('|')}`;
+}
+
+/**
+ * Check a claim that a team takes every remaining trick
+ * @param {object} deal - { hands: { [seat]: cards }, trump, leader, teams, rules } at the start of a trick
+ * @param {string} team - Claiming team ('team0' or 'team1')
+ * @param {number} [limit] - Most positions to search
+ * @returns {object} { verdict, line }: line is a sequence of plays ({ seat, card }) that wins
+ *   the opponents a trick when the verdict is INVALID, otherwise null
+ */
+function verifyClaim({ hands, trump, leader, teams, rules }, team, limit = CLAIM_SEARCH_LIMIT) {
+  const claimers = new Set(teams[team]);
+  const memo = new Map();
+  let positions = 0;
+
+  // null when the claimers take every trick from here, otherwise a line that beats them
+  function search(remaining, trick, ledSuit, seat) {
+    if (trick.length === 4) {
+      const winner = determineTrickWinner(trick, trump, ledSuit, rules);
+      if (!claimers.has(winner)) {
+        return [];
+      }
+      return remaining[winner].length === 0 ? null : search(remaining, [], null, winner);
+    }
+
+    const key = trick.length === 0 ? positionKey(remaining, seat) : null;
+    if (key && memo.has(key)) {
+      return memo.get(key);
+    }
+    positions += 1;
+    if (positions > limit) {
+      throw OUT_OF_POSITIONS;
+    }
+
+    const claimer = claimers.has(seat);
+    let result = null;
+    let firstFailure = null;
+    for (const card of getValidPlays(remaining[seat], trick.length > 0 ? ledSuit : null, trump, rules)) {
+      // A led Rook leads trump
+      const cardSuit = getCardSuit(card);
+      const nextLed = trick.length > 0 ? ledSuit : (cardSuit === 'Rook' ? trump : cardSuit);
+      const nextRemaining = { ...remaining, [seat]: remaining[seat].filter(c => c !== card) };
+      const line = search(nextRemaining, [...trick, { seat, card }], nextLed, (seat + 1) % 4);
+
+      if (claimer && line === null) {
+        // The claimers only need one play that works
+        firstFailure = null;
+        break;
+      }
+      if (claimer && !firstFailure) {
+        firstFailure = [{ seat, card }, ...line];
+      }
+      if (!claimer && line !== null) {
+        // The opponents only need one play that wins a trick
+        result = [{ seat, card }, ...line];
+        break;
+      }
+    }
+    if (claimer) {
+      result = firstFailure;
+    }
+
+    if (key) {
+      memo.set(key, result);
+    }
+    return result;
+  }
+
+  try {
+    const line = search(hands, [], null, leader);
+    return line === null
+      ? { verdict: ClaimVerdict.VALID, line: null }
+      : { verdict: ClaimVerdict.INVALID, line };
+  } catch (error) {
+    if (error === OUT_OF_POSITIONS) {
+      return { verdict: ClaimVerdict.UNKNOWN, line: null };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  ClaimVerdict,
+  CLAIM_SEARCH_LIMIT,
+  verifyClaim,
+};
@@ -7,15 +7,21 @@
 const crypto = require('crypto');
 const { PutCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, GAMES_TABLE, HANDS_TABLE } = require('./dynamodb');
-const { GameStatus, Suits, BID_MIN } = require('./gameUtils');
+const { Suits, DEFAULT_RULES, KITTY_SIZE, getVariantSettings, getDealtGameFields, getTurnDeadline } = require('./gameUtils');
+const { TurnDelay } = require('./gameEngine');
+const { isPointCard } = require('./cardUtils');
+const { buildDealEvent, appendGameEvents } = require('./gameEvents');
 
 /**
- * Construct the full Rook deck
- * @returns {Array<string>} Array of 57 card strings
+ * Construct the Rook deck for the game's variant
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @returns {Array<string>} Array of card strings (57 for Kentucky, 45 for tournament)
  */
-function constructDeck() {
+function constructDeck(rules = DEFAULT_RULES) {
   const suits = [Suits.RED, Suits.GREEN, Suits.YELLOW, Suits.BLACK];
-  const ranks = Array.from({ length: 14 }, (_, i) => i + 1); // 1 through 14
+  const { removedRanks } = getVariantSettings(rules);
+  const ranks = Array.from({ length: 14 }, (_, i) => i + 1) // 1 through 14
+    .filter(rank => !removedRanks.includes(rank));
   const deck = [];
 
   // Add cards for each suit and rank
@@ -32,17 +38,48 @@ function constructDeck() {
 }
 
 /**
- * Shuffle array using Fisher-Yates algorithm with crypto.randomInt
+ * Generate a random deal seed
+ * @returns {string} 16-character hex seed
+ */
+function generateDealSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Create a deterministic replacement for crypto.randomInt from a seed
+ *
+ * Each draw hashes the seed with a counter (SHA-256), so a seed produces the
+ * same sequence on every platform and Node version.
+ *
+ * @param {string} seed - Deal seed
+ * @returns {function(number, number): number} randomInt(min, max) with max exclusive
+ */
+function createSeededRandomInt(seed) {
+  let counter = 0;
+  return (min, max) => {
+    const range = max - min;
+    // Rejection sampling keeps every value equally likely
+    const limit = Math.floor(0x100000000 / range) * range;
+    let value;
+    do {
+      value = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest().readUInt32BE(0);
+    } while (value >= limit);
+    return min + (value % range);
+  };
+}
+
+/**
+ * Shuffle array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {function(number, number): number} randomInt - Random source (defaults to crypto.randomInt)
  * @returns {Array} Shuffled array (new array, doesn't modify original)
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, randomInt = crypto.randomInt) {
   const shuffled = [...deck]; // Create a copy
 
-  // Fisher-Yates shuffle with crypto.randomInt
+  // Fisher-Yates shuffle
   for (let i = shuffled.length - 1; i > 0; i--) {
-    // Generate random index using crypto.randomInt (cryptographically secure)
-    const j = crypto.randomInt(0, i + 1);
+    const j = randomInt(0, i + 1);
     
     // Swap elements
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
@@ -51,37 +88,16 @@ function shuffleDeck(deck) {
   return shuffled;
 }
 
-/**
- * Check if a card is a point card (5, 10, 14, 1, or Rook)
- * @param {string} card - Card string (e.g., "Red5", "Green10", "Rook")
- * @returns {boolean} True if the card is a point card
- */
-function isPointCard(card) {
-  if (card === 'Rook') {
-    return true;
-  }
-  
-  // Cards are formatted as "SuitRank" (e.g., "Red5", "Green10")
-  // Extract the rank by removing the suit prefix
-  // Suits are: Red, Green, Yellow, Black
-  const rankMatch = card.match(/(\d+)$/);
-  if (!rankMatch) {
-    return false;
-  }
-  
-  const rank = parseInt(rankMatch[1], 10);
-  return rank === 1 || rank === 5 || rank === 10 || rank === 14;
-}
-
 /**
  * Check if all hands have at least one point card
  * @param {object} hands - Object with hand0, hand1, hand2, hand3 arrays
+ * @param {object} rules - Resolved game rules (decides which cards count)
  * @returns {boolean} True if all hands have at least one point card
  */
-function allHandsHavePointCard(hands) {
+function allHandsHavePointCard(hands, rules) {
   for (let i = 0; i < 4; i++) {
     const hand = hands[`hand${i}`];
-    const hasPointCard = hand.some(card => isPointCard(card));
+    const hasPointCard = hand.some(card => isPointCard(card, rules));
     if (!hasPointCard) {
       return false;
     }
@@ -92,16 +108,17 @@ function allHandsHavePointCard(hands) {
 /**
  * Deal cards to players and kitty
  * @param {Array<string>} deck - Shuffled deck
+ * @param {number} handSize - Cards per player (13 for Kentucky, 10 for tournament)
  * @returns {object} Object with hands and kitty
  */
-function dealCards(deck) {
+function dealCards(deck, handSize = 13) {
   const hands = {
-    hand0: deck.slice(0, 13),
-    hand1: deck.slice(13, 26),
-    hand2: deck.slice(26, 39),
-    hand3: deck.slice(39, 52),
+    hand0: deck.slice(0, handSize),
+    hand1: deck.slice(handSize, handSize * 2),
+    hand2: deck.slice(handSize * 2, handSize * 3),
+    hand3: deck.slice(handSize * 3, handSize * 4),
   };
-  const kitty = deck.slice(52); // Last 5 cards
+  const kitty = deck.slice(handSize * 4, handSize * 4 + KITTY_SIZE); // Last 5 cards
 
   return { hands, kitty };
 }
@@ -138,13 +155,19 @@ async function storeHands(gameId, hands) {
 }
 
 /**
- * Deal cards and update game state
- * @param {string} gameId - Game ID
- * @param {number} currentVersion - Current game version for optimistic locking
- * @param {number} dealer - Seat of the dealer (defaults to 0 for first hand)
- * @returns {Promise<object>} Object with hands and kitty
+ * Deal one hand from a seed, redealing until every hand holds a counter
+ *
+ * The redeals draw from the same seeded sequence, so a seed always
+ * reproduces the same final deal.
+ *
+ * @param {object} rules - Resolved game rules
+ * @param {string} seed - Deal seed
+ * @returns {object} { hands, kitty, attempts }
  */
-async function dealGame(gameId, currentVersion, dealer = 0) {
+function dealHand(rules, seed) {
+  const randomInt = createSeededRandomInt(seed);
+  const deck = constructDeck(rules);
+  const { handSize } = getVariantSettings(rules);
   let hands, kitty;
   let attempts = 0;
   const maxAttempts = 100; // Safety limit to prevent infinite loops
@@ -157,15 +180,25 @@ async function dealGame(gameId, currentVersion, dealer = 0) {
       break;
     }
     
-    // Construct and shuffle deck
-    const deck = constructDeck();
-    const shuffled = shuffleDeck(deck);
-    
-    // Deal cards
-    const dealt = dealCards(shuffled);
+    const dealt = dealCards(shuffleDeck(deck, randomInt), handSize);
     hands = dealt.hands;
     kitty = dealt.kitty;
-  } while (!allHandsHavePointCard(hands));
+  } while (!allHandsHavePointCard(hands, rules));
+
+  return { hands, kitty, attempts: Math.min(attempts, maxAttempts) };
+}
+
+/**
+ * Deal cards and update game state
+ * @param {string} gameId - Game ID
+ * @param {number} currentVersion - Current game version for optimistic locking
+ * @param {number} dealer - Seat of the dealer (defaults to 0 for first hand)
+ * @param {object} rules - Resolved game rules (defaults to DEFAULT_RULES)
+ * @param {string} seed - Deal seed (a random one is generated if omitted)
+ * @returns {Promise<object>} Object with hands, kitty, the seed used and the opening bid's turn deadline (or null)
+ */
+async function dealGame(gameId, currentVersion, dealer = 0, rules = DEFAULT_RULES, seed = generateDealSeed()) {
+  const { hands, kitty, attempts } = dealHand(rules, seed);
   
   if (attempts > 1) {
     console.log(`Redealt cards ${attempts} time(s) to ensure all hands have point cards`);
@@ -174,23 +207,33 @@ async function dealGame(gameId, currentVersion, dealer = 0) {
   // Store hands in DynamoDB
   await storeHands(gameId, hands);
   
-  // Calculate starting bidder: dealer starts the bidding
-  const startingBidder = dealer;
-  
-  // Update game state
+  // Update game state (the dealer starts the bidding)
+  const fields = getDealtGameFields(dealer, kitty, rules, seed);
+  const startingBidder = fields.currentBidder;
+  // The opening bidder's clock starts once the deal animation is done
+  const turnDeadline = getTurnDeadline(rules, fields.status, Date.now() + TurnDelay.DEAL);
   const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
-  await docClient.send(new UpdateCommand({
+  const result = await docClient.send(new UpdateCommand({
     TableName: GAMES_TABLE,
     Key: { gameId },
     UpdateExpression: `
       SET #status = :status,
           highBid = :highBid,
+          highBidder = :highBidder,
           currentBid = :currentBid,
           currentBidder = :currentBidder,
           passed = :passed,
+          bids = :bids,
           kitty = :kitty,
+          discard = :discard,
           trumpColor = :trumpColor,
           cardsPlayed = :emptyCardsPlayed,
+          tricks = :tricks,
+          claim = :claim,
+          undoRequest = :undoRequest,
+          dealSeed = :dealSeed,
+          turnDeadline = :turnDeadline,
+          eventSeq = if_not_exists(eventSeq, :zero) + :one,
           version = version + :one,
           updatedAt = :updatedAt
     `,
@@ -198,30 +241,51 @@ async function dealGame(gameId, currentVersion, dealer = 0) {
       '#status': 'status',
     },
     ExpressionAttributeValues: {
-      ':status': GameStatus.BIDDING,
-      ':highBid': 0, // No bid yet
-      ':currentBid': BID_MIN, // Starting bid is minimum (for display)
-      ':currentBidder': startingBidder, // Player to the left of dealer starts bidding
-      ':passed': [],
-      ':kitty': kitty,
-      ':trumpColor': null,
-      ':emptyCardsPlayed': [],
+      ':status': fields.status,
+      ':highBid': fields.highBid,
+      ':highBidder': fields.highBidder,
+      ':currentBid': fields.currentBid,
+      ':currentBidder': fields.currentBidder,
+      ':passed': fields.passed,
+      ':bids': fields.bids,
+      ':kitty': fields.kitty,
+      ':discard': fields.discard,
+      ':trumpColor': fields.trumpColor,
+      ':emptyCardsPlayed': fields.cardsPlayed,
+      ':tricks': fields.tricks,
+      ':claim': fields.claim,
+      ':undoRequest': fields.undoRequest,
+      ':dealSeed': fields.dealSeed,
+      ':turnDeadline': turnDeadline,
+      ':zero': 0,
       ':one': 1,
       ':updatedAt': new Date().toISOString(),
       ':currentVersion': currentVersion,
     },
     ConditionExpression: 'version = :currentVersion',
+    ReturnValues: 'ALL_NEW',
   }));
 
+  // Record the deal in the game's event log
+  const updatedGame = result.Attributes;
+  try {
+    await appendGameEvents(gameId, updatedGame.eventSeq, [buildDealEvent(updatedGame, hands, kitty)]);
+  } catch (error) {
+    console.error(`[GAME_EVENTS] Failed to log deal for game ${gameId}:`, error);
+  }
+
   console.log(`Dealt cards for game ${gameId}. Dealer: ${dealer}, Starting bidder: ${startingBidder}. Hands: ${Object.values(hands).map(h => h.length).join(', ')}, Kitty: ${kitty.length}`);
 
-  return { hands, kitty };
+  return { hands, kitty, seed, turnDeadline };
 }
 
 module.exports = {
   constructDeck,
+  generateDealSeed,
+  createSeededRandomInt,
   shuffleDeck,
   dealCards,
+  dealHand,
   storeHands,
   dealGame,
 };
@@ -0,0 +1,566 @@
+/**
+ * Double-dummy solver
+ *
+ * With every hand face up, finds the points each team takes when all four seats
+ * play perfectly: a minimax search over every legal card, maximizing team 0's
+ * points, with alpha-beta pruning. What keeps it as fast as it is:
+ * - positions at the start of a trick are remembered as bounds on team 0's points.
+ *   Only the order of the cards still out matters, not their ranks, so a position
+ *   is keyed by who holds each remaining card (and its points) in suit order
+ * - cards in one hand with no other hand's card between them and worth the same
+ *   points play the same way, so only one of them is searched
+ * - exact values come from a series of null-window searches ("at least x?")
+ *
+ * A whole hand can still take far longer than a request may, so the search runs
+ * against a deadline. analyzePlay works back from the last card, where positions
+ * are small, and reports whatever it solved before the deadline.
+ *
+ * Follow-suit rules are the engine's (checkFollowSuit): a player holding the led
+ * suit must follow, and the Rook follows trump (or anything under rookAnyTime).
+ *
+ * A deal is { hands, trump, leader, teams, rules }: hands keyed by seat, holding
+ * the cards each seat had when play began (after the discard).
+ */
+
+const { getCardSuit, getCardPlayValue, getCardPointValue } = require('./cardUtils');
+const { DEFAULT_RULES, getVariantSettings } = require('./gameUtils');
+
+const SUITS = ['Red', 'Green', 'Yellow', 'Black'];
+const ROOK_SUIT = SUITS.length; // Raw suit code of the Rook
+const NOT_HELD = -1;
+
+// Nodes searched between looks at the clock
+const CLOCK_INTERVAL = 4096;
+
+// Positions remembered before starting over (about 250 bytes each)
+const MEMORY_LIMIT = 1000000;
+
+// Thrown out of the search when the deadline passes
+const OUT_OF_TIME = new Error('Double-dummy search ran out of time');
+
+/**
+ * Index the cards in play and precompute what the search needs about each
+ * @returns {object} Card table, with the hands as card indices
+ */
+function buildTable({ hands, trump, rules = DEFAULT_RULES }) {
+  const cards = [0, 1, 2, 3].flatMap(seat => hands[seat]);
+  const trumpCode = SUITS.indexOf(trump);
+  const rawSuit = cards.map(card => (card === 'Rook' ? ROOK_SUIT : SUITS.indexOf(getCardSuit(card))));
+  const suit = rawSuit.map(code => (code === ROOK_SUIT ? trumpCode : code));
+  // Strength within the suit it counts as; any trump beats any non-trump
+  const strength = cards.map((card, i) => getCardPlayValue(card, trump, SUITS[suit[i]], rules));
+  const points = cards.map(card => getCardPointValue(card, rules));
+  const pointValues = [...new Set(points)];
+
+  return {
+    cards,
+    index: new Map(cards.map((card, i) => [card, i])),
+    trumpCode,
+    rookAnyTime: getVariantSettings(rules).rookAnyTime,
+    rawSuit,
+    suit,
+    strength,
+    points,
+    // Points as a small code for position keys; the Rook gets its own (it follows differently)
+    pointCode: cards.map((card, i) => (card === 'Rook' ? pointValues.length : pointValues.indexOf(points[i]))),
+    pointCodes: pointValues.length + 1,
+    // Cards by the suit they count as, weakest first (the Rook among the trumps)
+    bySuit: SUITS.map((_, code) =>
+      cards.map((_, i) => i).filter(i => suit[i] === code).sort((a, b) => strength[a] - strength[b])),
+    // Each hand in suit and strength order
+    hands: [0, 1, 2, 3].map(seat => hands[seat].map(card => cards.indexOf(card))
+      .sort((a, b) => rawSuit[a] - rawSuit[b] || strength[a] - strength[b])),
+  };
+}
+
+/**
+ * Sort codes[start..] in place (runs are a few codes long)
+ */
+function sortRun(codes, start) {
+  for (let i = start + 1; i < codes.length; i++) {
+    const code = codes[i];
+    let j = i - 1;
+    while (j >= start && codes[j] > code) {
+      codes[j + 1] = codes[j];
+      j--;
+    }
+    codes[j + 1] = code;
+  }
+}
+
+/**
+ * Find a value exactly from a fail-soft search, narrowing [low, high] with
+ * null-window tests
+ * @param {function(number, number): number} probe - Search with the window (alpha, beta)
+ * @param {number} low - Lowest possible value
+ * @param {number} high - Highest possible value
+ * @returns {number} Exact value
+ */
+function exactValue(probe, low, high) {
+  while (low < high) {
+    const test = Math.floor((low + high + 1) / 2);
+    const value = probe(test - 1, test);
+    if (value >= test) {
+      low = value;
+    } else {
+      high = value;
+    }
+  }
+  return low;
+}
+
+/**
+ * Create a solver for one deal; what it learns about positions carries over
+ * between calls. Every call throws OUT_OF_TIME once the deadline has passed,
+ * leaving the position to be set again.
+ * @param {object} deal - { hands, trump, leader, teams, rules }
+ * @param {number} deadline - Time (ms since the epoch) to give up searching
+ * @returns {object} { setPosition, candidates, positionValue, cardReaches }
+ */
+function createSolver(deal, deadline) {
+  const table = buildTable(deal);
+  const { trumpCode, rookAnyTime, rawSuit, suit, strength, points, pointCode, pointCodes, bySuit } = table;
+  const isTeam0 = [0, 1, 2, 3].map(seat => deal.teams.team0.includes(seat));
+  const allPoints = points.reduce((sum, value) => sum + value, 0);
+
+  // Position being searched, changed in place and put back on the way out
+  const hands = [];
+  const holder = new Int8Array(table.cards.length);  // Seat holding each card, or NOT_HELD
+  const gone = new Uint8Array(table.cards.length);   // Played to a completed trick
+  const trickSeats = new Int8Array(4);                // Current trick, in play order
+  const trickCards = new Int8Array(4);
+  const savedTricks = new Int8Array(8 * 14);          // Completed tricks being searched past, by cards left
+  let trickLength = 0;     // Cards on the table
+  let led = -1;            // Suit code led to the current trick
+  let openPoints = 0;      // Points not yet in a completed trick (hands and table)
+  let nodes = 0;
+
+  // Bounds on team 0's points from a trick start to the end: key -> [low, high] per leader
+  const memory = new Map();
+
+  function beats(card, best) {
+    if (suit[card] === trumpCode) {
+      return suit[best] !== trumpCode || strength[card] > strength[best];
+    }
+    return suit[card] === suit[best] && strength[card] > strength[best];
+  }
+
+  // Place in the trick of the card winning it so far
+  function winningPlace() {
+    let best = 0;
+    for (let i = 1; i < trickLength; i++) {
+      if (beats(trickCards[i], trickCards[best])) best = i;
+    }
+    return best;
+  }
+
+  /**
+   * Set up the position after the given plays from the first lead
+   * @param {Array<object>} plays - [{ seat, card }]
+   * @returns {number} Seat to play
+   */
+  function setPosition(plays) {
+    table.hands.forEach((hand, seat) => {
+      hands[seat] = [...hand];
+      hand.forEach(card => { holder[card] = seat; });
+    });
+    gone.fill(0);
+    trickLength = 0;
+    led = -1;
+    openPoints = allPoints;
+
+    let seat = deal.leader;
+    for (const play of plays) {
+      const card = table.index.get(play.card);
+      hands[seat].splice(hands[seat].indexOf(card), 1);
+      holder[card] = NOT_HELD;
+      if (trickLength === 0) led = suit[card];
+      trickSeats[trickLength] = seat;
+      trickCards[trickLength++] = card;
+      if (trickLength < 4) {
+        seat = (seat + 1) % 4;
+        continue;
+      }
+      seat = trickSeats[winningPlace()];
+      for (let i = 0; i < 4; i++) {
+        gone[trickCards[i]] = 1;
+        openPoints -= points[trickCards[i]];
+      }
+      trickLength = 0;
+      led = -1;
+    }
+    return seat;
+  }
+
+  /**
+   * Two cards of one hand play alike: same raw suit, same points, and no card of
+   * another hand between them
+   */
+  function isTouching(a, b, seat) {
+    if (rawSuit[a] !== rawSuit[b] || points[a] !== points[b]) return false;
+    const low = strength[a] < strength[b] ? a : b;
+    const high = low === a ? b : a;
+    for (const card of bySuit[suit[low]]) {
+      if (strength[card] <= strength[low]) continue;
+      if (strength[card] >= strength[high]) break;
+      if (!gone[card] && holder[card] !== seat) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Cards worth searching for the seat: the legal cards, the weakest of each group
+   * that plays alike, most promising first
+   * @returns {Array<number>} Card indices
+   */
+  function candidateCards(seat) {
+    // Hands are kept in suit and strength order, so the first card of a group comes first
+    const hand = hands[seat];
+    let mustFollow = false;
+    if (led >= 0) {
+      for (let i = 0; i < hand.length && !mustFollow; i++) mustFollow = rawSuit[hand[i]] === led;
+    }
+    const rookFollows = led === trumpCode || rookAnyTime;
+    const candidates = [];
+    for (const card of hand) {
+      if (mustFollow && rawSuit[card] !== led && !(rawSuit[card] === ROOK_SUIT && rookFollows)) continue;
+      let alike = false;
+      for (let i = 0; i < candidates.length && !alike; i++) alike = isTouching(candidates[i], card, seat);
+      if (!alike) candidates.push(card);
+    }
+
+    // Lead high; when following, win as cheaply as possible, feed points to a
+    // winning partner, and otherwise throw the least
+    const winning = trickLength > 0 ? trickCards[winningPlace()] : -1;
+    const partnerWinning = winning >= 0 && isTeam0[trickSeats[winningPlace()]] === isTeam0[seat];
+    const scores = candidates.map(card => {
+      if (winning < 0) return strength[card] + points[card];
+      if (partnerWinning) return points[card] * 10 - strength[card];
+      if (beats(card, winning)) return 1000 - strength[card] + points[card];
+      return -points[card] * 10 - strength[card];
+    });
+    // Insertion sort, best score first (a handful of cards)
+    for (let i = 1; i < candidates.length; i++) {
+      const card = candidates[i];
+      const score = scores[i];
+      let j = i - 1;
+      while (j >= 0 && scores[j] < score) {
+        candidates[j + 1] = candidates[j];
+        scores[j + 1] = scores[j];
+        j--;
+      }
+      candidates[j + 1] = card;
+      scores[j + 1] = score;
+    }
+    return candidates;
+  }
+
+  function positionKey() {
+    const codes = [];
+    for (const cards of bySuit) {
+      // Cards of one hand with nothing from another hand between them play the
+      // same in any order, so each such run is keyed in a fixed order
+      let runStart = codes.length;
+      let runHolder = NOT_HELD;
+      for (const card of cards) {
+        if (gone[card]) continue;
+        if (holder[card] !== runHolder) {
+          sortRun(codes, runStart);
+          runStart = codes.length;
+          runHolder = holder[card];
+        }
+        codes.push(holder[card] * pointCodes + pointCode[card]);
+      }
+      sortRun(codes, runStart);
+      codes.push(0xFFFF);
+    }
+    return String.fromCharCode(...codes);
+  }
+
+  /**
+   * Team 0's points from the start of the current trick to the end of the hand
+   * (fail-soft: a result outside (alpha, beta) is only a bound)
+   */
+  function search(seat, alpha, beta) {
+    if (++nodes % CLOCK_INTERVAL === 0 && Date.now() > deadline) {
+      throw OUT_OF_TIME;
+    }
+    // Nobody takes more than the points still open, or fewer than none
+    if (openPoints <= alpha) return openPoints;
+    if (beta <= 0) return 0;
+
+    const atTrickStart = trickLength === 0;
+    if (atTrickStart && hands[seat].length === 0) {
+      return 0;
+    }
+
+    let key;
+    let bounds;
+    if (atTrickStart) {
+      key = positionKey();
+      bounds = memory.get(key);
+      if (bounds) {
+        const low = bounds[seat * 2];
+        const high = bounds[seat * 2 + 1];
+        if (low >= beta || low === high) return low;
+        if (high <= alpha) return high;
+        alpha = Math.max(alpha, low);
+        beta = Math.min(beta, high);
+      }
+    }
+    const alphaStart = alpha;
+    const betaStart = beta;
+    const maximizing = isTeam0[seat];
+    let best = maximizing ? -Infinity : Infinity;
+
+    for (const card of candidateCards(seat)) {
+      const value = playCard(seat, card, alpha, beta);
+      if (maximizing) {
+        best = Math.max(best, value);
+        alpha = Math.max(alpha, value);
+      } else {
+        best = Math.min(best, value);
+        beta = Math.min(beta, value);
+      }
+      if (alpha >= beta) break;
+    }
+
+    if (atTrickStart) {
+      if (!bounds) {
+        if (memory.size >= MEMORY_LIMIT) memory.clear();
+        bounds = [0, Infinity, 0, Infinity, 0, Infinity, 0, Infinity];
+        memory.set(key, bounds);
+      }
+      if (best > alphaStart) bounds[seat * 2] = Math.max(bounds[seat * 2], best);
+      if (best < betaStart) bounds[seat * 2 + 1] = Math.min(bounds[seat * 2 + 1], best);
+    }
+    return best;
+  }
+
+  /**
+   * Play a card, search on, and take it back
+   * @returns {number} Team 0's points from the start of the current trick on
+   */
+  function playCard(seat, card, alpha, beta) {
+    const hand = hands[seat];
+    const position = hand.indexOf(card);
+    hand.splice(position, 1);
+    holder[card] = NOT_HELD;
+    const ledBefore = led;
+    if (trickLength === 0) led = suit[card];
+    trickSeats[trickLength] = seat;
+    trickCards[trickLength++] = card;
+
+    let value;
+    if (trickLength < 4) {
+      value = search((seat + 1) % 4, alpha, beta);
+    } else {
+      const winner = trickSeats[winningPlace()];
+      // The next tricks reuse the table; keep this one to put back
+      const saved = hand.length * 8;
+      let trickPoints = 0;
+      for (let i = 0; i < 4; i++) {
+        savedTricks[saved + i] = trickSeats[i];
+        savedTricks[saved + 4 + i] = trickCards[i];
+        gone[trickCards[i]] = 1;
+        trickPoints += points[trickCards[i]];
+      }
+      const won = isTeam0[winner] ? trickPoints : 0;
+      openPoints -= trickPoints;
+      trickLength = 0;
+      led = -1;
+
+      value = won + search(winner, alpha - won, beta - won);
+
+      for (let i = 0; i < 4; i++) {
+        trickSeats[i] = savedTricks[saved + i];
+        trickCards[i] = savedTricks[saved + 4 + i];
+        gone[trickCards[i]] = 0;
+      }
+      trickLength = 4;
+      openPoints += trickPoints;
+    }
+
+    trickLength--;
+    led = ledBefore;
+    holder[card] = seat;
+    hand.splice(position, 0, card);
+    return value;
+  }
+
+  return {
+    setPosition,
+
+    /**
+     * Cards the seat could play in the current position, one per group that plays alike
+     * @returns {Array<object>} [{ card, alike: [every card name of the group] }]
+     */
+    candidates(seat) {
+      return candidateCards(seat).map(card => ({
+        card: table.cards[card],
+        alike: hands[seat]
+          .filter(other => other === card || isTouching(card, other, seat))
+          .map(other => table.cards[other]),
+      }));
+    },
+
+    // Team 0's points from the start of the current trick with perfect play,
+    // when known to lie in [low, high]
+    positionValue(seat, low = 0, high = openPoints) {
+      return exactValue((alpha, beta) => search(seat, alpha, beta), low, high);
+    },
+
+    // Whether the card keeps the value for the seat's team (team 0 at least it, team 1 at most)
+    cardReaches(seat, name, value) {
+      const card = table.index.get(name);
+      return isTeam0[seat]
+        ? playCard(seat, card, value - 1, value) >= value
+        : playCard(seat, card, value, value + 1) <= value;
+    },
+  };
+}
+
+/**
+ * Total points in the four hands
+ */
+function totalPoints(deal) {
+  const rules = deal.rules || DEFAULT_RULES;
+  return [0, 1, 2, 3].flatMap(seat => deal.hands[seat]).reduce((sum, card) => sum + getCardPointValue(card, rules), 0);
+}
+
+/**
+ * Points each team took in the completed tricks of a play sequence
+ */
+function tallyTricks(deal, plays) {
+  const rules = deal.rules || DEFAULT_RULES;
+  const won = { team0: 0, team1: 0 };
+  for (let i = 0; i + 4 <= plays.length; i += 4) {
+    const trick = plays.slice(i, i + 4);
+    const led = trick[0].card === 'Rook' ? deal.trump : getCardSuit(trick[0].card);
+    const value = (play) => getCardPlayValue(play.card, deal.trump, led, rules);
+    const winner = trick.reduce((best, play) => (value(play) > value(best) ? play : best));
+    const team = deal.teams.team0.includes(winner.seat) ? 'team0' : 'team1';
+    won[team] += trick.reduce((sum, play) => sum + getCardPointValue(play.card, rules), 0);
+  }
+  return won;
+}
+
+/**
+ * Team 0's points from the trick of plays[i] on, once plays[i + 1]'s are known
+ */
+function valueBefore(deal, plays, i, valueAfter) {
+  return i % 4 === 3 ? tallyTricks(deal, plays.slice(i - 3, i + 1)).team0 + valueAfter : valueAfter;
+}
+
+/**
+ * One way to play the hand out perfectly from the first lead
+ * @param {number} value - Team 0's points with perfect play
+ */
+function perfectLine(solver, deal, value) {
+  const line = [];
+  const cardCount = [0, 1, 2, 3].reduce((sum, seat) => sum + deal.hands[seat].length, 0);
+  while (line.length < cardCount) {
+    const seat = solver.setPosition(line);
+    const { card } = solver.candidates(seat).find(option => solver.cardReaches(seat, option.card, value));
+    line.push({ seat, card });
+    if (line.length % 4 === 0) {
+      value -= tallyTricks(deal, line.slice(-4)).team0;
+    }
+  }
+  return line;
+}
+
+/**
+ * Solve a hand from the first lead
+ * @param {object} deal - { hands, trump, leader, teams, rules }
+ * @param {number} [budgetMs] - Time allowed (unlimited if omitted)
+ * @returns {object|null} { points: { team0, team1 } with perfect play by all four
+ *   seats, line: [{ seat, card }] one way to get them }, or null if out of time
+ */
+function solveHand(deal, budgetMs = Infinity) {
+  const solver = createSolver(deal, Date.now() + budgetMs);
+  try {
+    const team0 = solver.positionValue(solver.setPosition([]));
+    return {
+      points: { team0, team1: totalPoints(deal) - team0 },
+      line: perfectLine(solver, deal, team0),
+    };
+  } catch (err) {
+    if (err === OUT_OF_TIME) return null;
+    throw err;
+  }
+}
+
+/**
+ * Compare the way a hand was played with perfect play
+ *
+ * For every card played: the most the seat's team could still take (from the
+ * start of that trick, with everyone playing perfectly from there), the cards that
+ * would have done it, and what the card actually played would have got. Cards are
+ * solved from the last back to the first, each position's value bounding the one
+ * before; those not reached in time stay unsolved. The perfect-play totals (the
+ * first card's position) and line need all of them.
+ * @param {object} deal - { hands, trump, leader, teams, rules }
+ * @param {Array<object>} plays - [{ seat, card }] in the order played
+ * @param {number} [budgetMs] - Time allowed (unlimited if omitted)
+ * @returns {object} { solved, points: { team0, team1 } or null, line: [{ seat, card }] or null,
+ *   actual: { team0, team1 }, decisions: [{ trick, seat, card, solved, bestCards,
+ *   bestPoints, playedPoints, pointsLost }] }
+ */
+function analyzePlay(deal, plays, budgetMs = Infinity) {
+  const solver = createSolver(deal, Date.now() + budgetMs);
+  const total = totalPoints(deal);
+  const decisions = plays.map((play, i) => ({
+    trick: Math.floor(i / 4) + 1,
+    seat: play.seat,
+    card: play.card,
+    solved: false,
+  }));
+  let value = 0;   // Team 0's points from the trick of the position after plays[i]
+  let rootValue = null;
+  let line = null;
+
+  try {
+    for (let i = plays.length - 1; i >= 0; i--) {
+      const seat = solver.setPosition(plays.slice(0, i));
+      const onTeam0 = deal.teams.team0.includes(seat);
+      const completed = tallyTricks(deal, plays.slice(0, i - (i % 4)));
+      const open = total - completed.team0 - completed.team1;
+      // The solver counts team 0's points; team 1 gets the rest of what's open
+      const forTeam = (points) => (onTeam0 ? points : open - points);
+
+      // The card played got what the next position is worth; the best card can only do better
+      const played = valueBefore(deal, plays, i, value);
+      const best = onTeam0 ? solver.positionValue(seat, played, open) : solver.positionValue(seat, 0, played);
+      const bestCards = solver.candidates(seat)
+        .filter(({ card }) => solver.cardReaches(seat, card, best))
+        .flatMap(({ alike }) => alike);
+
+      Object.assign(decisions[i], {
+        solved: true,
+        bestCards,
+        bestPoints: forTeam(best),
+        playedPoints: forTeam(played),
+        pointsLost: Math.abs(best - played),
+      });
+      value = best;
+    }
+    rootValue = value;
+    line = perfectLine(solver, deal, rootValue);
+  } catch (err) {
+    if (err !== OUT_OF_TIME) throw err;
+  }
+
+  return {
+    solved: rootValue !== null,
+    points: rootValue !== null ? { team0: rootValue, team1: total - rootValue } : null,
+    line,
+    actual: tallyTricks(deal, plays),
+    decisions,
+  };
+}
+
+module.exports = {
+  solveHand,
+  analyzePlay,
+};
@@ -5,6 +5,8 @@
  * - RookGames: Main game state (gameId PK)
  * - RookHands: Player hands/cards (gameId PK, seat SK)
  * - RookConnections: WebSocket connections (gameId PK, connectionId SK, GSI on connectionId)
+ * - RookGameEvents: Append-only action log (gameId PK, seq SK)
+ * - RookTournaments: Duplicate tournaments linking several games (tournamentId PK)
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
@@ -43,6 +45,8 @@ const docClient = DynamoDBDocumentClient.from(client, {
 const GAMES_TABLE = process.env.GAMES_TABLE || 'RookGames';
 const HANDS_TABLE = process.env.HANDS_TABLE || 'RookHands';
 const CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE || 'RookConnections';
+const GAME_EVENTS_TABLE = process.env.GAME_EVENTS_TABLE || 'RookGameEvents';
+const TOURNAMENTS_TABLE = process.env.TOURNAMENTS_TABLE || 'RookTournaments';
 
 // GSI name for looking up connections by connectionId
 const CONNECTION_ID_INDEX = 'ConnectionIdIndex';
@@ -53,5 +57,7 @@ module.exports = {
   GAMES_TABLE,
   HANDS_TABLE,
   CONNECTIONS_TABLE,
+  GAME_EVENTS_TABLE,
+  TOURNAMENTS_TABLE,
   CONNECTION_ID_INDEX,
 };
@@ -0,0 +1,1125 @@
+/**
+ * Rook rules engine
+ *
+ * Pure state transitions for in-game actions (bid, pass, discardAndTrump,
+ * playCard, claim, respondClaim, concedeHand, concedeGame, requestUndo,
+ * respondUndo, quickChat, resync). Nothing here touches DynamoDB or WebSockets:
+ * callers load the game, call applyAction, persist the returned state and
+ * deliver the returned events. Both the Lambda handlers and the local
+ * development server go through this module, so a rules fix lands everywhere.
+ *
+ * State shape: the game item plus the players' hands, keyed by seat:
+ *   { ...game, hands: { 0: ['Red5', ...], 1: [...], 2: [...], 3: [...] } }
+ *
+ * A player marked `away` (disconnected past the grace period) is played by the
+ * bot until their next resync hands the seat back.
+ *
+ * When the rules set turn timers, every action that hands the turn on also stamps
+ * `turnDeadline` on the state and a `deadline` on the TURN event and the message
+ * announcing the turn. Adapters schedule a timeout from it (see botUtils).
+ */
+
+const { GameStatus, KITTY_SIZE, resolveRules, getVariantSettings, getMinimumBid, getTurnDeadline } = require('./gameUtils');
+const { getCardSuit, isPointCard, calculateHandPoints, getTotalPoints, determineTrickWinner } = require('./cardUtils');
+const { ClaimVerdict, verifyClaim } = require('./claims');
+
+/**
+ * Event types returned by applyAction
+ *
+ * BROADCAST: send message to every player in the game
+ * PRIVATE: send message to one seat only
+ * TURN: seat is next to act (adapters schedule bots, or the turn timeout, from this)
+ */
+const EventType = {
+  BROADCAST: 'broadcast',
+  PRIVATE: 'private',
+  TURN: 'turn',
+};
+
+/**
+ * Delays before a bot acts, chosen to let the matching UI animation finish
+ */
+const TurnDelay = {
+  BID: 1000,
+  BID_WON: 1500,        // Give the kitty time to arrive first
+  PLAY: 1000,
+  TRICK_WON: 4000,      // Trick-won animation
+  NEXT_HAND: 5000,      // Hand summary / scores modal
+  DEAL: 4000,           // Deal animation before the opening bid
+};
+
+/**
+ * Messages that announce whose turn it is, and so carry the turn deadline
+ */
+const TURN_ANNOUNCEMENTS = new Set([
+  'bidPlaced', 'playerPassed', 'biddingWon', 'trumpChosen', 'cardPlayed', 'claimAnswered', 'undoAnswered', 'undo',
+]);
+
+const VALID_TRUMP_SUITS = ['Red', 'Green', 'Yellow', 'Black'];
+
+function broadcast(message) {
+  return { type: EventType.BROADCAST, message };
+}
+
+function privateMessage(seat, message) {
+  return { type: EventType.PRIVATE, seat, message };
+}
+
+function turn(seat, delayMs) {
+  return { type: EventType.TURN, seat, delayMs };
+}
+
+function reject(error, message) {
+  return { error: { error, message } };
+}
+
+/**
+ * Apply a player action to the game state
+ * @param {object} state - Game item plus hands ({ ...game, hands: { [seat]: cards } })
+ * @param {number} seat - Seat of the acting player
+ * @param {object} action - Client message ({ action: 'bid', amount: 60 }, { action: 'playCard', card: 'Red5' }, ...)
+ * @param {number} [now] - Current time in ms (turn deadlines are measured from it)
+ * @returns {object} { state, events } on success, or { error: { error, message } } if the action is not allowed
+ */
+function applyAction(state, seat, action, now = Date.now()) {
+  const result = applyRules(state, seat, action);
+  return result.error ? result : stampTurnDeadline(result, now);
+}
+
+function applyRules(state, seat, action) {
+  switch (action?.action) {
+    case 'bid':
+      return applyBid(state, seat, action.amount);
+
+    case 'pass':
+      return applyPass(state, seat);
+
+    case 'discardAndTrump':
+      return applyDiscardAndTrump(state, seat, action.discard, action.trump);
+
+    case 'playCard':
+      return applyPlayCard(state, seat, action.card);
+
+    case 'claim':
+      return applyClaim(state, seat);
+
+    case 'respondClaim':
+      return applyRespondClaim(state, seat, action.accept);
+
+    case 'concedeHand':
+      return applyConcedeHand(state, seat);
+
+    case 'concedeGame':
+      return applyConcedeGame(state, seat, action.vote);
+
+    case 'requestUndo':
+      return applyRequestUndo(state, seat);
+
+    case 'respondUndo':
+      return applyRespondUndo(state, seat, action.accept);
+
+    case 'quickChat':
+      return applyQuickChat(state, seat, action.message);
+
+    case 'resync':
+      return applyResync(state, seat);
+
+    default:
+      return reject('Unknown action', `Action '${action?.action}' is not supported`);
+  }
+}
+
+/**
+ * Start the clock on the turn an action handed on
+ *
+ * The deadline runs from when the turn starts (after the TURN delay's animation).
+ * Only bidding, discarding and playing are timed; starting the next deal is not.
+ */
+function stampTurnDeadline(result, now) {
+  const turnEvent = result.events.filter(e => e.type === EventType.TURN).pop();
+  if (!turnEvent) {
+    // A finished game has nobody left to wait on
+    if (result.state.status === GameStatus.FINISHED && result.state.turnDeadline) {
+      return { ...result, state: { ...result.state, turnDeadline: null } };
+    }
+    return result;
+  }
+
+  const handOver = [0, 1, 2, 3].every(s => (result.state.hands?.[s] || []).length === 0);
+  const deadline = handOver
+    ? null
+    : getTurnDeadline(resolveRules(result.state.rules), result.state.status, now + turnEvent.delayMs);
+
+  const events = result.events.map(event => {
+    if (event === turnEvent) {
+      return { ...event, deadline };
+    }
+    if (deadline && event.type === EventType.BROADCAST && TURN_ANNOUNCEMENTS.has(event.message.action)) {
+      return { ...event, message: { ...event.message, deadline } };
+    }
+    return event;
+  });
+
+  return { state: { ...result.state, turnDeadline: deadline }, events };
+}
+
+/**
+ * Shared checks for bid and pass
+ * @returns {object|null} Rejection, or null if the seat may act in the auction
+ */
+function checkBiddingTurn(state, seat) {
+  if (state.status !== GameStatus.BIDDING) {
+    return reject('Invalid game state', 'Game is not in bidding phase');
+  }
+  if ((state.passed || []).includes(seat)) {
+    return reject('Already passed', 'You have already passed');
+  }
+  if (state.currentBidder !== seat) {
+    return reject('Not your turn', 'It is not your turn to bid');
+  }
+  return null;
+}
+
+/**
+ * Find the next seat still in the auction (returns seat itself if everyone else passed)
+ */
+function getNextBidder(seat, passed) {
+  const passedSet = new Set(passed);
+  let nextBidder = (seat + 1) % 4;
+  while (passedSet.has(nextBidder) && nextBidder !== seat) {
+    nextBidder = (nextBidder + 1) % 4;
+  }
+  return nextBidder;
+}
+
+/**
+ * End the auction: record the winner, hand them the kitty and move to trump selection
+ */
+function awardBid(state, winner, amount, extra) {
+  const hands = { ...state.hands };
+  const events = [];
+  const kitty = state.kitty;
+
+  if (Array.isArray(kitty) && kitty.length === KITTY_SIZE) {
+    hands[winner] = [...(hands[winner] || []), ...kitty];
+    events.push(privateMessage(winner, { action: 'kitty', cards: kitty }));
+  }
+
+  events.push(broadcast({ action: 'biddingWon', winner, amount }));
+  events.push(turn(winner, TurnDelay.BID_WON));
+
+  return {
+    state: {
+      ...state,
+      ...extra,
+      hands,
+      highBid: amount,
+      highBidder: winner,
+      bidWinner: winner,
+      winningBid: amount,
+      status: GameStatus.TRUMP_SELECTION,
+    },
+    events,
+  };
+}
+
+/**
+ * Handle bid action
+ */
+function applyBid(state, seat, amount) {
+  const notAllowed = checkBiddingTurn(state, seat);
+  if (notAllowed) return notAllowed;
+
+  // Validate bid amount against the game's house rules
+  const rules = resolveRules(state.rules);
+  const minimumBid = getMinimumBid(state.highBid || 0, rules);
+  if (!Number.isInteger(amount) || amount < minimumBid || amount % rules.bidIncrement !== 0) {
+    return reject('Invalid bid', `Bid must be at least ${minimumBid} and a multiple of ${rules.bidIncrement}`);
+  }
+
+  const nextBidder = getNextBidder(seat, state.passed || []);
+  // Every bid this hand, in order (bots read partners' and opponents' signals from it)
+  const bids = [...(state.bids || []), { seat, amount }];
+
+  // Everyone else has passed - this bid wins
+  if (nextBidder === seat) {
+    return awardBid(state, seat, amount, { bids });
+  }
+
+  return {
+    state: {
+      ...state,
+      bids,
+      highBid: amount,
+      highBidder: seat,
+      currentBidder: nextBidder,
+    },
+    events: [
+      broadcast({ action: 'bidPlaced', seat, amount, nextBidder }),
+      turn(nextBidder, TurnDelay.BID),
+    ],
+  };
+}
+
+/**
+ * Handle pass action
+ */
+function applyPass(state, seat) {
+  const notAllowed = checkBiddingTurn(state, seat);
+  if (notAllowed) return notAllowed;
+
+  const passed = [...(state.passed || []), seat];
+  const nextBidder = getNextBidder(seat, passed);
+
+  // Only one player remains - they win at the high bid (or the minimum if nobody bid)
+  if (passed.length === 3 || nextBidder === seat) {
+    const remainingPlayer = [0, 1, 2, 3].find(s => !passed.includes(s));
+    const highBid = state.highBid || 0;
+    const winningBid = highBid > 0 ? highBid : resolveRules(state.rules).minBid;
+    return awardBid(state, remainingPlayer, winningBid, { passed });
+  }
+
+  return {
+    state: {
+      ...state,
+      passed,
+      currentBidder: nextBidder,
+    },
+    events: [
+      broadcast({ action: 'playerPassed', seat, nextBidder }),
+      turn(nextBidder, TurnDelay.BID),
+    ],
+  };
+}
+
+/**
+ * Handle discard and trump selection
+ */
+function applyDiscardAndTrump(state, seat, discard, trump) {
+  if (state.status !== GameStatus.TRUMP_SELECTION) {
+    return reject('Invalid game state', 'Game is not in trump selection phase');
+  }
+  if (state.bidWinner !== seat) {
+    return reject('Not authorized', 'Only the bid winner can select trump');
+  }
+  if (!Array.isArray(discard) || discard.length !== KITTY_SIZE || new Set(discard).size !== KITTY_SIZE) {
+    return reject('Invalid discard', `Must discard exactly ${KITTY_SIZE} cards`);
+  }
+  if (!VALID_TRUMP_SUITS.includes(trump)) {
+    return reject('Invalid trump', 'Trump must be Red, Green, Yellow, or Black');
+  }
+
+  // Player should have their dealt hand plus the kitty (13 + 5 in Kentucky rules)
+  const rules = resolveRules(state.rules);
+  const { handSize } = getVariantSettings(rules);
+  const hand = state.hands?.[seat] || [];
+  if (hand.length !== handSize + KITTY_SIZE) {
+    return reject('Invalid hand size', 'Please wait for kitty cards');
+  }
+  if (!discard.every(card => hand.includes(card))) {
+    return reject('Invalid discard', 'Some discard cards are not in your hand');
+  }
+
+  // Discarded counters belong to the bidding team
+  const kittyPointsCaptured = calculateHandPoints(discard, rules);
+
+  // Player to the left of the dealer leads the first trick
+  const dealer = typeof state.dealer === 'number' ? state.dealer : 0;
+  const firstTrickLeader = (dealer + 1) % 4;
+
+  return {
+    state: {
+      ...state,
+      hands: { ...state.hands, [seat]: hand.filter(card => !discard.includes(card)) },
+      trump,
+      status: GameStatus.PLAYING,
+      currentPlayer: firstTrickLeader,
+      discard,
+      kittyPointsCaptured,
+      currentTrick: [],
+      ledSuit: null,
+    },
+    events: [
+      broadcast({ action: 'trumpChosen', suit: trump, leader: firstTrickLeader }),
+      turn(firstTrickLeader, TurnDelay.PLAY),
+    ],
+  };
+}
+
+/**
+ * Check a card against the follow-suit rules
+ * @returns {string|null} Error message, or null if the card may be played
+ */
+function checkFollowSuit(hand, card, ledSuit, trump, rules) {
+  if (!ledSuit) return null;
+
+  const cardSuit = getCardSuit(card);
+  const hasLedSuit = hand.some(c => getCardSuit(c) === ledSuit);
+  if (!hasLedSuit) return null;
+
+  // Tournament rules let the Rook be played at any time
+  const { rookAnyTime } = getVariantSettings(rules);
+  if (cardSuit === ledSuit || (cardSuit === 'Rook' && (ledSuit === trump || rookAnyTime))) {
+    return null;
+  }
+  return `You must play a card of the led suit (${ledSuit})`;
+}
+
+/**
+ * Handle playing a card
+ */
+function applyPlayCard(state, seat, card) {
+  if (state.status !== GameStatus.PLAYING) {
+    return reject('Invalid game state', 'Game is not in playing state');
+  }
+  if (state.currentPlayer !== seat) {
+    return reject('Not your turn', 'It is not your turn to play');
+  }
+  if (state.claim) {
+    return reject('Claim pending', 'Wait for the opponents to answer the claim');
+  }
+  if (state.undoRequest) {
+    return reject('Undo pending', 'Wait for the opponents to answer the undo request');
+  }
+
+  const hand = state.hands?.[seat] || [];
+  if (!hand.includes(card)) {
+    return reject('Invalid card', 'You do not have that card in your hand');
+  }
+
+  const rules = resolveRules(state.rules);
+  const currentTrick = state.currentTrick || [];
+  const followError = checkFollowSuit(hand, card, currentTrick.length > 0 ? state.ledSuit : null, state.trump, rules);
+  if (followError) {
+    return reject('Must follow suit', followError);
+  }
+
+  // The first card of a trick sets the led suit (a led Rook leads trump)
+  let ledSuit = state.ledSuit;
+  if (currentTrick.length === 0) {
+    const cardSuit = getCardSuit(card);
+    ledSuit = cardSuit === 'Rook' ? state.trump : cardSuit;
+  }
+
+  const trick = [...currentTrick, { seat, card }];
+  let nextState = {
+    ...state,
+    hands: { ...state.hands, [seat]: hand.filter(c => c !== card) },
+    cardsPlayed: [...(state.cardsPlayed || []), card],
+  };
+
+  // Trick still in progress - next player clockwise
+  if (trick.length < 4) {
+    const nextPlayer = (seat + 1) % 4;
+    nextState = { ...nextState, currentTrick: trick, ledSuit, currentPlayer: nextPlayer };
+    return {
+      state: nextState,
+      events: [
+        broadcast({ action: 'cardPlayed', seat, card, nextPlayer }),
+        turn(nextPlayer, TurnDelay.PLAY),
+      ],
+    };
+  }
+
+  // Trick complete - winner takes the points and leads next
+  const trickWinner = determineTrickWinner(trick, state.trump, ledSuit, rules);
+  const trickPoints = calculateHandPoints(trick.map(play => play.card), rules);
+  const winnerTeam = state.teams.team0.includes(trickWinner) ? 'team0' : 'team1';
+  const pointsCaptured = { ...(state.pointsCaptured || { team0: 0, team1: 0 }) };
+  pointsCaptured[winnerTeam] += trickPoints;
+  const completedTrick = { leader: trick[0].seat, plays: trick, ledSuit, winner: trickWinner, points: trickPoints };
+
+  nextState = {
+    ...nextState,
+    currentTrick: [],
+    ledSuit: null,
+    currentPlayer: trickWinner,
+    pointsCaptured,
+    // Every trick of the hand is kept until the next deal, for the trick log and reviewing the hand afterwards
+    tricks: [...(state.tricks || []), completedTrick],
+  };
+
+  const events = [
+    broadcast({ action: 'cardPlayed', seat, card, nextPlayer: trickWinner }),
+    broadcast({ action: 'trickWon', winner: trickWinner, points: trickPoints, trick: completedTrick }),
+  ];
+
+  const handOver = [0, 1, 2, 3].every(s => (nextState.hands[s] || []).length === 0);
+  if (!handOver) {
+    events.push(turn(trickWinner, TurnDelay.TRICK_WON));
+    return { state: nextState, events };
+  }
+
+  const completed = completeHand(nextState);
+  return { state: completed.state, events: [...events, ...completed.events] };
+}
+
+/**
+ * Break a finished hand down for the handComplete message: the original kitty,
+ * the bidder's discards and their points, the counters each team took in tricks,
+ * the tricks each team won, and sweepInReach: the defenders had taken no points
+ * before the last trick, so every point was still the bidding team's to take going
+ * into it. It holds for a sweep itself (handComplete's shootTheMoon) as well as one
+ * lost on the last trick. Tricks given up to a claim or a concession count for the
+ * team given them, after the tricks played, and together stand in for the last
+ * trick; a conceded hand never had a sweep in reach.
+ */
+function buildHandSummary(state, bidTeam, rules, given, conceded) {
+  const counters = { team0: [], team1: [] };
+  const winningTeams = [];
+  // Points the defenders took in each trick, with any tricks given up as one last entry
+  const defenderPoints = [];
+  (state.tricks || []).forEach(trick => {
+    const team = state.teams.team0.includes(trick.winner) ? 'team0' : 'team1';
+    winningTeams.push(team);
+    const cards = trick.plays.map(play => play.card);
+    counters[team].push(...cards.filter(card => isPointCard(card, rules)));
+    defenderPoints.push(team === bidTeam ? 0 : calculateHandPoints(cards, rules));
+  });
+  if (given) {
+    winningTeams.push(...Array(given.tricks).fill(given.team));
+    counters[given.team].push(...given.cards.filter(card => isPointCard(card, rules)));
+    defenderPoints.push(given.team === bidTeam ? 0 : given.points);
+  }
+
+  const tricksWon = {
+    team0: winningTeams.filter(team => team === 'team0').length,
+    team1: winningTeams.filter(team => team === 'team1').length,
+  };
+  const sweepInReach = !conceded && defenderPoints.slice(0, -1).every(points => points === 0);
+
+  return {
+    kitty: state.kitty || [],
+    discard: state.discard || [],
+    discardPoints: state.kittyPointsCaptured || 0,
+    counters,
+    tricksWon,
+    sweepInReach,
+  };
+}
+
+/**
+ * Score a finished hand, rotate the dealer and check for game over
+ * @param {object} state - Game state once the last trick is taken
+ * @param {object} [options]
+ * @param {object} [options.given] - Tricks given up to a claim or concession ({ team, tricks, cards })
+ * @param {boolean} [options.conceded] - The bidding team conceded, so the hand scores as set
+ */
+function completeHand(state, { given, conceded = false } = {}) {
+  const rules = resolveRules(state.rules);
+  const pointsCaptured = state.pointsCaptured || { team0: 0, team1: 0 };
+  const winningBid = state.winningBid;
+  const bidTeam = state.teams.team0.includes(state.bidWinner) ? 'team0' : 'team1';
+  const defenderTeam = bidTeam === 'team0' ? 'team1' : 'team0';
+
+  const bidTeamTotalPoints = pointsCaptured[bidTeam] + (state.kittyPointsCaptured || 0);
+  const defenderTeamPoints = pointsCaptured[defenderTeam];
+
+  const madeBid = !conceded && bidTeamTotalPoints >= winningBid;
+  const totalPoints = getTotalPoints(rules);
+  const isSweep = madeBid && defenderTeamPoints === 0 && bidTeamTotalPoints === totalPoints;
+
+  let handScoreBidTeam;
+  if (madeBid) {
+    handScoreBidTeam = isSweep ? totalPoints + rules.sweepBonus : bidTeamTotalPoints;
+  } else {
+    handScoreBidTeam = -winningBid * rules.setPenalty;
+  }
+  const handScoreDefenderTeam = defenderTeamPoints;
+
+  const handScoreTeam0 = bidTeam === 'team0' ? handScoreBidTeam : handScoreDefenderTeam;
+  const handScoreTeam1 = bidTeam === 'team1' ? handScoreBidTeam : handScoreDefenderTeam;
+  const team0FinalScore = (state.teamScores?.team0 || 0) + handScoreTeam0;
+  const team1FinalScore = (state.teamScores?.team1 || 0) + handScoreTeam1;
+
+  const currentRound = (state.currentRound || 0) + 1;
+
+  let winner = null;
+  let gameOver;
+  const { targetScore } = rules;
+  if (typeof state.boardCount === 'number') {
+    // Tournament tables play a fixed number of boards; a tie on total score has no winner
+    gameOver = currentRound >= state.boardCount;
+    if (gameOver && team0FinalScore !== team1FinalScore) {
+      winner = team0FinalScore > team1FinalScore ? 'team0' : 'team1';
+    }
+  } else {
+    // Game ends once a team reaches the target; if both do, the higher score wins (a tie plays on)
+    if (team0FinalScore >= targetScore && team1FinalScore >= targetScore) {
+      if (team0FinalScore !== team1FinalScore) {
+        winner = team0FinalScore > team1FinalScore ? 'team0' : 'team1';
+      }
+    } else if (team0FinalScore >= targetScore) {
+      winner = 'team0';
+    } else if (team1FinalScore >= targetScore) {
+      winner = 'team1';
+    }
+    gameOver = winner !== null;
+  }
+
+  const currentDealer = typeof state.dealer === 'number' ? state.dealer : 0;
+  const nextDealer = (currentDealer + 1) % 4;
+
+  const handHistory = [...(state.handHistory || []), {
+    round: currentRound,
+    bid: winningBid,
+    bidTeam,
+    madeBid,
+    team0Points: pointsCaptured.team0,
+    team1Points: pointsCaptured.team1,
+    team0HandScore: handScoreTeam0,
+    team1HandScore: handScoreTeam1,
+    team0Total: team0FinalScore,
+    team1Total: team1FinalScore,
+    shootTheMoon: isSweep,
+    ...(conceded ? { conceded: true } : {}),
+    ...(state.dealSeed ? { dealSeed: state.dealSeed } : {}),
+  }];
+
+  const events = [broadcast({
+    action: 'handComplete',
+    team0Points: pointsCaptured.team0,
+    team1Points: pointsCaptured.team1,
+    team0HandScore: handScoreTeam0,
+    team1HandScore: handScoreTeam1,
+    team0Total: team0FinalScore,
+    team1Total: team1FinalScore,
+    bid: winningBid,
+    bidTeam,
+    madeBid,
+    shootTheMoon: isSweep,
+    dealer: nextDealer,
+    gameOver,
+    winner,
+    handHistory,
+    ...(conceded ? { conceded: true } : {}),
+    summary: buildHandSummary(state, bidTeam, rules, given, conceded),
+  })];
+
+  if (gameOver) {
+    events.push(broadcast({ action: 'gameOver', winner, reason: 'score' }));
+  } else {
+    // The next dealer starts the next hand
+    events.push(turn(nextDealer, TurnDelay.NEXT_HAND));
+  }
+
+  return {
+    state: {
+      ...state,
+      teamScores: { team0: team0FinalScore, team1: team1FinalScore },
+      handHistory,
+      pointsCaptured: { team0: 0, team1: 0 },
+      dealer: nextDealer,
+      currentRound,
+      ...(gameOver ? { status: GameStatus.FINISHED } : {}),
+    },
+    events,
+  };
+}
+
+function getTeamOf(state, seat) {
+  return state.teams.team0.includes(seat) ? 'team0' : 'team1';
+}
+
+function seatName(state, seat) {
+  return (state.players || []).find(p => p.seat === seat)?.name || `Seat ${seat + 1}`;
+}
+
+/**
+ * Give a team every trick left in the hand, including any trick in progress
+ * @returns {object} { state, given }: the hands emptied with the points added, and
+ *   what was given ({ team, tricks, cards, points })
+ */
+function giveRemainingTricks(state, team) {
+  const rules = resolveRules(state.rules);
+  const cards = [
+    ...(state.currentTrick || []).map(play => play.card),
+    ...[0, 1, 2, 3].flatMap(s => state.hands[s] || []),
+  ];
+  const points = calculateHandPoints(cards, rules);
+  const pointsCaptured = { ...(state.pointsCaptured || { team0: 0, team1: 0 }) };
+  pointsCaptured[team] += points;
+
+  return {
+    state: {
+      ...state,
+      hands: { 0: [], 1: [], 2: [], 3: [] },
+      currentTrick: [],
+      ledSuit: null,
+      pointsCaptured,
+      claim: null,
+      undoRequest: null,
+    },
+    given: { team, tricks: cards.length / 4, cards, points },
+  };
+}
+
+/**
+ * Give the claiming team every remaining trick and score the hand
+ */
+function settleClaim(state, seat) {
+  const team = getTeamOf(state, seat);
+  const { state: nextState, given } = giveRemainingTricks(state, team);
+  const completed = completeHand(nextState, { given });
+  return {
+    state: completed.state,
+    events: [
+      broadcast({ action: 'claimSettled', seat, team, tricks: given.tricks, points: given.points }),
+      ...completed.events,
+    ],
+  };
+}
+
+/**
+ * Handle a claim of every remaining trick
+ *
+ * A claim the search proves is settled at once, and one it disproves is
+ * rejected with a line of play that beats it. A claim too long to settle goes
+ * to the opponents to accept or contest; bots can't weigh one, so it is
+ * rejected when an opponent is a bot.
+ */
+function applyClaim(state, seat) {
+  if (state.status !== GameStatus.PLAYING) {
+    return reject('Invalid game state', 'Game is not in playing state');
+  }
+  if (!state.teams || ![...state.teams.team0, ...state.teams.team1].includes(seat)) {
+    return reject('Not authorized', 'Only players can claim');
+  }
+  if (state.claim) {
+    return reject('Claim pending', 'A claim is already waiting for an answer');
+  }
+  if ((state.currentTrick || []).length > 0) {
+    return reject('Trick in progress', 'Claim before the next trick is led');
+  }
+  if ((state.hands?.[seat] || []).length === 0) {
+    return reject('Hand not in play', 'There are no tricks left to claim');
+  }
+
+  const rules = resolveRules(state.rules);
+  const team = getTeamOf(state, seat);
+  const { verdict, line } = verifyClaim(
+    { hands: state.hands, trump: state.trump, leader: state.currentPlayer, teams: state.teams, rules },
+    team,
+  );
+
+  if (verdict === ClaimVerdict.VALID) {
+    return settleClaim(state, seat);
+  }
+  if (verdict === ClaimVerdict.INVALID) {
+    const plays = line.map(play => `${seatName(state, play.seat)} ${play.card.replace(/(\d+)$/, ' $1')}`);
+    return reject('Claim rejected', `The other team can take a trick: ${plays.join(', ')}`);
+  }
+
+  const opponents = state.teams[team === 'team0' ? 'team1' : 'team0'];
+  if (opponents.some(s => (state.players || []).find(p => p.seat === s)?.isBot)) {
+    return reject('Claim not verified', 'The claim is too long to check and bots cannot weigh it; play the hand out');
+  }
+  // Nobody is on the clock while the opponents decide
+  return {
+    state: { ...state, claim: { seat, team, accepted: [] }, turnDeadline: null },
+    events: [broadcast({ action: 'claimMade', seat, team })],
+  };
+}
+
+/**
+ * Handle an opponent accepting or contesting a pending claim
+ *
+ * Both opponents must accept for the claim to be settled; one contest withdraws
+ * it and play carries on.
+ */
+function applyRespondClaim(state, seat, accept) {
+  const claim = state.claim;
+  if (!claim) {
+    return reject('No claim', 'There is no claim to answer');
+  }
+  if (typeof accept !== 'boolean') {
+    return reject('Invalid answer', 'accept must be true or false');
+  }
+  const opponents = state.teams[claim.team === 'team0' ? 'team1' : 'team0'];
+  if (!opponents.includes(seat)) {
+    return reject('Not authorized', 'Only the opponents answer a claim');
+  }
+
+  const answered = broadcast({ action: 'claimAnswered', seat, claimer: claim.seat, accept });
+  if (!accept) {
+    return {
+      state: { ...state, claim: null },
+      events: [answered, turn(state.currentPlayer, TurnDelay.PLAY)],
+    };
+  }
+
+  const accepted = [...new Set([...claim.accepted, seat])];
+  if (!opponents.every(s => accepted.includes(s))) {
+    return { state: { ...state, claim: { ...claim, accepted } }, events: [answered] };
+  }
+  const settled = settleClaim(state, claim.seat);
+  return { state: settled.state, events: [answered, ...settled.events] };
+}
+
+/**
+ * Handle the bidding team giving up the hand
+ *
+ * The defenders are given the remaining tricks and the hand is scored as set.
+ */
+function applyConcedeHand(state, seat) {
+  if (state.status !== GameStatus.PLAYING) {
+    return reject('Invalid game state', 'Game is not in playing state');
+  }
+  const handOver = [0, 1, 2, 3].every(s => (state.hands?.[s] || []).length === 0);
+  if (handOver) {
+    return reject('Hand not in play', 'There is no hand to concede');
+  }
+  const bidTeam = getTeamOf(state, state.bidWinner);
+  if (!state.teams[bidTeam].includes(seat)) {
+    return reject('Not authorized', 'Only the bidding team can concede the hand');
+  }
+
+  const defenderTeam = bidTeam === 'team0' ? 'team1' : 'team0';
+  const { state: nextState, given } = giveRemainingTricks(state, defenderTeam);
+  const completed = completeHand(nextState, { given, conceded: true });
+  return {
+    state: completed.state,
+    events: [broadcast({ action: 'handConceded', seat, team: bidTeam }), ...completed.events],
+  };
+}
+
+/**
+ * Handle a vote to concede the game
+ *
+ * The first vote proposes the concession; it passes once every human on the
+ * team has voted for it (bots go along with their partner), and a vote against
+ * withdraws it. The other team wins and the concession is recorded as the last
+ * entry of handHistory.
+ */
+function applyConcedeGame(state, seat, vote = true) {
+  if (![GameStatus.BIDDING, GameStatus.TRUMP_SELECTION, GameStatus.PLAYING].includes(state.status)) {
+    return reject('Invalid game state', 'Only a game in progress can be conceded');
+  }
+  if (typeof state.boardCount === 'number') {
+    return reject('Tournament table', 'Tournament tables play every board');
+  }
+  if (!state.teams || ![...state.teams.team0, ...state.teams.team1].includes(seat)) {
+    return reject('Not authorized', 'Only players can concede');
+  }
+  if (typeof vote !== 'boolean') {
+    return reject('Invalid vote', 'vote must be true or false');
+  }
+
+  const team = getTeamOf(state, seat);
+  const concession = state.concession;
+  if (concession && concession.team !== team) {
+    return reject('Concession pending', 'The other team is voting on conceding');
+  }
+
+  if (!vote) {
+    if (!concession) {
+      return reject('No concession', 'There is no concession to vote on');
+    }
+    return {
+      state: { ...state, concession: null },
+      events: [broadcast({ action: 'concessionVote', seat, team, vote, votes: [] })],
+    };
+  }
+
+  const votes = [...new Set([...(concession?.votes || []), seat])];
+  const voted = broadcast({ action: 'concessionVote', seat, team, vote, votes });
+  const humans = state.teams[team].filter(s => !(state.players || []).find(p => p.seat === s)?.isBot);
+  if (!humans.every(s => votes.includes(s))) {
+    return { state: { ...state, concession: { team, votes } }, events: [voted] };
+  }
+
+  const winner = team === 'team0' ? 'team1' : 'team0';
+  const teamScores = state.teamScores || { team0: 0, team1: 0 };
+  // During bidding, winningBid and bidWinner are still the last hand's
+  const bidWon = state.status !== GameStatus.BIDDING;
+  const handHistory = [...(state.handHistory || []), {
+    round: (state.currentRound || 0) + 1,
+    concededBy: team,
+    bid: bidWon ? state.winningBid : 0,
+    bidTeam: bidWon ? getTeamOf(state, state.bidWinner) : null,
+    madeBid: false,
+    team0Points: 0,
+    team1Points: 0,
+    team0HandScore: 0,
+    team1HandScore: 0,
+    team0Total: teamScores.team0,
+    team1Total: teamScores.team1,
+    shootTheMoon: false,
+  }];
+
+  return {
+    state: { ...state, status: GameStatus.FINISHED, handHistory, concession: null, claim: null, undoRequest: null },
+    events: [voted, broadcast({ action: 'gameOver', winner, reason: 'conceded', concededBy: team, handHistory })],
+  };
+}
+
+/**
+ * Take back the last card played, returning it to the player's hand
+ */
+function undoLastPlay(state) {
+  const currentTrick = state.currentTrick;
+  const { seat, card } = currentTrick[currentTrick.length - 1];
+  const trick = currentTrick.slice(0, -1);
+  const ledSuit = trick.length > 0 ? state.ledSuit : null;
+
+  return {
+    state: {
+      ...state,
+      hands: { ...state.hands, [seat]: [...(state.hands[seat] || []), card] },
+      currentTrick: trick,
+      ledSuit,
+      currentPlayer: seat,
+      cardsPlayed: (state.cardsPlayed || []).slice(0, -1),
+      undoRequest: null,
+    },
+    events: [
+      broadcast({ action: 'undo', seat, card, ledSuit, currentPlayer: seat }),
+      turn(seat, TurnDelay.PLAY),
+    ],
+  };
+}
+
+/**
+ * Handle a player asking to take back the card they just played
+ *
+ * Only the last card of a trick still in progress can be taken back; a card
+ * that finishes a trick is settled with it. The opponents approve or deny the
+ * request, and play waits on them. Bot opponents approve, and with the
+ * undoAutoApprove rule on the card comes back at once.
+ */
+function applyRequestUndo(state, seat) {
+  if (state.status !== GameStatus.PLAYING) {
+    return reject('Invalid game state', 'Game is not in playing state');
+  }
+  if (state.claim) {
+    return reject('Claim pending', 'Wait for the opponents to answer the claim');
+  }
+  if (state.undoRequest) {
+    return reject('Undo pending', 'An undo request is already waiting for an answer');
+  }
+  const currentTrick = state.currentTrick || [];
+  const lastPlay = currentTrick[currentTrick.length - 1];
+  if (!lastPlay || lastPlay.seat !== seat) {
+    return reject('Nothing to undo', 'Only your card, before the next one is played, can be taken back');
+  }
+
+  const team = getTeamOf(state, seat);
+  const opponents = state.teams[team === 'team0' ? 'team1' : 'team0'];
+  const humans = opponents.filter(s => !(state.players || []).find(p => p.seat === s)?.isBot);
+  if (resolveRules(state.rules).undoAutoApprove || humans.length === 0) {
+    return undoLastPlay(state);
+  }
+
+  return {
+    state: { ...state, undoRequest: { seat, card: lastPlay.card, approved: [] }, turnDeadline: null },
+    events: [broadcast({ action: 'undoRequested', seat, card: lastPlay.card })],
+  };
+}
+
+/**
+ * Handle an opponent approving or denying an undo request
+ *
+ * The card comes back once every human opponent approves; one denial keeps it
+ * on the table.
+ */
+function applyRespondUndo(state, seat, accept) {
+  const undoRequest = state.undoRequest;
+  if (!undoRequest) {
+    return reject('No undo request', 'There is no undo request to answer');
+  }
+  if (typeof accept !== 'boolean') {
+    return reject('Invalid answer', 'accept must be true or false');
+  }
+  const team = getTeamOf(state, undoRequest.seat);
+  const opponents = state.teams[team === 'team0' ? 'team1' : 'team0'];
+  if (!opponents.includes(seat)) {
+    return reject('Not authorized', 'Only the opponents answer an undo request');
+  }
+
+  const answered = broadcast({ action: 'undoAnswered', seat, requester: undoRequest.seat, accept });
+  if (!accept) {
+    return {
+      state: { ...state, undoRequest: null },
+      events: [answered, turn(state.currentPlayer, TurnDelay.PLAY)],
+    };
+  }
+
+  const approved = [...new Set([...undoRequest.approved, seat])];
+  const humans = opponents.filter(s => !(state.players || []).find(p => p.seat === s)?.isBot);
+  if (!humans.every(s => approved.includes(s))) {
+    return { state: { ...state, undoRequest: { ...undoRequest, approved } }, events: [answered] };
+  }
+  const undone = undoLastPlay(state);
+  return { state: undone.state, events: [answered, ...undone.events] };
+}
+
+/**
+ * Handle quick chat
+ */
+function applyQuickChat(state, seat, message) {
+  if (!message) {
+    return reject('Invalid message', 'Message is required');
+  }
+  return { state, events: [broadcast({ action: 'quickChat', seat, message })] };
+}
+
+/**
+ * Handle resync: send the seat its full state, and give an away player their seat back
+ */
+function applyResync(state, seat) {
+  const player = (state.players || []).find(p => p.seat === seat);
+  if (!player?.away) {
+    return { state, events: [privateMessage(seat, buildResyncMessage(state, seat))] };
+  }
+
+  const { away, ...returnedPlayer } = player;
+  const players = state.players.map(p => (p.seat === seat ? returnedPlayer : p));
+  const nextState = { ...state, players };
+
+  return {
+    state: nextState,
+    events: [
+      broadcast({ action: 'playerReturned', seat, playerName: player.name, players }),
+      privateMessage(seat, buildResyncMessage(nextState, seat)),
+    ],
+  };
+}
+
+/**
+ * Seat the game is waiting on, or null when nobody needs to act
+ * @param {object} state - Game state with hands
+ * @returns {number|null} Seat to act
+ */
+function getSeatToAct(state) {
+  switch (state.status) {
+    case GameStatus.BIDDING:
+      return typeof state.currentBidder === 'number' ? state.currentBidder : null;
+
+    case GameStatus.TRUMP_SELECTION:
+      return typeof state.bidWinner === 'number' ? state.bidWinner : null;
+
+    case GameStatus.PLAYING: {
+      // Between hands the dealer is the one who starts the next deal
+      const handOver = [0, 1, 2, 3].every(s => (state.hands?.[s] || []).length === 0);
+      if (handOver) {
+        return typeof state.dealer === 'number' ? state.dealer : 0;
+      }
+      return typeof state.currentPlayer === 'number' ? state.currentPlayer : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Hand a disconnected player's seat to the bot
+ *
+ * Called by the adapters (not by players) once the disconnect grace period has passed.
+ * @param {object} state - Game state with hands
+ * @param {number} seat - Seat of the absent player
+ * @returns {object} { state, events }, or { error } if the seat can't be taken over
+ */
+function markPlayerAway(state, seat) {
+  if (![GameStatus.BIDDING, GameStatus.TRUMP_SELECTION, GameStatus.PLAYING].includes(state.status)) {
+    return reject('Invalid game state', 'Game is not in progress');
+  }
+
+  const player = (state.players || []).find(p => p.seat === seat);
+  if (!player || player.isBot) {
+    return reject('Invalid seat', 'No human player in that seat');
+  }
+  if (player.away) {
+    return reject('Already away', 'Player is already bot-controlled');
+  }
+
+  const players = state.players.map(p => (p.seat === seat ? { ...p, away: true } : p));
+  const events = [broadcast({ action: 'playerAway', seat, playerName: player.name, players })];
+
+  // If the game is waiting on this seat, the bot takes the turn right away
+  if (getSeatToAct(state) === seat) {
+    events.push(turn(seat, TurnDelay.PLAY));
+  }
+
+  return { state: { ...state, players }, events };
+}
+
+/**
+ * Build the full-state resync message for one seat (only that seat's hand is included)
+ * @param {object} state - Game state with hands
+ * @param {number} seat - Seat requesting the resync
+ * @returns {object} resync message
+ */
+function buildResyncMessage(state, seat) {
+  const cards = state.hands?.[seat] || [];
+  const rules = resolveRules(state.rules);
+  const fullHandSize = getVariantSettings(rules).handSize + KITTY_SIZE;
+  const isBidWinnerChoosingTrump = state.status === GameStatus.TRUMP_SELECTION && seat === state.bidWinner;
+
+  return {
+    action: 'resync',
+    gameId: state.gameId,
+    status: state.status,
+    players: state.players || [],
+    teams: state.teams || null,
+    dealer: state.dealer,
+    rules,
+
+    // Player's hand
+    cards,
+
+    // Bidding state
+    currentBidder: state.currentBidder,
+    highBid: state.highBid || 0,
+    passed: state.passed || [],
+    bidWinner: state.bidWinner,
+    winningBid: state.winningBid,
+
+    // Trump and play state
+    trump: state.trump,
+    currentPlayer: state.currentPlayer,
+    currentTrick: state.currentTrick || [],
+    ledSuit: state.ledSuit,
+    tricks: state.tricks || [],
+    claim: state.claim || null,
+    concession: state.concession || null,
+    undoRequest: state.undoRequest || null,
+    turnDeadline: state.turnDeadline || null,
+
+    // Scores
+    teamScores: state.teamScores || { team0: 0, team1: 0 },
+    pointsCaptured: state.pointsCaptured || { team0: 0, team1: 0 },
+    handHistory: state.handHistory || [],
+
+    // Kitty (only for the bid winner in TRUMP_SELECTION who hasn't received it yet)
+    kitty: isBidWinnerChoosingTrump && cards.length < fullHandSize ? state.kitty : null,
+
+    // Duplicate tournament table (board seeds stay on the server)
+    ...(state.tournamentId ? {
+      tournamentId: state.tournamentId,
+      tableNumber: state.tableNumber,
+      boardCount: state.boardCount,
+    } : {}),
+  };
+}
+
+/**
+ * Build the resync message for a spectator: the public table without any hand or the kitty
+ * @param {object} state - Game state
+ * @returns {object} resync message
+ */
+function buildSpectatorResyncMessage(state) {
+  const { cards, kitty, ...message } = buildResyncMessage(state, null);
+  return { ...message, spectator: true };
+}
+
+module.exports = {
+  EventType,
+  TurnDelay,
+  applyAction,
+  markPlayerAway,
+  determineTrickWinner,
+  getSeatToAct,
+  buildResyncMessage,
+  buildSpectatorResyncMessage,
+};
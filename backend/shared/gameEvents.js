@@ -0,0 +1,267 @@
+/**
+ * Game event log
+ *
+ * Every accepted action is appended to the GameEvents table with a per-game
+ * sequence number (seq, starting at 1). The game item's eventSeq attribute
+ * holds the last sequence number used and is advanced in the same
+ * version-locked write as the state change, so sequence numbers are never
+ * reused or skipped by concurrent writers.
+ *
+ * Deals and player actions are replayed through the rules engine to rebuild
+ * the game at any sequence number. trickWon and handComplete are outcomes the
+ * engine derives on replay; they are logged so the record can be read without
+ * replaying it.
+ */
+
+const { BatchWriteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, GAME_EVENTS_TABLE } = require('./dynamodb');
+const { resolveRules, getDealtGameFields } = require('./gameUtils');
+const { EventType, applyAction } = require('./gameEngine');
+
+/**
+ * Logged event types
+ */
+const GameEventType = {
+  DEAL: 'deal',
+  BID: 'bid',
+  PASS: 'pass',
+  DISCARD_AND_TRUMP: 'discardAndTrump',
+  PLAY_CARD: 'playCard',
+  CLAIM: 'claim',
+  RESPOND_CLAIM: 'respondClaim',
+  CONCEDE_HAND: 'concedeHand',
+  CONCEDE_GAME: 'concedeGame',
+  REQUEST_UNDO: 'requestUndo',
+  RESPOND_UNDO: 'respondUndo',
+  TRICK_WON: 'trickWon',
+  HAND_COMPLETE: 'handComplete',
+};
+
+// BatchWrite accepts at most 25 items per request
+const BATCH_SIZE = 25;
+
+/**
+ * Build the deal event for a new hand
+ * @param {object} game - Game item after the deal
+ * @param {object} hands - Object with hand0, hand1, hand2, hand3 arrays
+ * @param {Array<string>} kitty - Kitty cards
+ * @returns {object} Event ({ type, data })
+ */
+function buildDealEvent(game, hands, kitty) {
+  return {
+    type: GameEventType.DEAL,
+    data: {
+      dealer: game.dealer,
+      currentRound: game.currentRound || 0,
+      seed: game.dealSeed,
+      rules: game.rules || null,
+      players: game.players,
+      teams: game.teams,
+      hands: { 0: hands.hand0, 1: hands.hand1, 2: hands.hand2, 3: hands.hand3 },
+      kitty,
+      // Tournament tables play a fixed number of boards instead of to the target score
+      ...(game.tournamentId ? {
+        tournamentId: game.tournamentId,
+        tableNumber: game.tableNumber,
+        boardCount: game.boardCount,
+      } : {}),
+    },
+  };
+}
+
+/**
+ * Build the events to log for an action the engine accepted
+ * @param {number} seat - Seat that acted
+ * @param {object} action - Client message
+ * @param {Array<object>} engineEvents - Events returned by applyAction
+ * @returns {Array<object>} Events ({ type, seat?, data })
+ */
+function buildActionEvents(seat, action, engineEvents) {
+  const events = [];
+
+  switch (action.action) {
+    case GameEventType.BID:
+      events.push({ type: GameEventType.BID, seat, data: { amount: action.amount } });
+      break;
+
+    case GameEventType.PASS:
+      events.push({ type: GameEventType.PASS, seat, data: {} });
+      break;
+
+    case GameEventType.DISCARD_AND_TRUMP:
+      events.push({ type: GameEventType.DISCARD_AND_TRUMP, seat, data: { discard: action.discard, trump: action.trump } });
+      break;
+
+    case GameEventType.PLAY_CARD:
+      events.push({ type: GameEventType.PLAY_CARD, seat, data: { card: action.card } });
+      break;
+
+    case GameEventType.CLAIM:
+      events.push({ type: GameEventType.CLAIM, seat, data: {} });
+      break;
+
+    case GameEventType.RESPOND_CLAIM:
+      events.push({ type: GameEventType.RESPOND_CLAIM, seat, data: { accept: action.accept } });
+      break;
+
+    case GameEventType.CONCEDE_HAND:
+      events.push({ type: GameEventType.CONCEDE_HAND, seat, data: {} });
+      break;
+
+    case GameEventType.CONCEDE_GAME:
+      events.push({ type: GameEventType.CONCEDE_GAME, seat, data: { vote: action.vote } });
+      break;
+
+    case GameEventType.REQUEST_UNDO:
+      events.push({ type: GameEventType.REQUEST_UNDO, seat, data: {} });
+      break;
+
+    case GameEventType.RESPOND_UNDO:
+      events.push({ type: GameEventType.RESPOND_UNDO, seat, data: { accept: action.accept } });
+      break;
+
+    default:
+      // quickChat and resync don't change the game
+      return events;
+  }
+
+  for (const event of engineEvents) {
+    if (event.type !== EventType.BROADCAST) continue;
+
+    const { action: messageType, handHistory, ...data } = event.message;
+    if (messageType === GameEventType.TRICK_WON || messageType === GameEventType.HAND_COMPLETE) {
+      events.push({ type: messageType, data });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Append events to a game's log
+ * @param {string} gameId - Game ID
+ * @param {number} firstSeq - Sequence number of the first event
+ * @param {Array<object>} events - Events ({ type, seat?, data })
+ * @returns {Promise<void>}
+ */
+async function appendGameEvents(gameId, firstSeq, events) {
+  const createdAt = new Date().toISOString();
+  const items = events.map((event, i) => ({
+    gameId,
+    seq: firstSeq + i,
+    type: event.type,
+    ...(typeof event.seat === 'number' ? { seat: event.seat } : {}),
+    data: event.data,
+    createdAt,
+  }));
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    await docClient.send(new BatchWriteCommand({
+      RequestItems: {
+        [GAME_EVENTS_TABLE]: items.slice(i, i + BATCH_SIZE).map(item => ({ PutRequest: { Item: item } })),
+      },
+    }));
+  }
+}
+
+/**
+ * Read a game's events in sequence order
+ * @param {string} gameId - Game ID
+ * @param {number} [uptoSeq] - Last sequence number to include (defaults to all)
+ * @returns {Promise<Array<object>>} Event items
+ */
+async function getGameEvents(gameId, uptoSeq) {
+  const events = [];
+  let ExclusiveStartKey;
+
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: GAME_EVENTS_TABLE,
+      KeyConditionExpression: typeof uptoSeq === 'number'
+        ? 'gameId = :gameId AND seq <= :seq'
+        : 'gameId = :gameId',
+      ExpressionAttributeValues: {
+        ':gameId': gameId,
+        ...(typeof uptoSeq === 'number' ? { ':seq': uptoSeq } : {}),
+      },
+      ExclusiveStartKey,
+    }));
+    events.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return events;
+}
+
+/**
+ * Rebuild game state by replaying events
+ *
+ * The result holds everything the rules engine reads (hands, bidding, trick
+ * and scoring state), not every attribute of the stored game item.
+ *
+ * @param {string} gameId - Game ID
+ * @param {Array<object>} events - Event items in sequence order
+ * @returns {object} { state, seq } - state after the last event, and that event's seq (0 if none)
+ */
+function replayGameEvents(gameId, events) {
+  let state = { gameId };
+  let seq = 0;
+
+  for (const event of events) {
+    if (event.type === GameEventType.DEAL) {
+      const { dealer, currentRound, seed, rules, players, teams, hands, kitty, tournamentId, tableNumber, boardCount } = event.data;
+
+      // Scores carry over between hands; round 0 is the first hand of a (possibly reset) game
+      const carried = currentRound > 0
+        ? { teamScores: state.teamScores, handHistory: state.handHistory }
+        : {};
+
+      state = {
+        gameId,
+        ...carried,
+        rules,
+        ...(tournamentId ? { tournamentId, tableNumber, boardCount } : {}),
+        players,
+        teams,
+        dealer,
+        currentRound,
+        ...getDealtGameFields(dealer, kitty, resolveRules(rules), seed),
+        currentTrick: [],
+        ledSuit: null,
+        pointsCaptured: { team0: 0, team1: 0 },
+        hands,
+      };
+    } else if (event.type !== GameEventType.TRICK_WON && event.type !== GameEventType.HAND_COMPLETE) {
+      const result = applyAction(state, event.seat, { action: event.type, ...event.data });
+      if (result.error) {
+        throw new Error(`Event ${event.seq} (${event.type}) could not be replayed: ${result.error.message}`);
+      }
+      state = result.state;
+    }
+
+    seq = event.seq;
+  }
+
+  return { state, seq };
+}
+
+/**
+ * Rebuild a game's state as of a sequence number
+ * @param {string} gameId - Game ID
+ * @param {number} [seq] - Sequence number to stop at (defaults to the latest event)
+ * @returns {Promise<object>} { state, seq }
+ */
+async function rebuildGameState(gameId, seq) {
+  const events = await getGameEvents(gameId, seq);
+  return replayGameEvents(gameId, events);
+}
+
+module.exports = {
+  GameEventType,
+  buildDealEvent,
+  buildActionEvents,
+  appendGameEvents,
+  getGameEvents,
+  replayGameEvents,
+  rebuildGameState,
+};
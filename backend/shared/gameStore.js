@@ -0,0 +1,121 @@
+/**
+ * Game state persistence for the rules engine
+ *
+ * Loads a game together with its hands in the state shape gameEngine expects,
+ * and writes back only what an action changed. The game item write is
+ * conditioned on the version that was loaded (optimistic locking), so a
+ * concurrent writer makes saveGameState throw ConditionalCheckFailedException.
+ */
+
+const { GetCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, GAMES_TABLE, HANDS_TABLE } = require('./dynamodb');
+
+// Attributes maintained by the store itself, never diffed
+const STORE_MANAGED_FIELDS = new Set(['gameId', 'hands', 'version', 'updatedAt']);
+
+/**
+ * Load a game and all four hands
+ * @param {string} gameId - Game ID
+ * @returns {Promise<object|null>} { ...game, hands: { [seat]: cards } }, or null if the game doesn't exist
+ */
+async function loadGameState(gameId) {
+  const [gameResult, handsResult] = await Promise.all([
+    docClient.send(new GetCommand({
+      TableName: GAMES_TABLE,
+      Key: { gameId },
+    })),
+    docClient.send(new QueryCommand({
+      TableName: HANDS_TABLE,
+      KeyConditionExpression: 'gameId = :gameId',
+      ExpressionAttributeValues: { ':gameId': gameId },
+    })),
+  ]);
+
+  if (!gameResult.Item) {
+    return null;
+  }
+
+  const hands = { 0: [], 1: [], 2: [], 3: [] };
+  for (const item of handsResult.Items || []) {
+    hands[item.seat] = item.cards || [];
+  }
+
+  return { ...gameResult.Item, hands };
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Persist the changes between two states
+ * @param {object} before - State as loaded (its version is the lock condition)
+ * @param {object} after - State returned by the engine
+ * @returns {Promise<boolean>} True if anything was written
+ */
+async function saveGameState(before, after) {
+  const setClauses = [];
+  const removeNames = [];
+  const names = {};
+  const values = {};
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  let i = 0;
+  for (const field of fields) {
+    if (STORE_MANAGED_FIELDS.has(field) || isSameValue(before[field], after[field])) continue;
+
+    const name = `#f${i}`;
+    names[name] = field;
+    if (after[field] === undefined) {
+      removeNames.push(name);
+    } else {
+      values[`:f${i}`] = after[field];
+      setClauses.push(`${name} = :f${i}`);
+    }
+    i++;
+  }
+
+  const changedSeats = [0, 1, 2, 3].filter(seat => !isSameValue(before.hands?.[seat], after.hands?.[seat]));
+
+  if (i === 0 && changedSeats.length === 0) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  setClauses.push('version = version + :one', 'updatedAt = :updatedAt');
+  values[':one'] = 1;
+  values[':updatedAt'] = now;
+  values[':currentVersion'] = before.version;
+
+  let updateExpression = `SET ${setClauses.join(', ')}`;
+  if (removeNames.length > 0) {
+    updateExpression += ` REMOVE ${removeNames.join(', ')}`;
+  }
+
+  await docClient.send(new UpdateCommand({
+    TableName: GAMES_TABLE,
+    Key: { gameId: before.gameId },
+    UpdateExpression: updateExpression,
+    ...(Object.keys(names).length > 0 ? { ExpressionAttributeNames: names } : {}),
+    ExpressionAttributeValues: values,
+    ConditionExpression: 'version = :currentVersion',
+  }));
+
+  // Hands are only written once the game update has won the version check
+  await Promise.all(changedSeats.map(seat => docClient.send(new UpdateCommand({
+    TableName: HANDS_TABLE,
+    Key: { gameId: before.gameId, seat },
+    UpdateExpression: 'SET cards = :cards, updatedAt = :updatedAt',
+    ExpressionAttributeValues: {
+      ':cards': after.hands[seat] || [],
+      ':updatedAt': now,
+    },
+  }))));
+
+  return true;
+}
+
+module.exports = {
+  loadGameState,
+  saveGameState,
+};
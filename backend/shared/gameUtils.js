@@ -27,7 +27,7 @@ const GameStatus = {
   BIDDING: 'BIDDING',                   // Bidding phase
   TRUMP_SELECTION: 'TRUMP_SELECTION',   // Bid winner selecting trump
   PLAYING: 'PLAYING',                   // Playing tricks
-  FINISHED: 'FINISHED',                 // Game complete (team reached 200+ points)
+  FINISHED: 'FINISHED',                 // Game complete (team reached the target score)
 };
 
 /**
@@ -54,21 +54,246 @@ const BID_INCREMENT = 5;
 /**
  * Points needed to win the game
  */
-const WINNING_SCORE = 200;
+const WINNING_SCORE = 500;
+
+/**
+ * Number of cards in the kitty (nest)
+ */
+const KITTY_SIZE = 5;
+
+/**
+ * Longest turn timer a game may set, in seconds
+ */
+const MAX_TURN_SECONDS = 300;
+
+/**
+ * Named rule variants
+ *
+ * KENTUCKY: full 57-card deck, Rook is the lowest trump (see rook_rules.txt)
+ * TOURNAMENT: official Hasbro rules - 2s, 3s and 4s removed (45 cards),
+ *   Rook is the highest trump and may be played at any time, 70 minimum bid
+ */
+const Variants = {
+  KENTUCKY: 'kentucky',
+  TOURNAMENT: 'tournament',
+};
+
+/**
+ * Deck and play settings for each variant, plus the rule defaults it implies
+ */
+const VARIANT_SETTINGS = {
+  [Variants.KENTUCKY]: {
+    removedRanks: [],
+    handSize: 13,
+    rookHigh: false,
+    rookAnyTime: false,
+    defaults: {},
+  },
+  [Variants.TOURNAMENT]: {
+    removedRanks: [2, 3, 4],
+    handSize: 10,
+    rookHigh: true,
+    rookAnyTime: true,
+    defaults: { minBid: 70 },
+  },
+};
+
+/**
+ * Default house rules, used for any rule a game does not override.
+ *
+ * counterValues holds the point value of each counter card. 1s are only
+ * counters when onesWorth15 is set, in which case each is worth 15.
+ * A sweep scores every point in the deck plus sweepBonus, and a set team
+ * loses setPenalty times its bid.
+ *
+ * turnTimers holds the seconds a player gets to bid, discard (choose the
+ * discards and trump) and play a card. 0 means no limit.
+ *
+ * hintsEnabled lets players ask for the bot's suggested move on their turn;
+ * hosts turn it off for competitive games.
+ *
+ * biddingAssistant sends each player an evaluation of their hand after the
+ * deal (a suggested bid range and likely trump). It is off unless the host
+ * turns it on.
+ *
+ * botChat lets bots react to the table with quick chat messages (see botChat.js).
+ * It is also off unless the host turns it on.
+ *
+ * undoAutoApprove gives back a card a player asks to take back without asking
+ * the opponents, for casual games.
+ */
+const DEFAULT_RULES = {
+  variant: Variants.KENTUCKY,
+  minBid: BID_MIN,
+  bidIncrement: BID_INCREMENT,
+  targetScore: WINNING_SCORE,
+  onesWorth15: true,
+  counterValues: {
+    five: 5,
+    ten: 10,
+    fourteen: 10,
+    rook: 20,
+  },
+  sweepBonus: 20,
+  setPenalty: 1,
+  turnTimers: {
+    bid: 0,
+    discard: 0,
+    play: 0,
+  },
+  hintsEnabled: true,
+  biddingAssistant: false,
+  botChat: false,
+  undoAutoApprove: false,
+};
+
+/**
+ * Merge a game's stored rules over the variant's defaults
+ * @param {object|null|undefined} rules - Rules stored on the game item (may be partial or missing)
+ * @returns {object} Complete rules object
+ */
+function resolveRules(rules) {
+  const overrides = rules || {};
+  const variant = overrides.variant || DEFAULT_RULES.variant;
+  return {
+    ...DEFAULT_RULES,
+    ...(VARIANT_SETTINGS[variant]?.defaults || {}),
+    ...overrides,
+    variant,
+    counterValues: {
+      ...DEFAULT_RULES.counterValues,
+      ...(overrides.counterValues || {}),
+    },
+    turnTimers: {
+      ...DEFAULT_RULES.turnTimers,
+      ...(overrides.turnTimers || {}),
+    },
+  };
+}
+
+/**
+ * Validate a host-supplied rules object from createGame
+ * @param {object} rules - Partial rules object
+ * @returns {string|null} Error message, or null if the rules are valid
+ */
+function validateRules(rules) {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    return 'rules must be an object';
+  }
+
+  if (rules.variant !== undefined && !VARIANT_SETTINGS[rules.variant]) {
+    return `Unknown variant '${rules.variant}'`;
+  }
+
+  const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+  const numericFields = {
+    minBid: isPositiveInteger,
+    bidIncrement: isPositiveInteger,
+    targetScore: isPositiveInteger,
+    sweepBonus: isNonNegativeInteger,
+    setPenalty: isNonNegativeInteger,
+  };
+  for (const [field, isValid] of Object.entries(numericFields)) {
+    if (rules[field] !== undefined && !isValid(rules[field])) {
+      return `${field} must be a ${isValid === isPositiveInteger ? 'positive' : 'non-negative'} integer`;
+    }
+  }
+
+  if (rules.onesWorth15 !== undefined && typeof rules.onesWorth15 !== 'boolean') {
+    return 'onesWorth15 must be a boolean';
+  }
+
+  if (rules.hintsEnabled !== undefined && typeof rules.hintsEnabled !== 'boolean') {
+    return 'hintsEnabled must be a boolean';
+  }
+
+  if (rules.biddingAssistant !== undefined && typeof rules.biddingAssistant !== 'boolean') {
+    return 'biddingAssistant must be a boolean';
+  }
+
+  if (rules.botChat !== undefined && typeof rules.botChat !== 'boolean') {
+    return 'botChat must be a boolean';
+  }
+
+  if (rules.undoAutoApprove !== undefined && typeof rules.undoAutoApprove !== 'boolean') {
+    return 'undoAutoApprove must be a boolean';
+  }
+
+  if (rules.counterValues !== undefined) {
+    if (typeof rules.counterValues !== 'object' || rules.counterValues === null) {
+      return 'counterValues must be an object';
+    }
+    for (const [counter, value] of Object.entries(rules.counterValues)) {
+      if (!(counter in DEFAULT_RULES.counterValues)) {
+        return `Unknown counter '${counter}'`;
+      }
+      if (!isNonNegativeInteger(value)) {
+        return `counterValues.${counter} must be a non-negative integer`;
+      }
+    }
+  }
+
+  if (rules.turnTimers !== undefined) {
+    if (typeof rules.turnTimers !== 'object' || rules.turnTimers === null) {
+      return 'turnTimers must be an object';
+    }
+    for (const [phase, seconds] of Object.entries(rules.turnTimers)) {
+      if (!(phase in DEFAULT_RULES.turnTimers)) {
+        return `Unknown turn timer '${phase}'`;
+      }
+      if (!isNonNegativeInteger(seconds) || seconds > MAX_TURN_SECONDS) {
+        return `turnTimers.${phase} must be an integer from 0 to ${MAX_TURN_SECONDS}`;
+      }
+    }
+  }
+
+  const resolved = resolveRules(rules);
+  if (resolved.minBid % resolved.bidIncrement !== 0) {
+    return 'minBid must be a multiple of bidIncrement';
+  }
+
+  return null;
+}
+
+/**
+ * Get the deck and play settings for a game's variant
+ * @param {object} rules - Resolved game rules
+ * @returns {object} { removedRanks, handSize, rookHigh, rookAnyTime }
+ */
+function getVariantSettings(rules = DEFAULT_RULES) {
+  return VARIANT_SETTINGS[rules.variant] || VARIANT_SETTINGS[Variants.KENTUCKY];
+}
+
+/**
+ * Get the lowest legal bid given the current high bid
+ * @param {number} highBid - Current high bid (0 if no bid yet)
+ * @param {object} rules - Resolved game rules
+ * @returns {number} Minimum amount the next bid must reach
+ */
+function getMinimumBid(highBid, rules) {
+  return highBid > 0 ? highBid + rules.bidIncrement : rules.minBid;
+}
 
 /**
  * Create initial game state object
  * @param {string} gameId - The game ID/code
  * @param {string} hostName - Name of the host player
+ * @param {object} rules - House rules for this game (defaults to DEFAULT_RULES)
+ * @param {string} hostTokenHash - Hash of the host's seat token (see seatTokens.js)
  * @returns {object} Initial game state
  */
-function createInitialGameState(gameId, hostName) {
+function createInitialGameState(gameId, hostName, rules = DEFAULT_RULES, hostTokenHash = null) {
   return {
     gameId,
     hostName,
+    rules,
     players: [
       { seat: 0, name: hostName },
     ],
+    // Seat token hashes by player name (never sent to clients)
+    seatTokens: hostTokenHash ? { [hostName]: hostTokenHash } : {},
     status: GameStatus.LOBBY,
     
     // Team configuration (set after partner selection)
@@ -118,6 +343,59 @@ function createInitialGameState(gameId, hostName) {
     
     // Card tracking
     cardsPlayed: [],       // Array of all cards played in the current hand
+    tricks: [],            // Completed tricks of the current hand: { leader, plays, ledSuit, winner, points }
+    claim: null,           // Claim waiting on the opponents: { seat, team, accepted }
+    concession: null,      // Vote to concede the game: { team, votes }
+    undoRequest: null,     // Request to take back a card, waiting on the opponents: { seat, card, approved }
+  };
+}
+
+/**
+ * Which turn timer applies in each game status
+ */
+const TURN_TIMER_PHASES = {
+  [GameStatus.BIDDING]: 'bid',
+  [GameStatus.TRUMP_SELECTION]: 'discard',
+  [GameStatus.PLAYING]: 'play',
+};
+
+/**
+ * Get the time a turn must be taken by
+ * @param {object} rules - Resolved game rules
+ * @param {string} status - Game status the turn is taken in
+ * @param {number} startsAt - Time (ms since epoch) the turn starts
+ * @returns {number|null} Deadline in ms since epoch, or null if the phase has no timer
+ */
+function getTurnDeadline(rules, status, startsAt) {
+  const seconds = rules.turnTimers?.[TURN_TIMER_PHASES[status]];
+  return seconds ? startsAt + seconds * 1000 : null;
+}
+
+/**
+ * Game attributes set when a new hand is dealt
+ * @param {number} dealer - Seat of the dealer (the dealer opens the bidding)
+ * @param {Array<string>} kitty - Kitty cards
+ * @param {object} rules - Resolved game rules
+ * @param {string} dealSeed - Seed the hand was dealt from
+ * @returns {object} Attributes to set on the game item
+ */
+function getDealtGameFields(dealer, kitty, rules, dealSeed) {
+  return {
+    status: GameStatus.BIDDING,
+    highBid: 0,                 // No bid yet
+    highBidder: null,
+    currentBid: rules.minBid,   // Starting bid is minimum (for display)
+    currentBidder: dealer,
+    passed: [],
+    bids: [],
+    kitty,
+    discard: null,
+    trumpColor: null,
+    cardsPlayed: [],
+    tricks: [],
+    claim: null,
+    undoRequest: null,
+    dealSeed,
   };
 }
 
@@ -173,7 +451,17 @@ module.exports = {
   BID_MIN,
   BID_INCREMENT,
   WINNING_SCORE,
+  KITTY_SIZE,
+  MAX_TURN_SECONDS,
+  Variants,
+  DEFAULT_RULES,
+  resolveRules,
+  validateRules,
+  getVariantSettings,
+  getMinimumBid,
+  getTurnDeadline,
   createInitialGameState,
+  getDealtGameFields,
   getNextAvailableSeat,
   isNameTaken,
   buildResponse,
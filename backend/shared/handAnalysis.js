@@ -0,0 +1,78 @@
+/**
+ * Post-hand analysis
+ *
+ * Once a hand is over every card is known, so it can be replayed double dummy
+ * (shared/doubleDummy.js): the points each team would have taken with perfect
+ * play, one perfect way to play it, and for every card played the cards that
+ * would have done best. Settles "we should have made that bid" arguments.
+ *
+ * Only the hand just finished can be analyzed: its cards stay in the game until
+ * the next hand is dealt. The analysis only reads the game.
+ */
+
+const { calculateHandPoints } = require('./cardUtils');
+const { resolveRules } = require('./gameUtils');
+const { reconstructTricks } = require('./botInference');
+const { analyzePlay } = require('./doubleDummy');
+
+// Time the solver may take; whatever it has not solved by then is reported unsolved
+const ANALYSIS_BUDGET_MS = parseInt(process.env.ANALYSIS_BUDGET_MS || '20000', 10);
+
+function reject(error, message) {
+  return { error: { error, message } };
+}
+
+/**
+ * Analyze the hand just finished
+ * @param {object} state - Game item plus hands ({ ...game, hands: { [seat]: cards } })
+ * @param {number} [budgetMs] - Time the solver may take
+ * @returns {object} { message } with the analysis message ({ action: 'handAnalysis',
+ *   round, bid, bidTeam, kittyPoints, actualPoints, perfectPoints, bidMakeable, solved,
+ *   line, decisions }), or { error: { error, message } }
+ */
+function buildHandAnalysis(state, budgetMs = ANALYSIS_BUDGET_MS) {
+  const rules = resolveRules(state.rules);
+  const cardsPlayed = state.cardsPlayed || [];
+  const handOver = state.trump && cardsPlayed.length > 0 && cardsPlayed.length % 4 === 0
+    && [0, 1, 2, 3].every(seat => (state.hands?.[seat] || []).length === 0);
+  if (!handOver) {
+    return reject('Hand not finished', 'Only a finished hand can be analyzed');
+  }
+
+  // completeHand has already passed the deal on; the new dealer is the seat that led the first trick
+  const leader = state.dealer;
+  const plays = reconstructTricks(cardsPlayed, leader, state.trump, rules).flatMap(trick => trick.plays);
+  const hands = { 0: [], 1: [], 2: [], 3: [] };
+  plays.forEach(({ seat, card }) => hands[seat].push(card));
+
+  const start = Date.now();
+  const analysis = analyzePlay({ hands, trump: state.trump, leader, teams: state.teams, rules }, plays, budgetMs);
+  const solvedCount = analysis.decisions.filter(decision => decision.solved).length;
+  console.log(`[ANALYSIS] ${state.gameId} round ${state.currentRound}: solved ${solvedCount}/${plays.length} cards in ${Date.now() - start}ms`);
+
+  // The bid winner's discard counts for the bidding team
+  const bidTeam = state.teams.team0.includes(state.bidWinner) ? 'team0' : 'team1';
+  const kittyPoints = calculateHandPoints(state.discard || [], rules);
+  const withKitty = (points) => ({ ...points, [bidTeam]: points[bidTeam] + kittyPoints });
+  const perfectPoints = analysis.points ? withKitty(analysis.points) : null;
+
+  return {
+    message: {
+      action: 'handAnalysis',
+      round: state.currentRound,
+      bid: state.winningBid,
+      bidTeam,
+      kittyPoints,
+      actualPoints: withKitty(analysis.actual),
+      perfectPoints,
+      bidMakeable: perfectPoints ? perfectPoints[bidTeam] >= state.winningBid : null,
+      solved: analysis.solved,
+      line: analysis.line,
+      decisions: analysis.decisions,
+    },
+  };
+}
+
+module.exports = {
+  buildHandAnalysis,
+};
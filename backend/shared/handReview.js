@@ -0,0 +1,109 @@
+/**
+ * Post-hand review
+ *
+ * Walks back through the tricks of the hand just finished and, for every card
+ * played, asks the normal bot what it would have played in that seat. The bot
+ * sees only what the player saw then: their own cards, the cards played so far,
+ * the bidding, and their own discard if they won the bid. Where the two differ
+ * the review gives the bot's card and its reason, for coaching new players.
+ *
+ * Only the hand just finished can be reviewed: its tricks stay in the game until
+ * the next hand is dealt. The review only reads the game.
+ */
+
+const { GameStatus } = require('./gameUtils');
+const { getBotStrategy, decideBotAction, DEFAULT_BOT_DIFFICULTY } = require('./botStrategies');
+const { explainCardPlay } = require('./botHints');
+
+function reject(error, message) {
+  return { error: { error, message } };
+}
+
+/**
+ * Review the hand just finished
+ * @param {object} state - Game item plus hands ({ ...game, hands: { [seat]: cards } })
+ * @returns {object} { message } with the review message ({ action: 'handReview', round,
+ *   trump, bid, bidWinner, tricks, flagged }), or { error: { error, message } }
+ */
+function buildHandReview(state) {
+  const tricks = state.tricks || [];
+  const handOver = state.trump && tricks.length > 0
+    && [0, 1, 2, 3].every(seat => (state.hands?.[seat] || []).length === 0);
+  if (!handOver) {
+    return reject('Hand not finished', 'Only a finished hand can be reviewed');
+  }
+  if (tricks.length * 4 !== (state.cardsPlayed || []).length) {
+    return reject('Hand not recorded', 'The tricks of this hand were not recorded');
+  }
+
+  // Each seat held the cards it went on to play
+  const remaining = { 0: [], 1: [], 2: [], 3: [] };
+  tricks.forEach(trick => trick.plays.forEach(({ seat, card }) => remaining[seat].push(card)));
+
+  // completeHand has already passed the deal on; the dealer is to the right of the first leader
+  const dealer = (tricks[0].plays[0].seat + 3) % 4;
+  const strategy = getBotStrategy(DEFAULT_BOT_DIFFICULTY);
+  const cardsPlayed = [];
+  const pointsCaptured = { team0: 0, team1: 0 };
+  const flagged = { 0: 0, 1: 0, 2: 0, 3: 0 };
+
+  const reviewed = tricks.map((trick, index) => {
+    const plays = trick.plays.map(({ seat, card }, position) => {
+      const held = remaining[seat];
+      const before = {
+        ...state,
+        status: GameStatus.PLAYING,
+        dealer,
+        hands: { [seat]: held },
+        cardsPlayed: [...cardsPlayed],
+        currentTrick: trick.plays.slice(0, position),
+        ledSuit: position > 0 ? trick.ledSuit : null,
+        currentPlayer: seat,
+        pointsCaptured: { ...pointsCaptured },
+      };
+
+      const botCard = held.length > 1
+        ? decideBotAction(before, held, seat, strategy).card
+        : card;
+      remaining[seat] = held.filter(c => c !== card);
+      cardsPlayed.push(card);
+
+      if (botCard === card) {
+        return { seat, card, held };
+      }
+      flagged[seat]++;
+      return { seat, card, held, alternative: botCard, reason: explainCardPlay(before, seat, botCard) };
+    });
+
+    const winnerTeam = state.teams.team0.includes(trick.winner) ? 'team0' : 'team1';
+    pointsCaptured[winnerTeam] += trick.points;
+
+    return {
+      number: index + 1,
+      leader: trick.plays[0].seat,
+      ledSuit: trick.ledSuit,
+      winner: trick.winner,
+      points: trick.points,
+      plays,
+    };
+  });
+
+  const flaggedCount = Object.values(flagged).reduce((sum, count) => sum + count, 0);
+  console.log(`[REVIEW] ${state.gameId} round ${state.currentRound}: ${flaggedCount} plays differ from the bot`);
+
+  return {
+    message: {
+      action: 'handReview',
+      round: state.currentRound,
+      trump: state.trump,
+      bid: state.winningBid,
+      bidWinner: state.bidWinner,
+      tricks: reviewed,
+      flagged,
+    },
+  };
+}
+
+module.exports = {
+  buildHandReview,
+};
@@ -0,0 +1,271 @@
+/**
+ * Determinized Monte Carlo card play
+ *
+ * Instead of hand-written rules, the bot deals the cards it can't see to the other
+ * seats many times over ("determinizations"), consistent with everything it knows:
+ * - cards already played this hand (`cardsPlayed`)
+ * - suits a seat has shown out of by not following (see botInference.js)
+ * - its own discard, when it took the kitty
+ * For each layout it plays every legal card and finishes the hand with a quick policy
+ * for all four seats, then picks the card that captured the most points for its team
+ * on average. Sampling stops at an iteration cap or a time budget, whichever comes
+ * first, so a decision always fits well inside the botAction Lambda timeout.
+ */
+
+const { getCardPlayValue, getCardPointValue, getValidPlays,
+        calculateHandPoints } = require('./cardUtils');
+const { DEFAULT_RULES, KITTY_SIZE } = require('./gameUtils');
+const { determineTrickWinner } = require('./gameEngine');
+const { constructDeck } = require('./dealUtils');
+const { effectiveSuit, buildInference } = require('./botInference');
+
+// Time a decision may take (ms) - well under the BotAction Lambda timeout
+const SEARCH_BUDGET_MS = parseInt(process.env.BOT_SEARCH_BUDGET_MS || '1000', 10);
+
+// Layouts sampled per decision at most, even with time to spare
+const MAX_DETERMINIZATIONS = 400;
+
+// Tries at dealing a layout that respects every known void before ignoring them
+const MAX_SAMPLE_ATTEMPTS = 20;
+
+// Holder for the unseen cards that sit in the discard rather than a hand
+const DISCARD_PILE = 'discard';
+
+/**
+ * Shuffle an array in place
+ * @returns {Array} The same array
+ */
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Deal the unseen cards to their possible holders
+ * @param {Array<string>} unseen - Cards the bot can't see
+ * @param {object} capacities - { [holder]: number of cards }
+ * @param {object} voids - { [seat]: [suits the seat can't hold] }
+ * @param {string} trump - Trump suit
+ * @returns {object} { [holder]: cards }
+ */
+function sampleLayout(unseen, capacities, voids, trump) {
+  const holders = Object.keys(capacities);
+  const canHold = (holder, card) => !voids[holder]?.includes(effectiveSuit(card, trump));
+
+  for (let attempt = 0; attempt <= MAX_SAMPLE_ATTEMPTS; attempt++) {
+    // The last attempt ignores voids so a contradiction can't stall the bot
+    const respectVoids = attempt < MAX_SAMPLE_ATTEMPTS;
+    const remaining = { ...capacities };
+    const layout = Object.fromEntries(holders.map(holder => [holder, []]));
+
+    // Place the cards with the fewest possible holders first
+    const cards = shuffle([...unseen]).map(card => ({
+      card,
+      options: holders.filter(holder => !respectVoids || canHold(holder, card)),
+    })).sort((a, b) => a.options.length - b.options.length);
+
+    let dealt = true;
+    for (const { card, options } of cards) {
+      const open = options.filter(holder => remaining[holder] > 0);
+      const total = open.reduce((sum, holder) => sum + remaining[holder], 0);
+      if (total === 0) {
+        dealt = false;
+        break;
+      }
+      // Weight by open slots so every layout is about equally likely
+      let pick = Math.random() * total;
+      const holder = open.find(h => (pick -= remaining[h]) < 0) || open[open.length - 1];
+      layout[holder].push(card);
+      remaining[holder]--;
+    }
+    if (dealt) {
+      return layout;
+    }
+  }
+  return null;
+}
+
+/**
+ * Quick policy for following during a playout
+ *
+ * Smear a counter onto a partner who is winning, otherwise win as cheaply as
+ * possible, otherwise throw the least valuable card.
+ * @param {Array<string>} hand - Player's hand
+ * @param {Array<object>} trick - Plays so far (at least one)
+ * @param {string} trump - Trump suit
+ * @param {string} ledSuit - Led suit
+ * @param {object} teams - { team0: [seats], team1: [seats] }
+ * @param {number} seat - Player's seat
+ * @param {object} rules - Resolved game rules
+ * @returns {string} Card to play
+ */
+function playoutFollowCard(hand, trick, trump, ledSuit, teams, seat, rules) {
+  const validPlays = getValidPlays(hand, ledSuit, trump, rules);
+  const winner = determineTrickWinner(trick, trump, ledSuit, rules);
+  const winningValue = getCardPlayValue(trick.find(play => play.seat === winner).card, trump, ledSuit, rules);
+  const myTeam = teams.team0.includes(seat) ? 'team0' : 'team1';
+  const byValue = [...validPlays].sort((a, b) =>
+    getCardPlayValue(a, trump, ledSuit, rules) - getCardPlayValue(b, trump, ledSuit, rules));
+
+  if (teams[myTeam].includes(winner)) {
+    const beaten = byValue.filter(card => getCardPlayValue(card, trump, ledSuit, rules) < winningValue);
+    return (beaten.length > 0 ? beaten : byValue)
+      .reduce((best, card) => (getCardPointValue(card, rules) > getCardPointValue(best, rules) ? card : best));
+  }
+
+  const winning = byValue.find(card => getCardPlayValue(card, trump, ledSuit, rules) > winningValue);
+  return winning || byValue[0];
+}
+
+/**
+ * Quick policy for leading during a playout (every hand is visible here)
+ *
+ * Cash a card no one else can beat in its suit, otherwise lead low.
+ */
+function playoutLeadCard(hands, seat, trump, rules) {
+  const hand = hands[seat];
+  const others = [0, 1, 2, 3].filter(s => s !== seat).flatMap(s => hands[s]);
+  const isBoss = (card) => {
+    const suit = effectiveSuit(card, trump);
+    const value = getCardPlayValue(card, trump, suit, rules);
+    return others.every(other => effectiveSuit(other, trump) !== suit || getCardPlayValue(other, trump, suit, rules) < value);
+  };
+
+  const bosses = hand.filter(card => effectiveSuit(card, trump) !== trump && isBoss(card));
+  if (bosses.length > 0) {
+    return bosses.reduce((best, card) => (getCardPointValue(card, rules) > getCardPointValue(best, rules) ? card : best));
+  }
+
+  const byValue = [...hand].sort((a, b) =>
+    getCardPlayValue(a, trump, effectiveSuit(a, trump), rules) - getCardPlayValue(b, trump, effectiveSuit(b, trump), rules));
+  const lowSideCards = byValue.filter(card => effectiveSuit(card, trump) !== trump && getCardPointValue(card, rules) === 0);
+  return lowSideCards[0] || byValue[0];
+}
+
+/**
+ * Finish the hand from a fully known position
+ * @param {object} hands - { [seat]: cards } (copied, not modified)
+ * @param {Array<object>} trick - Trick in progress
+ * @param {string|null} ledSuit - Led suit of the trick in progress
+ * @param {number} nextSeat - Seat to play next
+ * @param {string} trump - Trump suit
+ * @param {object} teams - { team0: [seats], team1: [seats] }
+ * @param {object} rules - Resolved game rules
+ * @returns {object} Points captured from here on: { team0, team1 }
+ */
+function playOut(hands, trick, ledSuit, nextSeat, trump, teams, rules) {
+  const remaining = Object.fromEntries([0, 1, 2, 3].map(seat => [seat, [...hands[seat]]]));
+  const points = { team0: 0, team1: 0 };
+  let currentTrick = [...trick];
+  let currentLed = ledSuit;
+  let seat = nextSeat;
+
+  while (remaining[seat].length > 0) {
+    const card = currentTrick.length === 0
+      ? playoutLeadCard(remaining, seat, trump, rules)
+      : playoutFollowCard(remaining[seat], currentTrick, trump, currentLed, teams, seat, rules);
+    if (currentTrick.length === 0) {
+      currentLed = effectiveSuit(card, trump);
+    }
+    remaining[seat] = remaining[seat].filter(c => c !== card);
+    currentTrick.push({ seat, card });
+
+    if (currentTrick.length < 4) {
+      seat = (seat + 1) % 4;
+      continue;
+    }
+    const winner = determineTrickWinner(currentTrick, trump, currentLed, rules);
+    points[teams.team0.includes(winner) ? 'team0' : 'team1'] += calculateHandPoints(currentTrick.map(play => play.card), rules);
+    currentTrick = [];
+    currentLed = null;
+    seat = winner;
+  }
+  return points;
+}
+
+/**
+ * Choose a card by sampling the hidden hands and playing each option out
+ * @param {Array<string>} hand - Bot's hand
+ * @param {string} trump - Trump suit
+ * @param {Array<object>} currentTrick - Trick in progress [{ seat, card }]
+ * @param {string|null} ledSuit - Led suit of the trick in progress
+ * @param {object} teams - { team0: [seats], team1: [seats] }
+ * @param {number} mySeat - Bot's seat
+ * @param {object} gameContext - { rules, cardsPlayed, dealer, discard (bid winner only), inference, searchBudgetMs }
+ * @returns {string|null} Card to play, or null if the position can't be sampled
+ */
+function chooseMonteCarloCard(hand, trump, currentTrick, ledSuit, teams, mySeat, gameContext = {}) {
+  const { rules = DEFAULT_RULES, cardsPlayed = [], dealer = 0, discard = null,
+          searchBudgetMs = SEARCH_BUDGET_MS } = gameContext;
+  const trickLed = currentTrick.length > 0 ? ledSuit : null;
+  const validPlays = getValidPlays(hand, trickLed, trump, rules);
+  if (validPlays.length <= 1) {
+    return validPlays[0] || null;
+  }
+
+  // What this seat knows: the play so far, and its own discard if it took the kitty
+  const { voids } = gameContext.inference
+    || buildInference({ hand, trump, dealer, cardsPlayed, currentTrick, ledSuit: trickLed, discard, rules });
+  const known = new Set([...hand, ...cardsPlayed, ...(discard || [])]);
+  const unseen = constructDeck(rules).filter(card => !known.has(card));
+
+  const playedThisTrick = new Set(currentTrick.map(play => play.seat));
+  const capacities = {};
+  for (const seat of [0, 1, 2, 3].filter(s => s !== mySeat)) {
+    capacities[seat] = hand.length - (playedThisTrick.has(seat) ? 1 : 0);
+  }
+  if (!discard) {
+    capacities[DISCARD_PILE] = KITTY_SIZE;
+  }
+  const slots = Object.values(capacities).reduce((sum, n) => sum + n, 0);
+  if (slots !== unseen.length) {
+    console.warn(`[BOT_AI] Monte Carlo: ${unseen.length} unseen cards for ${slots} slots - falling back`);
+    return null;
+  }
+
+  const myTeam = teams.team0.includes(mySeat) ? 'team0' : 'team1';
+  const totals = new Map(validPlays.map(card => [card, 0]));
+  const start = Date.now();
+  let samples = 0;
+
+  while (samples < MAX_DETERMINIZATIONS && (samples === 0 || Date.now() - start < searchBudgetMs)) {
+    const layout = sampleLayout(unseen, capacities, voids, trump);
+    if (!layout) break;
+    const hands = { ...layout, [mySeat]: hand };
+
+    for (const card of validPlays) {
+      const trick = [...currentTrick, { seat: mySeat, card }];
+      const led = trickLed || effectiveSuit(card, trump);
+      const afterPlay = { ...hands, [mySeat]: hand.filter(c => c !== card) };
+
+      let points;
+      if (trick.length === 4) {
+        // This card completes the trick - score it, then the winner leads on
+        const winner = determineTrickWinner(trick, trump, led, rules);
+        points = playOut(afterPlay, [], null, winner, trump, teams, rules);
+        points[teams.team0.includes(winner) ? 'team0' : 'team1'] += calculateHandPoints(trick.map(play => play.card), rules);
+      } else {
+        points = playOut(afterPlay, trick, led, (mySeat + 1) % 4, trump, teams, rules);
+      }
+      totals.set(card, totals.get(card) + points[myTeam]);
+    }
+    samples++;
+  }
+
+  if (samples === 0) {
+    return null;
+  }
+
+  const best = validPlays.reduce((a, b) => (totals.get(b) > totals.get(a) ? b : a));
+  console.log(`[BOT_AI] Monte Carlo: ${samples} samples in ${Date.now() - start}ms, choosing ${best} (avg ${(totals.get(best) / samples).toFixed(1)} pts)`);
+  return best;
+}
+
+module.exports = {
+  SEARCH_BUDGET_MS,
+  playoutFollowCard,
+  chooseMonteCarloCard,
+};
@@ -0,0 +1,126 @@
+/**
+ * Seat tokens
+ *
+ * createGame, joinGame and the tournament handlers give each human player an
+ * unguessable secret for their seat. Only its SHA-256 hash is stored, on the game
+ * item under `seatTokens`, keyed by player name (seats move when partners are
+ * chosen; names don't).
+ *
+ * The token is checked when a WebSocket connects, so a stored connection speaks
+ * for its player from then on. HTTP calls that act for a player send the token
+ * with the request. Handlers invoked directly by other handlers or Lambdas (bots,
+ * timeouts, away checks) carry neither and are trusted.
+ */
+
+const crypto = require('crypto');
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, CONNECTIONS_TABLE, CONNECTION_ID_INDEX } = require('./dynamodb');
+
+/**
+ * Generate a new seat token
+ * @returns {string} 256-bit random token (base64url)
+ */
+function generateSeatToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a seat token for storage
+ * @param {string} token - Seat token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashSeatToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check a token against the hash stored for a player
+ * @param {object} game - Game item
+ * @param {string} playerName - Player the token claims to be
+ * @param {string} token - Seat token
+ * @returns {boolean} True if the token belongs to the player
+ */
+function isValidSeatToken(game, playerName, token) {
+  const storedHash = game?.seatTokens?.[playerName];
+  if (!storedHash || typeof token !== 'string' || !token) {
+    return false;
+  }
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashSeatToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check whether an event came from another handler or Lambda rather than a client
+ *
+ * API Gateway (and the local server) always attach headers to HTTP requests and a
+ * connectionId to WebSocket messages; the mock events handlers build for each other have neither.
+ * @param {object} event - Lambda event
+ * @returns {boolean} True for internal invocations
+ */
+function isInternalInvocation(event) {
+  return !event?.headers && !event?.requestContext?.connectionId;
+}
+
+/**
+ * Look up a WebSocket connection by its ID
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<object|null>} Connection item, or null if not found
+ */
+async function getConnection(connectionId) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: CONNECTIONS_TABLE,
+    IndexName: CONNECTION_ID_INDEX,
+    KeyConditionExpression: 'connectionId = :connectionId',
+    ExpressionAttributeValues: {
+      ':connectionId': connectionId,
+    },
+  }));
+  return result.Items?.[0] || null;
+}
+
+/**
+ * Work out which player is making a request
+ *
+ * WebSocket messages are identified by their (token-checked) connection and HTTP
+ * requests by playerName + token. Internal invocations are trusted as-is.
+ * @param {object} event - Lambda event
+ * @param {object} game - Game item
+ * @param {object} credentials - { playerName, token } from the request body
+ * @returns {Promise<object>} { player, internal }, or { error: { error, message } } if the
+ *   request may not act for anyone (player is null for an internal call that names nobody)
+ */
+async function authorizePlayer(event, game, { playerName, token } = {}) {
+  if (isInternalInvocation(event)) {
+    return {
+      internal: true,
+      player: (game.players || []).find(p => p.name === playerName) || null,
+    };
+  }
+
+  const connectionId = event.requestContext?.connectionId;
+  if (connectionId) {
+    const connection = await getConnection(connectionId);
+    const player = connection && !connection.spectator && connection.gameId === game.gameId
+      ? (game.players || []).find(p => p.name === connection.playerName)
+      : null;
+    if (!player) {
+      return { error: { error: 'Not authorized', message: 'This connection does not hold a seat in the game' } };
+    }
+    return { player, internal: false };
+  }
+
+  const player = (game.players || []).find(p => p.name === playerName);
+  if (!player || !isValidSeatToken(game, playerName, token)) {
+    return { error: { error: 'Not authorized', message: 'A valid seat token is required' } };
+  }
+  return { player, internal: false };
+}
+
+module.exports = {
+  generateSeatToken,
+  hashSeatToken,
+  isValidSeatToken,
+  isInternalInvocation,
+  authorizePlayer,
+};
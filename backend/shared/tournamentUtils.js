@@ -0,0 +1,276 @@
+/**
+ * Duplicate tournament utilities
+ *
+ * A duplicate tournament links several tables (ordinary games) that all play
+ * the same boards: the deal seeds are generated once when the tournament is
+ * created and every table deals board N from seed N, with the same dealer
+ * rotation. Because every North-South (team0) and East-West (team1)
+ * partnership holds identical cards, partnerships are ranked by comparing
+ * their result on each board with the other tables rather than by raw score.
+ */
+
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, GAMES_TABLE, TOURNAMENTS_TABLE } = require('./dynamodb');
+const { generateGameCode, createInitialGameState } = require('./gameUtils');
+const { generateDealSeed } = require('./dealUtils');
+
+/**
+ * Tournament scoring methods
+ */
+const TournamentScoring = {
+  MATCHPOINTS: 'matchpoints', // 2 per table beaten on a board, 1 per tie
+  IMPS: 'imps',               // Point difference converted on the IMP scale, averaged across tables
+};
+
+/**
+ * Tournament status (derived from its tables, not stored)
+ */
+const TournamentStatus = {
+  OPEN: 'OPEN',         // Boards still being played
+  FINISHED: 'FINISHED', // Every table has played every board
+};
+
+/**
+ * Maximum attempts to generate a unique game or tournament code
+ */
+const MAX_CODE_ATTEMPTS = 5;
+
+const MIN_TABLES = 2;
+const MAX_TABLES = 8;
+const MIN_BOARDS = 1;
+const MAX_BOARDS = 24;
+
+/**
+ * IMP scale for Rook: a board difference of at least IMP_SCALE[i] points is worth i + 1 IMPs
+ */
+const IMP_SCALE = [10, 20, 30, 45, 60, 80, 100, 125, 150, 180, 210, 250, 300, 360];
+
+/**
+ * Generate the deal seed for every board
+ * @param {number} boardCount - Number of boards
+ * @returns {Array<string>} One seed per board
+ */
+function generateBoardSeeds(boardCount) {
+  return Array.from({ length: boardCount }, () => generateDealSeed());
+}
+
+/**
+ * Get the seed for the board a table is about to deal
+ * @param {object} game - Game item
+ * @returns {string|undefined} Seed, or undefined for games outside a tournament
+ */
+function getBoardSeed(game) {
+  return Array.isArray(game.boardSeeds) ? game.boardSeeds[game.currentRound || 0] : undefined;
+}
+
+/**
+ * Validate createTournament settings
+ * @param {object} settings - { tableCount, boardCount, scoring }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTournamentSettings({ tableCount, boardCount, scoring }) {
+  if (!Number.isInteger(tableCount) || tableCount < MIN_TABLES || tableCount > MAX_TABLES) {
+    return `tableCount must be a whole number between ${MIN_TABLES} and ${MAX_TABLES}`;
+  }
+  if (!Number.isInteger(boardCount) || boardCount < MIN_BOARDS || boardCount > MAX_BOARDS) {
+    return `boardCount must be a whole number between ${MIN_BOARDS} and ${MAX_BOARDS}`;
+  }
+  if (scoring !== undefined && !Object.values(TournamentScoring).includes(scoring)) {
+    return `scoring must be one of: ${Object.values(TournamentScoring).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Convert a point difference to IMPs
+ * @param {number} difference - Point difference (may be negative)
+ * @returns {number} IMPs, with the sign of the difference
+ */
+function pointsToImps(difference) {
+  const magnitude = Math.abs(difference);
+  let imps = 0;
+  while (imps < IMP_SCALE.length && magnitude >= IMP_SCALE[imps]) {
+    imps++;
+  }
+  return difference < 0 ? -imps : imps;
+}
+
+/**
+ * Fetch a tournament from DynamoDB
+ * @param {string} tournamentId - Tournament code
+ * @returns {Promise<object|null>} Tournament item or null if not found
+ */
+async function getTournament(tournamentId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: TOURNAMENTS_TABLE,
+    Key: { tournamentId },
+  }));
+  return result.Item || null;
+}
+
+/**
+ * Fetch a tournament's table games
+ * @param {object} tournament - Tournament item
+ * @returns {Promise<Array<object>>} Game items in table order (missing games omitted)
+ */
+async function getTournamentTables(tournament) {
+  const results = await Promise.all((tournament.tables || []).map(gameId => docClient.send(new GetCommand({
+    TableName: GAMES_TABLE,
+    Key: { gameId },
+  }))));
+  return results.map(result => result.Item).filter(Boolean);
+}
+
+/**
+ * Create a table's game lobby with the given player as its host
+ * @param {object} tournament - Tournament item
+ * @param {number} tableNumber - Table number (1-based)
+ * @param {string} hostName - Table host's name
+ * @param {string} hostTokenHash - Hash of the table host's seat token
+ * @returns {Promise<object>} Created game item
+ */
+async function createTableGame(tournament, tableNumber, hostName, hostTokenHash) {
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const game = {
+      ...createInitialGameState(generateGameCode(), hostName, tournament.rules, hostTokenHash),
+      tournamentId: tournament.tournamentId,
+      tableNumber,
+      boardCount: tournament.boardCount,
+      boardSeeds: tournament.boardSeeds,
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: GAMES_TABLE,
+        Item: game,
+        ConditionExpression: 'attribute_not_exists(gameId)',
+      }));
+      return game;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        // Game code already exists, try again
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  throw new Error('Failed to generate unique game code after multiple attempts');
+}
+
+/**
+ * Name the players of one partnership at a table
+ * @param {object} game - Table game item
+ * @param {string} team - 'team0' or 'team1'
+ * @returns {Array<string>} Player names
+ */
+function getPartnershipNames(game, team) {
+  const seats = game.teams?.[team] || (team === 'team0' ? [0, 2] : [1, 3]);
+  return seats
+    .map(seat => game.players?.find(p => p.seat === seat)?.name)
+    .filter(Boolean);
+}
+
+/**
+ * Score a tournament from its tables' hand histories
+ *
+ * A board counts once a table has completed it. Each board's result is the
+ * team0 (North-South) net score, team0HandScore - team1HandScore; team1's
+ * result is its negation, so only team0 is compared and team1 is derived.
+ *
+ * @param {object} tournament - Tournament item
+ * @param {Array<object>} tables - Table game items, in table order
+ * @returns {object} { boards, standings }
+ */
+function scoreTournament(tournament, tables) {
+  const scoring = tournament.scoring || TournamentScoring.MATCHPOINTS;
+  const totals = tables.map(() => ({ team0: 0, team1: 0, boardsPlayed: 0 }));
+
+  const boards = [];
+  for (let board = 0; board < tournament.boardCount; board++) {
+    const results = [];
+    tables.forEach((game, index) => {
+      const hand = (game.handHistory || [])[board];
+      if (hand) {
+        results.push({
+          index,
+          tableNumber: game.tableNumber || index + 1,
+          bid: hand.bid,
+          bidTeam: hand.bidTeam,
+          madeBid: hand.madeBid,
+          team0HandScore: hand.team0HandScore,
+          team1HandScore: hand.team1HandScore,
+          net: hand.team0HandScore - hand.team1HandScore,
+        });
+      }
+    });
+
+    for (const result of results) {
+      const others = results.filter(other => other !== result);
+      let team0;
+      let team1;
+
+      if (scoring === TournamentScoring.IMPS) {
+        // Cross-IMPs: compare with every other table, then average
+        const imps = others.reduce((sum, other) => sum + pointsToImps(result.net - other.net), 0);
+        team0 = others.length > 0 ? Math.round((imps / others.length) * 100) / 100 : 0;
+        team1 = -team0;
+      } else {
+        team0 = others.reduce((sum, other) => {
+          if (result.net > other.net) return sum + 2;
+          if (result.net === other.net) return sum + 1;
+          return sum;
+        }, 0);
+        team1 = 2 * others.length - team0;
+      }
+
+      result.score = { team0, team1 };
+      totals[result.index].team0 += team0;
+      totals[result.index].team1 += team1;
+      totals[result.index].boardsPlayed++;
+      delete result.index;
+    }
+
+    boards.push({
+      board: board + 1,
+      dealer: board % 4,
+      tablesPlayed: results.length,
+      results,
+    });
+  }
+
+  const standings = [];
+  tables.forEach((game, index) => {
+    for (const team of ['team0', 'team1']) {
+      standings.push({
+        tableNumber: game.tableNumber || index + 1,
+        team,
+        players: getPartnershipNames(game, team),
+        score: Math.round(totals[index][team] * 100) / 100,
+        boardsPlayed: totals[index].boardsPlayed,
+      });
+    }
+  });
+  standings.sort((a, b) => b.score - a.score);
+
+  return { scoring, boards, standings };
+}
+
+module.exports = {
+  TournamentScoring,
+  TournamentStatus,
+  MIN_TABLES,
+  MAX_TABLES,
+  MIN_BOARDS,
+  MAX_BOARDS,
+  MAX_CODE_ATTEMPTS,
+  IMP_SCALE,
+  generateBoardSeeds,
+  getBoardSeed,
+  validateTournamentSettings,
+  pointsToImps,
+  getTournament,
+  getTournamentTables,
+  createTableGame,
+  scoreTournament,
+};
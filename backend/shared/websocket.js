@@ -220,7 +220,7 @@ async function broadcastToGame(apiGatewayClient, gameId, message, cachedConnecti
 }
 
 /**
- * Send a private message to a specific player by seat
+ * Send a private message to a specific player by seat (never to a spectator)
  * @param {object} apiGatewayClient - API Gateway Management API client
  * @param {string} gameId - Game ID
  * @param {number} seat - Player seat number
@@ -231,7 +231,7 @@ async function sendToPlayer(apiGatewayClient, gameId, seat, message) {
   debugLog('SEND_TO_PLAYER', `Looking for player`, { gameId, seat, action: message.action });
   
   const connections = await getGameConnections(gameId);
-  const playerConnection = connections.find(conn => conn.seat === seat);
+  const playerConnection = connections.find(conn => conn.seat === seat && !conn.spectator);
   
   if (playerConnection) {
     debugLog('SEND_TO_PLAYER', `Found player connection`, { 
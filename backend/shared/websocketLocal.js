@@ -138,7 +138,7 @@ async function broadcastToGame(client, gameId, message) {
 }
 
 /**
- * Send a private message to a specific player by seat
+ * Send a private message to a specific player by seat (never to a spectator)
  * @param {object} client - WebSocket client
  * @param {string} gameId - Game ID
  * @param {number} seat - Player seat number
@@ -0,0 +1,354 @@
+/**
+ * Bot-vs-bot simulator
+ *
+ * Plays complete games in-process with the rules engine (shared/botSimulation.js) -
+ * no server or DynamoDB needed, unlike the test-bots*.js scripts. Use it to check
+ * whether a change to the bots (decideBid, chooseDiscard, ...) makes them stronger.
+ *
+ * Usage:
+ *   node simulate-bots.js --games 2000 --seed abc --team0 hard --team1 normal
+ *   node simulate-bots.js --seats normal,easy,normal,easy --json
+ *
+ * A seat's strategy is a difficulty (easy, normal, hard, expert), optionally with a
+ * weight profile (hard:aggressive), or the path to a module exporting any of
+ * decideBid, chooseTrump, chooseDiscard and chooseCardToPlay (the rest come from
+ * normal). To compare a change with the committed bots:
+ *   git show HEAD:backend/shared/botAI.js > shared/botAI.baseline.js
+ *   node simulate-bots.js --seed abc --team0 ./shared/botAI.js --team1 ./shared/botAI.baseline.js
+ *
+ * --optimize searches the bidding, trump and discard weights instead (shared/botOptimizer.js):
+ *   node simulate-bots.js --optimize --profile standard --generations 10 --save tuned
+ */
+
+const path = require('path');
+const { validateRules } = require('./shared/gameUtils');
+const { DEFAULT_BOT_DIFFICULTY, isValidDifficulty, getBotStrategy } = require('./shared/botStrategies');
+const { DEFAULT_WEIGHTS, DEFAULT_BOT_PROFILE, isValidProfile, getProfileNames, getProfileWeights,
+        saveProfile } = require('./shared/botProfiles');
+const { TEAMS, DEFAULT_MAX_HANDS, runSimulation } = require('./shared/botSimulation');
+const { optimizeWeights } = require('./shared/botOptimizer');
+
+const STRATEGY_FUNCTIONS = ['decideBid', 'chooseTrump', 'chooseDiscard', 'chooseCardToPlay'];
+
+const USAGE = `Usage: node simulate-bots.js [options]
+
+  --games <n>          Games to play (default 1000)
+  --seed <string>      Seed for the deals and the bots' random choices (runs replay exactly)
+  --seats <a,b,c,d>    Strategy for each seat (default normal for all four)
+  --team0 <strategy>   Strategy for seats 0 and 2
+  --team1 <strategy>   Strategy for seats 1 and 3
+  --rules <json>       House rules, as accepted by createGame
+  --max-hands <n>      Abandon a game after this many hands (default ${DEFAULT_MAX_HANDS})
+  --search-budget <ms> Search time per card for expert bots
+  --json               Print the statistics as JSON
+  --help               Show this message
+
+Optimizer mode:
+  --optimize           Search the bidding, trump and discard weights
+  --profile <name>     Profile to start from and play against (default ${DEFAULT_BOT_PROFILE})
+  --difficulty <level> Difficulty every seat plays (default ${DEFAULT_BOT_DIFFICULTY})
+  --generations <n>    Generations to run (default 10)
+  --population <n>     Candidates per generation (default 8)
+  --games <n>          Games per candidate from each side of the table (default 100 here)
+  --save <name>        Save the best weights as a profile in shared/botProfiles.json
+
+A strategy is a difficulty (easy, normal, hard, expert), optionally followed by
+:<profile> (profiles: ${getProfileNames().join(', ')}), or a path to a module
+exporting any of ${STRATEGY_FUNCTIONS.join(', ')}.`;
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    games: 1000,
+    seed: null,
+    seats: Array(4).fill(DEFAULT_BOT_DIFFICULTY),
+    rules: {},
+    maxHands: DEFAULT_MAX_HANDS,
+    searchBudgetMs: undefined,
+    json: false,
+    optimize: false,
+    profile: DEFAULT_BOT_PROFILE,
+    difficulty: DEFAULT_BOT_DIFFICULTY,
+    generations: 10,
+    population: 8,
+    save: null,
+  };
+  let gamesGiven = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${flag} needs a value`);
+      }
+      return argv[++i];
+    };
+    const count = () => {
+      const n = Number(value());
+      if (!Number.isInteger(n) || n < 1) {
+        throw new Error(`${flag} must be a positive integer`);
+      }
+      return n;
+    };
+
+    switch (flag) {
+      case '--games':
+        options.games = count();
+        gamesGiven = true;
+        break;
+      case '--seed':
+        options.seed = value();
+        break;
+      case '--seats':
+        options.seats = value().split(',');
+        if (options.seats.length !== 4) {
+          throw new Error('--seats needs four strategies');
+        }
+        break;
+      case '--team0':
+      case '--team1': {
+        const strategy = value();
+        for (const seat of TEAMS[flag.slice(2)]) {
+          options.seats[seat] = strategy;
+        }
+        break;
+      }
+      case '--rules': {
+        try {
+          options.rules = JSON.parse(value());
+        } catch (error) {
+          throw new Error(`--rules is not valid JSON: ${error.message}`);
+        }
+        const rulesError = validateRules(options.rules);
+        if (rulesError) {
+          throw new Error(`--rules: ${rulesError}`);
+        }
+        break;
+      }
+      case '--max-hands':
+        options.maxHands = count();
+        break;
+      case '--search-budget':
+        options.searchBudgetMs = count();
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--optimize':
+        options.optimize = true;
+        break;
+      case '--profile':
+        options.profile = value();
+        if (!isValidProfile(options.profile)) {
+          throw new Error(`Unknown profile ${options.profile}`);
+        }
+        break;
+      case '--difficulty':
+        options.difficulty = value();
+        if (!isValidDifficulty(options.difficulty)) {
+          throw new Error(`Unknown difficulty ${options.difficulty}`);
+        }
+        break;
+      case '--generations':
+        options.generations = count();
+        break;
+      case '--population':
+        options.population = count();
+        break;
+      case '--save':
+        options.save = value();
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${flag}`);
+    }
+  }
+
+  if (options.optimize && !gamesGiven) {
+    options.games = 100;
+  }
+  return options;
+}
+
+/**
+ * Load a seat's strategy
+ * @param {string} spec - Difficulty (with an optional :profile) or module path
+ * @returns {object} { decideBid, chooseTrump, chooseDiscard, chooseCardToPlay }
+ */
+function loadStrategy(spec) {
+  const [difficulty, profile] = spec.split(':');
+  if (isValidDifficulty(difficulty)) {
+    if (profile !== undefined && !isValidProfile(profile)) {
+      throw new Error(`Unknown profile ${profile}`);
+    }
+    return getBotStrategy(difficulty, profile !== undefined ? getProfileWeights(profile) : undefined);
+  }
+  const overrides = require(path.resolve(spec));
+  const provided = STRATEGY_FUNCTIONS.filter(name => typeof overrides[name] === 'function');
+  if (provided.length === 0) {
+    throw new Error(`${spec} is not a difficulty and exports none of ${STRATEGY_FUNCTIONS.join(', ')}`);
+  }
+  const strategy = { ...getBotStrategy(DEFAULT_BOT_DIFFICULTY) };
+  for (const name of provided) {
+    strategy[name] = overrides[name];
+  }
+  return strategy;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? `${(100 * part / whole).toFixed(1)}%` : '-';
+}
+
+/**
+ * Print the statistics as a table
+ */
+function printReport(stats, options) {
+  const { games, hands, wins, pointsCaptured, sweeps, bids, illegalMoves } = stats;
+  const teams = ['team0', 'team1'];
+  const headings = teams.map(team => `${team} (${TEAMS[team].map(seat => options.seats[seat]).join(' + ')})`);
+  const width = Math.max(28, ...headings.map(heading => heading.length + 2));
+  const row = (label, cells) => console.log(label.padEnd(20) + cells.map(cell => String(cell).padEnd(width)).join(''));
+
+  console.log(`\n${games} games, ${hands} hands in ${(stats.elapsedMs / 1000).toFixed(1)}s${options.seed ? ` (seed "${options.seed}")` : ''}`);
+  row('', headings);
+
+  // 95% margin on the win rate, to tell a real difference from noise
+  const decided = wins.team0 + wins.team1;
+  row('Win rate', teams.map(team => {
+    const p = decided > 0 ? wins[team] / decided : 0;
+    const margin = decided > 0 ? 196 * Math.sqrt(p * (1 - p) / decided) : 0;
+    return `${percent(wins[team], decided)} ±${margin.toFixed(1)}`;
+  }));
+  row('Points per hand', teams.map(team => (hands > 0 ? (pointsCaptured[team] / hands).toFixed(1) : '-')));
+  row('Score per hand', teams.map(team => (hands > 0 ? (stats.score[team] / hands).toFixed(1) : '-')));
+  row('Sweeps', teams.map(team => `${sweeps[team]} (${percent(sweeps[team], hands)})`));
+
+  const won = team => Object.values(bids).reduce((sum, bid) => sum + bid[team].hands, 0);
+  const made = team => Object.values(bids).reduce((sum, bid) => sum + bid[team].made, 0);
+  row('Bids won', teams.map(team => `${won(team)} (${percent(won(team), hands)})`));
+  row('Bids made', teams.map(team => `${made(team)}/${won(team)} (${percent(made(team), won(team))})`));
+
+  console.log('\nBids made by bid size');
+  for (const amount of Object.keys(bids).map(Number).sort((a, b) => a - b)) {
+    row(`  ${amount}`, teams.map(team => {
+      const { hands: taken, made: kept } = bids[amount][team];
+      return taken > 0 ? `${kept}/${taken} (${percent(kept, taken)})` : '-';
+    }));
+  }
+
+  console.log('\nIllegal moves');
+  const seats = Object.keys(illegalMoves);
+  if (seats.length === 0) {
+    console.log('  none');
+  }
+  for (const seat of seats) {
+    const counts = Object.entries(illegalMoves[seat]).map(([action, n]) => `${n} ${action}`).join(', ');
+    console.log(`  seat ${seat} (${options.seats[seat]}): ${counts}`);
+  }
+
+  if (stats.unfinished > 0) {
+    console.log(`\n${stats.unfinished} game(s) abandoned after ${options.maxHands} hands`);
+  }
+}
+
+/**
+ * Weights that differ from the defaults
+ */
+function getOverrides(weights) {
+  return Object.fromEntries(Object.entries(weights).filter(([name, value]) => value !== DEFAULT_WEIGHTS[name]));
+}
+
+/**
+ * Run the optimizer and print (and optionally save) the best weights
+ */
+function runOptimizer(options, log) {
+  const best = optimizeWeights({
+    startWeights: getProfileWeights(options.profile),
+    difficulty: options.difficulty,
+    generations: options.generations,
+    population: options.population,
+    games: options.games,
+    seed: options.seed,
+    rules: options.rules,
+    maxHands: options.maxHands,
+    onGeneration: (generation, ranked) => {
+      const fitness = ranked.map(candidate => candidate.fitness.toFixed(1)).join(', ');
+      process.stderr.write(`Generation ${generation}/${options.generations}: margin per hand ${fitness}\n`);
+    },
+  });
+
+  log(`\nBest weights (${best.fitness >= 0 ? '+' : ''}${best.fitness.toFixed(1)} points per hand against ${options.profile}):`);
+  log(JSON.stringify(getOverrides(best.weights), null, 2));
+  if (options.save) {
+    saveProfile(options.save, best.weights);
+    log(`Saved as profile "${options.save}" in shared/botProfiles.json`);
+  }
+}
+
+function main() {
+  let options;
+  let strategies;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    strategies = options.seats.map(loadStrategy);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // The bots log every decision; keep the report readable
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  if (options.optimize) {
+    try {
+      runOptimizer(options, log);
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+    return;
+  }
+
+  let stats;
+  try {
+    const step = Math.max(1, Math.floor(options.games / 20));
+    stats = runSimulation({
+      strategies,
+      games: options.games,
+      rules: options.rules,
+      seed: options.seed,
+      maxHands: options.maxHands,
+      searchBudgetMs: options.searchBudgetMs,
+      onProgress: (played) => {
+        if (!options.json && (played % step === 0 || played === options.games)) {
+          process.stderr.write(`\rPlayed ${played}/${options.games} games`);
+        }
+      },
+    });
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ seats: options.seats, seed: options.seed, ...stats }, null, 2));
+  } else {
+    process.stderr.write('\n');
+    printReport(stats, options);
+  }
+}
+
+main();
@@ -0,0 +1,236 @@
+/**
+ * Test bot chat scenarios - Checks when bots speak up in quick chat
+ *
+ * Covers the reactions to an action (a set bid, a big trick for a bot's partner)
+ * and the "Hurry up!" for a human's long think over a timed turn: it is said
+ * while the human is still on the clock, never once they have moved, and only
+ * within the game's bot chat limits.
+ */
+
+const { applyAction } = require('./shared/gameEngine');
+const { LONG_THINK_MS, addBotChat, getLongThinkTime, buildLongThinkChat } = require('./shared/botChat');
+
+const TEAMS = { team0: [0, 2], team1: [1, 3] };
+
+// The turn being checked: seat 0 (human) to lead, with a minute on the clock
+const TURN_STARTED = 1700000000000;
+const DEADLINE = TURN_STARTED + 60000;
+
+// Helper to print test results
+function testResult(testName, passed, details = '') {
+  const icon = passed ? '✅' : '❌';
+  console.log(`${icon} ${testName}`);
+  if (details) {
+    console.log(`   ${details}`);
+  }
+  return passed;
+}
+
+// Seat 0 is the only human; seat 0 leads with team0 holding the bid
+function makeState(overrides = {}) {
+  return {
+    gameId: 'CHAT',
+    status: 'PLAYING',
+    teams: TEAMS,
+    players: [0, 1, 2, 3].map(seat => ({ seat, name: `Player ${seat}`, isBot: seat !== 0 })),
+    hands: {
+      0: ['Red14', 'Red13'],
+      1: ['Red5', 'Red6'],
+      2: ['Green5', 'Green6'],
+      3: ['Yellow5', 'Yellow6'],
+    },
+    currentTrick: [],
+    ledSuit: null,
+    currentPlayer: 0,
+    trump: 'Black',
+    bidWinner: 0,
+    winningBid: 120,
+    dealer: 3,
+    pointsCaptured: { team0: 0, team1: 0 },
+    teamScores: { team0: 0, team1: 0 },
+    handHistory: [],
+    currentRound: 2,
+    kitty: [],
+    discard: [],
+    tricks: [],
+    cardsPlayed: [],
+    rules: { botChat: true, turnTimers: { bid: 60, discard: 60, play: 60 } },
+    turnDeadline: DEADLINE,
+    ...overrides,
+  };
+}
+
+const chats = result => (result?.events || [])
+  .filter(event => event.message?.action === 'quickChat')
+  .map(event => `${event.message.seat}:${event.message.message}`);
+
+function testScenario1_LongThinkOnTheClock() {
+  console.log('\n=== Scenario 1: Long Think While on the Clock ===');
+
+  const state = makeState();
+  const checkAt = getLongThinkTime(state, 0, DEADLINE, TURN_STARTED);
+  const scheduled = testResult(
+    `The check is scheduled ${LONG_THINK_MS / 1000}s into the turn`,
+    checkAt === TURN_STARTED + LONG_THINK_MS,
+    `Check at +${checkAt === null ? 'none' : (checkAt - TURN_STARTED) / 1000}s`,
+  );
+
+  const chat = buildLongThinkChat(state, 0, DEADLINE, checkAt);
+  const said = testResult(
+    'An opponent bot says "Hurry up!" while the turn is still pending',
+    JSON.stringify(chats(chat)) === '["1:Hurry up!"]' && chat.state.botChatLog?.count === 1 &&
+      chat.state.turnDeadline === DEADLINE && chat.state.currentPlayer === 0,
+    `Chat: ${JSON.stringify(chats(chat))}; log: ${JSON.stringify(chat?.state.botChatLog)}`,
+  );
+
+  return scheduled && said;
+}
+
+function testScenario2_NotAfterMoving() {
+  console.log('\n=== Scenario 2: No Long Think After the Human Moves ===');
+
+  // The human plays before the check comes due
+  const before = makeState();
+  const played = applyAction(before, 0, { action: 'playCard', card: 'Red14' }, TURN_STARTED + 10000);
+  const afterPlay = buildLongThinkChat(played.state, 0, DEADLINE, TURN_STARTED + LONG_THINK_MS);
+  const quietAfterPlay = testResult(
+    'The check finds the turn over once the card is played',
+    !played.error && played.state.turnDeadline !== DEADLINE && afterPlay === null,
+    played.error ? `Rejected: ${played.error.message}` : `Chat: ${JSON.stringify(chats(afterPlay))}`,
+  );
+
+  // The human's next turn has its own deadline, so the old check is still stale
+  const nextTurn = makeState({ turnDeadline: DEADLINE + 120000 });
+  const laterTurn = buildLongThinkChat(nextTurn, 0, DEADLINE, TURN_STARTED + LONG_THINK_MS);
+  const quietLaterTurn = testResult(
+    'A check from an earlier turn stays quiet on the player\'s next turn',
+    laterTurn === null,
+    `Chat: ${JSON.stringify(chats(laterTurn))}`,
+  );
+
+  // Untimed turns and turns shorter than a long think schedule no check
+  const untimed = getLongThinkTime(makeState(), 0, null, TURN_STARTED);
+  const short = getLongThinkTime(makeState(), 0, TURN_STARTED + 30000, TURN_STARTED);
+  const away = getLongThinkTime(makeState({
+    players: [0, 1, 2, 3].map(seat => ({ seat, name: `Player ${seat}`, isBot: seat !== 0, away: seat === 0 })),
+  }), 0, DEADLINE, TURN_STARTED);
+  const noCheck = testResult(
+    'No check for an untimed turn, a 30s turn, or a seat the bot is covering',
+    untimed === null && short === null && away === null,
+    `Untimed: ${untimed}; 30s: ${short}; away: ${away}`,
+  );
+
+  return quietAfterPlay && quietLaterTurn && noCheck;
+}
+
+function testScenario3_ChatLimits() {
+  console.log('\n=== Scenario 3: Long Think Within the Chat Limits ===');
+
+  const checkAt = TURN_STARTED + LONG_THINK_MS;
+  const recent = buildLongThinkChat(makeState({ botChatLog: { lastAt: checkAt - 5000, round: 2, count: 1 } }), 0,
+    DEADLINE, checkAt);
+  const cooldown = testResult(
+    'A bot that spoke 5s ago stays quiet',
+    recent === null,
+    `Chat: ${JSON.stringify(chats(recent))}`,
+  );
+
+  const full = buildLongThinkChat(makeState({ botChatLog: { lastAt: 0, round: 2, count: 3 } }), 0, DEADLINE, checkAt);
+  const newHand = buildLongThinkChat(makeState({ botChatLog: { lastAt: 0, round: 1, count: 3 } }), 0, DEADLINE, checkAt);
+  const perHand = testResult(
+    'Three messages this hand use up the limit; last hand\'s don\'t count',
+    full === null && chats(newHand).length === 1 && newHand.state.botChatLog.count === 1,
+    `This hand: ${JSON.stringify(chats(full))}; after last hand's: ${JSON.stringify(chats(newHand))}`,
+  );
+
+  const off = buildLongThinkChat(makeState({ rules: { turnTimers: { play: 60 } } }), 0, DEADLINE, checkAt);
+  const ruleOff = testResult(
+    'Nothing is said with the botChat rule off',
+    off === null,
+    `Chat: ${JSON.stringify(chats(off))}`,
+  );
+
+  return cooldown && perHand && ruleOff;
+}
+
+function testScenario4_Reactions() {
+  console.log('\n=== Scenario 4: Reactions to an Action ===');
+
+  // The last trick goes to seat 1 and team0 is set; the set outranks seat 1's big trick
+  const setState = makeState({
+    hands: { 0: ['Red13'], 1: ['Red1'], 2: ['Green5'], 3: ['Yellow5'] },
+    currentTrick: [],
+    turnDeadline: null,
+    rules: { botChat: true },
+  });
+  let state = setState;
+  let result;
+  for (const [seat, card] of [[0, 'Red13'], [1, 'Red1'], [2, 'Green5'], [3, 'Yellow5']]) {
+    const before = state;
+    result = addBotChat(before, applyAction(before, seat, { action: 'playCard', card }, 0), TURN_STARTED);
+    state = result.state;
+  }
+  const set = testResult(
+    'The set bidder\'s bot partner says "Oof"',
+    JSON.stringify(chats(result)) === '["2:Oof"]',
+    `Chat: ${JSON.stringify(chats(result))}`,
+  );
+
+  // Seat 3's partner (seat 1) takes a 25-point trick
+  const bigState = makeState({
+    hands: { 0: ['Red5', 'Red6'], 1: ['Red1', 'Red7'], 2: ['Red10', 'Red8'], 3: ['Green2', 'Green3'] },
+    turnDeadline: null,
+    rules: { botChat: true },
+  });
+  state = bigState;
+  for (const [seat, card] of [[0, 'Red5'], [1, 'Red1'], [2, 'Red10'], [3, 'Green2']]) {
+    const before = state;
+    result = addBotChat(before, applyAction(before, seat, { action: 'playCard', card }, 0), TURN_STARTED);
+    state = result.state;
+  }
+  const bigTrick = testResult(
+    'A bot thanks its partner for a big trick',
+    JSON.stringify(chats(result)) === '["3:Thanks partner!"]',
+    `Chat: ${JSON.stringify(chats(result))}`,
+  );
+
+  return set && bigTrick;
+}
+
+async function runAllTests() {
+  console.log('🧪 Bot Chat Scenario Tests');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push(testScenario1_LongThinkOnTheClock());
+  results.push(testScenario2_NotAfterMoving());
+  results.push(testScenario3_ChatLimits());
+  results.push(testScenario4_Reactions());
+
+  const passed = results.filter(r => r).length;
+  const total = results.length;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 Test Results: ${passed}/${total} passed`);
+
+  if (passed === total) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log(`❌ ${total - passed} test(s) failed`);
+  }
+
+  return passed === total;
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAllTests };
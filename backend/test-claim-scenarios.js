@@ -0,0 +1,259 @@
+/**
+ * Test claim scenarios - Checks the claim search and the claim actions
+ *
+ * Covers verifyClaim's three verdicts (a claim that holds, one the opponents
+ * can beat, and a full hand too long to check) and claiming through the rules
+ * engine, including the opponents accepting or contesting a pending claim.
+ */
+
+const { applyAction } = require('./shared/gameEngine');
+const { verifyClaim, ClaimVerdict, CLAIM_SEARCH_LIMIT } = require('./shared/claims');
+const { determineTrickWinner, getCardSuit } = require('./shared/cardUtils');
+const { resolveRules } = require('./shared/gameUtils');
+const { dealHand } = require('./shared/dealUtils');
+
+const TEAMS = { team0: [0, 2], team1: [1, 3] };
+const RULES = resolveRules({});
+
+// Helper to print test results
+function testResult(testName, passed, details = '') {
+  const icon = passed ? '✅' : '❌';
+  console.log(`${icon} ${testName}`);
+  if (details) {
+    console.log(`   ${details}`);
+  }
+  return passed;
+}
+
+// Seat 0 to lead; team0 bid 120 and trump is Black
+function makeState(hands, overrides = {}) {
+  return {
+    gameId: 'CLAIMS',
+    status: 'PLAYING',
+    teams: TEAMS,
+    players: [0, 1, 2, 3].map(seat => ({ seat, name: `Player ${seat}`, isBot: false })),
+    hands,
+    currentTrick: [],
+    ledSuit: null,
+    currentPlayer: 0,
+    trump: 'Black',
+    bidWinner: 0,
+    winningBid: 120,
+    dealer: 3,
+    pointsCaptured: { team0: 0, team1: 0 },
+    teamScores: { team0: 0, team1: 0 },
+    handHistory: [],
+    currentRound: 0,
+    kitty: [],
+    discard: [],
+    tricks: [],
+    cardsPlayed: [],
+    claim: null,
+    rules: {},
+    ...overrides,
+  };
+}
+
+// Seat 0 and its partner hold the top trumps; the opponents have none
+const HOLDING_HANDS = {
+  0: ['Black14', 'Black13'],
+  1: ['Red5', 'Red10'],
+  2: ['Black12', 'Black11'],
+  3: ['Green5', 'Green10'],
+};
+
+// Seat 1 follows the first Red lead, then trumps the second
+const BEATEN_HANDS = {
+  0: ['Red14', 'Red13'],
+  1: ['Red5', 'Black5'],
+  2: ['Green6', 'Green7'],
+  3: ['Yellow5', 'Yellow6'],
+};
+
+const actions = events => events.filter(event => event.message).map(event => event.message.action);
+
+function testScenario1_ClaimHolds() {
+  console.log('\n=== Scenario 1: Claim That Holds ===');
+
+  const { verdict, line } = verifyClaim(
+    { hands: HOLDING_HANDS, trump: 'Black', leader: 0, teams: TEAMS, rules: RULES },
+    'team0',
+  );
+  const verified = testResult(
+    'Top trumps against no trumps verify as valid',
+    verdict === ClaimVerdict.VALID && line === null,
+    `Verdict: ${verdict} (expected: ${ClaimVerdict.VALID})`,
+  );
+
+  const result = applyAction(makeState(HOLDING_HANDS), 0, { action: 'claim' });
+  // Black14, Red5, Red10, Green5 and Green10 are 40 points
+  const settledMessage = result.events?.find(event => event.message?.action === 'claimSettled')?.message;
+  const settled = !result.error &&
+    actions(result.events).join(',') === 'claimSettled,handComplete' &&
+    settledMessage.team === 'team0' && settledMessage.tricks === 2 && settledMessage.points === 40;
+  const applied = testResult(
+    'A valid claim settles at once and scores the hand',
+    settled,
+    result.error
+      ? `Rejected: ${result.error.message}`
+      : `Events: ${actions(result.events).join(', ')}; settled: ${JSON.stringify(settledMessage)} (expected: 2 tricks, 40 points)`,
+  );
+
+  return verified && applied;
+}
+
+function testScenario2_ClaimFails() {
+  console.log('\n=== Scenario 2: Claim That Fails ===');
+
+  const { verdict, line } = verifyClaim(
+    { hands: BEATEN_HANDS, trump: 'Black', leader: 0, teams: TEAMS, rules: RULES },
+    'team0',
+  );
+
+  // The line is whole tricks, and the last of them goes to the opponents
+  let lineBeatsClaim = false;
+  if (line && line.length > 0 && line.length % 4 === 0) {
+    const lastTrick = line.slice(-4);
+    const led = getCardSuit(lastTrick[0].card);
+    const winner = determineTrickWinner(lastTrick, 'Black', led === 'Rook' ? 'Black' : led, RULES);
+    lineBeatsClaim = TEAMS.team1.includes(winner);
+  }
+  const verified = testResult(
+    'A claim the opponents can trump is invalid, with the line that beats it',
+    verdict === ClaimVerdict.INVALID && lineBeatsClaim,
+    `Verdict: ${verdict}; line: ${(line || []).map(play => `${play.seat}:${play.card}`).join(' ')}`,
+  );
+
+  const result = applyAction(makeState(BEATEN_HANDS), 0, { action: 'claim' });
+  const rejected = testResult(
+    'The engine rejects the claim and names the winning line',
+    result.error?.error === 'Claim rejected' && result.error.message.includes('Black 5'),
+    result.error ? `Message: ${result.error.message}` : 'Claim was accepted',
+  );
+
+  return verified && rejected;
+}
+
+function testScenario3_FullHandUnknown() {
+  console.log('\n=== Scenario 3: Full Hand Too Long to Check ===');
+
+  const { hands } = dealHand(RULES, 'claim-1');
+  const fullHands = { 0: hands.hand0, 1: hands.hand1, 2: hands.hand2, 3: hands.hand3 };
+  const start = Date.now();
+  const { verdict, line } = verifyClaim(
+    { hands: fullHands, trump: 'Black', leader: 0, teams: TEAMS, rules: RULES },
+    'team0',
+  );
+  const searched = testResult(
+    `A 13-card hand runs into the ${CLAIM_SEARCH_LIMIT}-position limit`,
+    verdict === ClaimVerdict.UNKNOWN && line === null,
+    `Verdict: ${verdict} in ${Date.now() - start}ms (expected: ${ClaimVerdict.UNKNOWN})`,
+  );
+
+  // Against humans the claim waits on them; against a bot it is rejected
+  const pending = applyAction(makeState(fullHands), 0, { action: 'claim' });
+  const waits = testResult(
+    'An unchecked claim goes to human opponents',
+    !pending.error && actions(pending.events).join(',') === 'claimMade' &&
+      pending.state.claim?.seat === 0 && pending.state.turnDeadline === null,
+    pending.error ? `Rejected: ${pending.error.message}` : `Pending claim: ${JSON.stringify(pending.state.claim)}`,
+  );
+
+  const withBot = makeState(fullHands, {
+    players: [0, 1, 2, 3].map(seat => ({ seat, name: `Player ${seat}`, isBot: seat === 3 })),
+  });
+  const botResult = applyAction(withBot, 0, { action: 'claim' });
+  const botRejects = testResult(
+    'An unchecked claim against a bot is rejected',
+    !!botResult.error,
+    botResult.error ? `Message: ${botResult.error.message}` : 'Claim was accepted',
+  );
+
+  return searched && waits && botRejects;
+}
+
+function testScenario4_RespondClaim() {
+  console.log('\n=== Scenario 4: Accepting and Contesting a Claim ===');
+
+  const { hands } = dealHand(RULES, 'claim-1');
+  const fullHands = { 0: hands.hand0, 1: hands.hand1, 2: hands.hand2, 3: hands.hand3 };
+  const pending = applyAction(makeState(fullHands), 0, { action: 'claim' }).state;
+
+  const partner = applyAction(pending, 2, { action: 'respondClaim', accept: true });
+  const partnerRejected = testResult(
+    'The claimer\'s partner cannot answer',
+    !!partner.error,
+    partner.error ? `Message: ${partner.error.message}` : 'Answer was accepted',
+  );
+
+  const played = applyAction(pending, 0, { action: 'playCard', card: fullHands[0][0] });
+  const playBlocked = testResult(
+    'Play waits while the claim is pending',
+    played.error?.error === 'Claim pending',
+    played.error ? `Message: ${played.error.message}` : 'Card was played',
+  );
+
+  const contested = applyAction(pending, 1, { action: 'respondClaim', accept: false });
+  const contestWithdraws = testResult(
+    'One contest withdraws the claim and play carries on',
+    !contested.error && contested.state.claim === null &&
+      contested.events.some(event => event.type === 'turn' && event.seat === 0),
+    `Claim: ${JSON.stringify(contested.state.claim)}; events: ${actions(contested.events).join(', ')}`,
+  );
+
+  const firstAccept = applyAction(pending, 1, { action: 'respondClaim', accept: true });
+  const waitsForBoth = testResult(
+    'One acceptance keeps the claim waiting on the other opponent',
+    !firstAccept.error && JSON.stringify(firstAccept.state.claim?.accepted) === '[1]',
+    `Claim: ${JSON.stringify(firstAccept.state.claim)}`,
+  );
+
+  const secondAccept = applyAction(firstAccept.state, 3, { action: 'respondClaim', accept: true });
+  const cardsLeft = [0, 1, 2, 3].reduce((sum, seat) => sum + (secondAccept.state.hands?.[seat] || []).length, 0);
+  const bothAccept = testResult(
+    'Both acceptances settle the claim',
+    !secondAccept.error && cardsLeft === 0 && actions(secondAccept.events).includes('claimSettled') &&
+      actions(secondAccept.events).includes('handComplete'),
+    `Events: ${actions(secondAccept.events || []).join(', ')}; cards left: ${cardsLeft}`,
+  );
+
+  return partnerRejected && playBlocked && contestWithdraws && waitsForBoth && bothAccept;
+}
+
+async function runAllTests() {
+  console.log('🧪 Claim Scenario Tests');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push(testScenario1_ClaimHolds());
+  results.push(testScenario2_ClaimFails());
+  results.push(testScenario3_FullHandUnknown());
+  results.push(testScenario4_RespondClaim());
+
+  const passed = results.filter(r => r).length;
+  const total = results.length;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 Test Results: ${passed}/${total} passed`);
+
+  if (passed === total) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log(`❌ ${total - passed} test(s) failed`);
+  }
+
+  return passed === total;
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAllTests };
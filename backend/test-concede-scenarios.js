@@ -0,0 +1,149 @@
+/**
+ * Test concede scenarios - Checks the concedeGame action
+ *
+ * A conceded game ends with the other team winning and the concession recorded
+ * as the last handHistory entry. The entry carries the hand's bid only once the
+ * bid is won: during the bidding the winning bid on the game is still last
+ * hand's.
+ */
+
+const { applyAction } = require('./shared/gameEngine');
+const { GameStatus } = require('./shared/gameUtils');
+
+const TEAMS = { team0: [0, 2], team1: [1, 3] };
+
+// Helper to print test results
+function testResult(testName, passed, details = '') {
+  const icon = passed ? '✅' : '❌';
+  console.log(`${icon} ${testName}`);
+  if (details) {
+    console.log(`   ${details}`);
+  }
+  return passed;
+}
+
+// The second hand of a game: team1 took the first with a bid of 120 by seat 1
+function makeState(overrides = {}) {
+  return {
+    gameId: 'CONCEDE',
+    status: GameStatus.BIDDING,
+    teams: TEAMS,
+    // Seats 0 and 1 are human; their partners are bots that go along with them
+    players: [0, 1, 2, 3].map(seat => ({ seat, name: `Player ${seat}`, isBot: seat > 1 })),
+    hands: {
+      0: ['Red14', 'Red13'],
+      1: ['Red5', 'Red6'],
+      2: ['Green5', 'Green6'],
+      3: ['Yellow5', 'Yellow6'],
+    },
+    currentRound: 1,
+    dealer: 1,
+    currentBidder: 1,
+    highBid: 0,
+    passed: [],
+    bids: [],
+    winningBid: 120,
+    bidWinner: 1,
+    teamScores: { team0: 0, team1: 120 },
+    handHistory: [{
+      round: 1, bid: 120, bidTeam: 'team1', madeBid: true, team0Points: 0, team1Points: 120,
+      team0HandScore: 0, team1HandScore: 120, team0Total: 0, team1Total: 120, shootTheMoon: false,
+    }],
+    rules: {},
+    ...overrides,
+  };
+}
+
+function testScenario1_ConcedeDuringBidding() {
+  console.log('\n=== Scenario 1: Concede During the Bidding ===');
+
+  const result = applyAction(makeState(), 0, { action: 'concedeGame', vote: true });
+  const entry = result.state?.handHistory[1];
+  const over = testResult(
+    'A single human\'s vote ends the game for the other team',
+    !result.error && result.state.status === GameStatus.FINISHED &&
+      result.events.some(event => event.message?.action === 'gameOver' && event.message.winner === 'team1'),
+    result.error ? `Rejected: ${result.error.message}` : `Status: ${result.state.status}`,
+  );
+
+  const noBid = testResult(
+    'The concession records no bid, not last hand\'s',
+    entry?.round === 2 && entry.concededBy === 'team0' && entry.bid === 0 && entry.bidTeam === null &&
+      entry.team0Total === 0 && entry.team1Total === 120,
+    `Entry: ${JSON.stringify(entry)}`,
+  );
+
+  return over && noBid;
+}
+
+function testScenario2_ConcedeDuringPlay() {
+  console.log('\n=== Scenario 2: Concede During Play ===');
+
+  // team0 won this hand's bid at 100 and is playing it
+  const state = makeState({
+    status: GameStatus.PLAYING,
+    winningBid: 100,
+    bidWinner: 2,
+    highBid: 100,
+    currentPlayer: 0,
+    trump: 'Black',
+    currentTrick: [],
+    ledSuit: null,
+  });
+  const result = applyAction(state, 1, { action: 'concedeGame', vote: true });
+  const entry = result.state?.handHistory[1];
+  return testResult(
+    'A concession during play records the hand\'s bid and bidding team',
+    !result.error && entry?.concededBy === 'team1' && entry.bid === 100 && entry.bidTeam === 'team0',
+    result.error ? `Rejected: ${result.error.message}` : `Entry: ${JSON.stringify(entry)}`,
+  );
+}
+
+function testScenario3_TournamentTable() {
+  console.log('\n=== Scenario 3: No Concession on a Tournament Table ===');
+
+  const result = applyAction(makeState({ tournamentId: 'TOURNEY', tableNumber: 1, boardCount: 4 }), 0,
+    { action: 'concedeGame', vote: true });
+  return testResult(
+    'A tournament table refuses the concession',
+    result.error?.error === 'Tournament table',
+    result.error ? `Rejected: ${result.error.message}` : 'Accepted',
+  );
+}
+
+async function runAllTests() {
+  console.log('🧪 Concede Scenario Tests');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push(testScenario1_ConcedeDuringBidding());
+  results.push(testScenario2_ConcedeDuringPlay());
+  results.push(testScenario3_TournamentTable());
+
+  const passed = results.filter(r => r).length;
+  const total = results.length;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 Test Results: ${passed}/${total} passed`);
+
+  if (passed === total) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log(`❌ ${total - passed} test(s) failed`);
+  }
+
+  return passed === total;
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,203 @@
+/**
+ * Test double-dummy scenarios - Checks the solver against hands with known answers
+ *
+ * Small endings that can be worked out by hand: a laydown the leading team takes
+ * every trick of, a finesse the partner has to take to win every point, and the
+ * post-hand analysis built on them. A full hand with almost no time checks that
+ * the solver reports what it could not solve instead of guessing.
+ */
+
+const { solveHand, analyzePlay } = require('./shared/doubleDummy');
+const { buildHandAnalysis } = require('./shared/handAnalysis');
+const { resolveRules } = require('./shared/gameUtils');
+const { calculateHandPoints, determineTrickWinner, getCardSuit, getValidPlays } = require('./shared/cardUtils');
+const { dealHand } = require('./shared/dealUtils');
+
+const TEAMS = { team0: [0, 2], team1: [1, 3] };
+const RULES = resolveRules({});
+
+// Helper to print test results
+function testResult(testName, passed, details = '') {
+  const icon = passed ? '✅' : '❌';
+  console.log(`${icon} ${testName}`);
+  if (details) {
+    console.log(`   ${details}`);
+  }
+  return passed;
+}
+
+// Seat 0 holds every trump (Black), the Rook included; nobody else can follow or ruff
+const LAYDOWN_HANDS = {
+  0: ['Rook', 'Black14', 'Black1', 'Black13'],
+  1: ['Red5', 'Red10', 'Green2', 'Green3'],
+  2: ['Yellow14', 'Yellow5', 'Yellow2', 'Yellow3'],
+  3: ['Green5', 'Green10', 'Red2', 'Red3'],
+};
+
+// Seat 2 holds Red1 and Red13 behind seat 1's Red14. When seat 1 plays low, seat 2
+// must finesse with Red13 and keep Red1 for Red14; playing Red1 at once loses Red14's trick
+const FINESSE_HANDS = {
+  0: ['Red2', 'Red3'],
+  1: ['Red14', 'Red4'],
+  2: ['Red1', 'Red13'],
+  3: ['Green5', 'Green6'],
+};
+
+// The finesse hand played without the finesse
+const NO_FINESSE_PLAYS = [
+  { seat: 0, card: 'Red2' }, { seat: 1, card: 'Red4' }, { seat: 2, card: 'Red1' }, { seat: 3, card: 'Green5' },
+  { seat: 2, card: 'Red13' }, { seat: 3, card: 'Green6' }, { seat: 0, card: 'Red3' }, { seat: 1, card: 'Red14' },
+];
+
+const deal = (hands) => ({ hands, trump: 'Black', leader: 0, teams: TEAMS, rules: RULES });
+
+function testScenario1_Laydown() {
+  console.log('\n=== Scenario 1: Laydown ===');
+
+  const total = calculateHandPoints([0, 1, 2, 3].flatMap(seat => LAYDOWN_HANDS[seat]), RULES);
+  const result = solveHand(deal(LAYDOWN_HANDS));
+  const allPoints = testResult(
+    'The team holding every trump takes every point',
+    result && result.points.team0 === total && result.points.team1 === 0,
+    `Points: ${JSON.stringify(result?.points)} (expected: team0 ${total}, team1 0)`,
+  );
+
+  const leads = result ? result.line.filter((play, i) => i % 4 === 0) : [];
+  const leadsTrump = testResult(
+    'Every trick of the perfect line is led from the trump hand',
+    leads.length === 4 && leads.every(play => play.seat === 0),
+    `Leads: ${leads.map(play => play.card).join(', ')}`,
+  );
+
+  return allPoints && leadsTrump;
+}
+
+function testScenario2_Finesse() {
+  console.log('\n=== Scenario 2: Finesse ===');
+
+  // Red1 (15), Red14 (10) and Green5 (5) are 30 points
+  const result = solveHand(deal(FINESSE_HANDS));
+  const finesseLine = result ? result.line.find(play => play.seat === 2) : null;
+  const solved = testResult(
+    'With the finesse, team0 takes all 30 points',
+    result && result.points.team0 === 30 && finesseLine?.card === 'Red13',
+    `Points: ${JSON.stringify(result?.points)}; seat 2 first plays ${finesseLine?.card} (expected: Red13)`,
+  );
+
+  const analysis = analyzePlay(deal(FINESSE_HANDS), NO_FINESSE_PLAYS);
+  const missed = analysis.decisions[2];
+  const flagged = testResult(
+    'Analysis of the hand played without it flags Red1 as the mistake',
+    analysis.solved && analysis.actual.team0 === 20 && JSON.stringify(missed.bestCards) === '["Red13"]' &&
+      missed.pointsLost === 15 &&
+      analysis.decisions.filter(decision => decision.seat < 3 && decision !== missed).every(decision => decision.pointsLost === 0),
+    `Actual: ${JSON.stringify(analysis.actual)}; seat 2 played ${missed.card}, best ${JSON.stringify(missed.bestCards)}, lost ${missed.pointsLost}`,
+  );
+
+  return solved && flagged;
+}
+
+function testScenario3_HandAnalysis() {
+  console.log('\n=== Scenario 3: Post-Hand Analysis ===');
+
+  // The finesse hand as a finished game: team0 bid 35 and discarded Yellow5
+  const state = {
+    gameId: 'ANALYSIS',
+    rules: {},
+    teams: TEAMS,
+    trump: 'Black',
+    dealer: 0,
+    currentRound: 1,
+    bidWinner: 0,
+    winningBid: 35,
+    discard: ['Yellow5', 'Yellow2', 'Yellow3', 'Yellow4', 'Yellow6'],
+    cardsPlayed: NO_FINESSE_PLAYS.map(play => play.card),
+    hands: { 0: [], 1: [], 2: [], 3: [] },
+  };
+  const { message, error } = buildHandAnalysis(state);
+  const passed = !error && message.kittyPoints === 5 && message.actualPoints.team0 === 25 &&
+    message.perfectPoints.team0 === 35 && message.bidMakeable === true;
+
+  return testResult(
+    'A set bid is shown makeable, counting the discard for the bidders',
+    passed,
+    error
+      ? `Rejected: ${error.message}`
+      : `Actual: ${JSON.stringify(message.actualPoints)}; perfect: ${JSON.stringify(message.perfectPoints)}; makeable: ${message.bidMakeable}`,
+  );
+}
+
+function testScenario4_OutOfTime() {
+  console.log('\n=== Scenario 4: Full Hand Out of Time ===');
+
+  const { hands } = dealHand(RULES, 'double-dummy-1');
+  const fullDeal = deal({ 0: hands.hand0, 1: hands.hand1, 2: hands.hand2, 3: hands.hand3 });
+
+  // Play the hand out with everyone playing their first legal card
+  const remaining = { ...fullDeal.hands };
+  const plays = [];
+  let leader = 0;
+  while (plays.length < 52) {
+    const trick = [];
+    let ledSuit = null;
+    for (let i = 0; i < 4; i++) {
+      const seat = (leader + i) % 4;
+      const card = getValidPlays(remaining[seat], ledSuit, 'Black', RULES)[0];
+      if (i === 0) {
+        const suit = getCardSuit(card);
+        ledSuit = suit === 'Rook' ? 'Black' : suit;
+      }
+      remaining[seat] = remaining[seat].filter(c => c !== card);
+      trick.push({ seat, card });
+    }
+    plays.push(...trick);
+    leader = determineTrickWinner(trick, 'Black', ledSuit, RULES);
+  }
+
+  const analysis = analyzePlay(fullDeal, plays, 1);
+  const lastSolved = analysis.decisions[analysis.decisions.length - 1].solved;
+  return testResult(
+    'With 1ms a full hand reports unsolved cards instead of a result',
+    !analysis.solved && analysis.points === null && analysis.line === null && lastSolved &&
+      !analysis.decisions[0].solved,
+    `Solved ${analysis.decisions.filter(decision => decision.solved).length}/${plays.length} cards`,
+  );
+}
+
+async function runAllTests() {
+  console.log('🧪 Double-Dummy Scenario Tests');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push(testScenario1_Laydown());
+  results.push(testScenario2_Finesse());
+  results.push(testScenario3_HandAnalysis());
+  results.push(testScenario4_OutOfTime());
+
+  const passed = results.filter(r => r).length;
+  const total = results.length;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 Test Results: ${passed}/${total} passed`);
+
+  if (passed === total) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log(`❌ ${total - passed} test(s) failed`);
+  }
+
+  return passed === total;
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,289 @@
+/**
+ * Test replay scenarios - Checks that the event log rebuilds the game
+ *
+ * Plays seeded hands through the rules engine the way gameAction does, logging
+ * each deal and accepted action with buildDealEvent and buildActionEvents, then
+ * rebuilds the game with replayGameEvents. The rebuilt state must match the
+ * live one at the end and at a sequence number in the middle of a hand, so a
+ * replay can settle what happened in a disputed game.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { applyAction } = require('./shared/gameEngine');
+const { buildDealEvent, buildActionEvents, replayGameEvents } = require('./shared/gameEvents');
+const { GameStatus, KITTY_SIZE, resolveRules, getDealtGameFields } = require('./shared/gameUtils');
+const { getValidPlays } = require('./shared/cardUtils');
+const { dealHand } = require('./shared/dealUtils');
+
+const GAME_ID = 'REPLAY';
+const TEAMS = { team0: [0, 2], team1: [1, 3] };
+
+// The turn deadline is stamped from the clock, which a replay does not share
+const CLOCK_FIELDS = new Set(['turnDeadline']);
+
+// Helper to print test results
+function testResult(testName, passed, details = '') {
+  const icon = passed ? '✅' : '❌';
+  console.log(`${icon} ${testName}`);
+  if (details) {
+    console.log(`   ${details}`);
+  }
+  return passed;
+}
+
+/**
+ * Fields of the rebuilt state that differ from the live one
+ */
+function diffStates(live, rebuilt) {
+  return Object.keys(rebuilt)
+    .filter(key => !CLOCK_FIELDS.has(key))
+    .filter(key => !isDeepStrictEqual(live[key] ?? null, rebuilt[key] ?? null));
+}
+
+/**
+ * A game played through the engine with its event log, the way gameAction keeps it
+ * @param {object} rules - Game rules
+ * @param {object} [table] - Tournament table fields (tournamentId, tableNumber, boardCount)
+ */
+function createLoggedGame(rules, table = {}) {
+  const game = {
+    state: {
+      gameId: GAME_ID,
+      rules,
+      ...table,
+      // Seat 0 is a human so its undo request goes through; bot opponents approve it
+      players: [0, 1, 2, 3].map(seat => ({ seat, name: `Player ${seat}`, isBot: seat !== 0 })),
+      teams: TEAMS,
+      teamScores: { team0: 0, team1: 0 },
+      handHistory: [],
+      currentRound: 0,
+      dealer: 0,
+    },
+    events: [],
+  };
+
+  const log = (events) => {
+    for (const event of events) {
+      game.events.push({ ...event, seq: game.events.length + 1 });
+    }
+  };
+
+  game.deal = (seed) => {
+    const resolved = resolveRules(rules);
+    const { hands, kitty } = dealHand(resolved, seed);
+    game.state = {
+      ...game.state,
+      ...getDealtGameFields(game.state.dealer, kitty, resolved, seed),
+      currentTrick: [],
+      ledSuit: null,
+      pointsCaptured: { team0: 0, team1: 0 },
+      hands: { 0: hands.hand0, 1: hands.hand1, 2: hands.hand2, 3: hands.hand3 },
+    };
+    log([buildDealEvent(game.state, hands, kitty)]);
+  };
+
+  game.act = (seat, action) => {
+    const result = applyAction(game.state, seat, action);
+    if (result.error) {
+      return result;
+    }
+    game.state = result.state;
+    log(buildActionEvents(seat, action, result.events));
+    return result;
+  };
+
+  return game;
+}
+
+/**
+ * A plain legal move: the first three bids raise and the rest pass, the bid
+ * winner discards its first cards, and everyone plays their first legal card
+ */
+function chooseMove(state, rules, bidsMade) {
+  if (state.status === GameStatus.BIDDING) {
+    const seat = state.currentBidder;
+    if (bidsMade < 3) {
+      return { seat, move: { action: 'bid', amount: state.highBid ? state.highBid + rules.bidIncrement : rules.minBid } };
+    }
+    return { seat, move: { action: 'pass' } };
+  }
+  if (state.status === GameStatus.TRUMP_SELECTION) {
+    const seat = state.bidWinner;
+    return { seat, move: { action: 'discardAndTrump', discard: state.hands[seat].slice(0, KITTY_SIZE), trump: 'Red' } };
+  }
+  const seat = state.currentPlayer;
+  const ledSuit = (state.currentTrick || []).length > 0 ? state.ledSuit : null;
+  return { seat, move: { action: 'playCard', card: getValidPlays(state.hands[seat], ledSuit, state.trump, rules)[0] } };
+}
+
+/**
+ * Play hands until one is complete, with a quick chat, a rejected card and an
+ * undo along the way
+ * @returns {Array<object>} { seq, state } snapshots after each card of the hand
+ */
+function playHand(game) {
+  const rules = resolveRules(game.state.rules);
+  const snapshots = [];
+  let bidsMade = 0;
+  let undone = false;
+
+  for (;;) {
+    const { seat, move } = chooseMove(game.state, rules, bidsMade);
+    const result = game.act(seat, move);
+    if (result.error) {
+      throw new Error(`Seat ${seat} could not ${move.action}: ${result.error.message}`);
+    }
+    if (move.action === 'bid') bidsMade++;
+
+    if (move.action === 'playCard') {
+      // Not logged: chat doesn't change the game, and rejected actions never happened
+      game.act(seat, { action: 'quickChat', message: 'Nice play!' });
+      const waiting = (game.state.currentPlayer + 1) % 4;
+      if (game.state.status === GameStatus.PLAYING && game.state.hands[waiting].length > 0) {
+        const outOfTurn = game.act(waiting, { action: 'playCard', card: game.state.hands[waiting][0] });
+        if (!outOfTurn.error) {
+          throw new Error(`Seat ${waiting} played out of turn`);
+        }
+      }
+
+      if (seat === 0 && !undone && game.state.currentTrick.length > 0) {
+        game.act(0, { action: 'requestUndo' });
+        undone = true;
+      }
+      snapshots.push({ seq: game.events.length, state: game.state });
+    }
+
+    if (result.events.some(event => event.message?.action === 'handComplete')) {
+      return snapshots;
+    }
+  }
+}
+
+function testScenario1_ReplayMatchesFinalState() {
+  console.log('\n=== Scenario 1: Replay Matches the Final State ===');
+
+  const game = createLoggedGame({});
+  for (let hand = 0; hand < 3; hand++) {
+    game.deal(`replay-${hand}`);
+    playHand(game);
+  }
+
+  const { state, seq } = replayGameEvents(GAME_ID, game.events);
+  const differences = diffStates(game.state, state);
+  const matches = testResult(
+    'Three hands replayed from the log match the live game',
+    differences.length === 0 && seq === game.events.length,
+    differences.length ? `Differs in: ${differences.join(', ')}` : `${seq} events, round ${state.currentRound}`,
+  );
+
+  const undoLogged = testResult(
+    'The undo request is in the log',
+    game.events.some(event => event.type === 'requestUndo'),
+    `Event types: ${[...new Set(game.events.map(event => event.type))].join(', ')}`,
+  );
+
+  return matches && undoLogged;
+}
+
+function testScenario2_ReplayMidHand() {
+  console.log('\n=== Scenario 2: Replay to the Middle of a Hand ===');
+
+  const game = createLoggedGame({});
+  game.deal('replay-0');
+  playHand(game);
+  game.deal('replay-1');
+  const snapshots = playHand(game);
+
+  // Partway through a trick, halfway through the second hand
+  const middle = snapshots.find((snapshot, i) => i >= snapshots.length / 2 && snapshot.state.currentTrick.length > 0);
+  const { state, seq } = replayGameEvents(GAME_ID, game.events.filter(event => event.seq <= middle.seq));
+  const differences = diffStates(middle.state, state);
+  return testResult(
+    `Replaying to seq ${middle.seq} matches the game at that point`,
+    differences.length === 0 && seq === middle.seq && state.status === GameStatus.PLAYING,
+    differences.length
+      ? `Differs in: ${differences.join(', ')}`
+      : `${state.cardsPlayed.length} cards played, ${state.currentTrick.length} in the current trick`,
+  );
+}
+
+function testScenario3_TournamentRules() {
+  console.log('\n=== Scenario 3: Replay with Tournament Rules ===');
+
+  const game = createLoggedGame({ variant: 'tournament' });
+  game.deal('replay-tournament');
+  playHand(game);
+
+  const { state } = replayGameEvents(GAME_ID, game.events);
+  const differences = diffStates(game.state, state);
+  return testResult(
+    'A tournament-variant hand replays from its logged rules',
+    differences.length === 0,
+    differences.length ? `Differs in: ${differences.join(', ')}` : `Hand history: ${JSON.stringify(state.handHistory[0])}`,
+  );
+}
+
+function testScenario4_TournamentTable() {
+  console.log('\n=== Scenario 4: Replay a Tournament Table ===');
+
+  // Two boards end the game whatever the score, far short of the target
+  const game = createLoggedGame({ variant: 'tournament' }, { tournamentId: 'TOURNEY', tableNumber: 1, boardCount: 2 });
+  for (let board = 0; board < 2; board++) {
+    game.deal(`replay-board-${board}`);
+    playHand(game);
+  }
+
+  const { state } = replayGameEvents(GAME_ID, game.events);
+  const differences = diffStates(game.state, state);
+  const matches = testResult(
+    'Two boards replayed from the log match the live table',
+    differences.length === 0 && state.boardCount === 2 && state.tournamentId === 'TOURNEY',
+    differences.length ? `Differs in: ${differences.join(', ')}` : `Board count: ${state.boardCount}`,
+  );
+
+  const finished = testResult(
+    'The replayed table is over after its last board',
+    game.state.status === GameStatus.FINISHED && state.status === GameStatus.FINISHED,
+    `Live: ${game.state.status}; replayed: ${state.status}; scores: ${JSON.stringify(state.teamScores)}`,
+  );
+
+  return matches && finished;
+}
+
+async function runAllTests() {
+  console.log('🧪 Replay Scenario Tests');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push(testScenario1_ReplayMatchesFinalState());
+  results.push(testScenario2_ReplayMidHand());
+  results.push(testScenario3_TournamentRules());
+  results.push(testScenario4_TournamentTable());
+
+  const passed = results.filter(r => r).length;
+  const total = results.length;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 Test Results: ${passed}/${total} passed`);
+
+  if (passed === total) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log(`❌ ${total - passed} test(s) failed`);
+  }
+
+  return passed === total;
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAllTests };
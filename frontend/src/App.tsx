@@ -2,6 +2,7 @@ import React from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import LobbyPage from './pages/LobbyPage';
 import GamePage from './pages/GamePage';
+import TournamentPage from './pages/TournamentPage';
 import './App.css';
 
 function App() {
@@ -10,6 +11,7 @@ function App() {
       <Routes>
         <Route path="/" element={<LobbyPage />} />
         <Route path="/game" element={<GamePage />} />
+        <Route path="/tournament/:tournamentId" element={<TournamentPage />} />
       </Routes>
     </BrowserRouter>
   );
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Player } from '../types/game';
+import { HandEvaluation, MoveHint, Player } from '../types/game';
+import { HintBanner } from './HintBanner';
 import './BiddingUI.css';
 
 interface BiddingUIProps {
@@ -7,9 +8,14 @@ interface BiddingUIProps {
   currentBidder: number | null;
   mySeat: number;
   minBid: number;
+  bidIncrement?: number;
+  maxBid?: number;
   players: Player[];
   onBid?: (amount: number) => void;
   onPass?: () => void;
+  onHint?: () => void; // Omitted when the game has hints turned off
+  hint?: MoveHint | null;
+  evaluation?: HandEvaluation | null; // Set when the game has the bidding assistant on
 }
 
 export const BiddingUI: React.FC<BiddingUIProps> = ({
@@ -17,18 +23,23 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
   currentBidder,
   mySeat,
   minBid,
+  bidIncrement = 5,
+  maxBid = 180,
   players,
   onBid,
   onPass,
+  onHint,
+  hint,
+  evaluation,
 }) => {
   const getNextValidBid = useCallback(() => {
     if (!highBid || highBid === 0) return minBid;
-    return highBid + 5;
-  }, [highBid, minBid]);
+    return highBid + bidIncrement;
+  }, [highBid, minBid, bidIncrement]);
 
   const [bidAmount, setBidAmount] = useState(() => {
     if (!highBid || highBid === 0) return minBid;
-    return highBid + 5;
+    return highBid + bidIncrement;
   });
   const isMyTurn = currentBidder === mySeat;
 
@@ -38,9 +49,16 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
     setBidAmount(nextBid);
   }, [getNextValidBid]);
 
+  // Start the input at the suggested bid
+  useEffect(() => {
+    if (hint?.suggestion.action === 'bid') {
+      setBidAmount(hint.suggestion.amount);
+    }
+  }, [hint]);
+
   const handleBid = () => {
     const nextBid = getNextValidBid();
-    const validBid = bidAmount >= nextBid && bidAmount <= 180 && bidAmount % 5 === 0;
+    const validBid = bidAmount >= nextBid && bidAmount <= maxBid && bidAmount % bidIncrement === 0;
 
     if (onBid && validBid) {
       onBid(bidAmount);
@@ -55,27 +73,27 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
 
   const handleIncrement = (amount: number) => {
     const nextBid = getNextValidBid();
-    const newBid = Math.min(bidAmount + amount, 180);
-    // Round up to nearest multiple of 5
-    const roundedBid = Math.ceil(newBid / 5) * 5;
+    const newBid = Math.min(bidAmount + amount, maxBid);
+    // Round up to nearest multiple of the increment
+    const roundedBid = Math.ceil(newBid / bidIncrement) * bidIncrement;
     setBidAmount(Math.max(roundedBid, nextBid));
   };
 
   const handleDecrement = (amount: number) => {
     const nextBid = getNextValidBid();
     const newBid = Math.max(bidAmount - amount, nextBid);
-    // Round down to nearest multiple of 5
-    const roundedBid = Math.floor(newBid / 5) * 5;
+    // Round down to nearest multiple of the increment
+    const roundedBid = Math.floor(newBid / bidIncrement) * bidIncrement;
     setBidAmount(Math.max(roundedBid, nextBid));
   };
 
   const handleBidInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const value = parseInt(e.target.value, 10);
     if (!isNaN(value)) {
-      // Round to nearest multiple of 5
-      const rounded = Math.round(value / 5) * 5;
+      // Round to nearest multiple of the increment
+      const rounded = Math.round(value / bidIncrement) * bidIncrement;
       const nextBid = getNextValidBid();
-      const clamped = Math.min(Math.max(rounded, nextBid), 180);
+      const clamped = Math.min(Math.max(rounded, nextBid), maxBid);
       setBidAmount(clamped);
     } else {
       setBidAmount(getNextValidBid());
@@ -83,7 +101,7 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
   };
 
   const nextBid = getNextValidBid();
-  const isValidBid = bidAmount >= nextBid && bidAmount <= 180 && bidAmount % 5 === 0;
+  const isValidBid = bidAmount >= nextBid && bidAmount <= maxBid && bidAmount % bidIncrement === 0;
 
   return (
     <div className="bidding-panel">
@@ -93,14 +111,40 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
         </div>
       </div>
 
+      {evaluation && (
+        <div className="bidding-assistant" role="status">
+          <div className="bidding-assistant-row">
+            <span>Suggested bid</span>
+            <strong>
+              {evaluation.bidRange
+                ? evaluation.bidRange.low === evaluation.bidRange.high
+                  ? evaluation.bidRange.low
+                  : `${evaluation.bidRange.low}–${evaluation.bidRange.high}`
+                : 'Fold'}
+            </strong>
+          </div>
+          {evaluation.likelyTrump && (
+            <div className="bidding-assistant-row">
+              <span>Likely trump</span>
+              <strong className={`bidding-assistant-suit ${evaluation.likelyTrump.toLowerCase()}`}>
+                {evaluation.likelyTrump} ({evaluation.bestSuitLength} cards)
+              </strong>
+            </div>
+          )}
+          <div className="bidding-assistant-detail">
+            {evaluation.handQuality.charAt(0).toUpperCase() + evaluation.handQuality.slice(1)} hand, worth about {evaluation.estimatedPoints} points
+          </div>
+        </div>
+      )}
+
       {isMyTurn && (
         <div className="bidding-controls">
           <div className="bid-input-group">
             <input
               type="number"
               min={nextBid}
-              max={180}
-              step="5"
+              max={maxBid}
+              step={bidIncrement}
               value={bidAmount}
               onChange={handleBidInputChange}
               className={!isValidBid ? 'invalid' : ''}
@@ -109,18 +153,18 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
               <button
                 type="button"
                 className="adjust-btn"
-                onClick={() => handleDecrement(5)}
+                onClick={() => handleDecrement(bidIncrement)}
                 disabled={bidAmount <= nextBid}
               >
-                -5
+                -{bidIncrement}
               </button>
               <button
                 type="button"
                 className="adjust-btn"
-                onClick={() => handleIncrement(5)}
-                disabled={bidAmount >= 180}
+                onClick={() => handleIncrement(bidIncrement)}
+                disabled={bidAmount >= maxBid}
               >
-                +5
+                +{bidIncrement}
               </button>
             </div>
           </div>
@@ -141,6 +185,14 @@ export const BiddingUI: React.FC<BiddingUIProps> = ({
               Fold
             </button>
           </div>
+          {onHint && (
+            <div className="hint-row">
+              <button type="button" className="hint-btn" onClick={onHint}>
+                Hint
+              </button>
+            </div>
+          )}
+          {hint && <HintBanner hint={hint} />}
         </div>
       )}
 
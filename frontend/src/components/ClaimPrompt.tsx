@@ -0,0 +1,28 @@
+import React from 'react';
+import { PendingClaim, Player } from '../types/game';
+import { TablePrompt } from './TablePrompt';
+
+interface ClaimPromptProps {
+  claim: PendingClaim;
+  players: Player[];
+  mySeat: number;
+  canAnswer: boolean; // I'm an opponent of the claimer who hasn't answered yet
+  onAnswer: (accept: boolean) => void;
+}
+
+export const ClaimPrompt: React.FC<ClaimPromptProps> = ({ claim, players, mySeat, canAnswer, onAnswer }) => {
+  const claimer = claim.seat === mySeat ? 'You' : players.find((p) => p.seat === claim.seat)?.name || `Seat ${claim.seat + 1}`;
+
+  return (
+    <TablePrompt
+      tone="info"
+      title={`${claimer} ${claim.seat === mySeat ? 'claim' : 'claims'} the rest of the tricks`}
+      body={canAnswer
+        ? 'The claim was too long to check. Accept to end the hand, or contest to play it out.'
+        : 'Waiting for the opponents to accept or contest...'}
+      acceptLabel="Accept"
+      declineLabel="Contest"
+      onAnswer={canAnswer ? onAnswer : undefined}
+    />
+  );
+};
@@ -0,0 +1,34 @@
+import React from 'react';
+import { PendingConcession, Player } from '../types/game';
+import { TablePrompt } from './TablePrompt';
+
+interface ConcessionPromptProps {
+  concession: PendingConcession;
+  players: Player[];
+  mySeat: number;
+  myTeam: 'team0' | 'team1' | null; // null for spectators
+  onVote: (vote: boolean) => void;
+}
+
+export const ConcessionPrompt: React.FC<ConcessionPromptProps> = ({ concession, players, mySeat, myTeam, onVote }) => {
+  const proposer = concession.votes[0];
+  const proposerName = proposer === mySeat ? 'You' : players.find((p) => p.seat === proposer)?.name || `Seat ${proposer + 1}`;
+  const isMyTeam = concession.team === myTeam;
+  const canVote = isMyTeam && !concession.votes.includes(mySeat);
+
+  return (
+    <TablePrompt
+      tone="danger"
+      title={isMyTeam
+        ? `${proposerName} ${proposer === mySeat ? 'want' : 'wants'} to concede the game`
+        : 'The other team is voting to concede the game'}
+      body={isMyTeam && (canVote
+        ? 'Agree to end the game as a loss, or decline to keep playing.'
+        : 'Waiting for your partner to agree...')}
+      acceptLabel="Concede"
+      declineLabel="Keep playing"
+      onAnswer={canVote ? onVote : undefined}
+      destructive
+    />
+  );
+};
@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react';
+import './CountdownRing.css';
+
+interface CountdownRingProps {
+  deadline: number; // When the turn times out (ms since epoch)
+  durationMs: number; // Full length of the turn
+  size?: number;
+}
+
+// Seconds left at which the ring turns red
+const LOW_TIME_MS = 5000;
+
+export const CountdownRing: React.FC<CountdownRingProps> = ({
+  deadline,
+  durationMs,
+  size = 28,
+}) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  // The deadline includes the animation before the turn starts, so the ring stays full until then
+  const remaining = Math.min(durationMs, Math.max(0, deadline - now));
+  const radius = (size - 4) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const offset = circumference * (1 - (durationMs > 0 ? remaining / durationMs : 0));
+
+  return (
+    <div
+      className={`countdown-ring ${remaining <= LOW_TIME_MS ? 'low' : ''}`}
+      style={{ width: size, height: size }}
+      title="Time left for this turn"
+    >
+      <svg width={size} height={size}>
+        <circle className="countdown-ring-track" cx={size / 2} cy={size / 2} r={radius} />
+        <circle
+          className="countdown-ring-progress"
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          strokeDasharray={circumference}
+          strokeDashoffset={offset}
+          transform={`rotate(-90 ${size / 2} ${size / 2})`}
+        />
+      </svg>
+      <span className="countdown-ring-seconds">{Math.ceil(remaining / 1000)}</span>
+    </div>
+  );
+};
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { Card as CardType } from '../types/game';
+import { Card as CardType, MoveHint } from '../types/game';
 import { Card } from './Card';
+import { HintBanner } from './HintBanner';
 import { cardToString } from '../utils/cardUtils';
 import './DiscardUI.css';
 
@@ -9,9 +10,20 @@ interface DiscardUIProps {
   kittyCardStrings: Set<string>;
   onConfirm: (discardCards: string[], trump: string) => void;
   disabled?: boolean;
+  fullHandSize?: number; // Dealt hand plus kitty (18 in Kentucky rules)
+  onHint?: () => void; // Omitted when the game has hints turned off
+  hint?: MoveHint | null;
 }
 
-export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, onConfirm, disabled = false }) => {
+export const DiscardUI: React.FC<DiscardUIProps> = ({
+  hand,
+  kittyCardStrings,
+  onConfirm,
+  disabled = false,
+  fullHandSize = 18,
+  onHint,
+  hint,
+}) => {
   const [selectedCards, setSelectedCards] = useState<Set<string>>(new Set());
   const [selectedTrump, setSelectedTrump] = useState<string>('');
   const [showTrumpModal, setShowTrumpModal] = useState<boolean>(false);
@@ -22,6 +34,14 @@ export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, on
     setSelectedCards(new Set());
   }, [hand.length]);
 
+  // Pre-select the suggested discard and trump; the player can still change them
+  useEffect(() => {
+    if (hint?.suggestion.action === 'discardAndTrump') {
+      setSelectedCards(new Set(hint.suggestion.discard));
+      setSelectedTrump(hint.suggestion.trump);
+    }
+  }, [hint]);
+
   const toggleCardSelection = (card: CardType) => {
     const cardString = cardToString(card);
     const newSelected = new Set(selectedCards);
@@ -51,7 +71,7 @@ export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, on
     setShowTrumpModal(false);
   };
 
-  const isConfirmEnabled = selectedCards.size === 5 && selectedTrump && !disabled && hand.length >= 18;
+  const isConfirmEnabled = selectedCards.size === 5 && selectedTrump && !disabled && hand.length >= fullHandSize;
 
   return (
     <div className="discard-ui">
@@ -64,7 +84,7 @@ export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, on
           type="button"
           className={`trump-select-btn ${selectedTrump ? `trump-selected trump-${selectedTrump.toLowerCase()}` : ''}`}
           onClick={() => setShowTrumpModal(true)}
-          disabled={disabled || hand.length < 18}
+          disabled={disabled || hand.length < fullHandSize}
         >
           {selectedTrump ? '' : 'Choose Trump'}
         </button>
@@ -106,7 +126,7 @@ export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, on
       <div className="discard-selection">
         <div className="selection-info">
           <span>
-            {hand.length < 18 ? 'Waiting for kitty cards...' : `${selectedCards.size}/5 selected`}
+            {hand.length < fullHandSize ? 'Waiting for kitty cards...' : `${selectedCards.size}/5 selected`}
           </span>
         </div>
         <div className="discard-hand">
@@ -120,7 +140,7 @@ export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, on
                 card={card}
                 selected={selected}
                 isKittyCard={isFromKitty}
-                onClick={() => !disabled && hand.length >= 18 && toggleCardSelection(card)}
+                onClick={() => !disabled && hand.length >= fullHandSize && toggleCardSelection(card)}
               />
             );
           })}
@@ -133,8 +153,22 @@ export const DiscardUI: React.FC<DiscardUIProps> = ({ hand, kittyCardStrings, on
         onClick={handleConfirm}
         disabled={!isConfirmEnabled}
       >
-        {hand.length < 18 ? 'Waiting...' : 'Confirm'}
+        {hand.length < fullHandSize ? 'Waiting...' : 'Confirm'}
       </button>
+
+      {onHint && (
+        <div className="hint-row">
+          <button
+            type="button"
+            className="hint-btn"
+            onClick={onHint}
+            disabled={disabled || hand.length < fullHandSize}
+          >
+            Hint
+          </button>
+        </div>
+      )}
+      {hint && <HintBanner hint={hint} />}
     </div>
   );
 };
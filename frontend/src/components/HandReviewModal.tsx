@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { HandReview, Player } from '../types/game';
+import { sortCards, parseCard, cardToString } from '../utils/cardUtils';
+import './HandReviewModal.css';
+
+interface HandReviewModalProps {
+  review: HandReview;
+  players: Player[];
+  mySeat: number;
+  onClose: () => void;
+}
+
+const cardName = (card: string): string =>
+  card === 'Rook' ? 'Rook' : card.replace(/(\d+)$/, ' $1');
+
+const CardChip: React.FC<{ card: string; className?: string }> = ({ card, className = '' }) => {
+  const { color, rank } = parseCard(card);
+  return (
+    <span className={`review-card ${color.toLowerCase()} ${className}`} title={cardName(card)}>
+      {rank ?? 'R'}
+    </span>
+  );
+};
+
+export const HandReviewModal: React.FC<HandReviewModalProps> = ({ review, players, mySeat, onClose }) => {
+  const [trickIndex, setTrickIndex] = useState(0);
+  const trick = review.tricks[trickIndex];
+
+  const seatName = (seat: number) =>
+    seat === mySeat ? 'You' : players.find((p) => p.seat === seat)?.name || `Seat ${seat + 1}`;
+
+  // Tricks with at least one play the bot would have made differently
+  const flaggedTricks = review.tricks
+    .map((t, index) => (t.plays.some((play) => play.alternative) ? index : -1))
+    .filter((index) => index >= 0);
+  const nextFlagged = flaggedTricks.find((index) => index > trickIndex) ?? flaggedTricks[0];
+  const flaggedSeats = [0, 1, 2, 3].filter((seat) => (review.flagged[seat] || 0) > 0);
+
+  return (
+    <div className="hand-review-overlay" onClick={onClose}>
+      <div className="hand-review-content" onClick={(e) => e.stopPropagation()}>
+        <div className="hand-review-header">
+          <h2>HAND {review.round} REVIEW</h2>
+          <button className="hand-review-close" onClick={onClose} aria-label="Close review">×</button>
+        </div>
+        <div className="hand-review-summary">
+          <div>
+            {review.trump} trump · {seatName(review.bidWinner)} bid {review.bid}
+          </div>
+          <div className="hand-review-flagged">
+            {flaggedSeats.length === 0
+              ? 'Every card matched the bot\'s choice'
+              : flaggedSeats
+                .map((seat) => `${seatName(seat)}: ${review.flagged[seat]} different`)
+                .join(' · ')}
+          </div>
+        </div>
+
+        <div className="hand-review-nav">
+          <button
+            className="hand-review-nav-btn"
+            onClick={() => setTrickIndex(trickIndex - 1)}
+            disabled={trickIndex === 0}
+            aria-label="Previous trick"
+          >
+            ‹
+          </button>
+          <span className="hand-review-trick-label">
+            Trick {trick.number} of {review.tricks.length}
+          </span>
+          <button
+            className="hand-review-nav-btn"
+            onClick={() => setTrickIndex(trickIndex + 1)}
+            disabled={trickIndex === review.tricks.length - 1}
+            aria-label="Next trick"
+          >
+            ›
+          </button>
+          {nextFlagged !== undefined && nextFlagged !== trickIndex && (
+            <button className="hand-review-jump-btn" onClick={() => setTrickIndex(nextFlagged)}>
+              Next difference
+            </button>
+          )}
+        </div>
+
+        <div className="hand-review-body">
+          {trick.plays.map((play) => (
+            <div
+              key={play.seat}
+              className={`hand-review-play ${play.alternative ? 'flagged' : ''} ${play.seat === mySeat ? 'mine' : ''}`}
+            >
+              <div className="hand-review-play-header">
+                <span className="hand-review-seat">
+                  {seatName(play.seat)}
+                  {play.seat === trick.winner && <span className="hand-review-won"> won</span>}
+                </span>
+                <span className="hand-review-played">
+                  played <CardChip card={play.card} />
+                </span>
+              </div>
+              <div className="hand-review-held">
+                {sortCards(play.held.map(parseCard)).map(cardToString).map((card) => (
+                  <CardChip
+                    key={card}
+                    card={card}
+                    className={card === play.card ? 'played' : card === play.alternative ? 'alternative' : ''}
+                  />
+                ))}
+              </div>
+              {play.alternative && (
+                <div className="hand-review-alternative">
+                  <strong>Bot would play the {cardName(play.alternative)}</strong>
+                  {play.reason && <span>{play.reason}</span>}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="hand-review-footer">
+          {seatName(trick.winner)} took {trick.points} point{trick.points === 1 ? '' : 's'}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,37 @@
+import React from 'react';
+import { MoveHint } from '../types/game';
+import './HintBanner.css';
+
+interface HintBannerProps {
+  hint: MoveHint;
+  onDismiss?: () => void;
+}
+
+const describeSuggestion = (suggestion: MoveHint['suggestion']): string => {
+  switch (suggestion.action) {
+    case 'bid':
+      return `Bid ${suggestion.amount}`;
+    case 'pass':
+      return 'Fold';
+    case 'discardAndTrump':
+      return `${suggestion.trump} trump`;
+    case 'playCard':
+      return `Play ${suggestion.card === 'Rook' ? 'the Rook' : suggestion.card.replace(/(\d+)$/, ' $1')}`;
+  }
+};
+
+export const HintBanner: React.FC<HintBannerProps> = ({ hint, onDismiss }) => {
+  return (
+    <div className="hint-banner" role="status">
+      <div className="hint-banner-text">
+        <strong>{describeSuggestion(hint.suggestion)}</strong>
+        {hint.reason && <span>{hint.reason}</span>}
+      </div>
+      {onDismiss && (
+        <button type="button" className="hint-banner-dismiss" onClick={onDismiss} aria-label="Dismiss hint">
+          ×
+        </button>
+      )}
+    </div>
+  );
+};
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Player } from '../types/game';
 import { API_BASE_URL } from '../config';
+import { localStorageUtils } from '../utils/localStorage';
 import './PartnerSelectionModal.css';
 
 interface PartnerSelectionModalProps {
@@ -8,6 +9,7 @@ interface PartnerSelectionModalProps {
   onClose: () => void;
   players: Player[];
   gameId: string;
+  playerName: string;
   onPartnerSelected: () => void;
 }
 
@@ -16,6 +18,7 @@ export const PartnerSelectionModal: React.FC<PartnerSelectionModalProps> = ({
   onClose,
   players,
   gameId,
+  playerName,
   onPartnerSelected,
 }) => {
   const [isSelectingPartner, setIsSelectingPartner] = useState(false);
@@ -37,6 +40,8 @@ export const PartnerSelectionModal: React.FC<PartnerSelectionModalProps> = ({
         body: JSON.stringify({
           gameId,
           partnerSeat,
+          playerName,
+          token: localStorageUtils.getSeatToken(gameId, playerName),
         }),
       });
 
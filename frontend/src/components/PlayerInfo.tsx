@@ -1,5 +1,6 @@
 import React from 'react';
 import { CardBack } from './Card';
+import { CountdownRing } from './CountdownRing';
 import './PlayerInfo.css';
 
 interface PlayerInfoProps {
@@ -8,6 +9,9 @@ interface PlayerInfoProps {
   position: 'top' | 'left' | 'right';
   isPartner?: boolean;
   isCurrentTurn?: boolean;
+  isAway?: boolean; // The bot is playing for this disconnected player
+  turnDeadline?: number | null; // Set while this player's turn timer is running
+  turnDurationMs?: number;
 }
 
 export const PlayerInfo: React.FC<PlayerInfoProps> = ({
@@ -16,11 +20,18 @@ export const PlayerInfo: React.FC<PlayerInfoProps> = ({
   position,
   isPartner,
   isCurrentTurn,
+  isAway,
+  turnDeadline,
+  turnDurationMs,
 }) => (
   <div className={`player-info player-${position} ${isPartner ? 'partner' : ''} ${isCurrentTurn ? 'current-turn' : ''}`}>
+    {turnDeadline && turnDurationMs ? (
+      <CountdownRing deadline={turnDeadline} durationMs={turnDurationMs} />
+    ) : null}
     <div className="player-details">
       <span className="player-name">{name}</span>
       {isPartner && <span className="partner-badge">Partner</span>}
+      {isAway && <span className="away-badge">Away · Bot playing</span>}
     </div>
     {cardCount !== undefined && (
       <div className="player-card-count">
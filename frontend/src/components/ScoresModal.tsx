@@ -1,5 +1,6 @@
 import React from 'react';
-import { HandScore } from '../types/game';
+import { HandScore, HandSummary } from '../types/game';
+import { parseCard } from '../utils/cardUtils';
 import './ScoresModal.css';
 
 interface ScoresModalProps {
@@ -13,8 +14,24 @@ interface ScoresModalProps {
   onDealNextHand: () => void;
   onBackToLobby: () => void;
   winner?: 'team0' | 'team1' | null;
+  onViewTournament?: () => void; // Set for duplicate tournament tables
+  onReviewHand?: () => void; // Set for seated players; the last hand can be reviewed until the next deal
+  isSpectator?: boolean; // Spectators see neutral team labels instead of "You"
+  handSummary?: HandSummary | null; // Breakdown of the hand just finished
 }
 
+const cardName = (card: string): string =>
+  card === 'Rook' ? 'Rook' : card.replace(/(\d+)$/, ' $1');
+
+const CardChip: React.FC<{ card: string }> = ({ card }) => {
+  const { color, rank } = parseCard(card);
+  return (
+    <span className={`scores-card ${color.toLowerCase()}`} title={cardName(card)}>
+      {rank ?? 'R'}
+    </span>
+  );
+};
+
 export const ScoresModal: React.FC<ScoresModalProps> = ({
   handHistory,
   teams,
@@ -26,6 +43,10 @@ export const ScoresModal: React.FC<ScoresModalProps> = ({
   onDealNextHand,
   onBackToLobby,
   winner,
+  onViewTournament,
+  onReviewHand,
+  isSpectator = false,
+  handSummary = null,
 }) => {
   if (!teams || handHistory.length === 0) {
     return null;
@@ -42,20 +63,43 @@ export const ScoresModal: React.FC<ScoresModalProps> = ({
 
   // Check if my team won
   const didWeWin = winner === myTeam;
+  const myTeamLabel = isSpectator ? 'Team 1' : 'You + Partner';
+  const opponentTeamLabel = isSpectator ? 'Team 2' : 'Opponents';
+  const lastHandBidTeam = finalTotals.bidTeam;
+  const summaryTeams: { team: 'team0' | 'team1'; label: string }[] = [
+    { team: myTeam, label: myTeamLabel },
+    { team: opponentTeam, label: opponentTeamLabel },
+  ];
 
   return (
     <div className="scores-modal-overlay" onClick={isGameOver ? undefined : onClose}>
       <div className="scores-modal-content" onClick={(e) => e.stopPropagation()}>
         {isGameOver && winner && (
-          <div className={`game-over-banner ${didWeWin ? 'victory' : 'defeat'}`}>
-            <div className="game-over-icon">{didWeWin ? '🏆' : '😔'}</div>
-            <div className="game-over-text">
-              {didWeWin ? 'Victory!' : 'Defeat'}
+          isSpectator ? (
+            <div className="game-over-banner victory">
+              <div className="game-over-icon">🏆</div>
+              <div className="game-over-text">
+                {didWeWin ? myTeamLabel : opponentTeamLabel} wins!
+              </div>
+              {finalTotals.concededBy && (
+                <div className="game-over-subtext">
+                  {finalTotals.concededBy === myTeam ? myTeamLabel : opponentTeamLabel} conceded
+                </div>
+              )}
             </div>
-            <div className="game-over-subtext">
-              {didWeWin ? 'Your team wins the game!' : 'Better luck next time!'}
+          ) : (
+            <div className={`game-over-banner ${didWeWin ? 'victory' : 'defeat'}`}>
+              <div className="game-over-icon">{didWeWin ? '🏆' : '😔'}</div>
+              <div className="game-over-text">
+                {didWeWin ? 'Victory!' : 'Defeat'}
+              </div>
+              <div className="game-over-subtext">
+                {finalTotals.concededBy
+                  ? (didWeWin ? 'The other team conceded' : 'Your team conceded')
+                  : (didWeWin ? 'Your team wins the game!' : 'Better luck next time!')}
+              </div>
             </div>
-          </div>
+          )
         )}
         <div className="scores-modal-header">
           <h2>{isGameOver ? 'FINAL SCORES' : 'SCORES'}</h2>
@@ -64,11 +108,53 @@ export const ScoresModal: React.FC<ScoresModalProps> = ({
           )}
         </div>
         <div className="scores-modal-body">
+          {handSummary && (
+            <div className="hand-summary">
+              <div className="hand-summary-title">Hand {finalTotals.round}</div>
+              <div className="hand-summary-row">
+                <span className="hand-summary-label">Kitty</span>
+                <span className="hand-summary-cards">
+                  {handSummary.kitty.map((card) => <CardChip key={card} card={card} />)}
+                </span>
+              </div>
+              <div className="hand-summary-row">
+                <span className="hand-summary-label">Discarded</span>
+                <span className="hand-summary-cards">
+                  {handSummary.discard.map((card) => <CardChip key={card} card={card} />)}
+                </span>
+                <span className="hand-summary-points">{handSummary.discardPoints} pts</span>
+              </div>
+              {summaryTeams.map(({ team, label }) => (
+                <div key={team} className="hand-summary-row">
+                  <span className="hand-summary-label">
+                    {label}
+                    <span className="hand-summary-tricks">
+                      {handSummary.tricksWon[team]} trick{handSummary.tricksWon[team] === 1 ? '' : 's'}
+                      {team === lastHandBidTeam ? ' · bid' : ''}
+                    </span>
+                  </span>
+                  <span className="hand-summary-cards">
+                    {handSummary.counters[team].length > 0
+                      ? handSummary.counters[team].map((card) => <CardChip key={card} card={card} />)
+                      : <span className="hand-summary-none">No counters</span>}
+                  </span>
+                  <span className="hand-summary-points">
+                    {finalTotals[`${team}Points` as keyof HandScore] as number} pts
+                  </span>
+                </div>
+              ))}
+              <div className="hand-summary-sweep">
+                {finalTotals.shootTheMoon
+                  ? 'Sweep: every point taken'
+                  : handSummary.sweepInReach ? 'Sweep in reach until the last trick' : 'No sweep in reach'}
+              </div>
+            </div>
+          )}
           <div className="scores-table">
             <div className="scores-table-header">
               <div className="scores-col-hand">Hand</div>
-              <div className="scores-col-team">You + Partner</div>
-              <div className="scores-col-team">Opponents</div>
+              <div className="scores-col-team">{myTeamLabel}</div>
+              <div className="scores-col-team">{opponentTeamLabel}</div>
             </div>
             <div className="scores-table-body">
               {handHistory.map((hand, index) => {
@@ -85,7 +171,9 @@ export const ScoresModal: React.FC<ScoresModalProps> = ({
                     <div className="scores-col-hand">
                       <div className="hand-number">{hand.round}</div>
                       <div className="hand-bid-info">
-                        Bid: {hand.bid} {isMyBid ? (madeBid ? '✓' : '✗') : ''}
+                        {hand.concededBy
+                          ? 'Game conceded'
+                          : <>Bid: {hand.bid} {isMyBid ? (madeBid ? '✓' : '✗') : ''}{hand.conceded ? ' · conceded' : ''}</>}
                       </div>
                     </div>
                     <div className="scores-col-team">
@@ -124,8 +212,18 @@ export const ScoresModal: React.FC<ScoresModalProps> = ({
           </div>
         </div>
         <div className="scores-modal-footer">
+          {onReviewHand && (
+            <button className="scores-modal-review-btn" onClick={onReviewHand}>
+              Review Hand
+            </button>
+          )}
+          {onViewTournament && (
+            <button className="scores-modal-tournament-btn" onClick={onViewTournament}>
+              Tournament Results
+            </button>
+          )}
           {isGameOver ? (
-            isHost ? (
+            onViewTournament ? null : isHost ? (
               <button className="scores-modal-lobby-btn" onClick={onBackToLobby}>
                 Back to Lobby
               </button>
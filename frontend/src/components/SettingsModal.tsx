@@ -8,6 +8,8 @@ interface SettingsModalProps {
   onClose: () => void;
   cardSortMethod: CardSortMethod;
   onCardSortMethodChange: (method: CardSortMethod) => void;
+  onConcedeHand?: () => void; // Set while my team can give up the hand it bid
+  onConcedeGame?: () => void; // Set while the game can be conceded
 }
 
 export const SettingsModal: React.FC<SettingsModalProps> = ({
@@ -15,6 +17,8 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({
   onClose,
   cardSortMethod,
   onCardSortMethodChange,
+  onConcedeHand,
+  onConcedeGame,
 }) => {
   if (!isOpen) return null;
 
@@ -73,6 +77,27 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({
               ))}
             </div>
           </div>
+
+          {(onConcedeHand || onConcedeGame) && (
+            <div className="settings-section concede-section">
+              <h3 className="settings-section-title">Concede</h3>
+              <p className="settings-section-description">
+                Conceding the hand scores it as set. Conceding the game needs your partner to agree.
+              </p>
+              <div className="concede-options">
+                {onConcedeHand && (
+                  <button type="button" className="concede-btn" onClick={onConcedeHand}>
+                    Concede hand
+                  </button>
+                )}
+                {onConcedeGame && (
+                  <button type="button" className="concede-btn" onClick={onConcedeGame}>
+                    Concede game
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
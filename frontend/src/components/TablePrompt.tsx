@@ -0,0 +1,55 @@
+import React from 'react';
+import './TablePrompt.css';
+
+export type TablePromptTone = 'info' | 'warning' | 'danger';
+
+interface TablePromptProps {
+  tone: TablePromptTone;
+  title: React.ReactNode;
+  body?: React.ReactNode;
+  acceptLabel: string;
+  declineLabel: string;
+  onAnswer?: (accept: boolean) => void; // omitted when this player has nothing to answer
+  destructive?: boolean; // accepting gives something up: show it red and declining green
+}
+
+/**
+ * A question put to some of the table, such as a claim or an undo request,
+ * shown to everyone with accept/decline buttons for the players who answer it.
+ */
+export const TablePrompt: React.FC<TablePromptProps> = ({
+  tone,
+  title,
+  body,
+  acceptLabel,
+  declineLabel,
+  onAnswer,
+  destructive = false,
+}) => {
+  return (
+    <div className={`table-prompt table-prompt-${tone}`} role="status">
+      <div className="table-prompt-text">
+        <strong>{title}</strong>
+        {body && <span>{body}</span>}
+      </div>
+      {onAnswer && (
+        <div className="table-prompt-actions">
+          <button
+            type="button"
+            className={`table-prompt-button ${destructive ? 'negative' : 'positive'}`}
+            onClick={() => onAnswer(true)}
+          >
+            {acceptLabel}
+          </button>
+          <button
+            type="button"
+            className={`table-prompt-button ${destructive ? 'positive' : 'negative'}`}
+            onClick={() => onAnswer(false)}
+          >
+            {declineLabel}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
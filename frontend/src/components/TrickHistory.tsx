@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { CompletedTrick, Player } from '../types/game';
+import { parseCard } from '../utils/cardUtils';
+import './TrickHistory.css';
+
+interface TrickHistoryProps {
+  tricks: CompletedTrick[];
+  players: Player[];
+  mySeat: number;
+  trump?: string;
+  onClose: () => void;
+}
+
+const cardName = (card: string): string =>
+  card === 'Rook' ? 'Rook' : card.replace(/(\d+)$/, ' $1');
+
+const CardChip: React.FC<{ card: string }> = ({ card }) => {
+  const { color, rank } = parseCard(card);
+  return (
+    <span className={`trick-history-card ${color.toLowerCase()}`} title={cardName(card)}>
+      {rank ?? 'R'}
+    </span>
+  );
+};
+
+export const TrickHistory: React.FC<TrickHistoryProps> = ({ tricks, players, mySeat, trump, onClose }) => {
+  const [view, setView] = useState<'last' | 'all'>('last');
+  const lastTrick = tricks[tricks.length - 1];
+
+  const seatName = (seat: number) =>
+    seat === mySeat ? 'You' : players.find((p) => p.seat === seat)?.name || `Seat ${seat + 1}`;
+
+  return (
+    <div className="trick-history-overlay" onClick={onClose}>
+      <div className="trick-history-content" onClick={(e) => e.stopPropagation()}>
+        <div className="trick-history-header">
+          <h2>TRICKS</h2>
+          <button className="trick-history-close" onClick={onClose} aria-label="Close tricks">×</button>
+        </div>
+
+        <div className="trick-history-tabs">
+          <button
+            className={`trick-history-tab ${view === 'last' ? 'active' : ''}`}
+            onClick={() => setView('last')}
+          >
+            Last trick
+          </button>
+          <button
+            className={`trick-history-tab ${view === 'all' ? 'active' : ''}`}
+            onClick={() => setView('all')}
+          >
+            All tricks ({tricks.length})
+          </button>
+        </div>
+
+        <div className="trick-history-body">
+          {!lastTrick ? (
+            <div className="trick-history-empty">No tricks played yet this hand</div>
+          ) : view === 'last' ? (
+            <div className="trick-history-last">
+              {lastTrick.plays.map((play) => (
+                <div
+                  key={play.seat}
+                  className={`trick-history-play ${play.seat === lastTrick.winner ? 'winner' : ''}`}
+                >
+                  <span className="trick-history-seat">
+                    {seatName(play.seat)}
+                    {play.seat === lastTrick.leader && <span className="trick-history-led"> led</span>}
+                  </span>
+                  <CardChip card={play.card} />
+                </div>
+              ))}
+              <div className="trick-history-result">
+                {seatName(lastTrick.winner)} took {lastTrick.points} point{lastTrick.points === 1 ? '' : 's'}
+              </div>
+            </div>
+          ) : (
+            <ol className="trick-history-list">
+              {tricks.map((trick, index) => (
+                <li key={index} className="trick-history-row">
+                  <span className="trick-history-number">{index + 1}</span>
+                  <span className="trick-history-cards">
+                    {trick.plays.map((play) => (
+                      <span
+                        key={play.seat}
+                        className={`trick-history-entry ${play.seat === trick.winner ? 'winner' : ''}`}
+                        title={seatName(play.seat)}
+                      >
+                        <span className="trick-history-entry-seat">{seatName(play.seat)}</span>
+                        <CardChip card={play.card} />
+                      </span>
+                    ))}
+                  </span>
+                  <span className="trick-history-points">{trick.points}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {trump && (
+          <div className="trick-history-footer">{trump} trump</div>
+        )}
+      </div>
+    </div>
+  );
+};
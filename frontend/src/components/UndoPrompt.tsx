@@ -0,0 +1,32 @@
+import React from 'react';
+import { PendingUndo, Player } from '../types/game';
+import { TablePrompt } from './TablePrompt';
+
+interface UndoPromptProps {
+  undoRequest: PendingUndo;
+  players: Player[];
+  mySeat: number;
+  canAnswer: boolean; // I'm an opponent of the requester who hasn't approved yet
+  onAnswer: (accept: boolean) => void;
+}
+
+const cardName = (card: string): string =>
+  card === 'Rook' ? 'the Rook' : card.replace(/(\d+)$/, ' $1');
+
+export const UndoPrompt: React.FC<UndoPromptProps> = ({ undoRequest, players, mySeat, canAnswer, onAnswer }) => {
+  const isMine = undoRequest.seat === mySeat;
+  const requester = isMine ? 'You' : players.find((p) => p.seat === undoRequest.seat)?.name || `Seat ${undoRequest.seat + 1}`;
+
+  return (
+    <TablePrompt
+      tone="warning"
+      title={`${requester} ${isMine ? 'want' : 'wants'} to take back ${cardName(undoRequest.card)}`}
+      body={canAnswer
+        ? 'Approve to give the card back, or deny to keep it on the table.'
+        : 'Waiting for the opponents to approve or deny...'}
+      acceptLabel="Approve"
+      declineLabel="Deny"
+      onAnswer={canAnswer ? onAnswer : undefined}
+    />
+  );
+};
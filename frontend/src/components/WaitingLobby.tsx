@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { GameState, Player } from '../types/game';
+import { BotDifficulty, GameState, Player } from '../types/game';
 import { PartnerSelectionModal } from './PartnerSelectionModal';
 import { SettingsModal, CardSortMethod } from './SettingsModal';
 import { localStorageUtils } from '../utils/localStorage';
@@ -8,6 +8,20 @@ import { gameApi } from '../services/gameApi';
 import rookIcon from '../assets/cards/rook.png';
 import './WaitingLobby.css';
 
+const BOT_DIFFICULTIES: { value: BotDifficulty; label: string }[] = [
+  { value: 'easy', label: 'Easy' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'hard', label: 'Hard' },
+  { value: 'expert', label: 'Expert' },
+];
+
+// Built-in weight profiles (the server may define more, e.g. ones saved by the optimizer)
+const BOT_PROFILES: { value: string; label: string }[] = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'aggressive', label: 'Aggressive bidder' },
+  { value: 'conservative', label: 'Conservative' },
+];
+
 interface WaitingLobbyProps {
   gameState: GameState;
   onRefresh: () => void;
@@ -27,6 +41,9 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
   const [showSettings, setShowSettings] = useState(false);
   const [cardSortMethod, setCardSortMethod] = useState<CardSortMethod>(() => localStorageUtils.getCardSortMethod());
   const [isAddingBot, setIsAddingBot] = useState(false);
+  const [botDifficulty, setBotDifficulty] = useState<BotDifficulty>('normal');
+  const [botProfile, setBotProfile] = useState('standard');
+  const [isUpdatingRules, setIsUpdatingRules] = useState(false);
   
   const handleCardSortMethodChange = (method: CardSortMethod) => {
     setCardSortMethod(method);
@@ -38,7 +55,7 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
     
     setIsAddingBot(true);
     try {
-      await gameApi.addBot(gameState.gameId);
+      await gameApi.addBot(gameState.gameId, gameState.playerName, botDifficulty, botProfile);
       // Refresh game state
       onRefresh();
     } catch (error) {
@@ -49,12 +66,31 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
     }
   };
   
+  const handleRuleChange = async (rule: 'biddingAssistant' | 'botChat' | 'undoAutoApprove', enabled: boolean) => {
+    setIsUpdatingRules(true);
+    try {
+      // Everyone (this page included) is sent the new rules over the WebSocket
+      await gameApi.updateRules(gameState.gameId, gameState.playerName, { [rule]: enabled });
+    } catch (error) {
+      console.error('Error updating rules:', error);
+      alert(error instanceof Error ? error.message : 'Failed to update rules');
+    } finally {
+      setIsUpdatingRules(false);
+    }
+  };
+
   // Create a map of occupied seats
   const seatMap = new Map<number, Player>();
   gameState.players.forEach(p => seatMap.set(p.seat, p));
   
   const canAddBot = gameState.isHost && gameState.players.length < 4 && 
                     (gameState.status === 'LOBBY' || gameState.status === 'FULL');
+  // Tournament tables all play the tournament's rules
+  const canEditRules = gameState.isHost && !gameState.tournamentId &&
+                       (gameState.status === 'LOBBY' || gameState.status === 'FULL');
+  const biddingAssistant = gameState.rules?.biddingAssistant ?? false;
+  const botChat = gameState.rules?.botChat ?? false;
+  const undoAutoApprove = gameState.rules?.undoAutoApprove ?? false;
 
   return (
     <div className="waiting-lobby">
@@ -129,15 +165,45 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
                 Share
               </button>
             </div>
+            {gameState.tournamentId && (
+              <div className="tournament-table-info">
+                Tournament {gameState.tournamentId}
+                {gameState.tableNumber ? ` · Table ${gameState.tableNumber}` : ''}
+              </div>
+            )}
             {canAddBot && (
-              <button
-                type="button"
-                className="add-bot-btn"
-                onClick={handleAddBot}
-                disabled={isAddingBot}
-              >
-                {isAddingBot ? 'Adding...' : `Add Bot (${gameState.players.length}/4)`}
-              </button>
+              <div className="add-bot-row">
+                <select
+                  className="bot-difficulty-select"
+                  value={botDifficulty}
+                  onChange={(e) => setBotDifficulty(e.target.value as BotDifficulty)}
+                  disabled={isAddingBot}
+                  aria-label="Bot difficulty"
+                >
+                  {BOT_DIFFICULTIES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  className="bot-profile-select"
+                  value={botProfile}
+                  onChange={(e) => setBotProfile(e.target.value)}
+                  disabled={isAddingBot}
+                  aria-label="Bot profile"
+                >
+                  {BOT_PROFILES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="add-bot-btn"
+                  onClick={handleAddBot}
+                  disabled={isAddingBot}
+                >
+                  {isAddingBot ? 'Adding...' : `Add Bot (${gameState.players.length}/4)`}
+                </button>
+              </div>
             )}
           </div>
         ) : (
@@ -156,18 +222,73 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
             {/* Waiting message for non-hosts when game is full */}
             {!gameState.isHost && (
               <div className="waiting-message">
+                {gameState.isSpectator && <p>👀 You are spectating this game.</p>}
                 <p>⏳ Waiting for host to start the game...</p>
               </div>
             )}
           </>
         )}
 
+        <div className="lobby-option-row">
+          <label htmlFor="bidding-assistant">Bidding assistant</label>
+          {canEditRules ? (
+            <select
+              id="bidding-assistant"
+              className="lobby-option-select"
+              value={biddingAssistant ? 'on' : 'off'}
+              onChange={(e) => handleRuleChange('biddingAssistant', e.target.value === 'on')}
+              disabled={isUpdatingRules}
+            >
+              <option value="off">Off</option>
+              <option value="on">On (suggested bid and trump)</option>
+            </select>
+          ) : (
+            <span className="lobby-option-value">{biddingAssistant ? 'On' : 'Off'}</span>
+          )}
+        </div>
+
+        <div className="lobby-option-row">
+          <label htmlFor="bot-chat">Bot chat</label>
+          {canEditRules ? (
+            <select
+              id="bot-chat"
+              className="lobby-option-select"
+              value={botChat ? 'on' : 'off'}
+              onChange={(e) => handleRuleChange('botChat', e.target.value === 'on')}
+              disabled={isUpdatingRules}
+            >
+              <option value="off">Off</option>
+              <option value="on">On (bots react in quick chat)</option>
+            </select>
+          ) : (
+            <span className="lobby-option-value">{botChat ? 'On' : 'Off'}</span>
+          )}
+        </div>
+
+        <div className="lobby-option-row">
+          <label htmlFor="undo-auto-approve">Undo requests</label>
+          {canEditRules ? (
+            <select
+              id="undo-auto-approve"
+              className="lobby-option-select"
+              value={undoAutoApprove ? 'auto' : 'ask'}
+              onChange={(e) => handleRuleChange('undoAutoApprove', e.target.value === 'auto')}
+              disabled={isUpdatingRules}
+            >
+              <option value="ask">Opponents approve</option>
+              <option value="auto">Approved automatically</option>
+            </select>
+          ) : (
+            <span className="lobby-option-value">{undoAutoApprove ? 'Approved automatically' : 'Opponents approve'}</span>
+          )}
+        </div>
+
         <div className="players-section">
           <h3>Players</h3>
           <div className="players-grid">
             {[0, 1, 2, 3].map(seat => {
               const player = seatMap.get(seat);
-              const isYou = seat === gameState.seat;
+              const isYou = !gameState.isSpectator && seat === gameState.seat;
               
               return (
                 <div 
@@ -185,6 +306,16 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
                           {player.isBot && '🤖 '}
                           {player.name}
                           {isYou && ' (You)'}
+                          {player.isBot && player.difficulty && (
+                            <span className={`bot-difficulty-badge ${player.difficulty}`}>
+                              {BOT_DIFFICULTIES.find(d => d.value === player.difficulty)?.label}
+                            </span>
+                          )}
+                          {player.isBot && player.profile && player.profile !== 'standard' && (
+                            <span className="bot-profile-badge">
+                              {BOT_PROFILES.find(p => p.value === player.profile)?.label || player.profile}
+                            </span>
+                          )}
                         </>
                       ) : (
                         'Waiting...'
@@ -206,6 +337,7 @@ export const WaitingLobby: React.FC<WaitingLobbyProps> = ({
           onClose={() => setShowPartnerModal(false)}
           players={gameState.players}
           gameId={gameState.gameId}
+          playerName={gameState.playerName}
           onPartnerSelected={() => {
             setShowPartnerModal(false);
             if (onPartnerSelected) {
@@ -3,6 +3,7 @@ export { Card, CardBack } from './Card';
 export { Deck } from './Deck';
 export { CardFan } from './CardFan';
 export { PlayerInfo } from './PlayerInfo';
+export { CountdownRing } from './CountdownRing';
 export { TrickArea } from './TrickArea';
 export { KittyDisplay } from './KittyDisplay';
 export { DiscardUI } from './DiscardUI';
@@ -15,4 +16,11 @@ export { RookOverlay } from './RookOverlay';
 export { SettingsModal } from './SettingsModal';
 export type { CardSortMethod } from './SettingsModal';
 export { QuickChatModal } from './QuickChatModal';
-export { QuickChatMessage } from './QuickChatMessage';
\ No newline at end of file
+export { QuickChatMessage } from './QuickChatMessage';
+export { HintBanner } from './HintBanner';
+export { HandReviewModal } from './HandReviewModal';
+export { TrickHistory } from './TrickHistory';
+export { TablePrompt } from './TablePrompt';
+export { ClaimPrompt } from './ClaimPrompt';
+export { ConcessionPrompt } from './ConcessionPrompt';
+export { UndoPrompt } from './UndoPrompt';
\ No newline at end of file
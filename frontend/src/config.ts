@@ -41,14 +41,16 @@ export const getConnectionParams = (): { gameId: string; playerName: string } =>
   return { gameId: 'test-game-123', playerName: 'TestPlayer' };
 };
 
-// Build WebSocket URL with query parameters
-export const buildWebSocketUrl = (gameId: string, playerName: string, seat?: number): string => {
+// Build WebSocket URL with query parameters (spectators connect without a seat)
+export const buildWebSocketUrl = (gameId: string, playerName: string, token?: string | null, spectate?: boolean): string => {
   const params = new URLSearchParams({
     gameId,
     playerName,
   });
-  if (seat !== undefined) {
-    params.append('seat', seat.toString());
+  if (spectate) {
+    params.append('spectate', 'true');
+  } else if (token) {
+    params.append('token', token);
   }
   return `${WS_BASE_URL}?${params.toString()}`;
 };
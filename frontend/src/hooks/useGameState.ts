@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useLocation } from 'react-router-dom';
 import { API_BASE_URL } from '../config';
 import { GameState, BiddingState } from '../types/game';
+import { DEFAULT_RULES } from '../utils/cardUtils';
 
 export const useGameState = () => {
   const location = useLocation();
@@ -26,6 +27,9 @@ export const useGameState = () => {
         isHost: navState.isHost ?? false,
         players: navState.players ?? [],
         status: 'LOBBY',
+        tournamentId: navState.tournamentId,
+        tableNumber: navState.tableNumber,
+        isSpectator: navState.isSpectator ?? false,
       };
     }
     
@@ -35,6 +39,7 @@ export const useGameState = () => {
     const storedSeat = localStorage.getItem('rook_seat');
     const storedIsHost = localStorage.getItem('rook_isHost');
     const storedPlayers = localStorage.getItem('rook_players');
+    const storedSpectator = localStorage.getItem('rook_spectator');
     
     console.log('[GameState] Falling back to localStorage:', {
       gameId: storedGameId,
@@ -53,13 +58,14 @@ export const useGameState = () => {
       isHost: storedIsHost === 'true',
       players: storedPlayers ? JSON.parse(storedPlayers) : [],
       status: 'LOBBY',
+      isSpectator: storedSpectator === 'true',
     };
   });
 
   const [biddingState, setBiddingState] = useState<BiddingState>({
     highBid: null,
     currentBidder: null,
-    minBid: 50,
+    minBid: DEFAULT_RULES.minBid,
   });
 
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -90,6 +96,10 @@ export const useGameState = () => {
           ledSuit: game.ledSuit,
           teamScores: game.teamScores || prev.teamScores,
           handHistory: game.handHistory || prev.handHistory,
+          rules: game.rules || prev.rules,
+          tournamentId: game.tournamentId || prev.tournamentId,
+          tableNumber: game.tableNumber ?? prev.tableNumber,
+          boardCount: game.boardCount ?? prev.boardCount,
         }));
         
         // Update bidding state if game is in bidding phase
@@ -97,7 +107,7 @@ export const useGameState = () => {
           setBiddingState({
             highBid: game.highBid !== undefined ? game.highBid : 0,
             currentBidder: game.currentBidder !== undefined ? game.currentBidder : 0,
-            minBid: 50,
+            minBid: game.rules?.minBid ?? DEFAULT_RULES.minBid,
           });
         }
         
@@ -1,13 +1,22 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { buildWebSocketUrl } from '../config';
-import { GameState, Card, WebSocketMessage } from '../types/game';
-import { parseCard } from '../utils/cardUtils';
+import { GameState, GameRules, Card, Player, MoveHint, HandEvaluation, HandReview, CompletedTrick, WebSocketMessage } from '../types/game';
+import { parseCard, DEFAULT_RULES } from '../utils/cardUtils';
+import { localStorageUtils } from '../utils/localStorage';
 
 // Reconnection configuration
 const MAX_RECONNECT_ATTEMPTS = 5;
 const INITIAL_RECONNECT_DELAY = 1000; // 1 second
 const MAX_RECONNECT_DELAY = 30000; // 30 seconds
 
+// Messages that hand over the turn; with turn timers on they carry its deadline
+const TURN_MESSAGES = new Set([
+  'biddingStart', 'bidPlaced', 'playerPassed', 'nextBidder', 'biddingWon',
+  'trumpChosen', 'cardPlayed', 'nextPlayer', 'claimAnswered', 'undoAnswered', 'undo',
+]);
+// Messages after which nobody is on the clock
+const TURN_END_MESSAGES = new Set(['handComplete', 'gameOver', 'gameReset', 'claimMade', 'undoRequested']);
+
 interface UseWebSocketProps {
   gameState: GameState;
   onPlayerJoined?: (player: any, players: any[], status: string) => void;
@@ -23,13 +32,22 @@ interface UseWebSocketProps {
   onPlayStart: (leader: number) => void;
   onCardPlayed: (seat: number, card: string, nextPlayer?: number) => void;
   onNextPlayer: (seat: number) => void;
-  onTrickWon: (winner: number, points: number) => void;
+  onTrickWon: (winner: number, points: number, trick?: CompletedTrick) => void;
   onHandComplete: (message: any) => void;
   onGameOver: (message: any) => void;
   onGameReset: (message: any) => void;
   onError: (action: string, message: string) => void;
   onQuickChat: (seat: number, message: string) => void;
   onResync?: (message: any) => void;
+  onPlayerAwayChanged?: (seat: number, players: Player[], away: boolean) => void;
+  onTurnDeadline?: (deadline: number | null) => void;
+  onHint?: (hint: MoveHint) => void;
+  onHandReview?: (review: HandReview) => void;
+  onHandEvaluation?: (evaluation: HandEvaluation) => void;
+  onRulesUpdated?: (rules: GameRules) => void;
+  onClaim?: (message: any) => void; // claimMade, claimAnswered and claimSettled
+  onConcession?: (message: any) => void; // handConceded and concessionVote
+  onUndo?: (message: any) => void; // undoRequested, undoAnswered and undo
 }
 
 export const useWebSocket = ({
@@ -54,6 +72,15 @@ export const useWebSocket = ({
   onError,
   onQuickChat,
   onResync,
+  onPlayerAwayChanged,
+  onTurnDeadline,
+  onHint,
+  onHandReview,
+  onHandEvaluation,
+  onRulesUpdated,
+  onClaim,
+  onConcession,
+  onUndo,
 }: UseWebSocketProps) => {
   const wsRef = useRef<WebSocket | null>(null);
   const [connected, setConnected] = useState(false);
@@ -88,6 +115,15 @@ export const useWebSocket = ({
     onError,
     onQuickChat,
     onResync,
+    onPlayerAwayChanged,
+    onTurnDeadline,
+    onHint,
+    onHandReview,
+    onHandEvaluation,
+    onRulesUpdated,
+    onClaim,
+    onConcession,
+    onUndo,
   });
 
   // Update callbacks ref when they change
@@ -113,6 +149,15 @@ export const useWebSocket = ({
       onError,
       onQuickChat,
       onResync,
+      onPlayerAwayChanged,
+      onTurnDeadline,
+      onHint,
+      onHandReview,
+      onHandEvaluation,
+      onRulesUpdated,
+      onClaim,
+      onConcession,
+      onUndo,
     };
   }, [
     onPlayerJoined,
@@ -135,6 +180,15 @@ export const useWebSocket = ({
     onError,
     onQuickChat,
     onResync,
+    onPlayerAwayChanged,
+    onTurnDeadline,
+    onHint,
+    onHandReview,
+    onHandEvaluation,
+    onRulesUpdated,
+    onClaim,
+    onConcession,
+    onUndo,
   ]);
 
   // Store gameState in ref for use in callbacks
@@ -203,8 +257,19 @@ export const useWebSocket = ({
     }
 
     // Build WebSocket URL
-    const wsUrl = buildWebSocketUrl(currentGameState.gameId, currentGameState.playerName, currentGameState.seat);
-    console.log('[WS] Connecting to WebSocket:', wsUrl);
+    const seatToken = localStorageUtils.getSeatToken(currentGameState.gameId, currentGameState.playerName);
+    const wsUrl = buildWebSocketUrl(
+      currentGameState.gameId,
+      currentGameState.playerName,
+      seatToken,
+      currentGameState.isSpectator
+    );
+    // Log the URL without the seat token, which would let anyone reading the console take the seat
+    console.log(
+      '[WS] Connecting to WebSocket:',
+      buildWebSocketUrl(currentGameState.gameId, currentGameState.playerName, null, currentGameState.isSpectator),
+      seatToken && !currentGameState.isSpectator ? '(with seat token)' : ''
+    );
 
     // Create WebSocket connection
     const ws = new WebSocket(wsUrl);
@@ -233,6 +298,14 @@ export const useWebSocket = ({
         // Use callbacks from ref to get latest versions
         const callbacks = callbacksRef.current;
 
+        if (callbacks.onTurnDeadline) {
+          if (TURN_MESSAGES.has(message.action)) {
+            callbacks.onTurnDeadline(typeof message.deadline === 'number' ? message.deadline : null);
+          } else if (TURN_END_MESSAGES.has(message.action)) {
+            callbacks.onTurnDeadline(null);
+          }
+        }
+
         switch (message.action) {
           case 'playerJoined':
             if (callbacks.onPlayerJoined && message.players) {
@@ -256,7 +329,7 @@ export const useWebSocket = ({
           case 'biddingStart':
             callbacks.onBiddingStart(
               message.startingPlayer !== undefined ? message.startingPlayer : 0,
-              message.minBid || 50
+              message.minBid || DEFAULT_RULES.minBid
             );
             break;
 
@@ -324,7 +397,7 @@ export const useWebSocket = ({
             break;
 
           case 'trickWon':
-            callbacks.onTrickWon(message.winner, message.points);
+            callbacks.onTrickWon(message.winner, message.points, message.trick);
             break;
 
           case 'handComplete':
@@ -339,6 +412,13 @@ export const useWebSocket = ({
             callbacks.onGameReset(message);
             break;
 
+          case 'playerAway':
+          case 'playerReturned':
+            if (callbacks.onPlayerAwayChanged && message.players && Array.isArray(message.players)) {
+              callbacks.onPlayerAwayChanged(message.seat, message.players, message.action === 'playerAway');
+            }
+            break;
+
           case 'quickChat':
             if (message.seat !== undefined && message.message) {
               callbacks.onQuickChat(message.seat, message.message);
@@ -352,9 +432,74 @@ export const useWebSocket = ({
             }
             break;
 
+          case 'hint':
+            if (callbacks.onHint && message.suggestion) {
+              callbacks.onHint({ suggestion: message.suggestion, reason: message.reason || '' });
+            }
+            break;
+
+          case 'handReview':
+            if (callbacks.onHandReview && message.tricks) {
+              callbacks.onHandReview({
+                round: message.round,
+                trump: message.trump,
+                bid: message.bid,
+                bidWinner: message.bidWinner,
+                tricks: message.tricks,
+                flagged: message.flagged || {},
+              });
+            }
+            break;
+
+          case 'handEvaluation':
+            if (callbacks.onHandEvaluation) {
+              callbacks.onHandEvaluation({
+                estimatedPoints: message.estimatedPoints,
+                handQuality: message.handQuality,
+                bestSuitLength: message.bestSuitLength,
+                likelyTrump: message.likelyTrump ?? null,
+                bidRange: message.bidRange ?? null,
+              });
+            }
+            break;
+
+          case 'rulesUpdated':
+            if (callbacks.onRulesUpdated && message.rules) {
+              callbacks.onRulesUpdated(message.rules);
+            }
+            break;
+
+          case 'claimMade':
+          case 'claimAnswered':
+          case 'claimSettled':
+            if (callbacks.onClaim) {
+              callbacks.onClaim(message);
+            }
+            break;
+
+          case 'handConceded':
+          case 'concessionVote':
+            if (callbacks.onConcession) {
+              callbacks.onConcession(message);
+            }
+            break;
+
+          case 'undoRequested':
+          case 'undoAnswered':
+          case 'undo':
+            if (callbacks.onUndo) {
+              callbacks.onUndo(message);
+            }
+            break;
+
           case 'bidError':
           case 'discardError':
           case 'cardError':
+          case 'claimError':
+          case 'concedeError':
+          case 'undoError':
+          case 'hintError':
+          case 'reviewHandError':
             callbacks.onError(message.action, message.message || 'An error occurred');
             break;
 
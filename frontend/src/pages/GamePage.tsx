@@ -1,9 +1,11 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Card as CardType, TrickWonNotification } from '../types/game';
+import { useNavigate } from 'react-router-dom';
+import { Card as CardType, CompletedTrick, MoveHint, HandEvaluation, HandReview, HandSummary, TrickWonNotification } from '../types/game';
 import { useGameState, useWebSocket } from '../hooks';
 import {
   CardFan,
   PlayerInfo,
+  CountdownRing,
   TrickArea,
   KittyDisplay,
   DiscardUI,
@@ -16,9 +18,15 @@ import {
   Deck,
   QuickChatModal,
   QuickChatMessage,
+  HintBanner,
+  HandReviewModal,
+  TrickHistory,
+  ClaimPrompt,
+  ConcessionPrompt,
+  UndoPrompt,
 } from '../components';
 import { ScoresModal } from '../components/ScoresModal';
-import { sortCards, isCardPlayable, cardToString, parseCard } from '../utils/cardUtils';
+import { sortCards, isCardPlayable, cardToString, parseCard, DEFAULT_RULES, KITTY_SIZE, getTotalPoints, getHandSize } from '../utils/cardUtils';
 import { getAbsoluteSeat, isMyPartner } from '../utils/seatUtils';
 import { localStorageUtils } from '../utils/localStorage';
 import { API_BASE_URL } from '../config';
@@ -33,12 +41,16 @@ const GamePage: React.FC = () => {
     isRefreshing,
     refreshGameState,
   } = useGameState();
+  const navigate = useNavigate();
 
   const [playerHand, setPlayerHand] = useState<CardType[]>([]);
   const [currentTrick, setCurrentTrick] = useState<{ seat: number; card: CardType }[]>([]);
   const [trickWonNotification, setTrickWonNotification] = useState<TrickWonNotification | null>(null);
+  const [completedTricks, setCompletedTricks] = useState<CompletedTrick[]>([]); // This hand's tricks so far
+  const [showTrickHistory, setShowTrickHistory] = useState(false);
   const [showScoresModal, setShowScoresModal] = useState(false);
   const [handHistory, setHandHistory] = useState<any[]>([]);
+  const [handSummary, setHandSummary] = useState<HandSummary | null>(null); // Where the last hand's points went
   const [gameWinner, setGameWinner] = useState<'team0' | 'team1' | null>(null);
   const [kittyCardStrings, setKittyCardStrings] = useState<Set<string>>(new Set());
   const [showRookOverlay, setShowRookOverlay] = useState(false);
@@ -51,6 +63,9 @@ const GamePage: React.FC = () => {
   const [dealAnimationComplete, setDealAnimationComplete] = useState(false);
   const [showQuickChat, setShowQuickChat] = useState(false);
   const [quickChatMessages, setQuickChatMessages] = useState<Array<{ seat: number; message: string; timestamp: number }>>([]);
+  const [hint, setHint] = useState<MoveHint | null>(null); // Bot's suggestion for my current turn
+  const [handReview, setHandReview] = useState<HandReview | null>(null); // Review of the hand just finished
+  const [handEvaluation, setHandEvaluation] = useState<HandEvaluation | null>(null); // Bidding assistant's view of my hand
   const [bidMessages, setBidMessages] = useState<Map<number, string>>(new Map()); // Track bid messages per player (seat -> message)
   const previousStatusRef = useRef<string | undefined>(undefined);
   const hasAnimatedForCurrentHandRef = useRef<boolean>(false);
@@ -62,6 +77,12 @@ const GamePage: React.FC = () => {
   };
 
   const sortedHand = sortCards(playerHand, cardSortMethod);
+  const rules = gameState.rules || DEFAULT_RULES;
+  const fullHandSize = getHandSize(rules) + KITTY_SIZE; // Dealt hand plus the kitty
+
+  // Spectators watch the table from seat 0's side with no hand and no controls
+  const isSpectator = gameState.isSpectator === true;
+  const spectatedPlayer = gameState.players.find((p) => p.seat === gameState.seat);
 
   // Determine which team is "You + Partner" for scores display
   const myTeam = gameState.teams?.team0.includes(gameState.seat) ? 'team0' : 'team1';
@@ -73,7 +94,7 @@ const GamePage: React.FC = () => {
   // players' info panels so they don't visually overlap the discard UI,
   // especially on mobile where side players are absolutely positioned.
   const isMyDiscardPhase =
-    gameState.status === 'TRUMP_SELECTION' && gameState.bidWinner === gameState.seat;
+    !isSpectator && gameState.status === 'TRUMP_SELECTION' && gameState.bidWinner === gameState.seat;
   
   // Debug: Log the comparison whenever in TRUMP_SELECTION
   if (gameState.status === 'TRUMP_SELECTION') {
@@ -177,6 +198,10 @@ const GamePage: React.FC = () => {
       }
     },
     onSeatsRearranged: (players, teams) => {
+      if (gameState.isSpectator) {
+        setGameState((prev) => ({ ...prev, players, teams: teams || prev.teams }));
+        return;
+      }
       const myNewSeat = players.find((p) => p.name === gameState.playerName)?.seat;
       if (myNewSeat !== undefined) {
         setGameState((prev) => ({
@@ -196,6 +221,9 @@ const GamePage: React.FC = () => {
     onBiddingStart: (startingPlayer, minBid) => {
       // Clear all previous bid messages when bidding starts
       setBidMessages(new Map());
+      // A new deal starts a new trick log, and the last hand's summary no longer applies
+      setCompletedTricks([]);
+      setHandSummary(null);
       setBiddingState({
         highBid: 0,
         currentBidder: startingPlayer,
@@ -254,7 +282,7 @@ const GamePage: React.FC = () => {
       
       setPlayerHand((prev) => {
         const currentCardCount = prev.length;
-        if (currentCardCount >= 18) {
+        if (currentCardCount >= fullHandSize) {
           console.log(`Already have ${currentCardCount} cards, ignoring duplicate kitty`);
           return prev;
         }
@@ -312,9 +340,11 @@ const GamePage: React.FC = () => {
       console.log(`Player ${seat} played card ${cardString}`);
       const playedCard = parseCard(cardString);
       
-      // Clear pending status for this card if it was our card
+      // Clear pending status for this card if it was our card, and drop it from the hand
+      // in case the server played it for us when our turn timer ran out
       if (seat === gameState.seat) {
         pendingCardPlaysRef.current.delete(cardString);
+        setPlayerHand((prev) => prev.filter((c) => cardToString(c) !== cardString));
       }
       
       // Show rook overlay if Rook card was played
@@ -359,10 +389,13 @@ const GamePage: React.FC = () => {
       }));
       console.log(`Next player: seat ${seat}`);
     },
-    onTrickWon: (winner, points) => {
+    onTrickWon: (winner, points, trick) => {
       console.log(`Player ${winner} won the trick with ${points} points`);
       // Clear any pending card plays when trick ends
       pendingCardPlaysRef.current.clear();
+      if (trick) {
+        setCompletedTricks((prev) => [...prev, trick]);
+      }
       
       setTrickWonNotification({ winner, points });
       // Popup shows for 1 second
@@ -384,6 +417,7 @@ const GamePage: React.FC = () => {
       if (message.handHistory) {
         setHandHistory(message.handHistory);
       }
+      setHandSummary(message.summary || null);
       setGameState((prev) => ({
         ...prev,
         dealer: typeof message.dealer === 'number' ? message.dealer : prev.dealer,
@@ -402,11 +436,20 @@ const GamePage: React.FC = () => {
       setGameState((prev) => ({
         ...prev,
         status: 'FINISHED',
+        handHistory: message.handHistory || prev.handHistory,
+        concession: null,
       }));
       // Save the winner
       if (message.winner) {
         setGameWinner(message.winner);
       }
+      // A conceded game ends with its concession as the last entry
+      if (message.reason === 'conceded' && message.handHistory) {
+        setHandHistory(message.handHistory);
+        setHandSummary(null);
+        setShowScoresModal(true);
+        return;
+      }
       // Show scores modal when game is over
       // Use handHistory from state if available, otherwise from message
       if (gameState.handHistory && gameState.handHistory.length > 0) {
@@ -422,9 +465,12 @@ const GamePage: React.FC = () => {
       // Reset all local game state
       setPlayerHand([]);
       setCurrentTrick([]);
+      setCompletedTricks([]);
+      setShowTrickHistory(false);
       setTrickWonNotification(null);
       setShowScoresModal(false);
       setHandHistory([]);
+      setHandSummary(null);
       setGameWinner(null);
       setShowRookOverlay(false);
       setIsDealing(false);
@@ -438,7 +484,7 @@ const GamePage: React.FC = () => {
       setBiddingState({
         highBid: null,
         currentBidder: null,
-        minBid: 50,
+        minBid: rules.minBid,
       });
       // Update game state to show lobby
       setGameState((prev) => ({
@@ -453,6 +499,9 @@ const GamePage: React.FC = () => {
         teamScores: { team0: 0, team1: 0 },
         handHistory: [],
         dealer: undefined,
+        claim: null,
+        concession: null,
+        undoRequest: null,
       }));
     },
     onError: (action, message) => {
@@ -480,6 +529,11 @@ const GamePage: React.FC = () => {
         setQuickChatMessages((prev) => prev.filter((msg) => msg.timestamp !== timestamp));
       }, 2500);
     },
+    onPlayerAwayChanged: (seat, players, away) => {
+      setGameState((prev) => ({ ...prev, players }));
+      localStorage.setItem('rook_players', JSON.stringify(players));
+      console.log(`Seat ${seat} ${away ? 'is away - the bot is playing for them' : 'is back'}`);
+    },
     onResync: (message) => {
       console.log('[Resync] Received full game state:', message);
       
@@ -497,6 +551,14 @@ const GamePage: React.FC = () => {
         ledSuit: message.ledSuit || prev.ledSuit,
         teamScores: message.teamScores || prev.teamScores,
         handHistory: message.handHistory || prev.handHistory,
+        rules: message.rules || prev.rules,
+        tournamentId: message.tournamentId || prev.tournamentId,
+        tableNumber: message.tableNumber ?? prev.tableNumber,
+        boardCount: message.boardCount ?? prev.boardCount,
+        turnDeadline: message.turnDeadline ?? null,
+        claim: message.claim ?? null,
+        concession: message.concession ?? null,
+        undoRequest: message.undoRequest ?? null,
       }));
       
       // Update player's hand if cards were provided
@@ -514,10 +576,15 @@ const GamePage: React.FC = () => {
         setBiddingState({
           highBid: message.highBid || 0,
           currentBidder: message.currentBidder !== undefined ? message.currentBidder : null,
-          minBid: 50,
+          minBid: message.rules?.minBid ?? DEFAULT_RULES.minBid,
         });
       }
       
+      // Restore the hand's completed tricks
+      if (Array.isArray(message.tricks)) {
+        setCompletedTricks(message.tricks);
+      }
+
       // Restore current trick if in playing phase
       if (message.status === 'PLAYING' && message.currentTrick && Array.isArray(message.currentTrick)) {
         const parsedTrick = message.currentTrick.map((play: { seat: number; card: string }) => ({
@@ -532,8 +599,8 @@ const GamePage: React.FC = () => {
       if (message.kitty && Array.isArray(message.kitty) && message.kitty.length > 0) {
         const kittyCards = message.kitty.map(parseCard);
         setPlayerHand(prev => {
-          // Only add kitty if we don't already have 18 cards
-          if (prev.length < 18) {
+          // Only add kitty if we don't already have the kitty merged in
+          if (prev.length < fullHandSize) {
             const kittyStrings = new Set<string>(kittyCards.map((c: CardType) => cardToString(c)));
             setKittyCardStrings(kittyStrings);
             return [...prev, ...kittyCards];
@@ -551,8 +618,186 @@ const GamePage: React.FC = () => {
         localStorage.setItem('rook_teams', JSON.stringify(message.teams));
       }
     },
+    onTurnDeadline: (deadline) => {
+      setGameState((prev) => ({ ...prev, turnDeadline: deadline }));
+    },
+    onHint: (moveHint) => {
+      setHint(moveHint);
+    },
+    onHandReview: (review) => {
+      setHandReview(review);
+    },
+    onHandEvaluation: (evaluation) => {
+      setHandEvaluation(evaluation);
+    },
+    onRulesUpdated: (updatedRules) => {
+      setGameState((prev) => ({ ...prev, rules: updatedRules }));
+    },
+    onClaim: (message) => {
+      switch (message.action) {
+        case 'claimMade':
+          setGameState((prev) => ({ ...prev, claim: { seat: message.seat, team: message.team, accepted: [] } }));
+          break;
+        case 'claimAnswered':
+          console.log(`Seat ${message.seat} ${message.accept ? 'accepted' : 'contested'} the claim`);
+          setGameState((prev) => ({
+            ...prev,
+            claim: message.accept && prev.claim
+              ? { ...prev.claim, accepted: [...prev.claim.accepted, message.seat] }
+              : null,
+          }));
+          break;
+        case 'claimSettled':
+          // The remaining cards went to the claiming team; handComplete follows
+          console.log(`Claim settled: ${message.team} took the last ${message.tricks} tricks (${message.points} points)`);
+          setGameState((prev) => ({ ...prev, claim: null }));
+          setPlayerHand([]);
+          break;
+      }
+    },
+    onConcession: (message) => {
+      switch (message.action) {
+        case 'handConceded':
+          // The remaining cards went to the defenders; handComplete follows
+          console.log(`Seat ${message.seat} conceded the hand for ${message.team}`);
+          setGameState((prev) => ({ ...prev, claim: null }));
+          setPlayerHand([]);
+          setCurrentTrick([]);
+          break;
+        case 'concessionVote':
+          setGameState((prev) => ({
+            ...prev,
+            concession: message.vote ? { team: message.team, votes: message.votes } : null,
+          }));
+          break;
+      }
+    },
+    onUndo: (message) => {
+      switch (message.action) {
+        case 'undoRequested':
+          setGameState((prev) => ({ ...prev, undoRequest: { seat: message.seat, card: message.card, approved: [] } }));
+          break;
+        case 'undoAnswered':
+          console.log(`Seat ${message.seat} ${message.accept ? 'approved' : 'denied'} the undo request`);
+          setGameState((prev) => ({
+            ...prev,
+            undoRequest: message.accept && prev.undoRequest
+              ? { ...prev.undoRequest, approved: [...prev.undoRequest.approved, message.seat] }
+              : null,
+          }));
+          break;
+        case 'undo': {
+          // The card goes back to its player's hand, and it is their turn again
+          const card = parseCard(message.card);
+          if (message.seat === gameState.seat) {
+            pendingCardPlaysRef.current.delete(message.card);
+            setPlayerHand((prev) => [...prev, card]);
+          }
+          setCurrentTrick((prev) => prev.filter((play) => !(play.seat === message.seat && cardToString(play.card) === message.card)));
+          setGameState((prev) => ({
+            ...prev,
+            currentPlayer: message.currentPlayer,
+            ledSuit: message.ledSuit ?? undefined,
+            undoRequest: null,
+          }));
+          break;
+        }
+      }
+    },
   });
 
+  // If our discard timer ran out, the server discarded for us; fetch the hand it left us
+  useEffect(() => {
+    if (!isSpectator && gameState.status === 'PLAYING' && playerHand.length > getHandSize(rules)) {
+      sendMessage({ action: 'resync' });
+    }
+  }, [isSpectator, gameState.status, playerHand.length, rules, sendMessage]);
+
+  // Seat whose turn timer is running, and the full length of that turn
+  const timedSeat =
+    gameState.status === 'BIDDING' ? biddingState.currentBidder
+      : gameState.status === 'TRUMP_SELECTION' ? gameState.bidWinner
+        : gameState.status === 'PLAYING' ? gameState.currentPlayer
+          : undefined;
+  const turnTimers = rules.turnTimers || DEFAULT_RULES.turnTimers;
+  const turnDurationMs = 1000 * (
+    gameState.status === 'BIDDING' ? turnTimers.bid
+      : gameState.status === 'TRUMP_SELECTION' ? turnTimers.discard
+        : turnTimers.play
+  );
+  // A hint only answers the turn it was asked on
+  useEffect(() => {
+    setHint(null);
+  }, [gameState.status, timedSeat, playerHand.length]);
+
+  // The bidding assistant's evaluation is only for the bidding on the hand it was sent with
+  useEffect(() => {
+    if (gameState.status !== 'BIDDING') {
+      setHandEvaluation(null);
+    }
+  }, [gameState.status]);
+
+  // Hosts can turn hints off for competitive games
+  const hintsEnabled = !isSpectator && rules.hintsEnabled !== false;
+  const requestHint = () => {
+    if (!sendMessage({ action: 'hint' })) {
+      alert('Failed to ask for a hint. Please check your connection.');
+    }
+  };
+
+  // A claim is made between tricks, by a player with cards left
+  const pendingClaim = gameState.claim ?? null;
+  const canClaim = !isSpectator && gameState.status === 'PLAYING' && !pendingClaim &&
+    currentTrick.length === 0 && playerHand.length > 0;
+  const canAnswerClaim = !!pendingClaim && !isSpectator && pendingClaim.team !== myTeam &&
+    !pendingClaim.accepted.includes(gameState.seat);
+  const requestClaim = () => {
+    if (!window.confirm('Claim every remaining trick for your team?')) return;
+    if (!sendMessage({ action: 'claim' })) {
+      alert('Failed to send the claim. Please check your connection.');
+    }
+  };
+
+  // The last card of a trick in progress can be taken back by its player until the next card is played
+  const pendingUndo = gameState.undoRequest ?? null;
+  const lastPlay = currentTrick[currentTrick.length - 1];
+  const canUndo = !isSpectator && gameState.status === 'PLAYING' && !pendingUndo && !pendingClaim &&
+    currentTrick.length < 4 && lastPlay?.seat === gameState.seat;
+  const canAnswerUndo = !!pendingUndo && !isSpectator && pendingUndo.seat !== gameState.seat &&
+    !isMyPartner(pendingUndo.seat, gameState.seat, gameState.teams) && !pendingUndo.approved.includes(gameState.seat);
+  const requestUndo = () => {
+    if (!sendMessage({ action: 'requestUndo' })) {
+      alert('Failed to send the undo request. Please check your connection.');
+    }
+  };
+
+  // The bidding team may give up the hand; either team may vote to concede a game that isn't a tournament board
+  const pendingConcession = gameState.concession ?? null;
+  const bidTeam = gameState.teams && gameState.bidWinner !== undefined
+    ? (gameState.teams.team0.includes(gameState.bidWinner) ? 'team0' : 'team1')
+    : null;
+  const canConcedeHand = !isSpectator && gameState.status === 'PLAYING' && bidTeam === myTeam;
+  const canConcedeGame = !isSpectator && gameState.boardCount === undefined && !pendingConcession &&
+    ['BIDDING', 'TRUMP_SELECTION', 'PLAYING'].includes(gameState.status);
+  const sendConcession = (message: object) => {
+    if (!sendMessage(message)) {
+      alert('Failed to send the concession. Please check your connection.');
+    }
+  };
+  const concedeHand = () => {
+    if (!window.confirm('Concede this hand? It will score as set.')) return;
+    setShowSettings(false);
+    sendConcession({ action: 'concedeHand' });
+  };
+  const concedeGame = () => {
+    if (!window.confirm('Concede the game? Your partner will be asked to agree.')) return;
+    setShowSettings(false);
+    sendConcession({ action: 'concedeGame', vote: true });
+  };
+
+  const getTurnDeadline = (seat: number) => (timedSeat === seat ? gameState.turnDeadline : null);
+  const myTurnDeadline = getTurnDeadline(gameState.seat);
+
   // Show waiting lobby if game is not yet in playing state
   if (gameState.status === 'LOBBY' || gameState.status === 'FULL' || gameState.status === 'PARTNER_SELECTION') {
     return (
@@ -573,10 +818,10 @@ const GamePage: React.FC = () => {
         <div className="game-status">
           <div className="game-stats-row">
             <span className="stat">
-              You: <strong>{myTeamScore}</strong>
+              {isSpectator ? 'Team 1' : 'You'}: <strong>{myTeamScore}</strong>
             </span>
             <span className="stat">
-              Opponents: <strong>{opponentTeamScore}</strong>
+              {isSpectator ? 'Team 2' : 'Opponents'}: <strong>{opponentTeamScore}</strong>
             </span>
             <span className="stat">
               Bid: <strong>{gameState.winningBid || '--'}</strong>
@@ -587,15 +832,74 @@ const GamePage: React.FC = () => {
           </div>
         </div>
         <div className="header-actions">
-          <button
-            className="quick-chat-btn"
-            onClick={() => setShowQuickChat(true)}
-            aria-label="Quick Chat"
-          >
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-              <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z" />
-            </svg>
-          </button>
+          {isSpectator ? (
+            <span className="spectator-badge">Spectating</span>
+          ) : (
+            <>
+              {hintsEnabled && gameState.status === 'PLAYING' && gameState.currentPlayer === gameState.seat && (
+                <button
+                  className="hint-header-btn"
+                  onClick={requestHint}
+                  aria-label="Hint"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M9 18h6" />
+                    <path d="M10 22h4" />
+                    <path d="M12 2a7 7 0 0 0-4 12.7V17h8v-2.3A7 7 0 0 0 12 2z" />
+                  </svg>
+                </button>
+              )}
+              {canUndo && (
+                <button
+                  className="undo-header-btn"
+                  onClick={requestUndo}
+                  aria-label="Take back your card"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M3 7v6h6" />
+                    <path d="M21 17a9 9 0 0 0-15-6.7L3 13" />
+                  </svg>
+                </button>
+              )}
+              {canClaim && (
+                <button
+                  className="claim-header-btn"
+                  onClick={requestClaim}
+                  aria-label="Claim remaining tricks"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z" />
+                    <path d="M4 22v-7" />
+                  </svg>
+                </button>
+              )}
+              <button
+                className="quick-chat-btn"
+                onClick={() => setShowQuickChat(true)}
+                aria-label="Quick Chat"
+              >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z" />
+                </svg>
+              </button>
+            </>
+          )}
+          {completedTricks.length > 0 && (
+            <button
+              className="tricks-header-btn"
+              onClick={() => setShowTrickHistory(true)}
+              aria-label="Tricks"
+            >
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M8 6h13" />
+                <path d="M8 12h13" />
+                <path d="M8 18h13" />
+                <path d="M3 6h.01" />
+                <path d="M3 12h.01" />
+                <path d="M3 18h.01" />
+              </svg>
+            </button>
+          )}
           <button
             className="settings-btn"
             onClick={() => setShowSettings(true)}
@@ -629,7 +933,10 @@ const GamePage: React.FC = () => {
                   <PlayerInfo
                     name={topPlayer?.name || `Player ${topSeat + 1}`}
                     position="top"
-                    isPartner={isMyPartner(topSeat, gameState.seat, gameState.teams)}
+                    isPartner={!isSpectator && isMyPartner(topSeat, gameState.seat, gameState.teams)}
+                    isAway={topPlayer?.away === true}
+                    turnDeadline={getTurnDeadline(topSeat)}
+                    turnDurationMs={turnDurationMs}
                     isCurrentTurn={
                       (gameState.status === 'BIDDING' && biddingState.currentBidder === topSeat) ||
                       (gameState.status === 'PLAYING' && gameState.currentPlayer === topSeat)
@@ -660,7 +967,10 @@ const GamePage: React.FC = () => {
                   <PlayerInfo
                     name={leftPlayer?.name || `Player ${leftSeat + 1}`}
                     position="left"
-                    isPartner={isMyPartner(leftSeat, gameState.seat, gameState.teams)}
+                    isPartner={!isSpectator && isMyPartner(leftSeat, gameState.seat, gameState.teams)}
+                    isAway={leftPlayer?.away === true}
+                    turnDeadline={getTurnDeadline(leftSeat)}
+                    turnDurationMs={turnDurationMs}
                     isCurrentTurn={
                       (gameState.status === 'BIDDING' && biddingState.currentBidder === leftSeat) ||
                       (gameState.status === 'PLAYING' && gameState.currentPlayer === leftSeat)
@@ -680,13 +990,17 @@ const GamePage: React.FC = () => {
             )}
             
             {/* Bidding UI - shown when game is in BIDDING status AND deal animation is complete */}
-            {gameState.status === 'BIDDING' && dealAnimationComplete ? (
+            {/* (spectators are dealt nothing, so they never wait on the animation) */}
+            {gameState.status === 'BIDDING' && (dealAnimationComplete || isSpectator) ? (
               <BiddingUI
                 highBid={biddingState.highBid}
                 currentBidder={biddingState.currentBidder}
-                mySeat={gameState.seat}
+                mySeat={isSpectator ? -1 : gameState.seat}
                 minBid={biddingState.minBid}
+                bidIncrement={rules.bidIncrement}
+                maxBid={getTotalPoints(rules)}
                 players={gameState.players}
+                evaluation={isSpectator ? null : handEvaluation}
                 onBid={(amount) => {
                   const success = sendMessage({
                     action: 'bid',
@@ -712,11 +1026,14 @@ const GamePage: React.FC = () => {
                     console.log('Sent pass');
                   }
                 }}
+                onHint={hintsEnabled ? requestHint : undefined}
+                hint={hint}
               />
-            ) : gameState.status === 'TRUMP_SELECTION' && gameState.bidWinner === gameState.seat ? (
+            ) : isMyDiscardPhase ? (
               <DiscardUI
                 hand={sortedHand}
                 kittyCardStrings={kittyCardStrings}
+                fullHandSize={fullHandSize}
                 onConfirm={(discardCards, trump) => {
                   sendMessage({
                     action: 'discardAndTrump',
@@ -734,8 +1051,10 @@ const GamePage: React.FC = () => {
                     })
                   );
                 }}
+                onHint={hintsEnabled ? requestHint : undefined}
+                hint={hint}
               />
-            ) : gameState.status === 'TRUMP_SELECTION' && gameState.bidWinner !== gameState.seat ? (
+            ) : gameState.status === 'TRUMP_SELECTION' ? (
               <div className="pending-trump-popup">
                 <div className="pending-trump-content">
                   <h3>Pending trump color...</h3>
@@ -752,11 +1071,11 @@ const GamePage: React.FC = () => {
                   currentTrick={currentTrick} 
                   mySeat={gameState.seat} 
                   trump={gameState.trump}
-                  canDrop={gameState.currentPlayer === gameState.seat}
+                  canDrop={!isSpectator && gameState.currentPlayer === gameState.seat}
                   onCardDrop={(card) => {
                     // Check if it's my turn and card is playable
                     if (gameState.currentPlayer !== gameState.seat) return;
-                    if (!isCardPlayable(card, sortedHand, gameState.ledSuit, gameState.trump)) return;
+                    if (!isCardPlayable(card, sortedHand, gameState.ledSuit, gameState.trump, rules)) return;
                     
                     const cardString = cardToString(card);
                     
@@ -781,6 +1100,35 @@ const GamePage: React.FC = () => {
                     );
                   }}
                 />
+                {hint?.suggestion.action === 'playCard' && (
+                  <HintBanner hint={hint} onDismiss={() => setHint(null)} />
+                )}
+                {pendingClaim && (
+                  <ClaimPrompt
+                    claim={pendingClaim}
+                    players={gameState.players}
+                    mySeat={isSpectator ? -1 : gameState.seat}
+                    canAnswer={canAnswerClaim}
+                    onAnswer={(accept) => {
+                      if (!sendMessage({ action: 'respondClaim', accept })) {
+                        alert('Failed to answer the claim. Please check your connection.');
+                      }
+                    }}
+                  />
+                )}
+                {pendingUndo && (
+                  <UndoPrompt
+                    undoRequest={pendingUndo}
+                    players={gameState.players}
+                    mySeat={isSpectator ? -1 : gameState.seat}
+                    canAnswer={canAnswerUndo}
+                    onAnswer={(accept) => {
+                      if (!sendMessage({ action: 'respondUndo', accept })) {
+                        alert('Failed to answer the undo request. Please check your connection.');
+                      }
+                    }}
+                  />
+                )}
                 {trickWonNotification && (
                   <TrickWonNotificationComponent notification={trickWonNotification} players={gameState.players} />
                 )}
@@ -796,6 +1144,17 @@ const GamePage: React.FC = () => {
                 )}
               </>
             )}
+
+            {/* A vote to concede can come up in any phase of the hand */}
+            {pendingConcession && (
+              <ConcessionPrompt
+                concession={pendingConcession}
+                players={gameState.players}
+                mySeat={isSpectator ? -1 : gameState.seat}
+                myTeam={isSpectator ? null : myTeam}
+                onVote={(vote) => sendConcession({ action: 'concedeGame', vote })}
+              />
+            )}
           </div>
 
           {/* Right player - relative position 3 */}
@@ -816,7 +1175,10 @@ const GamePage: React.FC = () => {
                   <PlayerInfo
                     name={rightPlayer?.name || `Player ${rightSeat + 1}`}
                     position="right"
-                    isPartner={isMyPartner(rightSeat, gameState.seat, gameState.teams)}
+                    isPartner={!isSpectator && isMyPartner(rightSeat, gameState.seat, gameState.teams)}
+                    isAway={rightPlayer?.away === true}
+                    turnDeadline={getTurnDeadline(rightSeat)}
+                    turnDurationMs={turnDurationMs}
                     isCurrentTurn={
                       (gameState.status === 'BIDDING' && biddingState.currentBidder === rightSeat) ||
                       (gameState.status === 'PLAYING' && gameState.currentPlayer === rightSeat)
@@ -838,6 +1200,9 @@ const GamePage: React.FC = () => {
             }`}
           >
             <div className="local-player-header">
+              {myTurnDeadline && turnDurationMs ? (
+                <CountdownRing deadline={myTurnDeadline} durationMs={turnDurationMs} size={34} />
+              ) : null}
               <div className="local-player-info-wrapper">
                 {(() => {
                   const myBidMessage = gameState.status === 'BIDDING' ? bidMessages.get(gameState.seat) : undefined;
@@ -855,38 +1220,48 @@ const GamePage: React.FC = () => {
                 })()}
               </div>
             </div>
-            <div className="hand-container">
-              <CardFan
-                cards={sortedHand}
-                onCardPlay={(card) => {
-                  const cardString = cardToString(card);
-                  
-                  // Prevent duplicate sends - check if this card is already being played
-                  if (pendingCardPlaysRef.current.has(cardString)) {
-                    console.warn('Card already being played, ignoring duplicate:', cardString);
-                    return;
-                  }
-                  
-                  // Mark card as pending
-                  pendingCardPlaysRef.current.add(cardString);
-                  
-                  sendMessage({
-                    action: 'playCard',
-                    card: cardString,
-                  });
-                  console.log('Sent playCard:', cardString);
+            {isSpectator ? (
+              <div className="spectator-seat">
+                <span className="spectator-seat-name">
+                  {spectatedPlayer?.name || `Player ${gameState.seat + 1}`}
+                </span>
+                {spectatedPlayer?.away && <span className="away-badge">Away · Bot playing</span>}
+                <span className="spectator-seat-note">Hand hidden while spectating</span>
+              </div>
+            ) : (
+              <div className="hand-container">
+                <CardFan
+                  cards={sortedHand}
+                  onCardPlay={(card) => {
+                    const cardString = cardToString(card);
+                    
+                    // Prevent duplicate sends - check if this card is already being played
+                    if (pendingCardPlaysRef.current.has(cardString)) {
+                      console.warn('Card already being played, ignoring duplicate:', cardString);
+                      return;
+                    }
+                    
+                    // Mark card as pending
+                    pendingCardPlaysRef.current.add(cardString);
+                    
+                    sendMessage({
+                      action: 'playCard',
+                      card: cardString,
+                    });
+                    console.log('Sent playCard:', cardString);
 
-                  // Immediately remove card from hand UI
-                  setPlayerHand((prev) =>
-                    prev.filter((c) => !(c.color === card.color && c.rank === card.rank))
-                  );
-                }}
-                isCardPlayable={(card) => isCardPlayable(card, sortedHand, gameState.ledSuit, gameState.trump)}
-                isMyTurn={gameState.status === 'PLAYING' && gameState.currentPlayer === gameState.seat}
-                isDealing={isDealing || isFlipping}
-                dealtCardCount={dealtCardCount}
-              />
-            </div>
+                    // Immediately remove card from hand UI
+                    setPlayerHand((prev) =>
+                      prev.filter((c) => !(c.color === card.color && c.rank === card.rank))
+                    );
+                  }}
+                  isCardPlayable={(card) => isCardPlayable(card, sortedHand, gameState.ledSuit, gameState.trump, rules)}
+                  isMyTurn={gameState.status === 'PLAYING' && gameState.currentPlayer === gameState.seat}
+                  isDealing={isDealing || isFlipping}
+                  dealtCardCount={dealtCardCount}
+                />
+              </div>
+            )}
           </div>
         </section>
       </main>
@@ -896,9 +1271,11 @@ const GamePage: React.FC = () => {
           handHistory={handHistory}
           teams={gameState.teams}
           mySeat={gameState.seat}
-          isDealer={gameState.dealer === gameState.seat}
-          isGameOver={gameWinner !== null}
-          isHost={gameState.seat === 0 || gameState.isHost === true}
+          isDealer={!isSpectator && gameState.dealer === gameState.seat}
+          isGameOver={gameWinner !== null || gameState.status === 'FINISHED'}
+          isHost={!isSpectator && (gameState.seat === 0 || gameState.isHost === true)}
+          isSpectator={isSpectator}
+          handSummary={handSummary}
           winner={gameWinner}
           onDealNextHand={async () => {
             try {
@@ -910,6 +1287,8 @@ const GamePage: React.FC = () => {
                 body: JSON.stringify({
                   gameId: gameState.gameId,
                   dealerSeat: gameState.seat,
+                  playerName: gameState.playerName,
+                  token: localStorageUtils.getSeatToken(gameState.gameId, gameState.playerName),
                 }),
               });
               const data = await response.json();
@@ -934,6 +1313,8 @@ const GamePage: React.FC = () => {
                 },
                 body: JSON.stringify({
                   gameId: gameState.gameId,
+                  playerName: gameState.playerName,
+                  token: localStorageUtils.getSeatToken(gameState.gameId, gameState.playerName),
                 }),
               });
               const data = await response.json();
@@ -949,14 +1330,41 @@ const GamePage: React.FC = () => {
               alert('Error resetting game. Please try again.');
             }
           }}
+          onViewTournament={gameState.tournamentId
+            ? () => navigate(`/tournament/${gameState.tournamentId}`)
+            : undefined}
+          onReviewHand={isSpectator ? undefined : () => {
+            if (!sendMessage({ action: 'reviewHand' })) {
+              alert('Failed to ask for the hand review. Please check your connection.');
+            }
+          }}
           onClose={() => setShowScoresModal(false)}
         />
       )}
+      {showTrickHistory && (
+        <TrickHistory
+          tricks={completedTricks}
+          players={gameState.players}
+          mySeat={isSpectator ? -1 : gameState.seat}
+          trump={gameState.trump}
+          onClose={() => setShowTrickHistory(false)}
+        />
+      )}
+      {handReview && (
+        <HandReviewModal
+          review={handReview}
+          players={gameState.players}
+          mySeat={gameState.seat}
+          onClose={() => setHandReview(null)}
+        />
+      )}
       <SettingsModal
         isOpen={showSettings}
         onClose={() => setShowSettings(false)}
         cardSortMethod={cardSortMethod}
         onCardSortMethodChange={handleCardSortMethodChange}
+        onConcedeHand={canConcedeHand ? concedeHand : undefined}
+        onConcedeGame={canConcedeGame ? concedeGame : undefined}
       />
       <QuickChatModal
         isOpen={showQuickChat}
@@ -3,13 +3,34 @@ import { useNavigate, useSearchParams } from 'react-router-dom';
 import { gameApi } from '../services/gameApi';
 import { localStorageUtils, CardSortMethod } from '../utils/localStorage';
 import { SettingsModal } from '../components';
+import { VARIANT_LABELS } from '../utils/cardUtils';
+import { GameVariant, TournamentScoring, TurnTimers } from '../types/game';
 import rookIcon from '../assets/cards/rook.png';
 import './LobbyPage.css';
 
+// Duplicate tournament sizes offered in the lobby (the server allows 2-8 tables, 1-24 boards)
+const TABLE_COUNT_OPTIONS = [2, 3, 4, 5, 6, 7, 8];
+const BOARD_COUNT_OPTIONS = [4, 8, 12, 16, 20, 24];
+
+// Turn timer presets offered in the lobby (seconds; the server allows up to 300)
+const TURN_TIMER_OPTIONS: { label: string; timers: TurnTimers }[] = [
+  { label: 'No time limit', timers: { bid: 0, discard: 0, play: 0 } },
+  { label: 'Relaxed (60s, 2 min to discard)', timers: { bid: 60, discard: 120, play: 60 } },
+  { label: 'Standard (30s, 1 min to discard)', timers: { bid: 30, discard: 60, play: 30 } },
+  { label: 'Fast (15s, 30s to discard)', timers: { bid: 15, discard: 30, play: 15 } },
+];
+
 const LobbyPage: React.FC = () => {
   const [searchParams] = useSearchParams();
   const [playerName, setPlayerName] = useState('');
   const [gameCode, setGameCode] = useState('');
+  const [variant, setVariant] = useState<GameVariant>('kentucky');
+  const [turnTimerOption, setTurnTimerOption] = useState(0);
+  const [hintsEnabled, setHintsEnabled] = useState(true);
+  const [tournamentCode, setTournamentCode] = useState('');
+  const [tableCount, setTableCount] = useState(2);
+  const [boardCount, setBoardCount] = useState(8);
+  const [scoring, setScoring] = useState<TournamentScoring>('matchpoints');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [hasAutoJoined, setHasAutoJoined] = useState(false);
@@ -71,10 +92,11 @@ const LobbyPage: React.FC = () => {
       // Clear any old game state before creating a new game
       localStorageUtils.clearGameState();
       
-      const data = await gameApi.createGame(name);
+      const data = await gameApi.createGame(name, { variant, turnTimers: TURN_TIMER_OPTIONS[turnTimerOption].timers, hintsEnabled });
 
       // Store game info in localStorage
       localStorageUtils.saveGameState(data.gameId, name, data.seat, true, data.game.players);
+      localStorageUtils.saveSeatToken(data.gameId, name, data.token);
 
       console.log('Created game:', data.gameId);
 
@@ -119,6 +141,7 @@ const LobbyPage: React.FC = () => {
 
       // Store game info in localStorage
       localStorageUtils.saveGameState(data.gameId, name, data.seat, false, data.players);
+      localStorageUtils.saveSeatToken(data.gameId, name, data.token);
 
       console.log('Joined game:', data.gameId, 'at seat:', data.seat);
 
@@ -142,8 +165,10 @@ const LobbyPage: React.FC = () => {
       ) {
         console.log(`Name "${name}" already exists in game, logging in automatically...`);
 
-        // Try to find the player and auto-login
-        const existingPlayer = await gameApi.findPlayerInGame(code, name);
+        // Only reclaim the seat if this browser holds its token
+        const existingPlayer = localStorageUtils.getSeatToken(code, name)
+          ? await gameApi.findPlayerInGame(code, name)
+          : null;
         if (existingPlayer) {
           const gamesData = await gameApi.getAllGames();
           const game = gamesData.games?.find((g: any) => g.gameId === code.toUpperCase());
@@ -173,6 +198,121 @@ const LobbyPage: React.FC = () => {
     }
   };
 
+  const handleWatchGame = async () => {
+    const name = playerName.trim();
+    const code = gameCode.trim().toUpperCase();
+    if (!name || !code) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const gamesData = await gameApi.getAllGames();
+      const game = gamesData.games?.find((g: any) => g.gameId === code);
+      if (!game) {
+        setError(`No game found with code: ${code}`);
+        return;
+      }
+
+      // Spectators never hold a seat, so don't leave a player's seat behind for a reload
+      localStorageUtils.clearGameState();
+      localStorageUtils.saveSpectatorState(game.gameId, name);
+
+      console.log('Watching game:', game.gameId);
+
+      navigate('/game', {
+        state: {
+          playerName: name,
+          gameId: game.gameId,
+          seat: 0,
+          isHost: false,
+          players: game.players,
+          isSpectator: true,
+        },
+      });
+    } catch (err) {
+      console.error('Error watching game:', err);
+      setError(err instanceof Error ? err.message : 'Failed to watch game');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreateTournament = async () => {
+    const name = playerName.trim();
+    if (!name) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      localStorageUtils.clearGameState();
+
+      const data = await gameApi.createTournament(name, tableCount, boardCount, scoring, { variant, turnTimers: TURN_TIMER_OPTIONS[turnTimerOption].timers, hintsEnabled });
+
+      localStorageUtils.saveGameState(data.gameId, name, data.seat, true, data.game.players);
+      localStorageUtils.saveSeatToken(data.gameId, name, data.token);
+
+      console.log('Created tournament:', data.tournamentId, 'table game:', data.gameId);
+
+      navigate('/game', {
+        state: {
+          playerName: name,
+          gameId: data.gameId,
+          seat: data.seat,
+          isHost: true,
+          players: data.game.players,
+          tournamentId: data.tournamentId,
+          tableNumber: data.tableNumber,
+        },
+      });
+    } catch (err) {
+      console.error('Error creating tournament:', err);
+      setError(err instanceof Error ? err.message : 'Failed to create tournament');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleJoinTournament = async () => {
+    const name = playerName.trim();
+    const code = tournamentCode.trim();
+    if (!name || !code) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      localStorageUtils.clearGameState();
+
+      const data = await gameApi.joinTournament(code, name);
+
+      // Players who open a new table are its host
+      const isHost = data.seat === 0;
+      localStorageUtils.saveGameState(data.gameId, name, data.seat, isHost, data.players);
+      localStorageUtils.saveSeatToken(data.gameId, name, data.token);
+
+      console.log('Joined tournament:', data.tournamentId, 'table:', data.tableNumber, 'seat:', data.seat);
+
+      navigate('/game', {
+        state: {
+          playerName: name,
+          gameId: data.gameId,
+          seat: data.seat,
+          isHost,
+          players: data.players,
+          tournamentId: data.tournamentId,
+          tableNumber: data.tableNumber,
+        },
+      });
+    } catch (err) {
+      console.error('Error joining tournament:', err);
+      setError(err instanceof Error ? err.message : 'Failed to join tournament');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <div className="lobby-container">
       <button
@@ -212,6 +352,47 @@ const LobbyPage: React.FC = () => {
             <span>Start Playing</span>
           </div>
 
+          <div className="input-group">
+            <label htmlFor="variant">Rules</label>
+            <select
+              id="variant"
+              value={variant}
+              onChange={(e) => setVariant(e.target.value as GameVariant)}
+              disabled={isLoading}
+            >
+              {(Object.keys(VARIANT_LABELS) as GameVariant[]).map((key) => (
+                <option key={key} value={key}>{VARIANT_LABELS[key]}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="turnTimer">Turn Timer</label>
+            <select
+              id="turnTimer"
+              value={turnTimerOption}
+              onChange={(e) => setTurnTimerOption(Number(e.target.value))}
+              disabled={isLoading}
+            >
+              {TURN_TIMER_OPTIONS.map((option, index) => (
+                <option key={option.label} value={index}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="hints">Hints</label>
+            <select
+              id="hints"
+              value={hintsEnabled ? 'on' : 'off'}
+              onChange={(e) => setHintsEnabled(e.target.value === 'on')}
+              disabled={isLoading}
+            >
+              <option value="on">Allowed</option>
+              <option value="off">Off (competitive)</option>
+            </select>
+          </div>
+
           <button
             type="button"
             className="btn btn-primary"
@@ -245,6 +426,90 @@ const LobbyPage: React.FC = () => {
             >
               {isLoading ? 'Joining...' : 'Join Game'}
             </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={handleWatchGame}
+              disabled={!playerName.trim() || !gameCode.trim() || isLoading}
+            >
+              Watch
+            </button>
+          </div>
+
+          <div className="divider">
+            <span>Duplicate Tournament</span>
+          </div>
+
+          <div className="tournament-settings">
+            <div className="input-group">
+              <label htmlFor="tableCount">Tables</label>
+              <select
+                id="tableCount"
+                value={tableCount}
+                onChange={(e) => setTableCount(Number(e.target.value))}
+                disabled={isLoading}
+              >
+                {TABLE_COUNT_OPTIONS.map((count) => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </div>
+            <div className="input-group">
+              <label htmlFor="boardCount">Boards</label>
+              <select
+                id="boardCount"
+                value={boardCount}
+                onChange={(e) => setBoardCount(Number(e.target.value))}
+                disabled={isLoading}
+              >
+                {BOARD_COUNT_OPTIONS.map((count) => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </div>
+            <div className="input-group">
+              <label htmlFor="scoring">Scoring</label>
+              <select
+                id="scoring"
+                value={scoring}
+                onChange={(e) => setScoring(e.target.value as TournamentScoring)}
+                disabled={isLoading}
+              >
+                <option value="matchpoints">Matchpoints</option>
+                <option value="imps">IMPs</option>
+              </select>
+            </div>
+          </div>
+
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleCreateTournament}
+            disabled={!playerName.trim() || isLoading}
+          >
+            {isLoading ? 'Creating...' : 'Create Tournament'}
+          </button>
+
+          <div className="join-section">
+            <div className="input-group">
+              <input
+                type="text"
+                id="tournamentCode"
+                placeholder="Enter tournament code"
+                value={tournamentCode}
+                onChange={(e) => setTournamentCode(e.target.value.toUpperCase())}
+                maxLength={6}
+                disabled={isLoading}
+              />
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={handleJoinTournament}
+              disabled={!playerName.trim() || !tournamentCode.trim() || isLoading}
+            >
+              {isLoading ? 'Joining...' : 'Join Tournament'}
+            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { gameApi } from '../services/gameApi';
+import { TournamentResults } from '../types/game';
+import './TournamentPage.css';
+
+// team0 sits North-South (seats 0 and 2), team1 East-West (seats 1 and 3) at every table
+const TEAM_LABELS: Record<'team0' | 'team1', string> = {
+  team0: 'N-S',
+  team1: 'E-W',
+};
+
+const SCORING_LABELS: Record<string, string> = {
+  matchpoints: 'Matchpoints',
+  imps: 'IMPs',
+};
+
+const formatSigned = (value: number) => (value > 0 ? `+${value}` : `${value}`);
+
+const TournamentPage: React.FC = () => {
+  const { tournamentId = '' } = useParams<{ tournamentId: string }>();
+  const navigate = useNavigate();
+  const [results, setResults] = useState<TournamentResults | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadResults = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setResults(await gameApi.getTournament(tournamentId));
+    } catch (err) {
+      console.error('Error loading tournament:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load tournament');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [tournamentId]);
+
+  useEffect(() => {
+    loadResults();
+  }, [loadResults]);
+
+  const playedBoards = results?.boards.filter((board) => board.tablesPlayed > 0) ?? [];
+  const isImps = results?.tournament.scoring === 'imps';
+
+  return (
+    <div className="tournament-container">
+      <div className="tournament-card">
+        <div className="tournament-header">
+          <div>
+            <h1>Tournament {tournamentId.toUpperCase()}</h1>
+            {results && (
+              <div className="tournament-subtitle">
+                {results.tournament.tableCount} tables · {results.tournament.boardCount} boards ·{' '}
+                {SCORING_LABELS[results.tournament.scoring]} ·{' '}
+                {results.tournament.status === 'FINISHED' ? 'Final' : 'In progress'}
+              </div>
+            )}
+          </div>
+          <div className="tournament-actions">
+            <button className="tournament-btn" onClick={loadResults} disabled={isLoading}>
+              {isLoading ? 'Loading...' : 'Refresh'}
+            </button>
+            <button className="tournament-btn" onClick={() => navigate('/game')}>
+              Back to Table
+            </button>
+            <button className="tournament-btn" onClick={() => navigate('/')}>
+              Lobby
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="tournament-error">{error}</div>}
+
+        {results && (
+          <>
+            <section className="tournament-section">
+              <h2>Standings</h2>
+              <table className="tournament-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Partnership</th>
+                    <th>Players</th>
+                    <th>Boards</th>
+                    <th>{isImps ? 'IMPs' : 'MPs'}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.standings.map((standing, index) => (
+                    <tr key={`${standing.tableNumber}-${standing.team}`}>
+                      <td>{index + 1}</td>
+                      <td>Table {standing.tableNumber} {TEAM_LABELS[standing.team]}</td>
+                      <td>{standing.players.join(' & ') || '—'}</td>
+                      <td>{standing.boardsPlayed}</td>
+                      <td className="tournament-score">{isImps ? formatSigned(standing.score) : standing.score}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            <section className="tournament-section">
+              <h2>Boards</h2>
+              {playedBoards.length === 0 && (
+                <div className="tournament-empty">No boards have been completed yet.</div>
+              )}
+              {playedBoards.map((board) => (
+                <div key={board.board} className="tournament-board">
+                  <h3>
+                    Board {board.board}
+                    <span className="tournament-board-meta">Dealer seat {board.dealer}</span>
+                  </h3>
+                  <table className="tournament-table">
+                    <thead>
+                      <tr>
+                        <th>Table</th>
+                        <th>Contract</th>
+                        <th>N-S</th>
+                        <th>E-W</th>
+                        <th>Net N-S</th>
+                        <th>N-S {isImps ? 'IMPs' : 'MPs'}</th>
+                        <th>E-W {isImps ? 'IMPs' : 'MPs'}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {board.results.map((result) => (
+                        <tr key={result.tableNumber}>
+                          <td>{result.tableNumber}</td>
+                          <td>
+                            {TEAM_LABELS[result.bidTeam]} {result.bid}{' '}
+                            <span className={result.madeBid ? 'tournament-made' : 'tournament-set'}>
+                              {result.madeBid ? '✓' : '✗'}
+                            </span>
+                          </td>
+                          <td>{result.team0HandScore}</td>
+                          <td>{result.team1HandScore}</td>
+                          <td>{formatSigned(result.net)}</td>
+                          <td className="tournament-score">
+                            {isImps ? formatSigned(result.score.team0) : result.score.team0}
+                          </td>
+                          <td className="tournament-score">
+                            {isImps ? formatSigned(result.score.team1) : result.score.team1}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </section>
+
+            <section className="tournament-section">
+              <h2>Tables</h2>
+              <table className="tournament-table">
+                <thead>
+                  <tr>
+                    <th>Table</th>
+                    <th>Code</th>
+                    <th>Players</th>
+                    <th>Boards</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.tables.map((table) => (
+                    <tr key={table.gameId}>
+                      <td>{table.tableNumber}</td>
+                      <td>{table.gameId}</td>
+                      <td>{table.players.map((player) => player.name).join(', ')}</td>
+                      <td>{table.boardsPlayed} / {results.tournament.boardCount}</td>
+                      <td>{table.status}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TournamentPage;
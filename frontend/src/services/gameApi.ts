@@ -1,18 +1,29 @@
 // API service for game operations
 import { API_BASE_URL } from '../config';
-import { CreateGameResponse, JoinGameResponse, Player } from '../types/game';
+import { localStorageUtils } from '../utils/localStorage';
+import {
+  BotDifficulty,
+  CreateGameResponse,
+  CreateTournamentResponse,
+  GameRules,
+  JoinGameResponse,
+  JoinTournamentResponse,
+  Player,
+  TournamentResults,
+  TournamentScoring,
+} from '../types/game';
 
 export const gameApi = {
   /**
-   * Create a new game
+   * Create a new game, optionally with house rules (omitted fields use the defaults)
    */
-  async createGame(hostName: string): Promise<CreateGameResponse> {
+  async createGame(hostName: string, rules?: Partial<GameRules>): Promise<CreateGameResponse> {
     const response = await fetch(`${API_BASE_URL}/createGame`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ hostName }),
+      body: JSON.stringify(rules ? { hostName, rules } : { hostName }),
     });
 
     const data: CreateGameResponse = await response.json();
@@ -48,6 +59,78 @@ export const gameApi = {
     return data;
   },
 
+  /**
+   * Create a duplicate tournament; the host is seated at table 1
+   */
+  async createTournament(
+    hostName: string,
+    tableCount: number,
+    boardCount: number,
+    scoring: TournamentScoring,
+    rules?: Partial<GameRules>
+  ): Promise<CreateTournamentResponse> {
+    const response = await fetch(`${API_BASE_URL}/createTournament`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ hostName, tableCount, boardCount, scoring, ...(rules ? { rules } : {}) }),
+    });
+
+    const data: CreateTournamentResponse = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to create tournament');
+    }
+
+    return data;
+  },
+
+  /**
+   * Take a seat at the next open table in a duplicate tournament
+   */
+  async joinTournament(tournamentId: string, playerName: string): Promise<JoinTournamentResponse> {
+    const response = await fetch(`${API_BASE_URL}/joinTournament`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        tournamentId: tournamentId.toUpperCase(),
+        playerName,
+      }),
+    });
+
+    const data: JoinTournamentResponse = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to join tournament');
+    }
+
+    return data;
+  },
+
+  /**
+   * Get a tournament's standings and board-by-board results
+   */
+  async getTournament(tournamentId: string): Promise<TournamentResults> {
+    const response = await fetch(`${API_BASE_URL}/getTournament`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ tournamentId: tournamentId.toUpperCase() }),
+    });
+
+    const data: TournamentResults = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to load tournament');
+    }
+
+    return data;
+  },
+
   /**
    * Get all games (for debugging/state refresh)
    */
@@ -80,7 +163,7 @@ export const gameApi = {
   /**
    * Add a bot player to the game
    */
-  async addBot(gameId: string): Promise<{ success: boolean; bot: Player; players: Player[]; status: string }> {
+  async addBot(gameId: string, playerName: string, difficulty: BotDifficulty, profile: string): Promise<{ success: boolean; bot: Player; players: Player[]; status: string }> {
     const response = await fetch(`${API_BASE_URL}/addBot`, {
       method: 'POST',
       headers: {
@@ -88,6 +171,10 @@ export const gameApi = {
       },
       body: JSON.stringify({
         gameId: gameId.toUpperCase(),
+        playerName,
+        token: localStorageUtils.getSeatToken(gameId, playerName),
+        difficulty,
+        profile,
       }),
     });
 
@@ -99,4 +186,30 @@ export const gameApi = {
 
     return data;
   },
+
+  /**
+   * Change the game's lobby options (host only, before the game starts)
+   */
+  async updateRules(gameId: string, playerName: string, rules: Partial<GameRules>): Promise<{ success: boolean; rules: GameRules }> {
+    const response = await fetch(`${API_BASE_URL}/updateRules`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        gameId: gameId.toUpperCase(),
+        playerName,
+        token: localStorageUtils.getSeatToken(gameId, playerName),
+        rules,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to update rules');
+    }
+
+    return data;
+  },
 };
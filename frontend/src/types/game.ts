@@ -1,9 +1,14 @@
 // Type definitions for the Rook game
 
+export type BotDifficulty = 'easy' | 'normal' | 'hard' | 'expert';
+
 export interface Player {
   seat: number;
   name: string;
   isBot?: boolean;
+  difficulty?: BotDifficulty; // Bots only
+  profile?: string; // Bots only: weight profile (standard, aggressive, conservative or a tuned one)
+  away?: boolean; // Disconnected past the grace period; the bot is playing this seat
 }
 
 export interface Card {
@@ -14,7 +19,7 @@ export interface Card {
 export interface HandScore {
   round: number;
   bid: number;
-  bidTeam: 'team0' | 'team1';
+  bidTeam: 'team0' | 'team1' | null; // null on a game conceded during the bidding
   madeBid: boolean;
   team0Points: number;
   team1Points: number;
@@ -23,6 +28,46 @@ export interface HandScore {
   team0Total: number;
   team1Total: number;
   shootTheMoon: boolean;
+  dealSeed?: string;
+  conceded?: boolean; // The bidding team conceded the hand
+  concededBy?: 'team0' | 'team1'; // Set on the entry recording a conceded game
+}
+
+/**
+ * Where the points of the hand just finished went (the `summary` of `handComplete`)
+ */
+export interface HandSummary {
+  kitty: string[]; // The kitty as dealt
+  discard: string[]; // The bidder's discards
+  discardPoints: number; // Counters in the discards, which go to the bidding team
+  counters: { team0: string[]; team1: string[] }; // Counters each team took in tricks
+  tricksWon: { team0: number; team1: number };
+  sweepInReach: boolean; // The defenders took no points before the last trick (also true for a sweep, shootTheMoon)
+}
+
+export type GameVariant = 'kentucky' | 'tournament';
+
+// Seconds allowed for each kind of turn (0 = no limit)
+export interface TurnTimers {
+  bid: number;
+  discard: number;
+  play: number;
+}
+
+export interface GameRules {
+  variant: GameVariant;
+  minBid: number;
+  bidIncrement: number;
+  targetScore: number;
+  onesWorth15: boolean;
+  counterValues: { five: number; ten: number; fourteen: number; rook: number };
+  sweepBonus: number;
+  setPenalty: number;
+  turnTimers: TurnTimers;
+  hintsEnabled: boolean;
+  biddingAssistant: boolean;
+  botChat: boolean;
+  undoAutoApprove: boolean;
 }
 
 export interface GameState {
@@ -42,6 +87,15 @@ export interface GameState {
   teamScores?: { team0: number; team1: number };
   handHistory?: HandScore[];
   dealer?: number;
+  rules?: GameRules;
+  tournamentId?: string;
+  tableNumber?: number;
+  boardCount?: number;
+  isSpectator?: boolean;
+  turnDeadline?: number | null; // When the current turn times out (ms since epoch)
+  claim?: PendingClaim | null; // Claim waiting on the opponents
+  concession?: PendingConcession | null; // Vote to concede the game
+  undoRequest?: PendingUndo | null; // Request to take back a card, waiting on the opponents
 }
 
 export interface BiddingState {
@@ -55,6 +109,98 @@ export interface TrickWonNotification {
   points: number;
 }
 
+/**
+ * A claim of the remaining tricks that the opponents must accept or contest
+ */
+export interface PendingClaim {
+  seat: number;
+  team: 'team0' | 'team1';
+  accepted: number[]; // Opponents who have accepted
+}
+
+/**
+ * A request to take back the card just played that the opponents must approve or deny
+ */
+export interface PendingUndo {
+  seat: number;
+  card: string;
+  approved: number[]; // Opponents who have approved
+}
+
+/**
+ * A vote to concede the game that the rest of the team must agree to
+ */
+export interface PendingConcession {
+  team: 'team0' | 'team1';
+  votes: number[]; // Seats that have voted to concede
+}
+
+/**
+ * A finished trick of the current hand (in `trickWon` and `resync`)
+ */
+export interface CompletedTrick {
+  leader: number;
+  plays: { seat: number; card: string }[]; // In the order they were played
+  ledSuit: string;
+  winner: number;
+  points: number;
+}
+
+/**
+ * Bot's suggested move for the player's turn (the `hint` message)
+ */
+export interface MoveHint {
+  suggestion:
+    | { action: 'bid'; amount: number }
+    | { action: 'pass' }
+    | { action: 'discardAndTrump'; discard: string[]; trump: string }
+    | { action: 'playCard'; card: string };
+  reason: string;
+}
+
+/**
+ * Bot's evaluation of the player's new hand (the `handEvaluation` message)
+ */
+export interface HandEvaluation {
+  estimatedPoints: number;
+  handQuality: 'poor' | 'fair' | 'good' | 'strong' | 'excellent';
+  bestSuitLength: number;
+  likelyTrump: string | null;
+  bidRange: { low: number; high: number } | null; // null when the hand should fold
+}
+
+/**
+ * One card played, in the review of a finished hand
+ */
+export interface ReviewedPlay {
+  seat: number;
+  card: string;
+  held: string[]; // The seat's cards before the play
+  alternative?: string; // Set when the bot would have played a different card
+  reason?: string; // Why the bot would play the alternative
+}
+
+export interface ReviewedTrick {
+  number: number;
+  leader: number;
+  ledSuit: string;
+  winner: number;
+  points: number;
+  plays: ReviewedPlay[];
+}
+
+/**
+ * Trick-by-trick review of the hand just finished (the `handReview` message)
+ */
+export interface HandReview {
+  round: number;
+  trump: string;
+  bid: number;
+  bidWinner: number;
+  tricks: ReviewedTrick[];
+  flagged: Record<number, number>; // Plays per seat the bot would have made differently
+}
+
 export interface WebSocketMessage {
   action: string;
   [key: string]: any;
@@ -64,11 +210,13 @@ export interface CreateGameResponse {
   success: boolean;
   gameId: string;
   seat: number;
+  token: string;
   game: {
     gameId: string;
     hostName: string;
     players: Player[];
     status: string;
+    rules?: GameRules;
   };
   error?: string;
   message?: string;
@@ -78,9 +226,77 @@ export interface JoinGameResponse {
   success: boolean;
   gameId: string;
   seat: number;
+  token: string;
   players: Player[];
   status: string;
   hostName: string;
   error?: string;
   message?: string;
 }
+
+export type TournamentScoring = 'matchpoints' | 'imps';
+
+export interface CreateTournamentResponse extends CreateGameResponse {
+  tournamentId: string;
+  tableNumber: number;
+}
+
+export interface JoinTournamentResponse extends JoinGameResponse {
+  tournamentId: string;
+  tableNumber: number;
+}
+
+export interface TournamentBoardResult {
+  tableNumber: number;
+  bid: number;
+  bidTeam: 'team0' | 'team1';
+  madeBid: boolean;
+  team0HandScore: number;
+  team1HandScore: number;
+  net: number;
+  score: { team0: number; team1: number };
+}
+
+export interface TournamentBoard {
+  board: number;
+  dealer: number;
+  tablesPlayed: number;
+  results: TournamentBoardResult[];
+}
+
+export interface TournamentStanding {
+  tableNumber: number;
+  team: 'team0' | 'team1';
+  players: string[];
+  score: number;
+  boardsPlayed: number;
+}
+
+export interface TournamentTable {
+  gameId: string;
+  tableNumber: number;
+  status: string;
+  players: Player[];
+  teams: { team0: number[]; team1: number[] } | null;
+  boardsPlayed: number;
+  teamScores: { team0: number; team1: number };
+}
+
+export interface TournamentResults {
+  success: boolean;
+  tournament: {
+    tournamentId: string;
+    hostName: string;
+    rules: GameRules;
+    scoring: TournamentScoring;
+    tableCount: number;
+    boardCount: number;
+    status: 'OPEN' | 'FINISHED';
+    createdAt: string;
+  };
+  tables: TournamentTable[];
+  boards: TournamentBoard[];
+  standings: TournamentStanding[];
+  error?: string;
+  message?: string;
+}
@@ -1,6 +1,54 @@
 // Utility functions for card operations
 
-import { Card } from '../types/game';
+import { Card, GameRules, GameVariant } from '../types/game';
+
+/**
+ * Standard house rules (mirrors DEFAULT_RULES in backend/shared/gameUtils.js)
+ */
+export const DEFAULT_RULES: GameRules = {
+  variant: 'kentucky',
+  minBid: 50,
+  bidIncrement: 5,
+  targetScore: 500,
+  onesWorth15: true,
+  counterValues: { five: 5, ten: 10, fourteen: 10, rook: 20 },
+  sweepBonus: 20,
+  setPenalty: 1,
+  turnTimers: { bid: 0, discard: 0, play: 0 },
+  hintsEnabled: true,
+  biddingAssistant: false,
+  botChat: false,
+  undoAutoApprove: false,
+};
+
+/**
+ * Number of cards in the kitty (nest)
+ */
+export const KITTY_SIZE = 5;
+
+/**
+ * Display names for the rule variants offered when creating a game
+ */
+export const VARIANT_LABELS: Record<GameVariant, string> = {
+  kentucky: 'Kentucky (57 cards, Rook low)',
+  tournament: 'Tournament (45 cards, Rook high)',
+};
+
+/**
+ * Cards dealt to each player (before the kitty) under the given rules
+ */
+export function getHandSize(rules: GameRules = DEFAULT_RULES): number {
+  return rules.variant === 'tournament' ? 10 : 13;
+}
+
+/**
+ * Total counter points in the deck under the given rules (180 by default)
+ */
+export function getTotalPoints(rules: GameRules = DEFAULT_RULES): number {
+  const { five, ten, fourteen, rook } = rules.counterValues;
+  const ones = rules.onesWorth15 ? 15 : 0;
+  return 4 * (ones + five + ten + fourteen) + rook;
+}
 
 export type CardSortMethod = 'left-to-right' | 'left-to-right-goofy' | 'right-to-left';
 
@@ -98,13 +146,19 @@ export function isCardPlayable(
   card: Card,
   hand: Card[],
   ledSuit: string | undefined,
-  trump: string | undefined
+  trump: string | undefined,
+  rules: GameRules = DEFAULT_RULES
 ): boolean {
   if (!ledSuit) {
     // First card of trick - anything goes
     return true;
   }
 
+  // Tournament rules let the Rook be played at any time
+  if (card.color === 'Rook' && rules.variant === 'tournament') {
+    return true;
+  }
+
   const cardSuit = card.color === 'Rook' ? 'Rook' : card.color;
 
   // If player has cards of the led suit, they must play one
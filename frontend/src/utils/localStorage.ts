@@ -3,6 +3,17 @@ import { GameState, Player } from '../types/game';
 
 export type CardSortMethod = 'left-to-right' | 'left-to-right-goofy' | 'right-to-left';
 
+const seatTokenKey = (gameId: string, playerName: string): string =>
+  `${gameId.toUpperCase()}:${playerName}`;
+
+const readSeatTokens = (): Record<string, string> => {
+  try {
+    return JSON.parse(localStorage.getItem('rook_seatTokens') || '{}');
+  } catch {
+    return {};
+  }
+};
+
 export const localStorageUtils = {
   /**
    * Clear all game state from localStorage (call when joining a new game)
@@ -15,6 +26,7 @@ export const localStorageUtils = {
     localStorage.removeItem('rook_isHost');
     localStorage.removeItem('rook_players');
     localStorage.removeItem('rook_teams');
+    localStorage.removeItem('rook_spectator');
   },
 
   /**
@@ -27,6 +39,17 @@ export const localStorageUtils = {
     localStorage.setItem('rook_seat', seat.toString());
     localStorage.setItem('rook_isHost', isHost ? 'true' : 'false');
     localStorage.setItem('rook_players', JSON.stringify(players));
+    localStorage.removeItem('rook_spectator');
+  },
+
+  /**
+   * Save a spectator's game so a reload reconnects as a spectator, never into a seat
+   */
+  saveSpectatorState(gameId: string, playerName: string): void {
+    console.log('[localStorage] Saving spectator state:', { gameId, playerName });
+    localStorage.setItem('rook_gameId', gameId);
+    localStorage.setItem('rook_playerName', playerName);
+    localStorage.setItem('rook_spectator', 'true');
   },
 
   /**
@@ -52,6 +75,24 @@ export const localStorageUtils = {
     };
   },
 
+  /**
+   * Save the seat token issued for a player in a game. Tokens are kept apart from
+   * the current game state so clearing it (or joining another game) doesn't lose
+   * the ability to reclaim the seat later.
+   */
+  saveSeatToken(gameId: string, playerName: string, token: string): void {
+    const tokens = readSeatTokens();
+    tokens[seatTokenKey(gameId, playerName)] = token;
+    localStorage.setItem('rook_seatTokens', JSON.stringify(tokens));
+  },
+
+  /**
+   * Get the seat token for a player in a game, if this browser holds one
+   */
+  getSeatToken(gameId: string, playerName: string): string | null {
+    return readSeatTokens()[seatTokenKey(gameId, playerName)] ?? null;
+  },
+
   /**
    * Save card sort method preference
    */